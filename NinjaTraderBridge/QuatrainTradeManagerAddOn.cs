@@ -31,6 +31,33 @@ namespace NinjaTrader.NinjaScript.AddOns
         }
     }
 
+    // A target of a bracket order: a quantity and either an absolute price or a distance in points from the entry fill
+    internal class BracketTarget
+    {
+        public int Quantity { get; set; }
+        public double? Price { get; set; }
+        public double? Points { get; set; }
+        public int SubmittedQuantity { get; set; } // Contracts already covered by a stop/target pair
+    }
+
+    // A bracket order waiting for its entry to fill. Exits are submitted as the entry fills; after that
+    // NinjaTrader's OCO groups manage them without the add-on.
+    internal class BracketOrder
+    {
+        public string BracketId { get; set; }
+        public Account Account { get; set; }
+        public Instrument Instrument { get; set; }
+        public OrderAction EntryAction { get; set; }
+        public int Quantity { get; set; }
+        public OrderType StopOrderType { get; set; }
+        public double? StopPrice { get; set; }
+        public double? StopPoints { get; set; }
+        public List<BracketTarget> Targets { get; set; } = new List<BracketTarget>();
+        public Order EntryOrder { get; set; }
+        public int SubmittedExitQuantity { get; set; } // Entry fills already protected by exits
+        public int OcoSequence { get; set; }
+    }
+
     public class QuatrainTradeManagerAddOn : AddOnBase
     {
         private readonly object _syncRoot = new object();
@@ -51,6 +78,12 @@ namespace NinjaTrader.NinjaScript.AddOns
         // Flag to track if we are actively monitoring account events
         private bool _isMonitoringActive = false;
 
+        // Bracket orders waiting for their entry to fill, keyed by bracket ID. Bracket orders are named
+        // QB_<bracketId>_E (entry), QB_<bracketId>_S<n> (stop) and QB_<bracketId>_T<n> (target n), so clients
+        // can group them from regular order updates.
+        private readonly Dictionary<string, BracketOrder> _pendingBrackets = new Dictionary<string, BracketOrder>();
+        private const string BracketOrderPrefix = "QB_";
+
         protected override void OnStateChange()
         {
             if (State == State.SetDefaults)
@@ -467,6 +500,128 @@ namespace NinjaTrader.NinjaScript.AddOns
                         await HandlePlaceOrder(clientId, orderAccountId, orderSymbol, orderAction, orderType, orderQuantity, orderLimitPrice, orderStopPrice); // Pass clientId, limit price, and stop price
                         break;
 
+                    case "place_bracket":
+                        // Entry plus a stop and targets linked as OCO groups - see HandlePlaceBracket
+                        string bracketId, bracketAccountId, bracketSymbol, bracketAction, bracketEntryType, bracketStopType;
+                        int bracketQuantity;
+                        double? bracketEntryPrice = null;
+                        double? bracketStopPrice = null;
+                        double? bracketStopPoints = null;
+                        var bracketTargets = new List<BracketTarget>();
+
+                        if (!command.ContainsKey("bracketId") || !(command["bracketId"] is string bracketIdVal) || string.IsNullOrEmpty(bracketIdVal) || bracketIdVal.Contains("_"))
+                        {
+                            Print($"Error: 'place_bracket' command missing or invalid 'bracketId'. Message: {message} from {clientId}");
+                            await SendErrorMessage(clientId, "Invalid command format: missing or invalid 'bracketId' for place_bracket (no underscores).");
+                            break;
+                        }
+                        bracketId = bracketIdVal;
+
+                        if (!command.ContainsKey("accountId") || !(command["accountId"] is string bracketAccountVal) || string.IsNullOrEmpty(bracketAccountVal) ||
+                            !command.ContainsKey("symbol") || !(command["symbol"] is string bracketSymbolVal) || string.IsNullOrEmpty(bracketSymbolVal) ||
+                            !command.ContainsKey("action") || !(command["action"] is string bracketActionVal) || string.IsNullOrEmpty(bracketActionVal))
+                        {
+                            Print($"Error: 'place_bracket' command missing 'accountId', 'symbol' or 'action'. Message: {message} from {clientId}");
+                            await SendErrorMessage(clientId, "Invalid command format: missing 'accountId', 'symbol' or 'action' for place_bracket.");
+                            break;
+                        }
+                        bracketAccountId = bracketAccountVal;
+                        bracketSymbol = bracketSymbolVal;
+                        bracketAction = bracketActionVal.ToUpper();
+
+                        bracketEntryType = command.TryGetValue("entryOrderType", out object entryTypeObj) && entryTypeObj is string entryTypeVal
+                            ? entryTypeVal.ToUpper()
+                            : "MARKET";
+                        bracketStopType = command.TryGetValue("stopOrderType", out object stopTypeObj) && stopTypeObj is string stopTypeVal
+                            ? stopTypeVal.ToUpper()
+                            : "MARKETSTOP";
+
+                        if (!TryGetPositiveNumber(command, "quantity", out double bracketQuantityVal))
+                        {
+                            Print($"Error: 'place_bracket' command missing or invalid 'quantity'. Message: {message} from {clientId}");
+                            await SendErrorMessage(clientId, "Invalid command format: missing or invalid 'quantity' for place_bracket. Must be a positive integer.");
+                            break;
+                        }
+                        bracketQuantity = Convert.ToInt32(bracketQuantityVal);
+
+                        if (bracketEntryType != "MARKET")
+                        {
+                            if (!TryGetPositiveNumber(command, "entryPrice", out double entryPriceVal))
+                            {
+                                Print($"Error: 'place_bracket' command of entry type {bracketEntryType} missing or invalid 'entryPrice'. Message: {message} from {clientId}");
+                                await SendErrorMessage(clientId, $"Invalid command format: missing or invalid 'entryPrice' for a {bracketEntryType} bracket entry.");
+                                break;
+                            }
+                            bracketEntryPrice = entryPriceVal;
+                        }
+
+                        // The stop is an absolute price or a distance in points from the entry fill
+                        if (TryGetPositiveNumber(command, "stopPrice", out double stopPriceVal))
+                        {
+                            bracketStopPrice = stopPriceVal;
+                        }
+                        else if (TryGetPositiveNumber(command, "stopPoints", out double stopPointsVal))
+                        {
+                            bracketStopPoints = stopPointsVal;
+                        }
+                        else
+                        {
+                            Print($"Error: 'place_bracket' command missing 'stopPrice' or 'stopPoints'. Message: {message} from {clientId}");
+                            await SendErrorMessage(clientId, "Invalid command format: missing 'stopPrice' or 'stopPoints' for place_bracket.");
+                            break;
+                        }
+
+                        // Targets arrive as an array of { quantity, price } or { quantity, points }
+                        bool targetsValid = true;
+                        if (command.TryGetValue("targets", out object targetsObj) && targetsObj is System.Collections.IEnumerable targetList)
+                        {
+                            foreach (object targetObj in targetList)
+                            {
+                                var target = targetObj as Dictionary<string, object>;
+                                if (target == null || !TryGetPositiveNumber(target, "quantity", out double targetQuantity))
+                                {
+                                    targetsValid = false;
+                                    break;
+                                }
+                                var bracketTarget = new BracketTarget { Quantity = Convert.ToInt32(targetQuantity) };
+                                if (TryGetPositiveNumber(target, "price", out double targetPrice))
+                                    bracketTarget.Price = targetPrice;
+                                else if (TryGetPositiveNumber(target, "points", out double targetPoints))
+                                    bracketTarget.Points = targetPoints;
+                                else
+                                {
+                                    targetsValid = false;
+                                    break;
+                                }
+                                bracketTargets.Add(bracketTarget);
+                            }
+                        }
+                        if (!targetsValid || bracketTargets.Sum(t => t.Quantity) > bracketQuantity)
+                        {
+                            Print($"Error: 'place_bracket' command has invalid 'targets'. Message: {message} from {clientId}");
+                            await SendErrorMessage(clientId, "Invalid command format: each bracket target needs a quantity and a price or points, and targets can't exceed the bracket quantity.");
+                            break;
+                        }
+
+                        Print($"Received place bracket request: Bracket={bracketId}, Account={bracketAccountId}, Symbol={bracketSymbol}, Action={bracketAction}, Entry={bracketEntryType} {bracketEntryPrice}, Quantity={bracketQuantity}, Stop={bracketStopType} {bracketStopPrice}{(bracketStopPoints.HasValue ? $" ({bracketStopPoints} pts)" : "")}, Targets={bracketTargets.Count} from {clientId}");
+                        await HandlePlaceBracket(clientId, bracketId, bracketAccountId, bracketSymbol, bracketAction, bracketEntryType, bracketEntryPrice, bracketQuantity, bracketStopType, bracketStopPrice, bracketStopPoints, bracketTargets);
+                        break;
+
+                    case "cancel_bracket":
+                        // Cancel every working order of a bracket - its entry and all of its stops and targets
+                        if (command.ContainsKey("accountId") && command["accountId"] is string cancelBracketAccountId &&
+                            command.ContainsKey("bracketId") && command["bracketId"] is string cancelBracketId && !string.IsNullOrEmpty(cancelBracketId))
+                        {
+                            Print($"Received cancel bracket request: Account={cancelBracketAccountId}, Bracket={cancelBracketId} from {clientId}");
+                            await HandleCancelBracket(clientId, cancelBracketAccountId, cancelBracketId);
+                        }
+                        else
+                        {
+                            Print($"Error: 'cancel_bracket' command received with missing 'accountId' or 'bracketId'. Message: {message} from {clientId}");
+                            await SendErrorMessage(clientId, "Invalid command format: missing accountId or bracketId for cancel_bracket.");
+                        }
+                        break;
+
                     case "getOrders":
                         if (command.ContainsKey("accountId") && command["accountId"] is string requestedAccountId)
                         {
@@ -1180,6 +1335,336 @@ namespace NinjaTrader.NinjaScript.AddOns
             }
         }
 
+        // Read a positive number from a deserialized command (numbers arrive as int, decimal or string)
+        private static bool TryGetPositiveNumber(Dictionary<string, object> values, string key, out double number)
+        {
+            number = 0;
+            if (!values.TryGetValue(key, out object value) || value == null)
+                return false;
+            try
+            {
+                number = Convert.ToDouble(value);
+                return number > 0;
+            }
+            catch (Exception)
+            {
+                return false;
+            }
+        }
+
+        // Submit a bracket's entry and keep the bracket until the entry fills; OnBracketOrderUpdateHandler places
+        // the exits. Each target is paired with a stop for the same quantity in its own OCO group, so NinjaTrader
+        // cancels the pair's stop when a target fills (leaving the remaining stops sized to the position) and
+        // cancels the pair's target when a stop fills - whether or not Quatrain is connected.
+        private async Task HandlePlaceBracket(string clientId, string bracketId, string accountId, string instrumentSymbol, string action,
+            string entryOrderType, double? entryPrice, int quantity, string stopOrderType, double? stopPrice, double? stopPoints, List<BracketTarget> targets)
+        {
+            try
+            {
+                var account = GetActiveAccounts().FirstOrDefault(a => a.Name == accountId);
+                if (account == null)
+                {
+                    Print($"Place Bracket error: Account '{accountId}' not found or not active.");
+                    await SendErrorMessage(clientId, $"Account '{accountId}' not found or not active.");
+                    return;
+                }
+
+                var instrument = Cbi.Instrument.GetInstrument(instrumentSymbol);
+                if (instrument == null)
+                {
+                    Print($"Place Bracket error: Instrument '{instrumentSymbol}' not found.");
+                    await SendErrorMessage(clientId, $"Instrument '{instrumentSymbol}' not found.");
+                    return;
+                }
+
+                OrderAction entryAction;
+                if (action == "BUY")
+                    entryAction = OrderAction.Buy;
+                else if (action == "SELL")
+                    entryAction = OrderAction.Sell;
+                else
+                {
+                    Print($"Place Bracket error: Invalid action '{action}'. Must be BUY or SELL.");
+                    await SendErrorMessage(clientId, $"Invalid action '{action}'. Must be BUY or SELL.");
+                    return;
+                }
+
+                OrderType ntEntryType;
+                switch (entryOrderType)
+                {
+                    case "MARKET":
+                        ntEntryType = OrderType.Market;
+                        break;
+                    case "LIMIT":
+                        ntEntryType = OrderType.Limit;
+                        break;
+                    case "MARKETSTOP":
+                        ntEntryType = OrderType.StopMarket;
+                        break;
+                    default:
+                        Print($"Place Bracket error: Unsupported entry order type '{entryOrderType}'.");
+                        await SendErrorMessage(clientId, $"Unsupported bracket entry order type '{entryOrderType}'. Use MARKET, LIMIT or MARKETSTOP.");
+                        return;
+                }
+
+                OrderType ntStopType;
+                if (stopOrderType == "MARKETSTOP")
+                    ntStopType = OrderType.StopMarket;
+                else if (stopOrderType == "LIMITSTOP")
+                    ntStopType = OrderType.StopLimit;
+                else
+                {
+                    Print($"Place Bracket error: Unsupported stop order type '{stopOrderType}'.");
+                    await SendErrorMessage(clientId, $"Unsupported bracket stop order type '{stopOrderType}'. Use MARKETSTOP or LIMITSTOP.");
+                    return;
+                }
+
+                var bracket = new BracketOrder
+                {
+                    BracketId = bracketId,
+                    Account = account,
+                    Instrument = instrument,
+                    EntryAction = entryAction,
+                    Quantity = quantity,
+                    StopOrderType = ntStopType,
+                    StopPrice = stopPrice,
+                    StopPoints = stopPoints,
+                    Targets = targets
+                };
+
+                lock (_pendingBrackets)
+                {
+                    if (_pendingBrackets.ContainsKey(bracketId))
+                    {
+                        Print($"Place Bracket error: Bracket '{bracketId}' is already pending.");
+                        bracket = null;
+                    }
+                    else
+                    {
+                        _pendingBrackets[bracketId] = bracket;
+                    }
+                }
+                if (bracket == null)
+                {
+                    await SendErrorMessage(clientId, $"Bracket '{bracketId}' is already pending.");
+                    return;
+                }
+
+                double entryLimitPrice = ntEntryType == OrderType.Limit ? entryPrice ?? 0 : 0;
+                double entryStopPrice = ntEntryType == OrderType.StopMarket ? entryPrice ?? 0 : 0;
+                string entryName = $"{BracketOrderPrefix}{bracketId}_E";
+
+                await Application.Current.Dispatcher.InvokeAsync(() =>
+                {
+                    try
+                    {
+                        // Follow the entry even when no client is connected
+                        account.OrderUpdate -= OnBracketOrderUpdateHandler;
+                        account.OrderUpdate += OnBracketOrderUpdateHandler;
+
+                        Print($"Calling CreateOrder for bracket entry: Account={account.Name}, Instrument={instrument.FullName}, Action={entryAction}, Type={ntEntryType}, Qty={quantity}, Limit={entryLimitPrice}, Stop={entryStopPrice}, Name={entryName}");
+                        bracket.EntryOrder = account.CreateOrder(instrument, entryAction, ntEntryType, OrderEntry.Manual, TimeInForce.Day,
+                            quantity, entryLimitPrice, entryStopPrice, "", entryName, Core.Globals.MaxDate, null);
+
+                        if (bracket.EntryOrder != null)
+                        {
+                            account.Submit(new Order[] { bracket.EntryOrder });
+                        }
+                        else
+                        {
+                            Print("Error: Account.CreateOrder returned null for bracket entry.");
+                        }
+                    }
+                    catch (Exception submitEx)
+                    {
+                        Print($"Error during bracket entry CreateOrder/Submit on dispatcher thread: {submitEx.Message}");
+                    }
+                });
+
+                if (bracket.EntryOrder == null)
+                {
+                    lock (_pendingBrackets)
+                    {
+                        _pendingBrackets.Remove(bracketId);
+                    }
+                    await SendErrorMessage(clientId, $"Bracket entry for {instrumentSymbol} could not be submitted.");
+                    return;
+                }
+
+                var confirmationMessage = new Dictionary<string, object>
+                {
+                    { "type", "bracketSubmitted" },
+                    { "bracketId", bracketId },
+                    { "accountId", accountId },
+                    { "instrument", instrument.FullName },
+                    { "action", action },
+                    { "entryOrderType", entryOrderType },
+                    { "entryPrice", entryPrice },
+                    { "quantity", quantity },
+                    { "stopOrderType", stopOrderType },
+                    { "stopPrice", stopPrice },
+                    { "stopPoints", stopPoints },
+                    { "targets", targets.Select(t => new Dictionary<string, object> { { "quantity", t.Quantity }, { "price", t.Price }, { "points", t.Points } }).ToList() },
+                    { "message", $"Bracket {bracketId} entry submitted; stop and {targets.Count} target(s) follow the fill." }
+                };
+                await SendMessageAsync(clientId, confirmationMessage);
+                Print($"Bracket {bracketId} entry submitted: Account={accountId}, Instrument={instrumentSymbol}, Action={action}, Quantity={quantity}");
+            }
+            catch (Exception ex)
+            {
+                Print($"Error during place bracket for Account: {accountId}, Instrument: {instrumentSymbol}: {ex.Message}");
+                await SendErrorMessage(clientId, $"Error submitting bracket for {instrumentSymbol}: {ex.Message}");
+            }
+        }
+
+        // Handler for Account.OrderUpdate events of accounts with pending brackets - places the exits as entries fill
+        private void OnBracketOrderUpdateHandler(object sender, OrderEventArgs e)
+        {
+            try
+            {
+                if (e.Order == null || e.Order.Name == null || !e.Order.Name.StartsWith(BracketOrderPrefix) || !e.Order.Name.EndsWith("_E"))
+                    return;
+
+                string bracketId = e.Order.Name.Substring(BracketOrderPrefix.Length, e.Order.Name.Length - BracketOrderPrefix.Length - 2);
+                BracketOrder bracket;
+                lock (_pendingBrackets)
+                {
+                    if (!_pendingBrackets.TryGetValue(bracketId, out bracket))
+                        return;
+                }
+
+                // Partial fills can arrive back to back - each contract gets its exits once
+                lock (bracket)
+                {
+                    int newlyFilled = e.Order.Filled - bracket.SubmittedExitQuantity;
+                    if (newlyFilled > 0)
+                    {
+                        SubmitBracketExits(bracket, newlyFilled, e.Order.AverageFillPrice);
+                    }
+                }
+
+                bool isFinal = e.Order.OrderState == OrderState.Filled || e.Order.OrderState == OrderState.Cancelled || e.Order.OrderState == OrderState.Rejected;
+                if (isFinal)
+                {
+                    Print($"Bracket {bracketId} entry {e.Order.OrderState} with {e.Order.Filled} filled - exits are now managed by their OCO groups");
+                    bool accountHasOtherBrackets;
+                    lock (_pendingBrackets)
+                    {
+                        _pendingBrackets.Remove(bracketId);
+                        accountHasOtherBrackets = _pendingBrackets.Values.Any(b => b.Account == bracket.Account);
+                    }
+                    if (!accountHasOtherBrackets)
+                    {
+                        bracket.Account.OrderUpdate -= OnBracketOrderUpdateHandler;
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                Print("Error in OnBracketOrderUpdateHandler: " + ex.Message);
+            }
+        }
+
+        // Submit stop/target pairs covering newly filled entry contracts. Contracts beyond the targets get a stop only.
+        private void SubmitBracketExits(BracketOrder bracket, int filledQuantity, double averageFillPrice)
+        {
+            bool isLong = bracket.EntryAction == OrderAction.Buy;
+            OrderAction exitAction = isLong ? OrderAction.Sell : OrderAction.BuyToCover;
+            var master = bracket.Instrument.MasterInstrument;
+
+            double stopPrice = bracket.StopPrice ?? (isLong ? averageFillPrice - bracket.StopPoints.Value : averageFillPrice + bracket.StopPoints.Value);
+            stopPrice = master.RoundToTickSize(stopPrice);
+            double stopLimitPrice = bracket.StopOrderType == OrderType.StopLimit ? stopPrice : 0;
+
+            var exits = new List<Order>();
+            int remaining = filledQuantity;
+            for (int i = 0; i < bracket.Targets.Count && remaining > 0; i++)
+            {
+                var target = bracket.Targets[i];
+                int pairQuantity = Math.Min(remaining, target.Quantity - target.SubmittedQuantity);
+                if (pairQuantity <= 0)
+                    continue;
+
+                double targetPrice = target.Price ?? (isLong ? averageFillPrice + target.Points.Value : averageFillPrice - target.Points.Value);
+                targetPrice = master.RoundToTickSize(targetPrice);
+                string oco = $"{BracketOrderPrefix}{bracket.BracketId}_{++bracket.OcoSequence}_{Guid.NewGuid().ToString().Substring(0, 8)}";
+
+                exits.Add(bracket.Account.CreateOrder(bracket.Instrument, exitAction, bracket.StopOrderType, OrderEntry.Manual, TimeInForce.Gtc,
+                    pairQuantity, stopLimitPrice, stopPrice, oco, $"{BracketOrderPrefix}{bracket.BracketId}_S{i + 1}", Core.Globals.MaxDate, null));
+                exits.Add(bracket.Account.CreateOrder(bracket.Instrument, exitAction, OrderType.Limit, OrderEntry.Manual, TimeInForce.Gtc,
+                    pairQuantity, targetPrice, 0, oco, $"{BracketOrderPrefix}{bracket.BracketId}_T{i + 1}", Core.Globals.MaxDate, null));
+
+                target.SubmittedQuantity += pairQuantity;
+                remaining -= pairQuantity;
+            }
+            if (remaining > 0)
+            {
+                exits.Add(bracket.Account.CreateOrder(bracket.Instrument, exitAction, bracket.StopOrderType, OrderEntry.Manual, TimeInForce.Gtc,
+                    remaining, stopLimitPrice, stopPrice, "", $"{BracketOrderPrefix}{bracket.BracketId}_S0", Core.Globals.MaxDate, null));
+            }
+
+            bracket.SubmittedExitQuantity += filledQuantity;
+            Order[] exitOrders = exits.Where(order => order != null).ToArray();
+            Print($"Bracket {bracket.BracketId}: {filledQuantity} filled at {averageFillPrice}, submitting {exitOrders.Length} exit orders (stop {stopPrice})");
+            Application.Current.Dispatcher.InvokeAsync(() =>
+            {
+                try
+                {
+                    bracket.Account.Submit(exitOrders);
+                }
+                catch (Exception submitEx)
+                {
+                    Print($"Error submitting exits of bracket {bracket.BracketId} on dispatcher thread: {submitEx.Message}");
+                }
+            });
+        }
+
+        // Cancel every working order of a bracket. Orders are found by name, so this works for brackets placed
+        // before a restart of Quatrain too.
+        private async Task HandleCancelBracket(string clientId, string accountId, string bracketId)
+        {
+            try
+            {
+                var account = GetActiveAccounts().FirstOrDefault(a => a.Name == accountId);
+                if (account == null)
+                {
+                    Print($"Cancel Bracket error: Account '{accountId}' not found or not active.");
+                    await SendErrorMessage(clientId, $"Account '{accountId}' not found or not active.");
+                    return;
+                }
+
+                string namePrefix = $"{BracketOrderPrefix}{bracketId}_";
+                lock (_pendingBrackets)
+                {
+                    // No exits should follow an entry that is being cancelled
+                    _pendingBrackets.Remove(bracketId);
+                }
+
+                await Application.Current.Dispatcher.InvokeAsync(() =>
+                {
+                    Order[] ordersToCancel;
+                    lock (account.Orders)
+                    {
+                        ordersToCancel = account.Orders
+                            .Where(o => o.Name != null && o.Name.StartsWith(namePrefix) &&
+                                        (o.OrderState == OrderState.Working || o.OrderState == OrderState.Accepted ||
+                                         o.OrderState == OrderState.Submitted || o.OrderState == OrderState.ChangePending))
+                            .ToArray();
+                    }
+                    Print($"Cancelling {ordersToCancel.Length} working orders of bracket {bracketId}");
+                    if (ordersToCancel.Length > 0)
+                    {
+                        account.Cancel(ordersToCancel);
+                    }
+                });
+            }
+            catch (Exception ex)
+            {
+                Print($"Error during cancel bracket for Account: {accountId}, Bracket: {bracketId}: {ex.Message}");
+                await SendErrorMessage(clientId, $"Error cancelling bracket {bracketId}: {ex.Message}");
+            }
+        }
+
         private void DebugAccountProperties(Account account)
         {
             Print("=== DEBUG ACCOUNT PROPERTIES ===");
@@ -1,8 +1,23 @@
-const { app, BrowserWindow, Menu, ipcMain } = require('electron');
+const { app, BrowserWindow, Menu, ipcMain, dialog, Notification, safeStorage } = require('electron');
 const path = require('path');
+const fs = require('fs');
 const WebSocket = require('ws');
 // Import the DataService
 const DataService = require('./src/services/data-service');
+// Import the JournalService
+const JournalService = require('./src/services/journal-service');
+// Import the RiskService
+const RiskService = require('./src/services/risk-service');
+// Import the SimBrokerService
+const SimBrokerService = require('./src/services/sim-broker-service');
+// Import the CandleCacheService
+const CandleCacheService = require('./src/services/candle-cache-service');
+// Import the CandleFileService
+const CandleFileService = require('./src/services/candle-file-service');
+// Import the ServerProfileService
+const ServerProfileService = require('./src/services/server-profile-service');
+// Import the HotkeyService
+const HotkeyService = require('./src/services/hotkey-service');
 
 // Track main window reference
 let mainWindow = null;
@@ -10,13 +25,47 @@ let mainWindow = null;
 let tradeWindows = [];
 // Track all trade manager windows
 let tradeManagerWindows = [];
+// Track the trade journal window (only one is opened)
+let journalWindow = null;
+// Track the risk guardrails window (only one is opened)
+let riskWindow = null;
+// Track the extra chart windows that replay a day of their own
+let replayWindows = [];
+// Track the candle import/export window (only one is opened)
+let candleDataWindow = null;
+// Track the hotkey settings window (only one is opened)
+let hotkeysWindow = null;
 
 // NinjaTrader Bridge connection status
 let isConnectedToNTBridge = false;
 
+// Whether Trade Manager fills trigger a chart snapshot (toggled from the Trade Manager's View menu)
+let snapshotChartsOnFills = true;
+
 // Initialize the shared data service
 const dataService = new DataService();
 
+// Initialize the trade journal, which uses the data service's candles for MAE/MFE
+const journalService = new JournalService(dataService);
+
+// Initialize the risk guardrails, which follow fills through the trade journal
+const riskService = new RiskService(journalService);
+
+// Initialize the paper-trading simulator, which fills against the forwarded candle stream
+const simBrokerService = new SimBrokerService();
+
+// Initialize the on-disk candle cache, which keeps the forwarded candle stream between runs
+const candleCacheService = new CandleCacheService();
+
+// Initialize candle import/export, which imports into the data service and the candle cache
+const candleFileService = new CandleFileService(dataService, candleCacheService);
+
+// Initialize the Chronicle server profiles offered on the connection screen
+const serverProfileService = new ServerProfileService();
+
+// Initialize the hotkey bindings shared by the chart and Trade windows
+const hotkeyService = new HotkeyService();
+
 // Track window IDs for debugging
 let windowIds = new Map();
 // Keep track of current market data (legacy - now using DataService)
@@ -68,6 +117,12 @@ function createWindow() {
         });
         tradeManagerWindows = [];
 
+        // Close all replay windows when main window is closed
+        [...replayWindows].forEach(rw => {
+            if (rw && !rw.isDestroyed()) rw.close();
+        });
+        replayWindows = [];
+
         mainWindow = null;
     });
 
@@ -86,6 +141,18 @@ function createWindow() {
                         }
                     },
                 },
+                {
+                    label: 'New Replay Window',
+                    click: () => {
+                        createReplayWindow();
+                    },
+                },
+                {
+                    label: 'Import / Export Candles',
+                    click: () => {
+                        createCandleDataWindow();
+                    },
+                },
                 {
                     label: 'Quit',
                     accelerator: process.platform === 'darwin' ? 'Cmd+Q' : 'Ctrl+Q',
@@ -124,6 +191,24 @@ function createWindow() {
                         win.webContents.send('open-annotation-manager');
                     },
                 },
+                {
+                    label: 'Workspaces',
+                    click: () => {
+                        win.webContents.send('open-workspaces');
+                    },
+                },
+                {
+                    label: 'Alerts',
+                    click: () => {
+                        win.webContents.send('open-alerts');
+                    },
+                },
+                {
+                    label: 'Hotkeys',
+                    click: () => {
+                        createHotkeysWindow();
+                    },
+                },
             ],
         },
         {
@@ -175,6 +260,28 @@ function createWindow() {
                         }
                     },
                 },
+                {
+                    label: 'Trade Journal',
+                    click: () => {
+                        createJournalWindow();
+                    },
+                },
+                {
+                    label: 'Risk Guardrails',
+                    click: () => {
+                        createRiskWindow();
+                    },
+                },
+                { type: 'separator' },
+                {
+                    id: 'arm-trading-hotkeys',
+                    label: 'Arm Trading Hotkeys',
+                    type: 'checkbox',
+                    checked: hotkeyService.armed,
+                    click: (menuItem) => {
+                        hotkeyService.setArmed(menuItem.checked);
+                    },
+                },
             ],
         },
         {
@@ -371,6 +478,15 @@ function createTradeManagerWindow() {
                     accelerator: process.platform === 'darwin' ? 'Alt+Cmd+I' : 'Ctrl+Shift+I',
                     role: 'toggleDevTools',
                 },
+                {
+                    label: 'Snapshot Charts on Fills',
+                    type: 'checkbox',
+                    checked: snapshotChartsOnFills,
+                    click: (menuItem) => {
+                        snapshotChartsOnFills = menuItem.checked;
+                        console.log(`Main Process: Snapshot charts on fills ${snapshotChartsOnFills ? 'enabled' : 'disabled'}`);
+                    },
+                },
             ],
         },
         {
@@ -430,6 +546,141 @@ function createTradeManagerWindow() {
     });
 }
 
+// Function to create a replay window - a chart window of its own for replaying another day
+function createReplayWindow() {
+    const replayWindow = new BrowserWindow({
+        width: 1200,
+        height: 800,
+        title: "Quatrain Replay",
+        webPreferences: {
+            nodeIntegration: true,
+            contextIsolation: false,
+        },
+    });
+    replayWindow.setMenu(null);
+    replayWindows.push(replayWindow);
+
+    // Load the index.html but with a query parameter to indicate a replay window
+    replayWindow.loadURL(`file://${path.join(__dirname, 'build/index.html')}?view=replay`);
+
+    replayWindow.on('closed', () => {
+        console.log('Replay window closed');
+        replayWindows = replayWindows.filter(rw => rw !== replayWindow);
+    });
+}
+
+// Function to create the Trade Journal window, or focus it if it's already open
+function createJournalWindow() {
+    if (journalWindow && !journalWindow.isDestroyed()) {
+        if (journalWindow.isMinimized()) journalWindow.restore();
+        journalWindow.focus();
+        return;
+    }
+
+    journalWindow = new BrowserWindow({
+        width: 1200,
+        height: 800,
+        title: "Trade Journal",
+        webPreferences: {
+            nodeIntegration: true,
+            contextIsolation: false,
+        },
+    });
+    journalWindow.setMenu(null);
+
+    // Load the index.html but with a query parameter to indicate Journal view
+    journalWindow.loadURL(`file://${path.join(__dirname, 'build/index.html')}?view=journal`);
+
+    journalWindow.on('closed', () => {
+        console.log('Trade Journal window closed');
+        journalWindow = null;
+    });
+}
+
+// Function to create the Risk Guardrails window, or focus it if it's already open
+function createRiskWindow() {
+    if (riskWindow && !riskWindow.isDestroyed()) {
+        if (riskWindow.isMinimized()) riskWindow.restore();
+        riskWindow.focus();
+        return;
+    }
+
+    riskWindow = new BrowserWindow({
+        width: 1000,
+        height: 750,
+        title: "Risk Guardrails",
+        webPreferences: {
+            nodeIntegration: true,
+            contextIsolation: false,
+        },
+    });
+    riskWindow.setMenu(null);
+
+    // Load the index.html but with a query parameter to indicate Risk Guardrails view
+    riskWindow.loadURL(`file://${path.join(__dirname, 'build/index.html')}?view=risk`);
+
+    riskWindow.on('closed', () => {
+        console.log('Risk Guardrails window closed');
+        riskWindow = null;
+    });
+}
+
+// Function to create the candle import/export window, or focus it if it's already open
+function createCandleDataWindow() {
+    if (candleDataWindow && !candleDataWindow.isDestroyed()) {
+        if (candleDataWindow.isMinimized()) candleDataWindow.restore();
+        candleDataWindow.focus();
+        return;
+    }
+
+    candleDataWindow = new BrowserWindow({
+        width: 900,
+        height: 750,
+        title: "Import / Export Candles",
+        webPreferences: {
+            nodeIntegration: true,
+            contextIsolation: false,
+        },
+    });
+    candleDataWindow.setMenu(null);
+
+    // Load the index.html but with a query parameter to indicate the candle data view
+    candleDataWindow.loadURL(`file://${path.join(__dirname, 'build/index.html')}?view=candleData`);
+
+    candleDataWindow.on('closed', () => {
+        console.log('Candle import/export window closed');
+        candleDataWindow = null;
+    });
+}
+
+// Function to create the hotkey settings window, or focus it if it's already open
+function createHotkeysWindow() {
+    if (hotkeysWindow && !hotkeysWindow.isDestroyed()) {
+        if (hotkeysWindow.isMinimized()) hotkeysWindow.restore();
+        hotkeysWindow.focus();
+        return;
+    }
+
+    hotkeysWindow = new BrowserWindow({
+        width: 760,
+        height: 800,
+        title: "Hotkeys",
+        webPreferences: {
+            nodeIntegration: true,
+            contextIsolation: false,
+        },
+    });
+    hotkeysWindow.setMenu(null);
+
+    // Load the index.html but with a query parameter to indicate the hotkeys view
+    hotkeysWindow.loadURL(`file://${path.join(__dirname, 'build/index.html')}?view=hotkeys`);
+
+    hotkeysWindow.on('closed', () => {
+        console.log('Hotkeys window closed');
+        hotkeysWindow = null;
+    });
+}
+
 // Function to create a Trade Window
 function createTradeWindow() {
     // Create a smaller browser window for placing trades
@@ -662,8 +913,80 @@ ipcMain.on('nt-bridge-disconnect-request', (event) => {
     event.sender.send('nt-bridge-connected', isConnectedToNTBridge);
 });
 
+// The bridge URL each connected Trade Manager window uses, by webContents ID - NinjaTrader's or the simulator's
+const tradeManagerBridgeUrls = new Map();
+
+// Whether orders forwarded to the first Trade Manager window go to the Quatrain Simulator
+function isTradeManagerOnSimulator() {
+    const tradeManager = tradeManagerWindows[0];
+    if (!tradeManager || tradeManager.isDestroyed()) return false;
+    return tradeManagerBridgeUrls.get(tradeManager.webContents.id) === simBrokerService.getUrl();
+}
+
+// Send a message to the NinjaTrader Bridge through the first Trade Manager window
+function sendToTradeManagerBridge(message) {
+    const tradeManager = tradeManagerWindows[0];
+    if (!tradeManager || tradeManager.isDestroyed()) {
+        console.error('No active Trade Manager window to send message:', message.type);
+        return false;
+    }
+    tradeManager.webContents.send('nt-bridge-send-request', { message });
+    return true;
+}
+
+// Show a desktop notification when a risk guardrail blocks an order or acts on its own
+function showRiskNotification(title, body) {
+    if (Notification.isSupported()) {
+        new Notification({ title, body }).show();
+    }
+}
+
+/**
+ * Decide whether an order request may go to the bridge. During a replay, orders fill against the replayed
+ * candles in the Quatrain Simulator, so new ones are only let through when the Trade Manager they're forwarded to
+ * is connected to it, and the risk guardrails (which follow the live session) don't apply to them. Everything
+ * else - including any order that would reach NinjaTrader - is checked against the risk guardrails.
+ * @returns {Object} { allowed, title, reason, error } - the notification and response for a blocked order
+ */
+function checkOrderRequest(message, source) {
+    if (simBrokerService.isReplaying()) {
+        if (isTradeManagerOnSimulator()) {
+            return { allowed: true };
+        }
+        if (['place_order', 'place_bracket'].includes(message.type)) {
+            return {
+                allowed: false,
+                title: 'Order blocked during replay',
+                reason: 'Connect the Trade Manager to the Quatrain Simulator to trade the replay',
+                error: 'Connect the Trade Manager to the Quatrain Simulator to trade the replay'
+            };
+        }
+    }
+
+    const riskDecision = riskService.checkOrder(message, source);
+    if (riskDecision.allowed) return riskDecision;
+    return {
+        allowed: false,
+        title: 'Order blocked by risk guardrails',
+        reason: riskDecision.reason,
+        error: `Blocked by risk guardrails - ${riskDecision.reason}`
+    };
+}
+
 ipcMain.on('nt-bridge-send-request', (event, message) => {
     console.log('Main process received nt-bridge-send-request:', message.type);
+
+    const senderWindow = BrowserWindow.fromWebContents(event.sender);
+    const orderDecision = checkOrderRequest(message, senderWindow ? senderWindow.getTitle() : 'Unknown window');
+    if (!orderDecision.allowed) {
+        showRiskNotification(orderDecision.title, orderDecision.reason);
+        event.sender.send('nt-bridge-send-response', {
+            success: false,
+            error: orderDecision.error,
+            originalMessage: message
+        });
+        return;
+    }
     
     // Forward the message to Trade Manager
     if (tradeManagerWindows.length > 0) {
@@ -712,19 +1035,43 @@ ipcMain.on('nt-bridge-send-request', (event, message) => {
 });
 
 // Handle NinjaTrader Bridge status broadcasts from Trade Manager
-ipcMain.on('nt-bridge-status-broadcast', (event, connected) => {
+ipcMain.on('nt-bridge-status-broadcast', (event, connected, bridgeUrl) => {
     console.log(`Received NT Bridge status broadcast: ${connected}`);
     
     // Update global connection status
     isConnectedToNTBridge = connected;
+    if (!connected) {
+        tradeManagerBridgeUrls.delete(event.sender.id);
+    } else if (bridgeUrl) {
+        tradeManagerBridgeUrls.set(event.sender.id, bridgeUrl);
+    }
+
+    // Trading hotkeys have to be armed again once the bridge is back
+    if (!connected) {
+        hotkeyService.setArmed(false);
+    }
     
     // Broadcast to all windows except the sender
     broadcastToAllTradeWindows('nt-bridge-connected', connected);
 });
 
+// A global chart hotkey pressed in a Trade Window runs in the main chart window
+ipcMain.on('hotkeys:run', (event, actionId) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('hotkeys:run', actionId);
+    }
+});
+
 // Handle NinjaTrader Bridge message broadcasts from Trade Manager
 ipcMain.on('nt-bridge-message-broadcast', (event, message) => {
     console.log(`Received NT Bridge message broadcast: ${message.type}`);
+
+    // Record fills and position changes in the trade journal, and follow positions, working orders and realized
+    // P&L for the risk guardrails - but not the simulator's replay trades, which get a scorecard of their own
+    if (!message.replay) {
+        journalService.handleBridgeMessage(message);
+        riskService.handleBridgeMessage(message);
+    }
     
     // Broadcast to all trade manager windows except the sender
     for (let tmw of tradeManagerWindows) {
@@ -747,6 +1094,15 @@ ipcMain.on('nt-bridge-message-broadcast', (event, message) => {
             }
         }
     }
+
+    // And to the main window, where position drawings track their bracket orders
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        try {
+            mainWindow.webContents.send('nt-bridge-message', message);
+        } catch (error) {
+            console.error('Error forwarding message to main window:', error);
+        }
+    }
 });
 
 // Handle status requests from any window
@@ -983,6 +1339,23 @@ ipcMain.on('chart-click-order-completed', (event, orderData) => {
     }
     
     console.log('Main Process: Formatted order for NT Bridge:', ntOrder);
+
+    // Check the order as for every other order
+    const orderDecision = checkOrderRequest(ntOrder, 'Chart click');
+    if (!orderDecision.allowed) {
+        showRiskNotification(orderDecision.title, orderDecision.reason);
+        // Trade windows show the reason as a failed order submission
+        for (let tradeWindow of tradeWindows) {
+            if (tradeWindow && !tradeWindow.isDestroyed()) {
+                tradeWindow.webContents.send('nt-bridge-send-response', {
+                    success: false,
+                    error: orderDecision.error,
+                    originalMessage: ntOrder
+                });
+            }
+        }
+        return;
+    }
     
     // Send the order to Trade Manager to execute using the centralized connection
     if (tradeManagerWindows.length > 0) {
@@ -1119,6 +1492,51 @@ ipcMain.on('candle-closed', (event, data) => {
   }
 });
 
+// --- IPC Handlers for Chart Snapshots ---
+// Capture an area of the requesting window (the chart panes) as a PNG data URL
+ipcMain.handle('capture-chart-snapshot', async (event, rect) => {
+  const image = await event.sender.capturePage(rect);
+  return image.toDataURL();
+});
+
+// Write a snapshot PNG to Pictures/Quatrain Snapshots and return its path
+ipcMain.handle('save-chart-snapshot', async (event, { fileName, dataUrl }) => {
+  const snapshotDir = path.join(app.getPath('pictures'), 'Quatrain Snapshots');
+  await fs.promises.mkdir(snapshotDir, { recursive: true });
+  const filePath = path.join(snapshotDir, path.basename(fileName));
+  const base64Data = dataUrl.replace(/^data:image\/png;base64,/, '');
+  await fs.promises.writeFile(filePath, Buffer.from(base64Data, 'base64'));
+  console.log(`Main Process: Saved chart snapshot to ${filePath}`);
+  return filePath;
+});
+
+// Snapshot request from another window (e.g. Trade Manager on a fill) - the main window captures its chart layout
+ipcMain.on('request-chart-snapshot', (event, data) => {
+  if (data && data.reason === 'fill' && !snapshotChartsOnFills) {
+    return;
+  }
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    console.log(`Main Process: Forwarding chart snapshot request${data && data.label ? ` (${data.label})` : ''} to main window`);
+    mainWindow.webContents.send('take-chart-snapshot', data || {});
+  }
+});
+
+// Save the trade journal CSV built by the Journal window wherever the user chooses
+ipcMain.handle('journal:export-csv', async (event, { csv, defaultName }) => {
+  const parentWindow = BrowserWindow.fromWebContents(event.sender);
+  const { canceled, filePath } = await dialog.showSaveDialog(parentWindow, {
+    title: 'Export Trade Journal',
+    defaultPath: path.join(app.getPath('documents'), defaultName || 'trade-journal.csv'),
+    filters: [{ name: 'CSV Files', extensions: ['csv'] }]
+  });
+  if (canceled || !filePath) {
+    return null;
+  }
+  await fs.promises.writeFile(filePath, csv, 'utf8');
+  console.log(`Main Process: Exported trade journal to ${filePath}`);
+  return filePath;
+});
+
 // --- IPC Handlers for Chart Order Modification ---
 ipcMain.on('start-chart-order-modification', (event) => {
   console.log('Main Process: Received start-chart-order-modification request');
@@ -1235,17 +1653,108 @@ ipcMain.on('candle-data-reset', () => {
     console.log('Candle Forwarding Server: Resetting state');
     isDataFlowing = false; // Explicitly reset the data flow flag
     resetCandleForwarding();
+    candleCacheService.endLive();
+    simBrokerService.endReplaySession('reset');
+    simBrokerService.resetFeeds();
 });
 
 ipcMain.on('candle-data-forward', (event, candleMessage) => {
     // Forward the candle data to connected external clients
     forwardCandleData(candleMessage);
+
+    // The simulator fills working orders against the same candles
+    simBrokerService.handleCandle(candleMessage);
+
+    // Keep the candles so they can be replayed without Chronicle. A replay's forming bars aren't kept, since
+    // they'd overwrite the finished bars already stored.
+    if (!candleMessage || (candleMessage.source === 'T' && simBrokerService.isReplaying())) return;
+    candleCacheService.addCandle(candleMessage);
+    if (candleMessage.instrument && candleMessage.timeframe && Number.isFinite(candleMessage.timestamp)) {
+        dataService.storeCandles(candleMessage.instrument, candleMessage.timeframe, {
+            timestamp: candleMessage.timestamp,
+            open: candleMessage.open,
+            high: candleMessage.high,
+            low: candleMessage.low,
+            close: candleMessage.close,
+            volume: candleMessage.volume || 0
+        });
+    }
 });
 // --- End IPC Handlers for Candle Forwarding ---
 
 app.whenReady().then(() => {
     // Initialize the data service
     dataService.initialize(ipcMain);
+
+    // Initialize the trade journal and keep an open Journal window up to date
+    journalService.initialize(ipcMain, app.getPath('userData'));
+    journalService.onChange(() => {
+        if (journalWindow && !journalWindow.isDestroyed()) {
+            journalWindow.webContents.send('journal-updated');
+        }
+    });
+
+    // Initialize the risk guardrails and keep an open Risk Guardrails window up to date
+    riskService.initialize(ipcMain, app.getPath('userData'), {
+        sendToBridge: sendToTradeManagerBridge,
+        showNotification: showRiskNotification
+    });
+    riskService.onChange(() => {
+        if (riskWindow && !riskWindow.isDestroyed()) {
+            riskWindow.webContents.send('risk-updated');
+        }
+    });
+
+    // Initialize the on-disk candle cache
+    candleCacheService.initialize(ipcMain, app.getPath('userData'));
+
+    // Initialize candle import/export, with file dialogs parented to the window asking
+    candleFileService.initialize(ipcMain, {
+        chooseImportFile: async (event) => {
+            const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+                title: 'Import Candles',
+                properties: ['openFile'],
+                filters: [{ name: 'CSV Files', extensions: ['csv', 'txt'] }, { name: 'All Files', extensions: ['*'] }]
+            });
+            return canceled || filePaths.length === 0 ? null : filePaths[0];
+        },
+        chooseExportFile: async (event, defaultName, format) => {
+            const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+                title: 'Export Candles',
+                defaultPath: path.join(app.getPath('documents'), defaultName),
+                filters: format === 'columnar'
+                    ? [{ name: 'Quatrain Columnar Files', extensions: ['qcol'] }]
+                    : [{ name: 'CSV Files', extensions: ['csv'] }]
+            });
+            return canceled || !filePath ? null : filePath;
+        }
+    });
+
+    // Initialize the server profiles, keeping auth tokens encrypted when the OS keychain is available
+    serverProfileService.initialize(ipcMain, app.getPath('userData'), {
+        encrypt: (text) => (safeStorage.isEncryptionAvailable() ? safeStorage.encryptString(text).toString('base64') : null),
+        decrypt: (encrypted) => safeStorage.decryptString(Buffer.from(encrypted, 'base64'))
+    });
+
+    // Initialize the hotkeys, sending every window the new bindings and keeping the Trading menu's arm switch in step
+    hotkeyService.initialize(ipcMain, app.getPath('userData'));
+    hotkeyService.onChange((state) => {
+        BrowserWindow.getAllWindows().forEach(window => {
+            if (!window.isDestroyed()) window.webContents.send('hotkeys-updated', state);
+        });
+        const menu = Menu.getApplicationMenu();
+        const armItem = menu && menu.getMenuItemById('arm-trading-hotkeys');
+        if (armItem) armItem.checked = state.armed;
+    });
+
+    // Register the simulator's IPC handlers - its server starts when the Trade Manager connects to it
+    simBrokerService.initialize(ipcMain, app.getPath('userData'));
+    // Show the scorecard of a replay's trades in the main window
+    simBrokerService.onReplayEnd((scorecard) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('replay-scorecard', scorecard);
+        }
+    });
     
     // Initialize the candle forwarding WebSocket server
     initializeCandleForwardingServer();
@@ -1267,6 +1776,10 @@ app.on('window-all-closed', () => {
 // Handle app before-quit event to clean up candle forwarding server
 app.on('before-quit', () => {
     shutdownCandleForwardingServer();
+    journalService.saveNow();
+    riskService.shutdown();
+    simBrokerService.shutdown();
+    candleCacheService.shutdown();
 });
 
 // When a window is closed, unsubscribe it from data updates
@@ -0,0 +1,1029 @@
+/**
+ * Mock Chronicle Server for Quatrain
+ *
+ * A stand-in for the Chronicle backend for development and end-to-end tests: no market data feed, no database,
+ * nothing beyond the ws package Quatrain already depends on. It speaks the client-facing part of Chronicle's
+ * WebSocket protocol - set_client_id, get_data, get_replay / modify_replay / stop_replay, get_anno / save_anno /
+ * delete_anno, get_strat / sub_strat / unsub_strat (and register_strat / unregister_strat, so strategies can be
+ * set up) and get_client_settings / save_client_settings - with the same messages back.
+ *
+ * Candles are 1m candles, from fixture files or made up. Synthetic prices are a smooth function of time with
+ * deterministic noise, so any range can be generated on its own and is the same on every run; they trade CME
+ * Globex hours (Sunday 18:00 to Friday 17:00 ET with the 17:00 break) unless sessions are turned off. Other
+ * timeframes are aggregated from 1m candles into buckets aligned to the epoch, like Chronicle does. Live data
+ * comes from a tick generator that builds each subscribed timeframe's forming bar - tick and second bars
+ * included - from generated trades that stay within the synthetic minute's range. Replays play one minute per
+ * update, like Chronicle.
+ *
+ * Annotations, strategies and client settings are kept in memory, and in a JSON file when a state path is given.
+ * Every connection gets a ctrl heartbeat every few seconds, connections can be made to require an auth token
+ * (the `token` query parameter, as Quatrain's server profiles send it), and a server can be frozen - connections
+ * stay open but nothing is answered or sent, like a hung Chronicle - to try failover to a backup instance.
+ *
+ * Run it with `npm run mock-chronicle -- [options]`, or start it from a test:
+ *   const server = new MockChronicleServer({ port: 0 });
+ *   const port = await server.start();
+ *   ...
+ *   await server.stop();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_TICK_INTERVAL_MS = 250;
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 5000;
+const DEFAULT_REPLAY_INTERVAL_MS = 1000;
+const DEFAULT_HISTORY_MS = 60 * 24 * 60 * 60 * 1000; // Chronicle's default range, 60 days
+const DEFAULT_TIMEZONE = 'America/New_York';
+const ONE_MINUTE_MS = 60 * 1000;
+const ONE_HOUR_MS = 60 * ONE_MINUTE_MS;
+
+const UNIT_MS = { s: 1000, m: ONE_MINUTE_MS, h: ONE_HOUR_MS, d: 24 * ONE_HOUR_MS };
+
+// Where synthetic prices sit, by instrument root
+const SYNTHETIC_MARKETS = {
+  ES: { price: 6000, tickSize: 0.25 },
+  MES: { price: 6000, tickSize: 0.25 },
+  NQ: { price: 21000, tickSize: 0.25 },
+  MNQ: { price: 21000, tickSize: 0.25 },
+  YM: { price: 44000, tickSize: 1 },
+  MYM: { price: 44000, tickSize: 1 },
+  RTY: { price: 2200, tickSize: 0.1 },
+  M2K: { price: 2200, tickSize: 0.1 },
+  CL: { price: 70, tickSize: 0.01 },
+  MCL: { price: 70, tickSize: 0.01 },
+  GC: { price: 2600, tickSize: 0.1 },
+  MGC: { price: 2600, tickSize: 0.1 }
+};
+const DEFAULT_MARKET = { price: 100, tickSize: 0.01 };
+
+// Waves the synthetic price follows: [period (ms), amplitude (fraction of the base price), phase]
+const PRICE_WAVES = [
+  [6.3 * 24 * ONE_HOUR_MS, 0.015, 0],
+  [24 * ONE_HOUR_MS, 0.006, 1],
+  [83 * ONE_MINUTE_MS, 0.002, 2],
+  [17 * ONE_MINUTE_MS, 0.0008, 3]
+];
+
+// 'ESM5' -> 'ES'
+const getInstrumentRoot = (instrument) => instrument.toUpperCase().replace(/[FGHJKMNQUVXZ]\d{1,2}$/, '');
+
+// 32-bit hash of a string
+const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Deterministic number in [0, 1) for a seed and a few integers
+const noise = (seed, ...values) => {
+  let hash = seed;
+  values.forEach(value => {
+    hash = Math.imul(hash ^ (value >>> 0), 2654435761);
+    hash = Math.imul(hash ^ Math.floor(value / 4294967296), 1597334677);
+    hash ^= hash >>> 15;
+  });
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+};
+
+const parseTimeframe = (timeframe) => {
+  const match = /^(\d+)([tsmhd])$/.exec(timeframe || '');
+  if (!match || parseInt(match[1], 10) <= 0) return null;
+  return { value: parseInt(match[1], 10), unit: match[2] };
+};
+
+const getTimeframeDurationMs = (timeframe) => {
+  const parsed = parseTimeframe(timeframe);
+  return parsed && parsed.unit !== 't' ? parsed.value * UNIT_MS[parsed.unit] : null;
+};
+
+// CME Globex hours: Sunday 18:00 to Friday 17:00 ET, closed 17:00-18:00 every day. ET offsets are whole hours,
+// so the answer is cached per hour.
+const etHourFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  weekday: 'short',
+  hour: 'numeric',
+  hourCycle: 'h23'
+});
+const marketOpenByHour = new Map();
+const isGlobexOpen = (timestamp) => {
+  const hourIndex = Math.floor(timestamp / ONE_HOUR_MS);
+  if (!marketOpenByHour.has(hourIndex)) {
+    const parts = etHourFormatter.formatToParts(new Date(hourIndex * ONE_HOUR_MS));
+    const weekday = parts.find(part => part.type === 'weekday').value;
+    const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+    let open = hour !== 17;
+    if (weekday === 'Sat') open = false;
+    if (weekday === 'Sun') open = hour >= 18;
+    if (weekday === 'Fri') open = hour < 17;
+    marketOpenByHour.set(hourIndex, open);
+  }
+  return marketOpenByHour.get(hourIndex);
+};
+
+/**
+ * Format a timestamp the way Chronicle's dateTime field is, e.g. '2025-06-02 09:30:00'
+ */
+const createDateTimeFormatter = (timezone) => {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    });
+  } catch (error) {
+    return createDateTimeFormatter(DEFAULT_TIMEZONE);
+  }
+  return (timestamp) => {
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+  };
+};
+
+/**
+ * Aggregate 1m candles into a timeframe, in buckets aligned to the epoch like Chronicle's
+ * @param {Array} candles 1m candles sorted by timestamp
+ * @param {string} timeframe Minute, hour or day timeframe
+ * @param {number} now Current time (ms) - buckets that have ended by then are closed
+ * @returns {Array} Candles with isClosed set
+ */
+const aggregateMinuteCandles = (candles, timeframe, now) => {
+  if (timeframe === '1m') return candles.map(candle => ({ ...candle, isClosed: true }));
+  const durationMs = getTimeframeDurationMs(timeframe);
+  const lastTimestamp = candles.length > 0 ? candles[candles.length - 1].timestamp : 0;
+  const result = [];
+  candles.forEach(candle => {
+    const bucketStart = Math.floor(candle.timestamp / durationMs) * durationMs;
+    const current = result[result.length - 1];
+    if (current && current.timestamp === bucketStart) {
+      current.high = Math.max(current.high, candle.high);
+      current.low = Math.min(current.low, candle.low);
+      current.close = candle.close;
+      current.volume += candle.volume;
+    } else {
+      result.push({ ...candle, timestamp: bucketStart });
+    }
+  });
+  result.forEach(candle => {
+    const bucketEnd = candle.timestamp + durationMs;
+    candle.isClosed = bucketEnd <= now || lastTimestamp + ONE_MINUTE_MS >= bucketEnd;
+  });
+  return result;
+};
+
+/**
+ * Read 1m candles from a fixture file: a JSON array of candles, or a CSV with a header row naming timestamp
+ * (ms) or datetime (ISO) and open, high, low, close and optionally volume - e.g. a CSV exported from Quatrain
+ */
+const readFixtureFile = (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  if (filePath.toLowerCase().endsWith('.json')) {
+    return JSON.parse(text).map(candle => ({
+      timestamp: typeof candle.timestamp === 'number' ? candle.timestamp : Date.parse(candle.timestamp),
+      open: Number(candle.open),
+      high: Number(candle.high),
+      low: Number(candle.low),
+      close: Number(candle.close),
+      volume: Number(candle.volume) || 0
+    }));
+  }
+
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const header = lines[0].split(',').map(name => name.trim().toLowerCase());
+  const column = (...names) => header.findIndex(name => names.includes(name));
+  const timestampColumn = column('timestamp');
+  const dateTimeColumn = column('datetime_utc', 'datetime', 'date', 'time');
+  const priceColumns = ['open', 'high', 'low', 'close'].map(name => column(name));
+  const volumeColumn = column('volume');
+  if ((timestampColumn === -1 && dateTimeColumn === -1) || priceColumns.includes(-1)) {
+    throw new Error('needs timestamp or datetime, open, high, low and close columns');
+  }
+
+  return lines.slice(1).map(line => {
+    const fields = line.split(',');
+    const timestamp = timestampColumn !== -1 ? Number(fields[timestampColumn]) : Date.parse(fields[dateTimeColumn]);
+    const [open, high, low, close] = priceColumns.map(index => Number(fields[index]));
+    return { timestamp, open, high, low, close, volume: volumeColumn !== -1 ? Number(fields[volumeColumn]) || 0 : 0 };
+  });
+};
+
+/**
+ * One instrument's candles and trades - from a fixture, or synthetic
+ */
+class MockMarket {
+  constructor(instrument, { seed, sessions, fixtureCandles = null }) {
+    const market = SYNTHETIC_MARKETS[getInstrumentRoot(instrument)] || DEFAULT_MARKET;
+    this.instrument = instrument;
+    this.basePrice = market.price;
+    this.tickSize = market.tickSize;
+    this.seed = hashString(`${seed}:${instrument}`);
+    this.sessions = sessions;
+    this.fixtureCandles = fixtureCandles;
+    this.lastTradePrice = fixtureCandles && fixtureCandles.length > 0 ? fixtureCandles[fixtureCandles.length - 1].close : null;
+    this.tradeCount = 0;
+  }
+
+  roundPrice(price) {
+    return parseFloat((Math.round(price / this.tickSize) * this.tickSize).toFixed(8));
+  }
+
+  isOpen(timestamp) {
+    return !this.sessions || isGlobexOpen(timestamp);
+  }
+
+  // The smooth part of the synthetic price at a time
+  priceAt(timestamp) {
+    return this.basePrice * (1 + PRICE_WAVES.reduce((sum, [period, amplitude, phase]) => (
+      sum + amplitude * Math.sin(2 * Math.PI * timestamp / period + phase + (this.seed % 1000))
+    ), 0));
+  }
+
+  // The synthetic 1m candle starting at a minute
+  syntheticCandle(timestamp) {
+    const minute = timestamp / ONE_MINUTE_MS;
+    const open = this.priceAt(timestamp) + (noise(this.seed, minute, 0) - 0.5) * this.basePrice * 0.0003;
+    const close = this.priceAt(timestamp + ONE_MINUTE_MS) + (noise(this.seed, minute + 1, 0) - 0.5) * this.basePrice * 0.0003;
+    const wick = this.basePrice * 0.0004;
+    return {
+      timestamp,
+      open: this.roundPrice(open),
+      high: this.roundPrice(Math.max(open, close) + noise(this.seed, minute, 1) * wick),
+      low: this.roundPrice(Math.min(open, close) - noise(this.seed, minute, 2) * wick),
+      close: this.roundPrice(close),
+      volume: Math.round(20 + noise(this.seed, minute, 3) * 800)
+    };
+  }
+
+  /**
+   * The finished 1m candles in a range
+   * @param {number} start Start timestamp (ms)
+   * @param {number} end End timestamp (ms)
+   * @param {number} now Current time (ms) - synthetic minutes still forming aren't included
+   * @returns {Array} Candles sorted by timestamp
+   */
+  getMinuteCandles(start, end, now) {
+    if (this.fixtureCandles) {
+      return this.fixtureCandles.filter(candle => candle.timestamp >= start && candle.timestamp <= end);
+    }
+    const candles = [];
+    const last = Math.min(end, now - ONE_MINUTE_MS);
+    for (let timestamp = Math.ceil(start / ONE_MINUTE_MS) * ONE_MINUTE_MS; timestamp <= last; timestamp += ONE_MINUTE_MS) {
+      if (this.isOpen(timestamp)) candles.push(this.syntheticCandle(timestamp));
+    }
+    return candles;
+  }
+
+  /**
+   * A trade now, or null while the market is closed. Synthetic trades move from the minute's open towards its
+   * close within its high and low; fixture instruments walk on from the last price.
+   * @returns {Object|null} { timestamp, price, size }
+   */
+  nextTrade(now) {
+    if (!this.isOpen(now)) return null;
+    this.tradeCount += 1;
+    const random = noise(this.seed, now, this.tradeCount);
+    const size = 1 + Math.floor(noise(this.seed, this.tradeCount, now) * 5);
+
+    let price;
+    if (this.fixtureCandles) {
+      const last = this.lastTradePrice === null ? this.basePrice : this.lastTradePrice;
+      price = last + (random < 0.5 ? -1 : 1) * this.tickSize * (random < 0.15 || random > 0.85 ? 2 : 1);
+    } else {
+      const minuteStart = Math.floor(now / ONE_MINUTE_MS) * ONE_MINUTE_MS;
+      const candle = this.syntheticCandle(minuteStart);
+      const progress = (now - minuteStart) / ONE_MINUTE_MS;
+      const target = candle.open + (candle.close - candle.open) * progress;
+      const jitter = (random - 0.5) * (candle.high - candle.low);
+      price = Math.min(candle.high, Math.max(candle.low, target + jitter));
+    }
+    this.lastTradePrice = this.roundPrice(price);
+    return { timestamp: now, price: this.lastTradePrice, size };
+  }
+}
+
+class MockChronicleServer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port] Port to listen on, 0 for any free port (default 8080, like Chronicle)
+   * @param {string} [options.fixturesPath] Directory of 1m candle fixtures, one file per instrument named after
+   *   it (e.g. ESM5.csv, or ESM5_1m_... as exported from Quatrain); other instruments are synthetic
+   * @param {string} [options.statePath] JSON file annotations, strategies and client settings are kept in
+   * @param {number} [options.tickIntervalMs] Time between generated trades per instrument
+   * @param {number} [options.heartbeatIntervalMs] Time between ctrl heartbeats on each connection, 0 for none
+   * @param {string} [options.authToken] Token connections must give in their `token` query parameter
+   * @param {boolean} [options.sessions] Trade CME Globex hours only (default true) - turn off to have data any time
+   * @param {string} [options.seed] Seed for the synthetic prices
+   * @param {Function} [options.now] Clock, for tests (default Date.now)
+   * @param {boolean} [options.quiet] Don't log requests
+   */
+  constructor({
+    port = DEFAULT_PORT,
+    fixturesPath = null,
+    statePath = null,
+    tickIntervalMs = DEFAULT_TICK_INTERVAL_MS,
+    heartbeatIntervalMs = DEFAULT_HEARTBEAT_INTERVAL_MS,
+    authToken = null,
+    sessions = true,
+    seed = 'quatrain',
+    now = Date.now,
+    quiet = false
+  } = {}) {
+    this.port = port;
+    this.fixturesPath = fixturesPath;
+    this.statePath = statePath;
+    this.tickIntervalMs = tickIntervalMs;
+    this.heartbeatIntervalMs = heartbeatIntervalMs;
+    this.authToken = authToken;
+    this.sessions = sessions;
+    this.seed = seed;
+    this.now = now;
+    this.quiet = quiet;
+
+    this.wss = null;
+    this.frozen = false;
+    this.markets = new Map(); // Instrument -> MockMarket
+    this.fixtures = new Map(); // Instrument -> 1m candles
+    this.state = { clientSettings: {}, annotations: [], strategies: {} };
+  }
+
+  log(...args) {
+    if (!this.quiet) console.log('MockChronicle:', ...args);
+  }
+
+  /**
+   * Load the fixtures and state and start listening
+   * @returns {Promise<number>} The port listened on
+   */
+  start() {
+    this.loadFixtures();
+    this.loadState();
+
+    return new Promise((resolve, reject) => {
+      this.wss = new WebSocket.Server({
+        port: this.port,
+        verifyClient: this.authToken ? (info) => this.isAuthorized(info.req) : undefined
+      });
+      this.wss.once('error', reject);
+      this.wss.once('listening', () => {
+        this.port = this.wss.address().port;
+        this.log(`Listening on ws://localhost:${this.port}`);
+        resolve(this.port);
+      });
+      this.wss.on('connection', (ws) => this.handleConnection(ws));
+    });
+  }
+
+  // Whether a connection request carries the auth token
+  isAuthorized(request) {
+    const token = new URL(request.url, 'ws://localhost').searchParams.get('token');
+    if (token !== this.authToken) {
+      this.log('Rejected a connection without the auth token');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Freeze or unfreeze the server. A frozen server keeps its connections open but ignores requests and sends
+   * nothing - no data, replies or heartbeats.
+   * @param {boolean} frozen
+   */
+  setFrozen(frozen) {
+    this.frozen = !!frozen;
+    this.log(this.frozen ? 'Frozen' : 'Unfrozen');
+  }
+
+  /**
+   * Stop every stream and close the server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.wss) return Promise.resolve();
+    this.wss.clients.forEach(ws => {
+      this.stopLive(ws.mockClient);
+      this.stopReplay(ws.mockClient);
+      clearInterval(ws.mockClient.heartbeatTimer);
+      ws.terminate();
+    });
+    return new Promise(resolve => this.wss.close(() => {
+      this.wss = null;
+      resolve();
+    }));
+  }
+
+  loadFixtures() {
+    if (!this.fixturesPath) return;
+    fs.readdirSync(this.fixturesPath)
+      .filter(fileName => /\.(csv|json)$/i.test(fileName))
+      .forEach(fileName => {
+        const [instrument, timeframe] = path.basename(fileName).replace(/\.(csv|json)$/i, '').split('_');
+        if (timeframe && timeframe !== '1m') {
+          this.log(`Skipping fixture ${fileName} - fixtures are 1m candles`);
+          return;
+        }
+        try {
+          const candles = readFixtureFile(path.join(this.fixturesPath, fileName))
+            .filter(candle => Number.isFinite(candle.timestamp) && Number.isFinite(candle.close))
+            .sort((a, b) => a.timestamp - b.timestamp);
+          this.fixtures.set(instrument, candles);
+          this.log(`Loaded ${candles.length} ${instrument} candles from ${fileName}`);
+        } catch (error) {
+          this.log(`Skipping fixture ${fileName} - ${error.message}`);
+        }
+      });
+  }
+
+  loadState() {
+    if (!this.statePath || !fs.existsSync(this.statePath)) return;
+    try {
+      this.state = { ...this.state, ...JSON.parse(fs.readFileSync(this.statePath, 'utf8')) };
+    } catch (error) {
+      this.log(`Error reading ${this.statePath}, starting empty:`, error.message);
+    }
+  }
+
+  saveState() {
+    if (!this.statePath) return;
+    try {
+      const tempPath = `${this.statePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tempPath, this.statePath);
+    } catch (error) {
+      this.log(`Error saving ${this.statePath}:`, error.message);
+    }
+  }
+
+  getMarket(instrument) {
+    if (!this.markets.has(instrument)) {
+      this.markets.set(instrument, new MockMarket(instrument, {
+        seed: this.seed,
+        sessions: this.sessions,
+        fixtureCandles: this.fixtures.get(instrument) || null
+      }));
+    }
+    return this.markets.get(instrument);
+  }
+
+  handleConnection(ws) {
+    const client = {
+      ws,
+      clientId: null,
+      formatDateTime: createDateTimeFormatter(DEFAULT_TIMEZONE),
+      live: null, // { subscriptions, openCandles, timer, stopTimer }
+      replay: null, // { streams, minutes, nextIndex, interval, paused, timer }
+      heartbeatTimer: null
+    };
+    ws.mockClient = client;
+    this.log('Client connected');
+
+    if (this.heartbeatIntervalMs > 0) {
+      client.heartbeatTimer = setInterval(() => {
+        this.send(client, { mtyp: 'ctrl', action: 'heartbeat', timestamp: this.now() });
+      }, this.heartbeatIntervalMs);
+    }
+
+    ws.on('message', (data) => {
+      if (this.frozen) return;
+      let request;
+      try {
+        request = JSON.parse(data);
+      } catch (error) {
+        this.send(client, { mtyp: 'error', message: 'Invalid JSON message' });
+        return;
+      }
+      this.log('Received', request.action);
+      try {
+        this.handleRequest(client, request);
+      } catch (error) {
+        console.error('MockChronicle: Error handling request:', error);
+        this.send(client, { mtyp: 'error', message: `Error handling ${request.action}: ${error.message}` });
+      }
+    });
+
+    ws.on('close', () => {
+      this.log(`Client disconnected${client.clientId ? ` (Client ID: ${client.clientId})` : ''}`);
+      clearInterval(client.heartbeatTimer);
+      this.stopLive(client);
+      this.stopReplay(client);
+    });
+
+    ws.on('error', (error) => this.log('WebSocket error:', error.message));
+  }
+
+  send(client, message) {
+    if (!this.frozen && client.ws.readyState === WebSocket.OPEN) {
+      client.ws.send(JSON.stringify(message));
+    }
+  }
+
+  sendCandle(client, candle) {
+    this.send(client, { mtyp: 'data', ...candle, dateTime: client.formatDateTime(candle.timestamp) });
+  }
+
+  // Send a message to every connected client with one of the given client IDs
+  sendToClientIds(clientIds, message) {
+    this.wss.clients.forEach(ws => {
+      if (ws.mockClient && clientIds.includes(ws.mockClient.clientId)) {
+        this.send(ws.mockClient, message);
+      }
+    });
+  }
+
+  handleRequest(client, request) {
+    switch (request.action) {
+      case 'set_client_id':
+        if (!request.clientid || typeof request.clientid !== 'string') {
+          this.send(client, { mtyp: 'error', message: 'Invalid or missing clientid' });
+          return;
+        }
+        client.clientId = request.clientid;
+        this.send(client, { mtyp: 'ctrl', action: 'set_client_id_response', message: 'Client ID set successfully' });
+        break;
+      case 'get_data':
+        this.handleGetData(client, request);
+        break;
+      case 'get_replay':
+        this.handleGetReplay(client, request);
+        break;
+      case 'modify_replay':
+        this.handleModifyReplay(client, request);
+        break;
+      case 'stop_replay':
+        this.stopReplay(client);
+        this.send(client, { mtyp: 'ctrl', action: 'stop_replay_response', message: 'Replay stopped' });
+        break;
+      case 'get_client_settings':
+        this.handleGetClientSettings(client, request);
+        break;
+      case 'save_client_settings':
+        this.handleSaveClientSettings(client, request);
+        break;
+      case 'get_anno':
+        this.handleGetAnno(client, request);
+        break;
+      case 'save_anno':
+        this.handleSaveAnno(client, request);
+        break;
+      case 'delete_anno':
+        this.handleDeleteAnno(client, request);
+        break;
+      case 'register_strat':
+        this.handleRegisterStrat(client, request);
+        break;
+      case 'unregister_strat':
+        this.handleUnregisterStrat(client, request);
+        break;
+      case 'get_strat':
+        this.handleGetStrat(client, request);
+        break;
+      case 'sub_strat':
+      case 'unsub_strat':
+        this.handleStratSubscription(client, request);
+        break;
+      default:
+        this.log(`${request.action} is an unknown action.`);
+        this.send(client, { mtyp: 'error', message: 'Unknown action' });
+    }
+  }
+
+  /**
+   * Check a request's subscriptions
+   * @returns {boolean} False (after sending an error) if they aren't valid
+   */
+  validateSubscriptions(client, subscriptions) {
+    if (!Array.isArray(subscriptions) || subscriptions.length === 0
+        || !subscriptions.every(subscription => subscription.instrument && parseTimeframe(subscription.timeframe))) {
+      this.send(client, { mtyp: 'error', message: 'Invalid subscriptions format' });
+      return false;
+    }
+    return true;
+  }
+
+  // History of one subscription - tick and second bars are live only
+  getHistoryCandles(instrument, timeframe, start, end, now, source) {
+    const parsed = parseTimeframe(timeframe);
+    if (parsed.unit === 't' || parsed.unit === 's') return [];
+    const minuteCandles = this.getMarket(instrument).getMinuteCandles(start, end, now);
+    return aggregateMinuteCandles(minuteCandles, timeframe, now)
+      .map(candle => ({ ...candle, instrument, timeframe, source }));
+  }
+
+  handleGetData(client, request) {
+    this.send(client, { mtyp: 'ctrl', message: `Received get_data request: ${JSON.stringify(request)}` });
+    const { subscriptions, start_time: startTime, end_time: endTime, live_data: liveData = 'none', timezone } = request;
+    if (!this.validateSubscriptions(client, subscriptions)) return;
+
+    this.stopLive(client);
+    this.stopReplay(client);
+    client.formatDateTime = createDateTimeFormatter(timezone || DEFAULT_TIMEZONE);
+
+    const now = this.now();
+    const startMs = startTime === undefined ? now - DEFAULT_HISTORY_MS : new Date(startTime).getTime();
+    const endMs = endTime === undefined || endTime === 'current' ? now : new Date(endTime).getTime();
+
+    const lastCandles = new Map(); // Subscription -> last history candle, to carry on live
+    subscriptions.forEach(({ instrument, timeframe }) => {
+      const candles = this.getHistoryCandles(instrument, timeframe, startMs, endMs, now, 'H');
+      this.log(`Sending ${candles.length} ${timeframe} candles for ${instrument}`);
+      candles.forEach(candle => this.sendCandle(client, candle));
+      if (candles.length > 0) lastCandles.set(`${instrument}|${timeframe}`, candles[candles.length - 1]);
+    });
+
+    if (liveData !== 'none' && endMs >= now - ONE_MINUTE_MS) {
+      this.startLive(client, subscriptions, lastCandles);
+      const seconds = Number(liveData);
+      if (liveData !== 'all' && Number.isFinite(seconds)) {
+        client.live.stopTimer = setTimeout(() => this.stopLive(client), seconds * 1000);
+      }
+    }
+  }
+
+  startLive(client, subscriptions, lastCandles) {
+    const openCandles = new Map();
+    subscriptions.forEach(({ instrument, timeframe }) => {
+      const key = `${instrument}|${timeframe}`;
+      const last = lastCandles.get(key);
+      // A bar still forming at the end of the history carries on live
+      openCandles.set(key, last && !last.isClosed ? { ...last, source: 'T', tickCount: 0 } : null);
+    });
+
+    const instruments = [...new Set(subscriptions.map(subscription => subscription.instrument))];
+    client.live = {
+      subscriptions,
+      openCandles,
+      timer: setInterval(() => instruments.forEach(instrument => this.generateTrade(client, instrument)), this.tickIntervalMs),
+      stopTimer: null
+    };
+    this.log(`Live data started for ${instruments.join(', ')}`);
+  }
+
+  stopLive(client) {
+    if (!client || !client.live) return;
+    clearInterval(client.live.timer);
+    clearTimeout(client.live.stopTimer);
+    client.live = null;
+  }
+
+  // Generate a trade for an instrument and update each subscribed timeframe's forming bar with it
+  generateTrade(client, instrument) {
+    const trade = this.getMarket(instrument).nextTrade(this.now());
+    if (!trade) return;
+
+    client.live.subscriptions.filter(subscription => subscription.instrument === instrument).forEach(({ timeframe }) => {
+      const key = `${instrument}|${timeframe}`;
+      const parsed = parseTimeframe(timeframe);
+      const durationMs = getTimeframeDurationMs(timeframe);
+      let candle = client.live.openCandles.get(key);
+
+      const isNewBar = !candle || (parsed.unit === 't'
+        ? candle.tickCount >= parsed.value
+        : trade.timestamp >= candle.timestamp + durationMs);
+      if (isNewBar) {
+        // Tick bars were sent closed with their last trade
+        if (candle && parsed.unit !== 't') {
+          this.sendCandle(client, { ...this.toMessageCandle(candle), isClosed: true });
+        }
+        candle = {
+          timestamp: parsed.unit === 't' ? trade.timestamp : Math.floor(trade.timestamp / durationMs) * durationMs,
+          open: trade.price,
+          high: trade.price,
+          low: trade.price,
+          close: trade.price,
+          volume: 0,
+          instrument,
+          timeframe,
+          source: 'T',
+          tickCount: 0
+        };
+        client.live.openCandles.set(key, candle);
+      }
+
+      candle.high = Math.max(candle.high, trade.price);
+      candle.low = Math.min(candle.low, trade.price);
+      candle.close = trade.price;
+      candle.volume += trade.size;
+      candle.tickCount += 1;
+      const isClosed = parsed.unit === 't' && candle.tickCount >= parsed.value;
+      this.sendCandle(client, { ...this.toMessageCandle(candle), isClosed });
+    });
+  }
+
+  toMessageCandle(candle) {
+    const { tickCount, ...messageCandle } = candle;
+    return messageCandle;
+  }
+
+  handleGetReplay(client, request) {
+    const {
+      subscriptions,
+      history_start: historyStart,
+      live_start: liveStart,
+      live_end: liveEnd,
+      replay_interval: interval = DEFAULT_REPLAY_INTERVAL_MS,
+      timezone
+    } = request;
+    if (!this.validateSubscriptions(client, subscriptions)) return;
+    if (![historyStart, liveStart, liveEnd].every(Number.isFinite) || historyStart > liveStart || liveStart > liveEnd) {
+      this.send(client, { mtyp: 'error', message: 'Invalid replay range' });
+      return;
+    }
+
+    this.stopLive(client);
+    this.stopReplay(client);
+    client.formatDateTime = createDateTimeFormatter(timezone || DEFAULT_TIMEZONE);
+    const now = this.now();
+
+    // History up to the start of the replay, then each timeframe's bars are built up minute by minute
+    const streams = subscriptions.filter(({ instrument, timeframe }) => {
+      const parsed = parseTimeframe(timeframe);
+      if (parsed.unit !== 't' && parsed.unit !== 's') return true;
+      this.send(client, { mtyp: 'error', message: `Replays can't build ${timeframe} bars for ${instrument} from 1m candles` });
+      return false;
+    }).map(({ instrument, timeframe }) => {
+      this.getHistoryCandles(instrument, timeframe, historyStart, liveStart - 1, liveStart, 'H')
+        .forEach(candle => this.sendCandle(client, candle));
+      return { instrument, timeframe, durationMs: getTimeframeDurationMs(timeframe), candle: null };
+    });
+
+    const instruments = [...new Set(streams.map(stream => stream.instrument))];
+    const minuteCandles = new Map(instruments.map(instrument => (
+      [instrument, this.getMarket(instrument).getMinuteCandles(liveStart, liveEnd, now)]
+    )));
+    const minutes = [...new Set([].concat(...[...minuteCandles.values()].map(candles => candles.map(candle => candle.timestamp))))]
+      .sort((a, b) => a - b);
+
+    client.replay = {
+      streams,
+      minuteCandles: new Map(instruments.map(instrument => (
+        [instrument, new Map(minuteCandles.get(instrument).map(candle => [candle.timestamp, candle]))]
+      ))),
+      minutes,
+      nextIndex: 0,
+      interval,
+      paused: false,
+      timer: null
+    };
+    this.log(`Replaying ${minutes.length} minutes of ${instruments.join(', ')}`);
+    this.scheduleReplayUpdate(client);
+  }
+
+  handleModifyReplay(client, request) {
+    if (!client.replay) {
+      this.send(client, { mtyp: 'error', message: 'No replay in progress' });
+      return;
+    }
+    if (request.pause !== undefined) {
+      client.replay.paused = !!request.pause;
+    }
+    if (request.replay_interval) {
+      client.replay.interval = request.replay_interval;
+    }
+    this.scheduleReplayUpdate(client);
+  }
+
+  scheduleReplayUpdate(client) {
+    const { replay } = client;
+    clearTimeout(replay.timer);
+    replay.timer = null;
+    if (replay.paused) return;
+    replay.timer = setTimeout(() => {
+      replay.timer = null;
+      if (this.playReplayMinute(client)) {
+        this.scheduleReplayUpdate(client);
+      }
+    }, replay.interval);
+  }
+
+  /**
+   * Send the next minute of the replay as live candles
+   * @returns {boolean} False once the replay has run out of minutes
+   */
+  playReplayMinute(client) {
+    const { replay } = client;
+    if (replay.nextIndex >= replay.minutes.length) {
+      this.log('Replay finished');
+      client.replay = null;
+      return false;
+    }
+
+    const minute = replay.minutes[replay.nextIndex];
+    replay.nextIndex += 1;
+    replay.streams.forEach(stream => {
+      const minuteCandle = replay.minuteCandles.get(stream.instrument).get(minute);
+      if (!minuteCandle) return;
+      const bucketStart = Math.floor(minute / stream.durationMs) * stream.durationMs;
+      if (!stream.candle || stream.candle.timestamp !== bucketStart) {
+        stream.candle = { ...minuteCandle, timestamp: bucketStart, instrument: stream.instrument, timeframe: stream.timeframe, source: 'T' };
+      } else {
+        stream.candle.high = Math.max(stream.candle.high, minuteCandle.high);
+        stream.candle.low = Math.min(stream.candle.low, minuteCandle.low);
+        stream.candle.close = minuteCandle.close;
+        stream.candle.volume += minuteCandle.volume;
+      }
+      this.sendCandle(client, { ...stream.candle, isClosed: minute + ONE_MINUTE_MS >= bucketStart + stream.durationMs });
+    });
+    return true;
+  }
+
+  stopReplay(client) {
+    if (!client || !client.replay) return;
+    clearTimeout(client.replay.timer);
+    client.replay = null;
+  }
+
+  handleGetClientSettings(client, { client_id: clientId }) {
+    if (!clientId) {
+      this.send(client, { mtyp: 'error', message: 'Missing client_id' });
+      return;
+    }
+    const settings = this.state.clientSettings[clientId];
+    this.send(client, settings
+      ? { mtyp: 'ctrl', action: 'client_settings_response', settings }
+      : { mtyp: 'ctrl', action: 'client_settings_response', settings: null, message: 'No settings found for client' });
+  }
+
+  handleSaveClientSettings(client, { client_id: clientId, new_values: newValues }) {
+    if (!clientId || !newValues || typeof newValues !== 'object') {
+      this.send(client, { mtyp: 'error', message: 'Invalid or missing client_id or new_values' });
+      return;
+    }
+    // Chronicle replaces the stored settings with the new values
+    this.state.clientSettings[clientId] = newValues;
+    this.saveState();
+    this.send(client, { mtyp: 'ctrl', action: 'save_client_settings_response', message: 'Client settings saved successfully' });
+  }
+
+  handleGetAnno(client, { clientid: clientId, clienttype: clientType, instrument, timeframe }) {
+    const matches = (value, filter) => !filter || filter === 'all' || value === filter;
+    const annos = this.state.annotations.filter(anno => (
+      matches(anno.clientid, clientId) && matches(anno.instrument, instrument) && matches(anno.timeframe, timeframe)
+    ));
+    this.send(client, { mtyp: 'ctrl', action: 'get_anno_response', clientid: clientId, clienttype: clientType, annos });
+  }
+
+  handleSaveAnno(client, { clientid: clientId, instrument, timeframe, annotype, unique, object }) {
+    if (!clientId || !instrument || !timeframe || !annotype || !unique || !object) {
+      this.send(client, { mtyp: 'error', message: 'Missing required annotation fields' });
+      return;
+    }
+    const anno = { clientid: clientId, instrument, timeframe, annotype, unique, object };
+    this.state.annotations = this.state.annotations
+      .filter(existing => !(existing.clientid === clientId && existing.unique === unique))
+      .concat(anno);
+    this.saveState();
+    this.send(client, { mtyp: 'ctrl', action: 'save_anno_response', clientid: clientId, unique, message: 'Annotation saved successfully' });
+
+    // A strategy's annotations go to its subscribers
+    const strategy = this.state.strategies[clientId];
+    if (strategy) {
+      this.sendToClientIds(strategy.subscribers, { mtyp: 'strategy', action: 'anno_saved', anno });
+    }
+  }
+
+  handleDeleteAnno(client, { clientid: clientId, unique }) {
+    if (!clientId || !unique) {
+      this.send(client, { mtyp: 'error', message: 'Missing clientid or unique identifier' });
+      return;
+    }
+    const isDeleted = anno => (clientId === 'all' || anno.clientid === clientId) && (unique === 'all' || anno.unique === unique);
+    const deleted = this.state.annotations.filter(isDeleted).length;
+    this.state.annotations = this.state.annotations.filter(anno => !isDeleted(anno));
+    this.saveState();
+    this.send(client, {
+      mtyp: 'ctrl',
+      action: 'delete_anno_response',
+      deleted,
+      clientid: clientId,
+      unique,
+      message: `Deleted ${deleted} annotation(s)`
+    });
+
+    const strategy = this.state.strategies[clientId];
+    if (strategy && deleted > 0) {
+      this.sendToClientIds(strategy.subscribers, { mtyp: 'strategy', action: 'anno_deleted', clientid: clientId, uniqueid: unique });
+    }
+  }
+
+  handleRegisterStrat(client, { clientid: clientId, reinit = false, name, description, parameters }) {
+    if (!clientId) {
+      this.send(client, { mtyp: 'error', message: 'Missing required clientid field' });
+      return;
+    }
+    let message = 'Strategy registered successfully';
+    if (this.state.strategies[clientId] && !reinit) {
+      message = 'Strategy already registered with this client ID';
+    } else {
+      if (reinit) {
+        this.state.annotations = this.state.annotations.filter(anno => anno.clientid !== clientId);
+        message = 'Strategy registered successfully with reinit';
+      }
+      this.state.strategies[clientId] = { name, description, parameters: parameters || null, subscribers: [] };
+      this.saveState();
+    }
+    this.send(client, { mtyp: 'ctrl', action: 'register_strat_response', clientid: clientId, message });
+  }
+
+  handleUnregisterStrat(client, { clientid: clientId }) {
+    if (!clientId) {
+      this.send(client, { mtyp: 'error', message: 'Missing clientid' });
+      return;
+    }
+    const stratsRemoved = this.state.strategies[clientId] ? 1 : 0;
+    delete this.state.strategies[clientId];
+    const annosRemoved = this.state.annotations.filter(anno => anno.clientid === clientId).length;
+    this.state.annotations = this.state.annotations.filter(anno => anno.clientid !== clientId);
+    this.saveState();
+    this.send(client, {
+      mtyp: 'ctrl',
+      action: 'unregister_strat_response',
+      clientid: clientId,
+      stratsRemoved,
+      annosRemoved,
+      message: `Unregistered strategy for client ${clientId}: removed ${stratsRemoved} strategy and ${annosRemoved} annotations`
+    });
+  }
+
+  handleGetStrat(client, { clientid: clientId, name }) {
+    const strats = Object.entries(this.state.strategies)
+      .filter(([id, strategy]) => (!clientId || clientId === 'all' || id === clientId) && (!name || name === 'all' || strategy.name === name))
+      .map(([id, strategy]) => ({
+        clientid: id,
+        name: strategy.name,
+        description: strategy.description,
+        parameters: strategy.parameters,
+        subscribers: { subscribers: strategy.subscribers }
+      }));
+    this.send(client, { mtyp: 'ctrl', action: 'get_strat_response', strats });
+  }
+
+  handleStratSubscription(client, { action, clientid: clientId, stratid: stratId }) {
+    if (!clientId || !stratId) {
+      this.send(client, { mtyp: 'error', message: 'Missing clientid or stratid' });
+      return;
+    }
+    const strategy = this.state.strategies[stratId];
+    if (!strategy) {
+      this.send(client, { mtyp: 'error', message: 'Strategy not found' });
+      return;
+    }
+
+    const isSubscribed = strategy.subscribers.includes(clientId);
+    let message;
+    if (action === 'sub_strat') {
+      message = isSubscribed ? 'Already subscribed to this strategy' : 'Successfully subscribed to strategy';
+      if (!isSubscribed) strategy.subscribers.push(clientId);
+    } else {
+      message = isSubscribed ? 'Successfully unsubscribed from strategy' : 'Not subscribed to this strategy';
+      strategy.subscribers = strategy.subscribers.filter(id => id !== clientId);
+    }
+    this.saveState();
+    this.send(client, { mtyp: 'ctrl', action: `${action}_response`, clientid: clientId, stratid: stratId, message });
+  }
+}
+
+// Command line: node mock-chronicle/mock-chronicle-server.js [--port 8080] [--fixtures dir] [--state file]
+//   [--tick-interval ms] [--heartbeat-interval ms] [--token text] [--no-sessions] [--seed text]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const server = new MockChronicleServer({
+    port: getArg('--port') !== undefined ? parseInt(getArg('--port'), 10) : DEFAULT_PORT,
+    fixturesPath: getArg('--fixtures') || null,
+    statePath: getArg('--state') || null,
+    tickIntervalMs: getArg('--tick-interval') !== undefined ? parseInt(getArg('--tick-interval'), 10) : DEFAULT_TICK_INTERVAL_MS,
+    heartbeatIntervalMs: getArg('--heartbeat-interval') !== undefined
+      ? parseInt(getArg('--heartbeat-interval'), 10)
+      : DEFAULT_HEARTBEAT_INTERVAL_MS,
+    authToken: getArg('--token') || null,
+    sessions: !args.includes('--no-sessions'),
+    seed: getArg('--seed') || 'quatrain'
+  });
+
+  server.start().catch(error => {
+    console.error('MockChronicle: Could not start:', error.message);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => {
+    console.log('MockChronicle: Shutting down...');
+    server.stop().then(() => process.exit(0));
+  });
+}
+
+module.exports = MockChronicleServer;
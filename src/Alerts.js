@@ -0,0 +1,238 @@
+import React, { useState, useMemo } from 'react';
+import './Alerts.css';
+import alertService, { ALERT_CONDITIONS, ALERT_LEVELS, isCloseCondition } from './services/alert-service';
+import internalStrategyAnnotations from './InternalStrategyAnnotations';
+
+const DRAWING_NAMES = { hline: 'Horizontal line', tline: 'Trend line' };
+
+// Horizontal and trend lines drawn on the current instrument, from every chart
+const getAlertableDrawings = (sciChartSurfaceRefs, symbol) => {
+    const drawings = new Map();
+    Object.values(sciChartSurfaceRefs.current || {}).forEach(surface => {
+        if (!surface) return;
+        surface.annotations.asArray().forEach(annotation => {
+            if (typeof annotation.id !== 'string') return;
+            const idParts = annotation.id.split('/');
+            if (idParts.length !== 5 || idParts[1] !== symbol || !DRAWING_NAMES[idParts[3]] || drawings.has(annotation.id)) return;
+            const price = idParts[3] === 'tline'
+                ? `${annotation.y1.toFixed(2)} - ${annotation.y2.toFixed(2)}`
+                : annotation.y1.toFixed(2);
+            drawings.set(annotation.id, {
+                id: annotation.id,
+                type: idParts[3],
+                description: `${DRAWING_NAMES[idParts[3]]} ${price} (${idParts[2]})`
+            });
+        });
+    });
+    return Array.from(drawings.values());
+};
+
+// Describe what an alert is watching, e.g. "Crosses up PDH" or "Closes below 5250.00 on 5m"
+const describeAlert = (alert) => {
+    const target = alert.target.type === 'price' ? alert.target.price.toFixed(2) : alert.label;
+    const timeframe = isCloseCondition(alert.condition) ? ` on ${alert.timeframe}` : '';
+    return `${ALERT_CONDITIONS[alert.condition]} ${target}${timeframe}`;
+};
+
+/**
+ * Alerts panel - create price alerts on drawings, internal strategy levels or a price,
+ * enable, disable and delete them, and review the alert log
+ */
+const Alerts = ({ alerts = [], log = [], symbol, latestPrice, timeframes = [], sciChartSurfaceRefs, onClose }) => {
+    const drawings = useMemo(() => getAlertableDrawings(sciChartSurfaceRefs, symbol), [sciChartSurfaceRefs, symbol]);
+    const [targetType, setTargetType] = useState('price');
+    const [price, setPrice] = useState(latestPrice ? latestPrice.toFixed(2) : '');
+    const [annotationId, setAnnotationId] = useState(drawings.length > 0 ? drawings[0].id : '');
+    const [levelName, setLevelName] = useState(Object.keys(ALERT_LEVELS)[0]);
+    const [condition, setCondition] = useState('crossUp');
+    const [timeframe, setTimeframe] = useState(timeframes.includes('5m') ? '5m' : timeframes[0]);
+    const [repeat, setRepeat] = useState(false);
+    const [notify, setNotify] = useState(true);
+    const [sound, setSound] = useState(true);
+
+    const symbolAlerts = alerts.filter(alert => alert.symbol === symbol);
+    const otherAlertCount = alerts.length - symbolAlerts.length;
+    const currentLevel = internalStrategyAnnotations.getPriceLevel(levelName);
+
+    const isValid = !!symbol && (
+        (targetType === 'price' && Number.isFinite(parseFloat(price)))
+        || (targetType === 'drawing' && !!annotationId)
+        || targetType === 'level'
+    );
+
+    const handleAdd = () => {
+        if (!isValid) return;
+        let target;
+        let label;
+        if (targetType === 'price') {
+            target = { type: 'price', price: parseFloat(price) };
+            label = 'price';
+        } else if (targetType === 'drawing') {
+            target = { type: 'drawing', annotationId };
+            label = DRAWING_NAMES[annotationId.split('/')[3]].toLowerCase();
+        } else {
+            target = { type: 'level', levelName };
+            label = ALERT_LEVELS[levelName];
+        }
+        alertService.addAlert({
+            symbol,
+            target,
+            label,
+            condition,
+            timeframe: isCloseCondition(condition) ? timeframe : null,
+            repeat,
+            notify,
+            sound
+        });
+    };
+
+    return (
+        <div className="alerts-overlay">
+            <div className="alerts-panel">
+                <div className="alerts-header">
+                    <h2>Alerts</h2>
+                    <button className="close-button" onClick={onClose}>
+                        X
+                    </button>
+                </div>
+
+                <div className="alerts-section">
+                    <h3>New Alert on {symbol || 'no instrument'}</h3>
+                    <div className="alerts-form-row">
+                        <label className="alerts-form-label">Alert on</label>
+                        <select value={targetType} onChange={(e) => setTargetType(e.target.value)}>
+                            <option value="price">Price</option>
+                            <option value="drawing">Drawing</option>
+                            <option value="level">Strategy level</option>
+                        </select>
+                        {targetType === 'price' && (
+                            <input
+                                type="number"
+                                step="0.25"
+                                value={price}
+                                onChange={(e) => setPrice(e.target.value)}
+                            />
+                        )}
+                        {targetType === 'drawing' && (
+                            <select value={annotationId} onChange={(e) => setAnnotationId(e.target.value)}>
+                                {drawings.length === 0 && <option value="">No horizontal or trend lines</option>}
+                                {drawings.map(drawing => (
+                                    <option key={drawing.id} value={drawing.id}>{drawing.description}</option>
+                                ))}
+                            </select>
+                        )}
+                        {targetType === 'level' && (
+                            <>
+                                <select value={levelName} onChange={(e) => setLevelName(e.target.value)}>
+                                    {Object.entries(ALERT_LEVELS).map(([name, levelLabel]) => (
+                                        <option key={name} value={name}>{levelLabel}</option>
+                                    ))}
+                                </select>
+                                <span className="alerts-note">
+                                    {currentLevel ? currentLevel.price.toFixed(2) : 'not calculated yet'}
+                                </span>
+                            </>
+                        )}
+                    </div>
+                    <div className="alerts-form-row">
+                        <label className="alerts-form-label">Condition</label>
+                        <select value={condition} onChange={(e) => setCondition(e.target.value)}>
+                            {Object.entries(ALERT_CONDITIONS).map(([name, conditionLabel]) => (
+                                <option key={name} value={name}>{conditionLabel}</option>
+                            ))}
+                        </select>
+                        {isCloseCondition(condition) && (
+                            <select value={timeframe} onChange={(e) => setTimeframe(e.target.value)}>
+                                {timeframes.map(tf => (
+                                    <option key={tf} value={tf}>{tf} close</option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
+                    <div className="alerts-form-row">
+                        <label>
+                            <input type="checkbox" checked={repeat} onChange={(e) => setRepeat(e.target.checked)} />
+                            Every time
+                        </label>
+                        <label>
+                            <input type="checkbox" checked={notify} onChange={(e) => setNotify(e.target.checked)} />
+                            Notification
+                        </label>
+                        <label>
+                            <input type="checkbox" checked={sound} onChange={(e) => setSound(e.target.checked)} />
+                            Sound
+                        </label>
+                        <button className="alert-add-button" onClick={handleAdd} disabled={!isValid}>
+                            Add Alert
+                        </button>
+                    </div>
+                    <div className="alerts-note">
+                        Crosses and touches are checked on every tick, closes when a candle of the chosen timeframe closes.
+                        Alerts on a drawing follow it when it is moved and are removed with it.
+                    </div>
+                </div>
+
+                <div className="alerts-section">
+                    <h3>Alerts</h3>
+                    <div className="alerts-list">
+                        {symbolAlerts.length > 0 ? (
+                            symbolAlerts.map(alert => (
+                                <div key={alert.id} className={`alert-item ${alert.enabled ? '' : 'alert-item-disabled'}`}>
+                                    <div className="alert-info">
+                                        <div className="alert-name">{describeAlert(alert)}</div>
+                                        <div className="alert-description">
+                                            {alert.repeat ? 'Every time' : 'Once'}
+                                            {alert.triggeredAt && ` - last triggered ${new Date(alert.triggeredAt).toLocaleString()}`}
+                                        </div>
+                                    </div>
+                                    <div className="alert-buttons">
+                                        <button
+                                            className="alert-toggle-button"
+                                            onClick={() => alertService.updateAlert(alert.id, { enabled: !alert.enabled })}
+                                        >
+                                            {alert.enabled ? 'Disable' : 'Enable'}
+                                        </button>
+                                        <button className="alert-delete-button" onClick={() => alertService.removeAlert(alert.id)}>
+                                            Delete
+                                        </button>
+                                    </div>
+                                </div>
+                            ))
+                        ) : (
+                            <div className="alerts-empty">No alerts on {symbol || 'this instrument'}</div>
+                        )}
+                    </div>
+                    {otherAlertCount > 0 && (
+                        <div className="alerts-note">{otherAlertCount} more on other instruments</div>
+                    )}
+                </div>
+
+                <div className="alerts-section">
+                    <h3>
+                        Alert Log
+                        {log.length > 0 && (
+                            <button className="alert-clear-button" onClick={() => alertService.clearLog()}>
+                                Clear
+                            </button>
+                        )}
+                    </h3>
+                    <div className="alerts-list">
+                        {log.length > 0 ? (
+                            log.map(entry => (
+                                <div key={entry.id} className="alert-log-entry">
+                                    <span className="alert-log-time">{new Date(entry.time).toLocaleString()}</span>
+                                    <span>{entry.message}</span>
+                                    <span className="alert-log-price">@ {entry.price}</span>
+                                </div>
+                            ))
+                        ) : (
+                            <div className="alerts-empty">No alerts have triggered</div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Alerts;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import './AnnotationManager.css';
 import annoIcon from './images/annomgr-icon.png';
+import { removeDerivedAnnotations } from './utils/chartUtils';
 
 const AnnotationManager = ({ sciChartSurfaceRefs, timeframes, onClose, ws, clientId }) => {
     const [annotations, setAnnotations] = useState([]);
@@ -121,6 +122,7 @@ const AnnotationManager = ({ sciChartSurfaceRefs, timeframes, onClose, ws, clien
                             }
                         }
                         chartSurface.annotations.remove(existingAnnotation);
+                        removeDerivedAnnotations(chartSurface, annotationId);
                         chartSurface.invalidateElement();
                     }
                 }
@@ -145,6 +147,7 @@ const AnnotationManager = ({ sciChartSurfaceRefs, timeframes, onClose, ws, clien
                         }
                     }
                     chartSurface.annotations.remove(existingAnnotation);
+                    removeDerivedAnnotations(chartSurface, annotationId);
                     chartSurface.invalidateElement();
                 }
             }
@@ -10,19 +10,32 @@ import ServerLog from './ServerLog';
 import FlyoutPanel from './components/FlyoutPanel';
 import ChartPane from './components/ChartPane';
 import ChartLayout from './components/ChartLayout';
+import GridChartLayout from './components/GridChartLayout';
 import ReplayControls from './components/ReplayControls';
+import ReplayScorecard from './components/ReplayScorecard';
 import ConnectionScreen from './components/ConnectionScreen';
 import StrategyManager from './StrategyManager';
 import IndicatorsStudies from './IndicatorsStudies';
 import TradeAnnotationManager from './components/TradeAnnotationManager';
 import ChartClickOrderOverlay from './components/ChartClickOrderOverlay';
 import ChartModifyOrderOverlay from './components/ChartModifyOrderOverlay'; // Import the new overlay
+import PositionOrderOverlay from './components/PositionOrderOverlay';
+import { usePositionBrackets } from './components/trading/PositionBracketLogic';
 import { rebuildSavedAnnotations, deleteAnnotationByIds, auditAnnotations, cleanupAnnotations } from './utils/annotationUtils';
 import { handleLiveCandleUpdate } from './utils/LiveDataHandler';
-import { toggleLineMode, toggleBoxMode, toggleTrendMode, toggleArrowMode, toggleTextMode, updateZoomPanModifierState } from './utils/DrawingModes';
+import { DEFAULT_VOLUME_OPTIONS } from './utils/VolumeProfile';
+import { DEFAULT_BAR_TYPE_OPTIONS } from './utils/BarTransforms';
+import { DEFAULT_LAYOUT_TIMEFRAMES, getLayoutTimeframes, getSubscriptionTimeframes, getAggregationSource, createTimeframeBuckets, aggregateCandles, createCandleAggregator, getBucketStart, getTimeframeDurationMs, DEFAULT_CHART_BEHAVIOR } from './utils/Timeframes';
+import { DEFAULT_GRID_LAYOUT, getGridTimeframes, getGridInstrumentTimeframes } from './utils/GridLayout';
+import { toggleLineMode, toggleBoxMode, toggleTrendMode, toggleArrowMode, toggleTextMode, toggleFibMode, togglePositionMode, updateZoomPanModifierState } from './utils/DrawingModes';
+import { DEFAULT_FIB_LEVELS } from './utils/FibonacciTool';
+import { DEFAULT_TARGET_R, setPositionInstrumentProperties, subscribeToPositions, redrawPositions, getPositionPrices, setPositionPrices } from './utils/PositionTool';
 import { generateAnnotationId, handleAnnotationCreated, handleAnnotationUpdated, handleAnnotationDeleted } from './utils/AnnotationHandlers';
+import { exportChartSnapshot, getChartPaneElements } from './utils/ChartSnapshot';
 import './App.css';
 import AnnotationManager from './AnnotationManager';
+import Workspaces from './Workspaces';
+import Alerts from './Alerts';
 import backgroundImage from './images/xenocharts.jpg';
 import loadingBackground from './images/cashcow.png';
 import DrawingOptionsOverlay from './components/DrawingOptionsOverlay';
@@ -31,11 +44,18 @@ import DrawingOptionsOverlay from './components/DrawingOptionsOverlay';
 // import { setMarketData } from './features/marketData/marketDataSlice';
 // Add import for DataClient at the top of the file with other imports
 import DataClient from './services/data-client';
+import ReplayController, { getSpeedInterval } from './services/replay-controller';
+import LocalReplaySocket, { cacheClientSettings } from './services/local-replay';
 import candleEventService from './services/candle-event-service';
+import alertService from './services/alert-service';
+import InstrumentFeed from './services/instrument-feed';
+import ConnectionMonitor, { getProfileServers, dropSocket } from './services/connection-monitor';
+import { useHotkeys } from './components/useHotkeys';
 import internalStrategyAnnotations from './InternalStrategyAnnotations';
 import sessionLabelsAnnotations from './SessionLabelsAnnotations';
 import killzonesAnnotations from './KillzonesAnnotations';
 import ictPriceLinesAnnotations from './IctPriceLinesAnnotations';
+import indicatorEngine from './IndicatorEngine';
 // import openingGapsAnnotations from './OpeningGapsAnnotations'; // DISABLED - Converted to User Study
 // User Studies imports (controlled by ENABLE_USER_STUDIES killswitch)
 let UserStudyManager = null;
@@ -48,11 +68,26 @@ if (ENABLE_USER_STUDIES) {
 
 // Constants for application behavior
 const SESSION_GAP_MINUTES = 15; // Number of minutes gap required to create a new session
+const MAX_HISTORY_DAYS = 365; // Most days of history Live and History Only modes load
+const RECENT_HISTORY_DAYS = 21; // Charted first - older cached history is added behind it once the charts are up
+const HISTORY_BACKFILL_CHUNK_DAYS = 30; // Older cached history read from the candle cache at a time
 
-// Static timeframes for the charts
-const fourWayTimeframes = ['1h', '5m', '15m', '1m'];
-const sixWayTimeframes = ['1h', '30m', '15m', '10m', '5m', '1m'];
-const sixWayLongTimeframes = ['1d', '4h', '1h', '15m', '5m', '1m'];
+// Days of history to load for the connection screen's "Days of Historical Data"
+const getHistoryDays = (value) => Math.min(MAX_HISTORY_DAYS, Math.max(1, parseInt(value, 10) || RECENT_HISTORY_DAYS));
+
+// Sort candles by timestamp, keeping the last one received for each timestamp - candles from the cache and
+// from Chronicle can overlap
+const sortUniqueCandles = (candles) => {
+    const byTimestamp = new Map();
+    candles.forEach(candle => byTimestamp.set(candle.timestamp, candle));
+    return Array.from(byTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Extra replay windows (File > New Replay Window) chart a replay of their own. They leave the main window's
+// candle forwarding, simulator, Trade Manager prices and smart stops alone.
+const IS_REPLAY_WINDOW = new URLSearchParams(window.location.search).get('view') === 'replay';
+
+// Timeframes for each chart layout are configurable (settings.layoutTimeframes) - see utils/Timeframes.js
 
 function App() {
     const [isConnected, setIsConnected] = useState(false);
@@ -62,7 +97,7 @@ function App() {
     const [loading, setLoading] = useState(false);
     const [showSettings, setShowSettings] = useState(false);
     const [ws, setWs] = useState(null);
-    const [dataMode, setDataMode] = useState('Live'); // Default to Live mode
+    const [dataMode, setDataMode] = useState(IS_REPLAY_WINDOW ? 'Replay' : 'Live'); // Default to Live mode
     const [chartData, setChartData] = useState({
         '1d': [],
         '4h': [],
@@ -129,6 +164,15 @@ function App() {
             '5m': 'Candle',
             '1m': 'Candle',
         },
+        volumeOptions: { ...DEFAULT_VOLUME_OPTIONS },
+        indicators: {}, // Built-in indicator configs keyed by timeframe
+        barTypeOptions: { ...DEFAULT_BAR_TYPE_OPTIONS }, // Renko brick / range bar sizes in ticks
+        layoutTimeframes: { ...DEFAULT_LAYOUT_TIMEFRAMES }, // Timeframes shown in each chart layout
+        gridLayout: DEFAULT_GRID_LAYOUT, // Cells of the free-form grid layout
+        workspaces: {}, // Named workspaces (layout, drawing-tool defaults, indicators and studies)
+        alerts: [], // Price alerts on drawings, strategy levels and prices
+        alertLog: [], // Triggered alerts, newest first
+        replayBookmarks: [], // { id, instrument, time, label } moments to restart a replay at
     });
     const [serverLogs, setServerLogs] = useState([]);
     const [showServerLog, setShowServerLog] = useState(false);
@@ -136,12 +180,19 @@ function App() {
     const [dataLoaded, setDataLoaded] = useState(false);
     const [isFlyoutOpen, setIsFlyoutOpen] = useState(false);
     const [isCrosshairMode, setIsCrosshairMode] = useState(false);
+    const [isLinkedCursor, setIsLinkedCursor] = useState(true); // Hovering a pane shows its time and price on the others
     const [isLiveMode, setIsLiveMode] = useState(false);
     const isLiveModeRef = useRef(false);
     const dataSeriesRefs = useRef({ '1d': null, '4h': null, '1h': null, '30m': null, '15m': null, '10m': null, '5m': null, '1m': null });
     const lastPriceLineRefs = useRef({ '1d': null, '4h': null, '1h': null, '30m': null, '15m': null, '10m': null, '5m': null, '1m': null });
     const sciChartSurfaceRefs = useRef({ '1d': null, '4h': null, '1h': null, '30m': null, '15m': null, '10m': null, '5m': null, '1m': null });
     const candleQueueRef = useRef({ '1d': [], '4h': [], '1h': [], '30m': [], '15m': [], '10m': [], '5m': [], '1m': [] }); // Queue for early candles
+    const displayTimeframesRef = useRef(DEFAULT_LAYOUT_TIMEFRAMES['4-way']); // Timeframes charted for the current connection
+    const aggregatorsRef = useRef({}); // Live aggregators for client-side aggregated timeframes, keyed by timeframe
+    const instrumentFeedsRef = useRef([]); // Feeds for grid panes showing other instruments
+    const replayControllerRef = useRef(null); // Replay clock and step / jump / speed controls in Replay mode
+    const connectionMonitorRef = useRef(null); // Reconnects and health figures for the Chronicle connection
+    const [instrumentChartData, setInstrumentChartData] = useState({}); // Candles for other instruments, keyed by instrument then timeframe
     const annotationsRef = useRef([]); // Reference to annotations for easy access across component
     const [isLineMode, setIsLineMode] = useState(false);
     const lineAnnotationsRef = useRef([]);
@@ -155,6 +206,12 @@ function App() {
     const [isTrendMode, setIsTrendMode] = useState(false); // New state for trend line mode
     const [isArrowMode, setIsArrowMode] = useState(false); // State for arrow mode
     const [isTextMode, setIsTextMode] = useState(false); // State for text mode
+    const [isFibMode, setIsFibMode] = useState(false); // State for Fibonacci mode
+    const [fibType, setFibType] = useState('retracement'); // Fibonacci type: retracement or extension
+    const [fibLevels, setFibLevels] = useState(DEFAULT_FIB_LEVELS); // Fibonacci levels per type
+    const [fibShowPrices, setFibShowPrices] = useState(true); // Whether Fibonacci labels include the price
+    const [isPositionMode, setIsPositionMode] = useState(false); // State for long/short position mode
+    const [positionTargetR, setPositionTargetR] = useState(DEFAULT_TARGET_R); // Target distance of a new position, in R
     const [isDrawingLockMode, setIsDrawingLockMode] = useState(false); // New state for drawing lock mode
     const [arrowDirection, setArrowDirection] = useState('up'); // Arrow direction: up, down, left, right
     const [arrowSize, setArrowSize] = useState('M'); // Arrow size: XS, S, M, L, XL
@@ -168,6 +225,8 @@ function App() {
     const [showStrategyManager, setShowStrategyManager] = useState(false);
     const [showIndicatorsStudies, setShowIndicatorsStudies] = useState(false);
     const [showUserStudies, setShowUserStudies] = useState(false);
+    const [showWorkspaces, setShowWorkspaces] = useState(false);
+    const [showAlerts, setShowAlerts] = useState(false);
     const currentColorsRef = useRef(settings.colors); // Add a ref to track current colors
     const initialLoadCompleteRef = useRef(false); // Flag to track initial load of strategy annotations
     const [loadingProgress, setLoadingProgress] = useState('Initializing...'); // New state for loading progress
@@ -178,16 +237,19 @@ function App() {
     const [liveStart, setLiveStart] = useState('');
     const [liveEnd, setLiveEnd] = useState('');
     const [replayInterval, setReplayInterval] = useState(1000);
+    const [replaySource, setReplaySource] = useState('Chronicle'); // 'Chronicle' or 'Local' (stored candles)
+    const [serverProfiles, setServerProfiles] = useState(null); // Chronicle server profiles, primary and secondary
     const [isReplayMode, setIsReplayMode] = useState(false);
     const [sessions, setSessions] = useState([]); // For tracking trading sessions
     const [latestTimestamp, setLatestTimestamp] = useState(null);
     const [latestPrice, setLatestPrice] = useState(null); // Add missing state for latestPrice
     const [replayPaused, setReplayPaused] = useState(false);
     const [replayEnded, setReplayEnded] = useState(false);
+    const [replayScorecard, setReplayScorecard] = useState(null); // Scorecard of the simulator trades of the last replay
     const [currentReplayInterval, setCurrentReplayInterval] = useState(replayInterval);
     const [intervalInputValue, setIntervalInputValue] = useState('');
     const [chartLayout, setChartLayout] = useState('4-way'); // New state for chart layout
-    const [timeframes, setTimeframes] = useState(fourWayTimeframes); // Default to 4-way timeframes
+    const [timeframes, setTimeframes] = useState(DEFAULT_LAYOUT_TIMEFRAMES['4-way']); // Default to 4-way timeframes
     // Add state to track strategy annotation counts
     const [strategyAnnotationCounts, setStrategyAnnotationCounts] = useState({});
     // Create DataClient instance
@@ -200,8 +262,18 @@ function App() {
     // State for the new Chart Modify Order Overlay
     const [showChartModifyOrderOverlay, setShowChartModifyOrderOverlay] = useState(false);
     
+    // Position tool state - the selected position drawing and the Trade Manager's account for bracket orders
+    const [selectedPosition, setSelectedPosition] = useState(null); // { id, entryPrice, stopPrice, targetPrice }
+    const selectedPositionRef = useRef(null); // { anchor, sciChartSurface } of the selected position
+    const [positionStatus, setPositionStatus] = useState(null);
+    const [tradingAccountName, setTradingAccountName] = useState(null);
+    const { sendBracket } = usePositionBrackets(setPositionStatus);
+    
     // State for external client sync notification
     const [showExternalClientSyncNotification, setShowExternalClientSyncNotification] = useState(false);
+    const [snapshotNotification, setSnapshotNotification] = useState(null); // { message, isError } after a snapshot export
+    const [hotkeyNotice, setHotkeyNotice] = useState(null); // { message, type } after a trading hotkey
+    const [focusedTimeframe, setFocusedTimeframe] = useState(null); // Timeframe whose pane fills the window, from its hotkey
     
     // Add this new ref at the top with other refs
     const initialAnnotationsProcessedRef = useRef(false);
@@ -213,6 +285,19 @@ function App() {
         isLiveModeRef.current = isLiveMode;
     }, [isLiveMode]);
 
+    // Load the Chronicle server profiles offered on the connection screen
+    useEffect(() => {
+        const { ipcRenderer } = window.require('electron');
+        ipcRenderer.invoke('server-profiles:get')
+            .then(setServerProfiles)
+            .catch(error => console.error('Error loading server profiles:', error));
+    }, []);
+
+    const saveServerProfiles = useCallback(async (profiles) => {
+        const { ipcRenderer } = window.require('electron');
+        setServerProfiles(await ipcRenderer.invoke('server-profiles:save', profiles));
+    }, []);
+
     // Function to create annotation IDs while encapsulating the dependencies
     const createAnnotationId = useCallback((annotationType, timeframe) => {
         return generateAnnotationId(clientId, instrument, isAllTimeframes, annotationType, timeframe);
@@ -224,8 +309,7 @@ function App() {
             // console.log(`Processing ${annotations.length} user annotations`);
             
             // Use current timeframes based on layout
-            const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                    chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
+            const currentTimeframes = timeframes;
             
             // Call rebuildSavedAnnotations with the user annotations
             rebuildSavedAnnotations(
@@ -246,7 +330,7 @@ function App() {
                 isDrawingLockMode // Pass the drawing lock mode state
             );
         }
-    }, [annotations, chartLayout, ws, clientId, instrument, isAllTimeframes, arrowDirection, isDrawingLockMode]);
+    }, [annotations, timeframes, ws, clientId, instrument, isAllTimeframes, arrowDirection, isDrawingLockMode]);
 
     // Function to process strategy annotations
     const processStrategyAnnotations = useCallback(() => {
@@ -254,8 +338,7 @@ function App() {
             // console.log(`Processing ${stratAnnotations.length} strategy annotations`);
             
             // Use current timeframes based on layout
-            const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                    chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
+            const currentTimeframes = timeframes;
             
             // Call rebuildSavedAnnotations with the strategy annotations
             rebuildSavedAnnotations(
@@ -269,12 +352,11 @@ function App() {
             // Clear the array after processing
             setStratAnnotations([]);
         }
-    }, [stratAnnotations, chartLayout, isDrawingLockMode]);
+    }, [stratAnnotations, timeframes, isDrawingLockMode]);
 
     // Create wrapped handlers for annotations
     const onAnnotationCreated = useCallback((annotation, timeframe) => {
-        const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
+        const currentTimeframes = timeframes;
         handleAnnotationCreated(
             annotation, 
             timeframe, 
@@ -287,11 +369,10 @@ function App() {
             sciChartSurfaceRefs,
             isDrawingLockMode // Pass the drawing lock mode state
         );
-    }, [ws, clientId, instrument, isAllTimeframes, arrowDirection, chartLayout, isDrawingLockMode]);
+    }, [ws, clientId, instrument, isAllTimeframes, arrowDirection, timeframes, isDrawingLockMode]);
 
     const onAnnotationUpdated = useCallback((annotation, timeframe) => {
-        const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
+        const currentTimeframes = timeframes;
         handleAnnotationUpdated(
             annotation, 
             timeframe, 
@@ -304,11 +385,18 @@ function App() {
             sciChartSurfaceRefs,
             isDrawingLockMode
         );
-    }, [ws, clientId, instrument, isAllTimeframes, arrowDirection, chartLayout, isDrawingLockMode]);
+    }, [ws, clientId, instrument, isAllTimeframes, arrowDirection, timeframes, isDrawingLockMode]);
 
     const onAnnotationDeleted = useCallback((annotation, timeframe) => {
-        const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
+        const currentTimeframes = timeframes;
+        // Alerts on a deleted drawing go with it
+        alertService.removeAlertsForAnnotation(annotation.id);
+        // A deleted position can't stay selected
+        if (selectedPositionRef.current && selectedPositionRef.current.anchor.id === annotation.id) {
+            selectedPositionRef.current = null;
+            setSelectedPosition(null);
+            setPositionStatus(null);
+        }
         handleAnnotationDeleted(
             annotation, 
             timeframe, 
@@ -316,17 +404,11 @@ function App() {
             currentTimeframes, 
             sciChartSurfaceRefs
         );
-    }, [ws, chartLayout]);
+    }, [ws, timeframes]);
 
     // Set initial timeframes based on chart layout when component mounts
     useEffect(() => {
-        if (chartLayout === '4-way') {
-            setTimeframes(fourWayTimeframes);
-        } else if (chartLayout === '6-way-long') {
-            setTimeframes(sixWayLongTimeframes);
-        } else {
-            setTimeframes(sixWayTimeframes);
-        }
+        setTimeframes(getLayoutTimeframes(chartLayout, settings.layoutTimeframes));
     }, []);
 
     useEffect(() => {
@@ -366,8 +448,7 @@ function App() {
             initialAnnotationsProcessedRef.current = true;
             
             // Use the current timeframes based on layout
-            const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                    chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
+            const currentTimeframes = timeframes;
             
             // Use the rebuildSavedAnnotations function to recreate annotations on charts
             rebuildSavedAnnotations(
@@ -379,30 +460,39 @@ function App() {
                 isDrawingLockMode // Pass current drawing lock mode
             );
         }
-    }, [initialized, annotations, chartLayout, onAnnotationUpdated, isDrawingLockMode]);
+    }, [initialized, annotations, timeframes, onAnnotationUpdated, isDrawingLockMode]);
 
     const toggleFlyout = () => setIsFlyoutOpen(!isFlyoutOpen);
     const toggleCrosshairMode = () => setIsCrosshairMode(!isCrosshairMode);
+    const toggleLinkedCursor = () => setIsLinkedCursor(!isLinkedCursor);
     
     // Use the extracted toggle functions
     const handleToggleLineMode = () => {
-        toggleLineMode(isLineMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsArrowMode, setIsTextMode);
+        toggleLineMode(isLineMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsArrowMode, setIsTextMode, setIsFibMode, setIsPositionMode);
     };
     
     const handleToggleBoxMode = () => {
-        toggleBoxMode(isBoxMode, setIsBoxMode, setIsLineMode, setIsTrendMode, setIsArrowMode, setIsTextMode);
+        toggleBoxMode(isBoxMode, setIsBoxMode, setIsLineMode, setIsTrendMode, setIsArrowMode, setIsTextMode, setIsFibMode, setIsPositionMode);
     };
     
     const handleToggleTrendMode = () => {
-        toggleTrendMode(isTrendMode, setIsTrendMode, setIsLineMode, setIsBoxMode, setIsArrowMode, setIsTextMode);
+        toggleTrendMode(isTrendMode, setIsTrendMode, setIsLineMode, setIsBoxMode, setIsArrowMode, setIsTextMode, setIsFibMode, setIsPositionMode);
     };
     
     const handleToggleArrowMode = () => {
-        toggleArrowMode(isArrowMode, setIsArrowMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsTextMode);
+        toggleArrowMode(isArrowMode, setIsArrowMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsTextMode, setIsFibMode, setIsPositionMode);
     };
 
     const handleToggleTextMode = () => {
-        toggleTextMode(isTextMode, setIsTextMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsArrowMode);
+        toggleTextMode(isTextMode, setIsTextMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsArrowMode, setIsFibMode, setIsPositionMode);
+    };
+
+    const handleToggleFibMode = () => {
+        toggleFibMode(isFibMode, setIsFibMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsArrowMode, setIsTextMode, setIsPositionMode);
+    };
+
+    const handleTogglePositionMode = () => {
+        togglePositionMode(isPositionMode, setIsPositionMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsArrowMode, setIsTextMode, setIsFibMode);
     };
 
     // New toggle function for drawing lock mode
@@ -414,8 +504,7 @@ function App() {
         if (!sciChartSurfaceRefs || !sciChartSurfaceRefs.current) return;
         
         // Get current timeframes based on chart layout
-        const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
+        const currentTimeframes = timeframes;
         
         // Process all charts
         currentTimeframes.forEach(timeframe => {
@@ -481,14 +570,13 @@ function App() {
         });
         
         // console.log(`Drawing lock mode ${isDrawingLockMode ? 'enabled' : 'disabled'}`);
-    }, [isDrawingLockMode, chartLayout]);
+    }, [isDrawingLockMode, timeframes]);
 
     // Add useEffect for updateZoomPanModifierState
     useEffect(() => {
-        const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
-        updateZoomPanModifierState(isBoxMode, isTrendMode, isArrowMode, isTextMode, sciChartSurfaceRefs, currentTimeframes);
-    }, [chartLayout, isBoxMode, isTrendMode, isArrowMode, isTextMode]);
+        const currentTimeframes = timeframes;
+        updateZoomPanModifierState(isBoxMode, isTrendMode, isArrowMode, isTextMode, isFibMode, isPositionMode, sciChartSurfaceRefs, currentTimeframes);
+    }, [timeframes, isBoxMode, isTrendMode, isArrowMode, isTextMode, isFibMode, isPositionMode]);
 
     // Initialize DataClient
     useEffect(() => {
@@ -499,6 +587,124 @@ function App() {
         }
     }, []);
 
+    // Share the killzone windows with the Journal window's performance breakdown
+    useEffect(() => {
+        if (!dataClientRef.current) return;
+        const pushKillzoneSettings = (killzoneSettings) => {
+            dataClientRef.current.push('killzones:settings', killzoneSettings);
+        };
+        pushKillzoneSettings(killzonesAnnotations.getSettings());
+        return killzonesAnnotations.onSettingsChange(pushKillzoneSettings);
+    }, []);
+
+    // Follow the instrument properties and account the Trade Manager shares via market data -
+    // position drawings use them for ticks/dollars and for sending bracket orders
+    useEffect(() => {
+        if (!dataClientRef.current) return;
+        let lastPropertiesJson = null;
+
+        const applyMarketData = (data) => {
+            if (!data) return;
+            if (data.accountName) setTradingAccountName(data.accountName);
+
+            const propertiesJson = JSON.stringify(data.instrumentProperties || null);
+            if (data.instrumentProperties && propertiesJson !== lastPropertiesJson) {
+                lastPropertiesJson = propertiesJson;
+                setPositionInstrumentProperties(data.instrumentProperties);
+                redrawPositions(Object.values(sciChartSurfaceRefs.current));
+                setSelectedPosition(prev => (prev ? { ...prev } : prev));
+            }
+        };
+
+        dataClientRef.current.getMarketData().then(applyMarketData).catch(error => {
+            console.warn('App: Could not get market data for the position tool:', error);
+        });
+        const unsubscribe = dataClientRef.current.subscribeToMarketData(applyMarketData);
+        return () => unsubscribe();
+    }, []);
+
+    // Show the position overlay while a position drawing is selected, and keep it in step as the position is dragged
+    useEffect(() => {
+        return subscribeToPositions((anchor, sciChartSurface) => {
+            const current = selectedPositionRef.current;
+            if (anchor.isSelected) {
+                selectedPositionRef.current = { anchor, sciChartSurface };
+                setSelectedPosition({ id: anchor.id, ...getPositionPrices(anchor) });
+            } else if (current && current.anchor === anchor) {
+                selectedPositionRef.current = null;
+                setSelectedPosition(null);
+                setPositionStatus(null);
+            }
+        });
+    }, []);
+
+    const handlePositionPricesChange = useCallback((prices) => {
+        const current = selectedPositionRef.current;
+        if (current) setPositionPrices(current.anchor, current.sciChartSurface, prices);
+    }, []);
+
+    const handleSendPositionBracket = useCallback((quantity) => {
+        if (!selectedPosition) return;
+        const { entryPrice, stopPrice, targetPrice } = selectedPosition;
+        sendBracket({
+            side: stopPrice < entryPrice ? 'long' : 'short',
+            quantity,
+            entryPrice,
+            stopPrice,
+            targetPrice,
+            symbol: instrument,
+            accountName: tradingAccountName,
+            latestPrice
+        });
+    }, [selectedPosition, sendBracket, instrument, tradingAccountName, latestPrice]);
+
+    const handleClosePositionOverlay = useCallback(() => {
+        const current = selectedPositionRef.current;
+        selectedPositionRef.current = null;
+        setSelectedPosition(null);
+        setPositionStatus(null);
+        if (current && current.anchor.isSelected) {
+            current.anchor.isSelected = false;
+            current.sciChartSurface.invalidateElement();
+        }
+    }, []);
+
+    // Export a PNG snapshot of chart panes and show where it was saved
+    const runSnapshotExport = useCallback(async (options) => {
+        try {
+            const filePath = await exportChartSnapshot(options);
+            console.log(`Chart snapshot saved to ${filePath}`);
+            setSnapshotNotification({ message: `Snapshot saved to ${filePath}`, isError: false });
+        } catch (error) {
+            console.error('Error exporting chart snapshot:', error);
+            setSnapshotNotification({ message: `Snapshot failed: ${error.message}`, isError: true });
+        }
+        setTimeout(() => setSnapshotNotification(null), 5000);
+    }, []);
+
+    // Snapshot of a single chart pane (camera button on the pane)
+    const handleExportPaneSnapshot = useCallback((element, paneInstrument, timeframe) => {
+        runSnapshotExport({ elements: [element], instrument: paneInstrument, timeframes: [timeframe] });
+    }, [runSnapshotExport]);
+
+    // Snapshot of the whole chart layout (flyout panel, or the main process for Trade Manager fills)
+    const exportLayoutSnapshot = useCallback((label) => {
+        const elements = getChartPaneElements();
+        const paneTitles = elements.map(element => (element.dataset.instrument === instrument
+            ? element.dataset.chartPane
+            : `${element.dataset.instrument} ${element.dataset.chartPane}`));
+        runSnapshotExport({ elements, instrument, timeframes: paneTitles, label });
+    }, [instrument, runSnapshotExport]);
+
+    useEffect(() => {
+        const { ipcRenderer } = window.require('electron');
+        const handleTakeChartSnapshot = (event, data) => exportLayoutSnapshot(data && data.label);
+        ipcRenderer.on('take-chart-snapshot', handleTakeChartSnapshot);
+        return () => {
+            ipcRenderer.removeListener('take-chart-snapshot', handleTakeChartSnapshot);
+        };
+    }, [exportLayoutSnapshot]);
+
     // Update the handleLiveCandleUpdateCallback to also push candle updates to the shared data service
     const handleLiveCandleUpdateCallback = useCallback((candle, timeframe) => {
         // console.log(`Handling live candle update for ${timeframe}`, candle);
@@ -538,8 +744,10 @@ function App() {
         const currentInstrument = instrument;
         
         // Process candle using the CandleEventService to detect closures
-        if (currentInstrument) {
+        if (currentInstrument && !IS_REPLAY_WINDOW) {
           candleEventService.processCandle(currentInstrument, timeframe, candle);
+          // Check cross and touch alerts against the tick
+          alertService.processPrice(currentInstrument, candle.close, candle.timestamp);
         }
         
         // Update the latest timestamp when we receive a 1m candle
@@ -645,6 +853,9 @@ function App() {
             // Set latest price (for UI)
             setLatestPrice(currentPrice);
             
+            // A replay window's prices aren't the market's
+            if (IS_REPLAY_WINDOW) return;
+
             // Push to shared data service only
             if (dataClientRef.current) {
               dataClientRef.current.push(`candles:${currentInstrument}:${timeframe}`, candle);
@@ -675,7 +886,7 @@ function App() {
           }
         } else {
           // For timeframes other than 1m, still push to shared data service
-          if (dataClientRef.current && instrument) {
+          if (dataClientRef.current && instrument && !IS_REPLAY_WINDOW) {
             dataClientRef.current.push(`candles:${instrument}:${timeframe}`, candle);
           }
         }
@@ -686,11 +897,15 @@ function App() {
       // Initialize the candleEventService when component mounts
       // console.log('App: Initializing CandleEventService');
       
+      // Drawings for alerts are looked up on the chart surfaces
+      alertService.initialize(sciChartSurfaceRefs);
+
       // Register a callback for when candles close
       const unsubscribe = candleEventService.onCandleClosure((event) => {
         // console.log(`App: Candle closure detected for ${event.symbol} ${event.timeframe}`, event);
         
-        // We don't need to do anything here - the service automatically sends IPC messages
+        // The service sends the IPC messages itself - only the close alerts are checked here
+        alertService.processCandleClosure(event);
       });
       
       // Clean up the candleEventService when component unmounts
@@ -736,7 +951,7 @@ function App() {
         // console.log(`DataSeries ref set for ${timeframe}:`, !!ref);
 
         // Process any queued candles for this timeframe now that the ref is set
-        const queue = candleQueueRef.current[timeframe];
+        const queue = candleQueueRef.current[timeframe] || [];
         if (queue.length > 0) {
             const startTime = performance.now(); // Start timer
             // console.log(`Processing ${queue.length} queued candles for ${timeframe}...`);
@@ -800,7 +1015,7 @@ function App() {
         
         // Check if all charts are initialized based on the current layout and current timeframes in use
         const currentTimeframes = timeframes;
-        const allInitialized = currentTimeframes.every(tf => sciChartSurfaceRefs.current[tf] !== null);
+        const allInitialized = currentTimeframes.every(tf => !!sciChartSurfaceRefs.current[tf]);
         
         if (allInitialized) {
             console.log('All chart surfaces are now initialized');
@@ -828,6 +1043,9 @@ function App() {
             ictPriceLinesAnnotations.initialize(sciChartSurfaceRefs.current, currentTimeframes, chartData);
             // console.log('ICT price lines annotations initialized');
             
+            // Initialize built-in indicator engine (settings are applied by the settings.indicators effect)
+            indicatorEngine.initialize(sciChartSurfaceRefs.current, currentTimeframes, chartData);
+            
             // Initialize opening gaps annotations - DISABLED - Converted to User Study
             // openingGapsAnnotations.initialize(sciChartSurfaceRefs.current, currentTimeframes, chartData);
             // console.log('Opening gaps annotations initialized');
@@ -848,6 +1066,24 @@ function App() {
         }
     }, [chartData, initialized]);
 
+    // Update built-in indicators when chart data changes
+    useEffect(() => {
+        if (initialized) {
+            indicatorEngine.updateCandleData(chartData);
+        }
+    }, [chartData, initialized]);
+
+    // Apply built-in indicator settings
+    useEffect(() => {
+        indicatorEngine.updateSettings(settings.indicators);
+    }, [settings.indicators]);
+
+    // Stack indicator sub-panes above the volume pane when it is shown
+    useEffect(() => {
+        const volumeOptions = settings.volumeOptions || DEFAULT_VOLUME_OPTIONS;
+        indicatorEngine.setReservedBottomPercent(volumeOptions.showVolumePane ? volumeOptions.volumePaneHeight : 0);
+    }, [settings.volumeOptions]);
+
     // Update opening gaps annotations when chart data changes - DISABLED - Converted to User Study
     // useEffect(() => {
     //     if (initialized && openingGapsAnnotations) {
@@ -1010,7 +1246,7 @@ function App() {
         const { ipcRenderer } = window.require('electron');
         
         // Get the current price from the latest data point of the smallest timeframe
-        if (chartData['1m'] && chartData['1m'].length > 0) {
+        if (chartData['1m'] && chartData['1m'].length > 0 && !IS_REPLAY_WINDOW) {
             const currentPrice = chartData['1m'][chartData['1m'].length - 1].close;
             
             // Send price update to Trade Manager window if it exists
@@ -1018,21 +1254,56 @@ function App() {
         }
     }, [chartData]);
 
-    const connect = (instrumentOverride = null) => {
+    // Close the feeds of other-instrument grid panes
+    const closeInstrumentFeeds = () => {
+        instrumentFeedsRef.current.forEach(feed => feed.close());
+        instrumentFeedsRef.current = [];
+    };
+
+    // Forward replay controls to the feeds of other-instrument grid panes so they stay in step
+    const sendToInstrumentFeeds = (message) => {
+        instrumentFeedsRef.current.forEach(feed => feed.send(message));
+    };
+
+    const connect = (instrumentOverride = null, layoutOverride = null, replayOverride = null) => {
         // Use the provided instrument override or fall back to the state value
         const currentInstrument = instrumentOverride || instrument;
+        // A replay range override ({ historyStart, liveStart, liveEnd } in ET) is passed when restarting a replay
+        // at another time, since this closure may still hold the previous range
+        const replayRange = replayOverride || { historyStart, liveStart, liveEnd };
+        // Local replays play stored candles in this window instead of streaming them from Chronicle
+        const isLocalReplay = dataMode === 'Replay' && replaySource === 'Local';
         console.log('App.js: Connecting with instrument:', currentInstrument, '(override:', instrumentOverride, ', state:', instrument, ')');
         
         const fullClientId = `quatrain-${clientId}`;
+
+        // The socket is replaced when a dropped connection is reconnected, see handleClose. Without a ctrl
+        // message for the heartbeat timeout, Chronicle is taken to be hung and the socket is dropped, so the
+        // reconnect can fail over to the secondary server.
+        let websocket = null;
+        const connectionMonitor = new ConnectionMonitor({
+            clientId: fullClientId,
+            send: (message) => websocket.send(JSON.stringify(message)),
+            reconnect: () => openSocket(),
+            onStale: isLocalReplay ? null : () => dropSocket(websocket),
+            servers: getProfileServers(serverProfiles),
+            heartbeatTimeoutMs: serverProfiles ? serverProfiles.heartbeatTimeoutSec * 1000 : undefined
+        });
+        connectionMonitorRef.current = connectionMonitor;
+
+        // A layout override ({ chartLayout, layoutTimeframes, gridLayout }) is passed when reconnecting after the
+        // grid or workspace changed, since this closure may still hold the previous state
+        const currentLayout = (layoutOverride && layoutOverride.chartLayout) || chartLayout;
+        const resolveTimeframes = (layoutTimeframes, gridLayout) => (currentLayout === 'grid'
+            ? getGridTimeframes(gridLayout, currentInstrument)
+            : getLayoutTimeframes(currentLayout, layoutTimeframes));
         
-        // Set the timeframes based on the selected chart layout
-        if (chartLayout === '4-way') {
-            setTimeframes(fourWayTimeframes);
-        } else if (chartLayout === '6-way-long') {
-            setTimeframes(sixWayLongTimeframes);
-        } else {
-            setTimeframes(sixWayTimeframes);
-        }
+        // Set the timeframes based on the selected chart layout. These are confirmed (or replaced by the
+        // client's saved layout timeframes) once client settings arrive, before data is requested.
+        setTimeframes(resolveTimeframes(
+            (layoutOverride && layoutOverride.layoutTimeframes) || settings.layoutTimeframes,
+            (layoutOverride && layoutOverride.gridLayout) || settings.gridLayout
+        ));
         
         // CRITICAL FIX: When in Live mode, we need to set the ref value directly before any data arrives
         if (dataMode === 'Live') {
@@ -1043,85 +1314,71 @@ function App() {
             console.log('Set isLiveModeRef.current = false directly before WebSocket connection');
         }
         
-        const websocket = new WebSocket('ws://localhost:8080');
-        websocket.onopen = () => {
-            setLoading(true);
-            setSettingsLoaded(false);
-            setDataLoaded(false);
-            initialLoadCompleteRef.current = false; // Reset flag on new connection
-            setLoadingProgress('Connecting to server...');
-            
-            // Step 1: Set client ID
-            websocket.send(JSON.stringify({ action: 'set_client_id', clientid: fullClientId }));
-            setLoadingProgress('Setting client ID...');
-            
-            // Step 2: Get client settings
-            websocket.send(JSON.stringify({ action: 'get_client_settings', client_id: fullClientId }));
-            setLoadingProgress('Retrieving client settings...');
-            
-            // Step 3: Request annotations for this client and instrument
-            websocket.send(JSON.stringify({ 
-                action: 'get_anno',
-                clientid: fullClientId,
-                instrument: currentInstrument,
-                clienttype: 'client'
-            }));
-            setLoadingProgress('Loading annotations...');
-            
-            // Step 3.5: Request strategies and check for subscriptions
-            websocket.send(JSON.stringify({ action: 'get_strat' }));
-            setLoadingProgress('Loading strategy information...');
-            
-            // Set the replay mode state based on the data mode selection
-            setIsReplayMode(dataMode === 'Replay');
-            
-            // Skip data request if in Replay mode without proper datetime values
-            if (dataMode === 'Replay') {
-                if (!historyStart || !liveStart || !liveEnd) {
-                    console.error('Replay mode selected but missing datetime values:', {
-                        historyStart,
-                        liveStart,
-                        liveEnd
-                    });
-                    alert('Please fill in all date-time fields for Replay mode');
-                    setLoading(false);
-                    return;
+        // Step 4 (sent once client settings have arrived so the client's saved layout timeframes are used):
+        // subscribe to chart data. Timeframes Chronicle doesn't serve directly are aggregated client-side
+        // from their source timeframe, which is subscribed to instead.
+        let chartDataRequested = false;
+        let settingsWaitTimer = null;
+        let historyRequestStart = null; // Start of the history requested in Live and History Only modes
+        let sessionSubscriptions = []; // Subscriptions of the data request, and their timeframes
+        let sessionTimeframes = [];
+        let sessionLoaded = false; // The charts have their history - from here on a dropped connection is resumed
+        let backfillEnd = null; // Cached history from historyRequestStart up to this is added once the charts are up
+        const lastCandleTimes = {}; // Timestamp of each subscribed timeframe's newest candle
+        let resumeFrom = null; // lastCandleTimes when the connection dropped, until the gap has been filled
+        let resumeTimer = null;
+        const requestChartData = (websocket, layoutTimeframes, gridLayout) => {
+            if (chartDataRequested) return;
+            chartDataRequested = true;
+            clearTimeout(settingsWaitTimer);
+
+            const requestLayoutTimeframes = layoutOverride ? layoutOverride.layoutTimeframes : layoutTimeframes;
+            const requestGridLayout = layoutOverride ? layoutOverride.gridLayout : gridLayout;
+            const currentTimeframes = resolveTimeframes(requestLayoutTimeframes, requestGridLayout);
+            const subscriptionTimeframes = getSubscriptionTimeframes(currentTimeframes);
+            setTimeframes(currentTimeframes);
+            displayTimeframesRef.current = currentTimeframes;
+
+            aggregatorsRef.current = {};
+            currentTimeframes.forEach(timeframe => {
+                if (getAggregationSource(timeframe)) {
+                    aggregatorsRef.current[timeframe] = createCandleAggregator(timeframe);
                 }
-            }
-            
-            // Step 4: Prepare data subscriptions based on selected chart layout
-            const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                    chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
-            
-            const subscriptions = currentTimeframes.map(timeframe => ({
+                if (!candleQueueRef.current[timeframe]) {
+                    candleQueueRef.current[timeframe] = [];
+                }
+            });
+            accumulatedDataRef.current = createTimeframeBuckets(subscriptionTimeframes);
+
+            const subscriptions = subscriptionTimeframes.map(timeframe => ({
                 instrument: currentInstrument,
                 timeframe
             }));
-            
-            
+            console.log('Chart timeframes:', currentTimeframes, 'subscribed timeframes:', subscriptionTimeframes);
+            sessionSubscriptions = subscriptions;
+            sessionTimeframes = subscriptionTimeframes;
+
             // Decide which data request to send based on mode
             if (dataMode === 'Replay') {
                 // Convert Eastern Time inputs to UTC timestamps
-                const historyStartTimestamp = convertToUTCTimestamp(historyStart);
-                const liveStartTimestamp = convertToUTCTimestamp(liveStart);
-                const liveEndTimestamp = convertToUTCTimestamp(liveEnd);
-                
+                const historyStartTimestamp = convertToUTCTimestamp(replayRange.historyStart);
+                const liveStartTimestamp = convertToUTCTimestamp(replayRange.liveStart);
+                const liveEndTimestamp = convertToUTCTimestamp(replayRange.liveEnd);
+            
                 console.log('Using replay date-time values:', {
-                    historyStart, 
-                    liveStart, 
-                    liveEnd,
+                    ...replayRange,
                     historyStartTimestamp,
                     liveStartTimestamp,
                     liveEndTimestamp
                 });
-                
+            
                 console.log('Sending replay request with:', {
                     historyStart: historyStartTimestamp,
                     liveStart: liveStartTimestamp,
                     liveEnd: liveEndTimestamp,
                     subscriptions
                 });
-                
+            
                 // Send the replay request for the selected timeframes
                 websocket.send(JSON.stringify({
                     action: 'get_replay',
@@ -1132,64 +1389,462 @@ function App() {
                     subscriptions: subscriptions,
                     sendto: 'websocket'
                 }));
-                
-                // Start in NOT paused state for Replay mode so playback begins immediately
-                setReplayPaused(false);
+
+                // Replayed candles go through the replay clock, which holds back any the replay hasn't reached
+                const clockTimeframe = subscriptionTimeframes
+                    .filter(timeframe => getTimeframeDurationMs(timeframe))
+                    .sort((a, b) => getTimeframeDurationMs(a) - getTimeframeDurationMs(b))[0];
+                replayControllerRef.current = new ReplayController({
+                    clockTimeframe,
+                    liveStart: liveStartTimestamp,
+                    liveEnd: liveEndTimestamp,
+                    interval: replayInterval,
+                    send: (command) => {
+                        websocket.send(JSON.stringify(command));
+                        sendToInstrumentFeeds(command);
+                    },
+                    onDeliver: (message) => websocket.onmessage({ data: JSON.stringify(message), replayDelivered: true }),
+                    onMoveEnd: () => setReplayPaused(true)
+                });
+
+                // The simulator trades the replay on its own book, with the replay as its clock
+                if (!IS_REPLAY_WINDOW) {
+                    window.require('electron').ipcRenderer.send('sim-broker:replay-start', {
+                        instrument: currentInstrument,
+                        historyStart: historyStartTimestamp,
+                        liveStart: liveStartTimestamp,
+                        liveEnd: liveEndTimestamp
+                    });
+                }
+            
+                // Start in NOT paused state for Replay mode so playback begins immediately - unless the replay
+                // was restarted to step back, which stays paused where it restarted
+                if (replayRange.paused) {
+                    replayControllerRef.current.setPaused(true);
+                }
+                setReplayPaused(!!replayRange.paused);
             } else if (dataMode === 'Live') {
                 console.log('Subscribing to live data for:', subscriptions);
-                
-                // Send the request for live data with appropriate history
-                const days = parseInt(historicalDays, 10);
-                const startTime = Date.now() - days * 86400000;
-                
-                websocket.send(JSON.stringify({
-                    action: 'get_data',
-                    subscriptions: subscriptions,
-                    start_time: startTime,
-                    sendto: 'websocket',
-                    live_data: 'all'
-                }));
-                
+            
+                // Send the request for live data with appropriate history - only what the cache doesn't have
+                const days = getHistoryDays(historicalDays);
+                historyRequestStart = Date.now() - days * 86400000;
+            
+                loadCachedHistory(subscriptionTimeframes).then(fetchStart => {
+                    websocket.send(JSON.stringify({
+                        action: 'get_data',
+                        subscriptions: subscriptions,
+                        start_time: fetchStart,
+                        sendto: 'websocket',
+                        live_data: 'all'
+                    }));
+                });
+            
                 // Set Live Mode flag for live data handling
                 setIsLiveMode(true);
             } else if (dataMode === 'History Only') {
                 console.log('Loading historical data only for:', subscriptions);
-                
-                // Send the request for historical data only
-                const days = parseInt(historicalDays, 10);
-                const startTime = Date.now() - days * 86400000;
-                
-                websocket.send(JSON.stringify({
-                    action: 'get_data',
-                    start_time: startTime,
-                    subscriptions: subscriptions,
-                    sendto: 'websocket',
-                    save_cache: false
-                }));
-                
+            
+                // Send the request for historical data only - only what the cache doesn't have
+                const days = getHistoryDays(historicalDays);
+                historyRequestStart = Date.now() - days * 86400000;
+            
+                loadCachedHistory(subscriptionTimeframes).then(fetchStart => {
+                    websocket.send(JSON.stringify({
+                        action: 'get_data',
+                        start_time: fetchStart,
+                        subscriptions: subscriptions,
+                        sendto: 'websocket',
+                        save_cache: false
+                    }));
+                });
+            
                 // Not in live mode for history only
                 setIsLiveMode(false);
             }
 
+            // Grid panes showing other instruments get their own subscriptions
+            if (currentLayout === 'grid') {
+                startInstrumentFeeds(getGridInstrumentTimeframes(requestGridLayout, currentInstrument));
+            }
+        };
+
+        // Open a feed for each additional instrument in the grid
+        const startInstrumentFeeds = (instrumentTimeframes) => {
+            closeInstrumentFeeds();
+            Object.keys(instrumentTimeframes).forEach(feedInstrument => {
+                const feed = new InstrumentFeed({
+                    instrument: feedInstrument,
+                    timeframes: instrumentTimeframes[feedInstrument],
+                    clientId: fullClientId,
+                    dataMode,
+                    startTime: Date.now() - getHistoryDays(historicalDays) * 86400000,
+                    // Feeds start on the server the main connection is on
+                    servers: [
+                        ...connectionMonitor.servers.slice(connectionMonitor.serverIndex),
+                        ...connectionMonitor.servers.slice(0, connectionMonitor.serverIndex)
+                    ],
+                    heartbeatTimeoutMs: connectionMonitor.heartbeatTimeoutMs,
+                    replay: {
+                        historyStart: convertToUTCTimestamp(replayRange.historyStart),
+                        liveStart: convertToUTCTimestamp(replayRange.liveStart),
+                        liveEnd: convertToUTCTimestamp(replayRange.liveEnd),
+                        replayInterval
+                    },
+                    onData: (feedInstrumentName, data) => {
+                        setInstrumentChartData(prevData => ({ ...prevData, [feedInstrumentName]: data }));
+                    },
+                    createSocket: isLocalReplay ? () => new LocalReplaySocket() : undefined
+                });
+                feed.connect();
+                instrumentFeedsRef.current.push(feed);
+            });
+        };
+
+        // Build the client-side aggregated timeframes from their source candles and seed the live aggregators
+        const addAggregatedTimeframes = (data) => {
+            Object.keys(aggregatorsRef.current).forEach(timeframe => {
+                const sourceCandles = data[getAggregationSource(timeframe)] || [];
+                data[timeframe] = aggregateCandles(sourceCandles, timeframe);
+                aggregatorsRef.current[timeframe].seed(sourceCandles);
+            });
+            return data;
+        };
+
+        // Push a live source candle into the forming bar of every timeframe aggregated from it
+        const updateAggregatedTimeframes = (candle, sourceTimeframe) => {
+            Object.keys(aggregatorsRef.current).forEach(timeframe => {
+                if (getAggregationSource(timeframe) !== sourceTimeframe) return;
+                const aggregatedCandle = aggregatorsRef.current[timeframe].update(candle);
+                if (!aggregatedCandle) return;
+                if (dataSeriesRefs.current[timeframe]) {
+                    handleLiveCandleUpdateCallback(aggregatedCandle, timeframe);
+                } else {
+                    candleQueueRef.current[timeframe].push({ candle: aggregatedCandle });
+                }
+            });
+        };
+
+        // Merge a candle into the charts once they have their history - it updates the forming bar or starts the next
+        const applyLiveCandle = (candle, timeframe) => {
+            const dataSeries = dataSeriesRefs.current[timeframe];
+            if (!displayTimeframesRef.current.includes(timeframe)) {
+                // Source-only timeframe: it only feeds the aggregated timeframes below
+            } else if (dataSeries) {
+                // Chart is ready, process immediately
+                handleLiveCandleUpdateCallback(candle, timeframe);
+            } else {
+                // Chart not ready, queue the candle
+                console.warn(`Queueing live candle for ${timeframe} as chart is not ready yet.`);
+                candleQueueRef.current[timeframe].push({ candle });
+            }
+
+            // Keep the forming bar of client-side aggregated timeframes up to date
+            updateAggregatedTimeframes(candle, timeframe);
+        };
+
+        const noteCandleTime = (timeframe, timestamp) => {
+            if (!(lastCandleTimes[timeframe] >= timestamp)) {
+                lastCandleTimes[timeframe] = timestamp;
+            }
+        };
+
+        // Seed the history with the instrument's candles from the on-disk cache - only the last RECENT_HISTORY_DAYS,
+        // so the charts don't wait for a long history; backfillCachedHistory adds the older ones. Returns the time
+        // to request the rest from Chronicle - the first gap in the cache, with bars that straddle it requested
+        // again whole.
+        const loadCachedHistory = async (subscriptionTimeframes) => {
+            try {
+                const { ipcRenderer } = window.require('electron');
+                const recentStart = Math.max(historyRequestStart, Date.now() - RECENT_HISTORY_DAYS * 86400000);
+                const plan = await ipcRenderer.invoke('candle-cache:plan', {
+                    instrument: currentInstrument,
+                    timeframes: subscriptionTimeframes,
+                    start: historyRequestStart,
+                    end: Date.now(),
+                    recentStart
+                });
+                const fetchStart = Math.min(...subscriptionTimeframes.map(timeframe => getBucketStart(plan.fetchStart, timeframe)));
+                // Chronicle sends everything from fetchStart on, so only what's cached before both is backfilled
+                backfillEnd = Math.min(recentStart, fetchStart);
+
+                let cachedCount = 0;
+                subscriptionTimeframes.forEach(timeframe => {
+                    const cachedCandles = plan.candles[timeframe].filter(candle => candle.timestamp < fetchStart);
+                    accumulatedDataRef.current[timeframe] = accumulatedDataRef.current[timeframe].concat(cachedCandles);
+                    cachedCount += cachedCandles.length;
+                });
+                console.log(`Loaded ${cachedCount} cached candles, requesting the rest from ${new Date(fetchStart).toISOString()}`);
+                if (cachedCount > 0) {
+                    setLoadingProgress(`Loaded ${cachedCount} candles from the cache...`);
+                    scheduleHistoryProcessing();
+                }
+                return fetchStart;
+            } catch (error) {
+                console.error('Error loading cached candles:', error);
+                return historyRequestStart;
+            }
+        };
+
+        // Put older candles in front of the charted ones. Aggregated timeframes are rebuilt up to the bar at the
+        // join; the bars after it, which live candles may have updated since, are kept.
+        const addOlderHistory = (olderData) => {
+            Object.keys(olderData).forEach(tf => {
+                accumulatedDataRef.current[tf] = olderData[tf].concat(accumulatedDataRef.current[tf] || []);
+            });
+            if (olderData['1m'] && olderData['1m'].length > 0) {
+                setSessions(processSessionsFromCandles(sortUniqueCandles(accumulatedDataRef.current['1m'])));
+            }
+
+            setChartData(prevData => {
+                const updatedData = { ...prevData };
+                Object.keys(olderData).forEach(tf => {
+                    updatedData[tf] = sortUniqueCandles([...olderData[tf], ...(prevData[tf] || [])]);
+                });
+                Object.keys(aggregatorsRef.current).forEach(timeframe => {
+                    const sourceTimeframe = getAggregationSource(timeframe);
+                    if (!olderData[sourceTimeframe] || olderData[sourceTimeframe].length === 0) return;
+                    const charted = prevData[timeframe] || [];
+                    const joinTime = charted.length > 0 ? charted[0].timestamp : Infinity;
+                    updatedData[timeframe] = [
+                        ...aggregateCandles(updatedData[sourceTimeframe], timeframe).filter(bar => bar.timestamp <= joinTime),
+                        ...charted.filter(bar => bar.timestamp > joinTime)
+                    ];
+                });
+                return updatedData;
+            });
+        };
+
+        // Add the cached history older than the recent window once the charts have their history - newest first,
+        // HISTORY_BACKFILL_CHUNK_DAYS at a time
+        const backfillCachedHistory = async () => {
+            if (backfillEnd === null || backfillEnd <= historyRequestStart) return;
+            const end = backfillEnd;
+            backfillEnd = null;
+
+            const { ipcRenderer } = window.require('electron');
+            const chunkMs = HISTORY_BACKFILL_CHUNK_DAYS * 86400000;
+            try {
+                for (let chunkEnd = end; chunkEnd > historyRequestStart; chunkEnd -= chunkMs) {
+                    const chunkStart = Math.max(historyRequestStart, chunkEnd - chunkMs);
+                    const olderData = {};
+                    for (const timeframe of sessionTimeframes) {
+                        const candles = await ipcRenderer.invoke('candle-cache:get', {
+                            instrument: currentInstrument,
+                            timeframe,
+                            start: chunkStart,
+                            end: chunkEnd
+                        });
+                        olderData[timeframe] = (candles || []).filter(candle => candle.timestamp < chunkEnd);
+                    }
+                    // Quatrain was reset while the chunk was being read
+                    if (connectionMonitor.isStopped) return;
+                    addOlderHistory(olderData);
+                    console.log(`Added cached history from ${new Date(chunkStart).toISOString()}`);
+                }
+            } catch (error) {
+                console.error('Error loading older cached candles:', error);
+            }
+        };
+
+        // Set the accumulated history as the chart data
+        const processAccumulatedHistory = () => {
+            console.log('Timeout triggered: Processing historical data');
+            
+            // Check if we've actually accumulated any data before proceeding
+            let totalCandles = 0;
+            for (const tf in accumulatedDataRef.current) {
+                totalCandles += accumulatedDataRef.current[tf].length;
+            }
+            if (totalCandles === 0) {
+                console.warn('No historical data accumulated to process');
+                return;
+            }
+
+            setLoadingProgress('Processing historical data...');
+            const sortedData = {};
+            for (const tf in accumulatedDataRef.current) {
+                sortedData[tf] = sortUniqueCandles(accumulatedDataRef.current[tf]);
+                console.log(`Sorted ${sortedData[tf].length} historical candles for ${tf}`);
+            }
+            
+            // Process sessions if we have 1m data
+            if (sortedData['1m'] && sortedData['1m'].length > 0) {
+                const sessionData = processSessionsFromCandles(sortedData['1m']);
+                setSessions(sessionData);
+                console.log(`Processed ${sessionData.length} trading sessions from historical data`);
+            }
+            
+            for (const tf in sortedData) {
+                if (sortedData[tf].length > 0) noteCandleTime(tf, sortedData[tf][sortedData[tf].length - 1].timestamp);
+            }
+            setChartData(addAggregatedTimeframes(sortedData));
+            setDataLoaded(true);
+            sessionLoaded = true;
+            backfillCachedHistory();
+
+            // The cache now has everything from the history start to the last candle. In Live mode, live
+            // candles keep extending that until the connection ends.
+            if (historyRequestStart !== null && !IS_REPLAY_WINDOW) {
+                const ranges = {};
+                Object.keys(sortedData).forEach(tf => {
+                    if (sortedData[tf].length === 0) return;
+                    ranges[tf] = { start: historyRequestStart, end: sortedData[tf][sortedData[tf].length - 1].timestamp };
+                });
+                window.require('electron').ipcRenderer.send('candle-cache:covered', {
+                    instrument: currentInstrument,
+                    ranges,
+                    live: dataMode === 'Live'
+                });
+            }
+            console.log('Historical data processing complete');
+        };
+
+        // Process the history once no historical candle has arrived for a second
+        const scheduleHistoryProcessing = () => {
+            if (timeoutRef.current) {
+                clearTimeout(timeoutRef.current);
+            }
+            timeoutRef.current = setTimeout(processAccumulatedHistory, 1000);
+        };
+
+        // Pick the session up on a new socket after a reconnect. Charts, studies, drawings and the Trade Manager are
+        // untouched, so only what may have changed while disconnected is requested: candles from the newest one
+        // received on (it may still have been forming), the client's annotations and the subscribed strategies'.
+        const resumeSession = () => {
+            console.log(`Reconnected to Chronicle (reconnect ${connectionMonitor.reconnectCount}), resuming the session`);
+            connectionMonitor.sendClientId();
+
+            initialAnnotationsProcessedRef.current = false;
+            websocket.send(JSON.stringify({
+                action: 'get_anno',
+                clientid: fullClientId,
+                instrument: currentInstrument,
+                clienttype: 'client'
+            }));
+            // The get_strat_response requests each subscribed strategy's annotations again
+            initialLoadCompleteRef.current = false;
+            websocket.send(JSON.stringify({ action: 'get_strat' }));
+
+            resumeFrom = {};
+            sessionTimeframes.forEach(timeframe => {
+                resumeFrom[timeframe] = lastCandleTimes[timeframe] !== undefined ? lastCandleTimes[timeframe] : historyRequestStart;
+            });
+            const request = {
+                action: 'get_data',
+                subscriptions: sessionSubscriptions,
+                start_time: Math.min(...Object.values(resumeFrom)),
+                sendto: 'websocket'
+            };
+            if (dataMode === 'Live') {
+                request.live_data = 'all';
+            } else {
+                request.save_cache = false;
+            }
+            websocket.send(JSON.stringify(request));
+
+            setWs(websocket);
+        };
+
+        // Once the candles filling the gap stop arriving, the cache has everything again from before the drop
+        const scheduleResumeCoverage = () => {
+            clearTimeout(resumeTimer);
+            resumeTimer = setTimeout(() => {
+                if (!IS_REPLAY_WINDOW) {
+                    const ranges = {};
+                    Object.keys(resumeFrom).forEach(tf => {
+                        if (lastCandleTimes[tf] !== undefined) ranges[tf] = { start: resumeFrom[tf], end: lastCandleTimes[tf] };
+                    });
+                    window.require('electron').ipcRenderer.send('candle-cache:covered', {
+                        instrument: currentInstrument,
+                        ranges,
+                        live: dataMode === 'Live'
+                    });
+                }
+                console.log('Filled the gap left by the reconnect');
+                resumeFrom = null;
+            }, 1000);
+        };
+
+        const handleOpen = () => {
+            if (connectionMonitor.isStopped) {
+                // Quatrain was reset while this socket was connecting
+                websocket.onclose = null;
+                websocket.close();
+                return;
+            }
+            const isReconnect = connectionMonitor.isReconnecting;
+            connectionMonitor.opened();
+            if (isReconnect) {
+                resumeSession();
+                return;
+            }
+
+            setLoading(true);
+            setSettingsLoaded(false);
+            setDataLoaded(false);
+            initialLoadCompleteRef.current = false; // Reset flag on new connection
+            setLoadingProgress('Connecting to server...');
+            
+            // Step 1: Set client ID (its reply also gives the connection's latency)
+            connectionMonitor.sendClientId();
+            setLoadingProgress('Setting client ID...');
+            
+            // Step 2: Get client settings
+            websocket.send(JSON.stringify({ action: 'get_client_settings', client_id: fullClientId }));
+            setLoadingProgress('Retrieving client settings...');
+            
+            // Step 3: Request annotations for this client and instrument
+            websocket.send(JSON.stringify({ 
+                action: 'get_anno',
+                clientid: fullClientId,
+                instrument: currentInstrument,
+                clienttype: 'client'
+            }));
+            setLoadingProgress('Loading annotations...');
+            
+            // Step 3.5: Request strategies and check for subscriptions
+            websocket.send(JSON.stringify({ action: 'get_strat' }));
+            setLoadingProgress('Loading strategy information...');
+            
+            // Set the replay mode state based on the data mode selection
+            setIsReplayMode(dataMode === 'Replay');
+            
+            // Skip data request if in Replay mode without proper datetime values
+            if (dataMode === 'Replay') {
+                if (!replayRange.historyStart || !replayRange.liveStart || !replayRange.liveEnd) {
+                    console.error('Replay mode selected but missing datetime values:', replayRange);
+                    alert('Please fill in all date-time fields for Replay mode');
+                    setLoading(false);
+                    return;
+                }
+            }
+            
+            // Wait for client settings before requesting data; fall back to the current layout timeframes
+            // if the server doesn't answer
+            settingsWaitTimer = setTimeout(() => requestChartData(websocket, settings.layoutTimeframes, settings.gridLayout), 5000);
+
             setWs(websocket);
             setIsConnected(true);
-            accumulatedDataRef.current = { 
-                '1d': [],
-                '4h': [],
-                '1h': [], 
-                '30m': [], 
-                '15m': [], 
-                '10m': [], 
-                '5m': [], 
-                '1m': [] 
-            };
         };
 
-        websocket.onmessage = (event) => {
+        const handleMessage = (event) => {
             const message = JSON.parse(event.data);
+            if (!event.replayDelivered) {
+                connectionMonitor.messageReceived(message);
+            }
+            // set_client_id is re-sent every few seconds to time the connection - neither its replies nor
+            // Chronicle's heartbeats are worth logging
+            if (message.mtyp === 'ctrl' && (message.action === 'set_client_id_response' || message.action === 'heartbeat')) {
+                return;
+            }
             if (message.mtyp === 'ctrl') {
                 if (message.action === 'client_settings_response') {
                     if (message.settings) {
+                        // Local replays use the settings Chronicle sent last
+                        if (!isLocalReplay) {
+                            cacheClientSettings(fullClientId, message.settings);
+                        }
                         setLoadingProgress('Applying client settings...');
                         setSettings((prevSettings) => {
                             const mergedSettings = { ...prevSettings };
@@ -1258,6 +1913,14 @@ function App() {
                     }
                     setSettingsLoaded(true);
                     setLoadingProgress('Settings loaded successfully');
+
+                    // Now that the client's saved layout timeframes are known, request chart data
+                    if (!(dataMode === 'Replay' && (!replayRange.historyStart || !replayRange.liveStart || !replayRange.liveEnd))) {
+                        requestChartData(websocket, {
+                            ...settings.layoutTimeframes,
+                            ...(message.settings && message.settings.layoutTimeframes)
+                        }, (message.settings && message.settings.gridLayout) || settings.gridLayout);
+                    }
                 } else if (message.action === 'get_anno_response') {
                     if (message.clienttype === "strategy") {
                         // Strategy annotations handling
@@ -1304,6 +1967,12 @@ function App() {
                                     strategy.subscribers.subscribers.includes(fullClientId)) {
                                     
                                     console.log(`Client ${fullClientId} is subscribed to strategy: ${strategy.clientid}, requesting annotations`);
+
+                                    // After a reconnect the strategy's annotations are replaced, dropping any it
+                                    // deleted while the connection was down
+                                    if (connectionMonitor.reconnectCount > 0) {
+                                        clearStrategyAnnotations(strategy.clientid);
+                                    }
                                     
                                     // Request annotations for this strategy
                                     if (websocket && websocket.readyState === WebSocket.OPEN) {
@@ -1415,8 +2084,19 @@ function App() {
                     {timestamp: Date.now(), message },
                 ]);
             } else if (message.mtyp === 'data') {
+                // Replayed candles are processed when the replay clock delivers them
+                if (message.source === 'T' && replayControllerRef.current && !event.replayDelivered) {
+                    replayControllerRef.current.handleCandle(message);
+                    return;
+                }
+
+                // After a reconnect, candles older than the newest the charts already have are re-sent - skip them
+                if (resumeFrom && message.source !== 'T' && message.timestamp < resumeFrom[message.timeframe]) {
+                    return;
+                }
+
                 // Signal data flow started on first data message
-                if (!dataFlowStartedRef.current) {
+                if (!dataFlowStartedRef.current && !IS_REPLAY_WINDOW) {
                     try {
                         const { ipcRenderer } = window.require('electron');
                         ipcRenderer.send('candle-data-started');
@@ -1430,7 +2110,9 @@ function App() {
                 // Forward candle data to external clients immediately
                 try {
                     const { ipcRenderer } = window.require('electron');
-                    ipcRenderer.send('candle-data-forward', message);
+                    if (!IS_REPLAY_WINDOW) {
+                        ipcRenderer.send('candle-data-forward', message);
+                    }
                 } catch (error) {
                     console.error('Error forwarding candle data:', error);
                 }
@@ -1440,6 +2122,7 @@ function App() {
                     console.warn(`Unknown timeframe received: ${timeframe}`);
                     return;
                 }
+                noteCandleTime(timeframe, candle.timestamp);
 
                 // REVISED: Clearer logic for handling data in different modes
                 if (candle.source === 'T') {
@@ -1449,18 +2132,15 @@ function App() {
                     if (!isLiveModeRef.current) {
                         // First live candle in a non-live mode - render charts and switch to live mode
                         console.log('First Live candle! Transitioning to live mode');
-                        console.log('Accumulated data before transition:', {
-                            '1h': accumulatedDataRef.current['1h'].length,
-                            '15m': accumulatedDataRef.current['15m'].length,
-                            '5m': accumulatedDataRef.current['5m'].length,
-                            '1m': accumulatedDataRef.current['1m'].length
-                        });
+                        console.log('Accumulated data before transition:', Object.fromEntries(
+                            Object.entries(accumulatedDataRef.current).map(([tf, candles]) => [tf, candles.length])
+                        ));
                         
                         // Create updatedData with all accumulated data
                         const updatedData = {};
                         for (const tf in accumulatedDataRef.current) {
                             if (accumulatedDataRef.current[tf].length > 0) {
-                                updatedData[tf] = [...accumulatedDataRef.current[tf]];
+                                updatedData[tf] = sortUniqueCandles(accumulatedDataRef.current[tf]);
                                 console.log(`Added ${updatedData[tf].length} historical candles for ${tf}`);
                             } else {
                                 updatedData[tf] = [];
@@ -1483,9 +2163,11 @@ function App() {
                         // Set state in a consistent order
                         isLiveModeRef.current = true;
                         setLoadingProgress('Transitioning to live data mode...');
-                        setChartData(updatedData);
+                        setChartData(addAggregatedTimeframes(updatedData));
                         setDataLoaded(true);
                         setIsLiveMode(true);
+                        sessionLoaded = true;
+                        backfillCachedHistory();
                         
                         // Store the current candle so we can re-process it if needed
                         const firstLiveCandle = {...candle, timeframe};
@@ -1493,6 +2175,9 @@ function App() {
                         // Set a small timeout to ensure the firstLiveCandle will be processed 
                         // after the charts are initialized
                         setTimeout(() => {
+                            // Source-only timeframes (subscribed for aggregation) have no chart of their own
+                            if (!displayTimeframesRef.current.includes(timeframe)) return;
+
                             // Re-process the first live candle to ensure it's properly rendered
                             if (dataSeriesRefs.current[timeframe]) {
                                 console.log(`Re-processing first live candle for ${timeframe}`);
@@ -1522,100 +2207,47 @@ function App() {
                         }, 100);
                     } else {
                         // Already in live mode - process the candle
-                        const dataSeries = dataSeriesRefs.current[timeframe];
-                        if (dataSeries) {
-                            // Chart is ready, process immediately
-                            handleLiveCandleUpdateCallback(candle, timeframe);
-                        } else {
-                            // Chart not ready, queue the candle
-                            console.warn(`Queueing live candle for ${timeframe} as chart is not ready yet.`);
-                            candleQueueRef.current[timeframe].push({ candle });
-                        }
+                        applyLiveCandle(candle, timeframe);
                     }
+                } else if (resumeFrom) {
+                    // History filling the gap a reconnect left is merged into the charts like live candles
+                    applyLiveCandle(candle, timeframe);
+                    scheduleResumeCoverage();
                 } else {
-                    // Historical data handling
-                    if (dataMode === 'Live') {
-                        // In Live mode, we need to accumulate historical data and then set it all at once
-                        console.log(`Accumulating historical data for ${timeframe} in Live mode`);
-                        accumulatedDataRef.current[timeframe].push(candle);
-                        setLoadingProgress(`Loading historical data: ${timeframe} (${accumulatedDataRef.current[timeframe].length} candles)`);
-                        
-                        // Use a debounced timer to set the data once we've received all candles
-                        if (timeoutRef.current) {
-                            clearTimeout(timeoutRef.current);
-                        }
-                        
-                        timeoutRef.current = setTimeout(() => {
-                            console.log('Timeout triggered: Processing historical data in Live mode');
-                            
-                            // Check if we've actually accumulated any data before proceeding
-                            let totalCandles = 0;
-                            for (const tf in accumulatedDataRef.current) {
-                                totalCandles += accumulatedDataRef.current[tf].length;
-                            }
-                            
-                            if (totalCandles > 0) {
-                                setLoadingProgress('Processing historical data...');
-                                const sortedData = {};
-                                for (const tf in accumulatedDataRef.current) {
-                                    sortedData[tf] = accumulatedDataRef.current[tf].sort(
-                                        (a, b) => a.timestamp - b.timestamp
-                                    );
-                                    console.log(`Sorted ${sortedData[tf].length} historical candles for ${tf}`);
-                                }
-                                
-                                // Process sessions if we have 1m data
-                                if (sortedData['1m'] && sortedData['1m'].length > 0) {
-                                    const sessionData = processSessionsFromCandles(sortedData['1m']);
-                                    setSessions(sessionData);
-                                    console.log(`Processed ${sessionData.length} trading sessions from historical data`);
-                                }
-                                
-                                // Only set dataLoaded if we actually have data
-                                setChartData(sortedData);
-                                setDataLoaded(true);
-                                console.log('Historical data processing complete in Live mode');
-                            } else {
-                                console.warn('No historical data accumulated to process');
-                            }
-                        }, 1000);
-                    } else {
-                        // In other modes, accumulate as normal
-                        accumulatedDataRef.current[timeframe].push(candle);
-                        setLoadingProgress(`Loading historical data: ${timeframe} (${accumulatedDataRef.current[timeframe].length} candles)`);
-
-                        if (timeoutRef.current) {
-                            clearTimeout(timeoutRef.current);
-                        }
-                        timeoutRef.current = setTimeout(() => {
-                            setLoadingProgress('Processing historical data...');
-                            const sortedData = {};
-                            for (const tf in accumulatedDataRef.current) {
-                                sortedData[tf] = accumulatedDataRef.current[tf].sort((a, b) => a.timestamp - b.timestamp);
-                            }
-                            
-                            // Process sessions if we have 1m data
-                            if (sortedData['1m'] && sortedData['1m'].length > 0) {
-                                const sessionData = processSessionsFromCandles(sortedData['1m']);
-                                setSessions(sessionData);
-                                console.log(`Processed ${sessionData.length} trading sessions from historical data`);
-                            }
-                            
-                            setChartData(sortedData);
-                            setDataLoaded(true);
-                            console.log('Historical data processing complete');
-                        }, 1000);
-                    }
+                    // Historical data handling - accumulate it and set it all at once when it stops arriving
+                    accumulatedDataRef.current[timeframe].push(candle);
+                    setLoadingProgress(`Loading historical data: ${timeframe} (${accumulatedDataRef.current[timeframe].length} candles)`);
+                    scheduleHistoryProcessing();
                 }
             }
         };
 
-        websocket.onerror = (err) => {
+        const handleError = (err) => {
             console.error('WebSocket error:', err);
         };
 
-        websocket.onclose = () => {
+        const handleClose = () => {
             console.log('WebSocket closed');
+            clearTimeout(settingsWaitTimer);
+            clearTimeout(resumeTimer);
+            // Live candles after this may come after a gap, so they no longer extend the cached ranges
+            if (!IS_REPLAY_WINDOW) {
+                window.require('electron').ipcRenderer.send('candle-cache:live-ended');
+            }
+
+            // Once the charts have their history, a dropped connection is reconnected with backoff and the
+            // session resumed instead of going back to the connection screen. Everything on screen stays as it
+            // is, and the instrument feeds reconnect on their own. A Chronicle replay ends with its connection.
+            if (sessionLoaded && dataMode !== 'Replay' && connectionMonitor.closed()) {
+                return;
+            }
+            // A first connect that couldn't reach the primary server tries the secondary
+            if (connectionMonitor.tryNextServer()) {
+                return;
+            }
+            connectionMonitor.stop();
+
+            closeInstrumentFeeds();
             setIsConnected(false);
             setWs(null);
             setLoading(false);
@@ -1634,6 +2266,16 @@ function App() {
                 }
             }
         };
+
+        const openSocket = () => {
+            websocket = isLocalReplay ? new LocalReplaySocket() : new WebSocket(connectionMonitor.server.url);
+            console.log(`Connecting to ${isLocalReplay ? 'local replay' : connectionMonitor.server.name}`);
+            websocket.onopen = handleOpen;
+            websocket.onmessage = handleMessage;
+            websocket.onerror = handleError;
+            websocket.onclose = handleClose;
+        };
+        openSocket();
     };
 
     useEffect(() => {
@@ -1660,6 +2302,7 @@ function App() {
 
     const handleMouseDown = (direction, dividerIndex = 0) => (downEvent) => {
         downEvent.preventDefault();
+        setFocusedTimeframe(null);
         const startY = downEvent.clientY;
         const startX = downEvent.clientX;
 
@@ -1707,8 +2350,7 @@ function App() {
         console.log(`Clearing annotations for strategy: ${strategyId}`);
         
         // Use current timeframes based on layout
-        const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
+        const currentTimeframes = timeframes;
         
         // For each timeframe, find and remove annotations for this strategy
         currentTimeframes.forEach(timeframe => {
@@ -1749,7 +2391,7 @@ function App() {
         
         // Update annotation counts after clearing
         countStrategyAnnotations();
-    }, [chartLayout]);
+    }, [timeframes]);
 
     // Helper function to format a timestamp in MM/DD hh:mm format
     const formatTimestamp = (timestamp) => {
@@ -1839,6 +2481,11 @@ function App() {
         return utcTimestamp;
     };
 
+    // The reverse of convertToUTCTimestamp - a timestamp as a yyyy-mm-ddThh:mm Eastern Time string
+    const convertToEasternDateTime = (timestamp) => {
+        return DateTime.fromMillis(timestamp, { zone: 'America/New_York' }).toFormat("yyyy-MM-dd'T'HH:mm");
+    };
+
     // Modify the useEffect to initialize date values on both initial load and when data mode changes
     useEffect(() => {
         if (dataMode === 'Replay') {
@@ -1880,10 +2527,7 @@ function App() {
         
         // Send message to server
         if (ws && ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify({
-                action: "modify_replay",
-                pause: newPausedState
-            }));
+            replayControllerRef.current.setPaused(newPausedState);
             console.log(`Sending replay ${newPausedState ? 'pause' : 'resume'} command`);
         } else {
             console.error('WebSocket not connected, cannot send pause/resume command');
@@ -1900,8 +2544,13 @@ function App() {
             ws.send(JSON.stringify({
                 action: "stop_replay"
             }));
+            sendToInstrumentFeeds({ action: "stop_replay" });
             console.log("Sending replay stop command");
             setReplayEnded(true);
+            // The simulator scores the replay's trades and sends back the scorecard
+            if (!IS_REPLAY_WINDOW) {
+                window.require('electron').ipcRenderer.send('sim-broker:replay-end');
+            }
         } else {
             console.error('WebSocket not connected, cannot send stop command');
         }
@@ -1925,10 +2574,7 @@ function App() {
                 
                 // Send message to server
                 if (ws && ws.readyState === WebSocket.OPEN) {
-                    ws.send(JSON.stringify({
-                        action: "modify_replay",
-                        replay_interval: newInterval
-                    }));
+                    replayControllerRef.current.setInterval(newInterval);
                     console.log(`Sending replay interval update: ${newInterval}ms`);
                 } else {
                     console.error('WebSocket not connected, cannot update interval');
@@ -1940,15 +2586,60 @@ function App() {
         }
     };
 
+    // Apply new settings and save them to the server.
+    // save_client_settings replaces the stored settings, so send the same set of keys Settings.js saves
+    const saveClientSettings = useCallback((newSettings, description) => {
+        setSettings(newSettings);
+
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            const saveRequest = {
+                action: 'save_client_settings',
+                client_id: `quatrain-${clientId}`,
+                new_values: {
+                    chartBehavior: newSettings.chartBehavior,
+                    colors: newSettings.colors,
+                    gridOptions: newSettings.gridOptions,
+                    candleWidth: newSettings.candleWidth,
+                    chartTypes: newSettings.chartTypes,
+                    volumeOptions: newSettings.volumeOptions,
+                    indicators: newSettings.indicators,
+                    barTypeOptions: newSettings.barTypeOptions,
+                    layoutTimeframes: newSettings.layoutTimeframes,
+                    gridLayout: newSettings.gridLayout,
+                    workspaces: newSettings.workspaces,
+                    alerts: newSettings.alerts,
+                    alertLog: newSettings.alertLog,
+                    replayBookmarks: newSettings.replayBookmarks,
+                },
+            };
+            ws.send(JSON.stringify(saveRequest));
+            console.log(`Sent save_client_settings request with ${description}`);
+        } else {
+            console.error(`WebSocket is not open. Cannot save ${description}.`);
+        }
+    }, [ws, clientId]);
+
+    // Handle built-in indicator changes from the Indicators and Studies panel
+    const handleIndicatorSettingsChange = useCallback((newIndicatorSettings) => {
+        saveClientSettings({ ...settings, indicators: newIndicatorSettings }, 'indicator settings');
+    }, [settings, saveClientSettings]);
+
     // Add resetQuatrain function after handleIntervalSubmit
     const resetQuatrain = useCallback(() => {
         console.log('Resetting Quatrain application...');
+
+        // The connection is being closed on purpose - don't reconnect it
+        if (connectionMonitorRef.current) {
+            connectionMonitorRef.current.stop();
+        }
         
         // First, explicitly send candle-data-reset to ensure external clients get "sync ended" message
         try {
             const { ipcRenderer } = window.require('electron');
-            ipcRenderer.send('candle-data-reset');
-            console.log('Sent candle-data-reset to main process');
+            if (!IS_REPLAY_WINDOW) {
+                ipcRenderer.send('candle-data-reset');
+                console.log('Sent candle-data-reset to main process');
+            }
         } catch (error) {
             console.error('Error sending candle-data-reset:', error);
         }
@@ -1964,6 +2655,8 @@ function App() {
             if (ws && ws.readyState === WebSocket.OPEN) {
                 ws.close();
             }
+            closeInstrumentFeeds();
+            setInstrumentChartData({});
             
             // Reset all state variables to initial values
             setIsConnected(false);
@@ -2010,6 +2703,7 @@ function App() {
             setReplayPaused(false);
             setReplayEnded(false);
             setIsReplayMode(false);
+            replayControllerRef.current = null;
             
             // Clear annotations
             setAnnotations([]);
@@ -2028,6 +2722,9 @@ function App() {
             // Clear ICT price lines annotations
             ictPriceLinesAnnotations.removeAllAnnotations();
             
+            // Clear built-in indicators
+            indicatorEngine.destroy();
+            
             // Clear opening gaps annotations - DISABLED - Converted to User Study
             // openingGapsAnnotations.destroy();
             
@@ -2037,8 +2734,7 @@ function App() {
             }
             
             // Reset chart surfaces
-            const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                    chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
+            const currentTimeframes = timeframes;
             for (const timeframe of currentTimeframes) {
                 if (sciChartSurfaceRefs.current[timeframe]) {
                     // Clear any annotations on the charts
@@ -2082,7 +2778,7 @@ function App() {
             
             console.log('App state reset to initial startup');
         }, 250); // Give 250ms for the candle forwarding reset to complete
-    }, [ws, chartLayout]); // Restored ws dependency
+    }, [ws, timeframes]); // Restored ws dependency
 
     // Switch instrument handler
     const handleSwitchInstrument = useCallback((newInstrument) => {
@@ -2101,6 +2797,238 @@ function App() {
         }, 300); // Give slightly more time than reset's 250ms delay
     }, [resetQuatrain]); // Removed 'connect' to avoid circular reference issues
 
+    // Reconnect with a new layout ({ chartLayout, layoutTimeframes, gridLayout }) - the same reset and
+    // reconnect sequence as switching instrument, since the subscribed timeframes change
+    const reconnectWithLayout = useCallback((layout) => {
+        console.log('App.js: Reconnecting with new layout:', layout);
+        resetQuatrain();
+        setTimeout(() => {
+            connect(null, layout);
+        }, 300); // Give slightly more time than reset's 250ms delay
+    }, [resetQuatrain]); // Removed 'connect' to avoid circular reference issues
+
+    // Restart the replay with its clock at a moment - for bookmarks and jumps back in time. The history before it
+    // and the length of the replay after it stay the same, and a moment inside the current range keeps its end.
+    // A paused restart waits there, with nothing after the moment shown, until it's resumed or stepped.
+    const restartReplayAt = (timestamp, paused = false) => {
+        const historyStartTimestamp = convertToUTCTimestamp(historyStart);
+        const liveStartTimestamp = convertToUTCTimestamp(liveStart);
+        const liveEndTimestamp = convertToUTCTimestamp(liveEnd);
+        const isInRange = timestamp >= historyStartTimestamp && timestamp < liveEndTimestamp;
+        const range = {
+            historyStart: convertToEasternDateTime(timestamp - (liveStartTimestamp - historyStartTimestamp)),
+            liveStart: convertToEasternDateTime(timestamp),
+            liveEnd: convertToEasternDateTime(isInRange ? liveEndTimestamp : timestamp + (liveEndTimestamp - liveStartTimestamp)),
+            paused
+        };
+        console.log('App.js: Restarting replay at', range.liveStart);
+
+        setHistoryStart(range.historyStart);
+        setLiveStart(range.liveStart);
+        setLiveEnd(range.liveEnd);
+        resetQuatrain();
+        setTimeout(() => {
+            connect(null, null, range);
+        }, 300); // Give slightly more time than reset's 250ms delay
+    };
+
+    const handleReplaySpeed = (speed) => {
+        const interval = getSpeedInterval(speed);
+        setIntervalInputValue(interval.toString());
+        replayControllerRef.current.setInterval(interval);
+    };
+
+    // Steps and jumps play until they arrive, then the controller pauses the replay again
+    const handleReplayStep = (timeframe) => {
+        setReplayPaused(false);
+        replayControllerRef.current.step(timeframe);
+    };
+
+    // Step back to the end of the previous bar of a timeframe. Local replays restart there instantly, paused.
+    const handleReplayStepBack = (timeframe) => {
+        const clockTime = replayControllerRef.current.getClockTime();
+        restartReplayAt(getBucketStart(clockTime, timeframe), true);
+    };
+
+    // Jump to a yyyy-mm-ddThh:mm ET time - ahead in the replay by playing there, anywhere else by restarting it
+    const handleReplayJump = (easternDateTime) => {
+        const timestamp = convertToUTCTimestamp(easternDateTime);
+        if (!Number.isFinite(timestamp)) return;
+        setReplayPaused(false);
+        if (!replayControllerRef.current.jumpTo(timestamp)) {
+            restartReplayAt(timestamp);
+        }
+    };
+
+    // Bookmark the replay clock's current minute
+    const handleAddReplayBookmark = (label) => {
+        const time = replayControllerRef.current.time;
+        if (!time) return;
+        const bookmark = {
+            id: `bookmark-${Date.now()}`,
+            instrument,
+            time,
+            label: label || ''
+        };
+        const replayBookmarks = [...(settings.replayBookmarks || []), bookmark].sort((a, b) => a.time - b.time);
+        saveClientSettings({ ...settings, replayBookmarks }, 'replay bookmark');
+    };
+
+    const handleDeleteReplayBookmark = (bookmarkId) => {
+        const replayBookmarks = (settings.replayBookmarks || []).filter(bookmark => bookmark.id !== bookmarkId);
+        saveClientSettings({ ...settings, replayBookmarks }, 'replay bookmark deletion');
+    };
+
+    // Give timeframes that are new to the layout a default chart behavior and chart type
+    const withTimeframeDefaults = (baseSettings, layoutTimeframes) => {
+        const chartBehavior = { ...baseSettings.chartBehavior };
+        const chartTypes = { ...baseSettings.chartTypes };
+        layoutTimeframes.forEach(timeframe => {
+            if (!chartBehavior[timeframe]) chartBehavior[timeframe] = { ...DEFAULT_CHART_BEHAVIOR };
+            if (!chartTypes[timeframe]) chartTypes[timeframe] = 'Candle';
+        });
+        return { ...baseSettings, chartBehavior, chartTypes };
+    };
+
+    // Grid cells were moved or resized - react-grid-layout has already applied the positions, just save them
+    const handleGridPositionsChange = useCallback((cells) => {
+        saveClientSettings({ ...settings, gridLayout: { cells } }, 'grid layout');
+    }, [settings, saveClientSettings]);
+
+    // Grid cells were added, removed or given a new timeframe - save and reconnect with the new grid
+    const handleGridCellsChange = useCallback((cells) => {
+        const gridLayout = { cells };
+        const newSettings = withTimeframeDefaults({ ...settings, gridLayout }, getGridTimeframes(gridLayout, instrument));
+        saveClientSettings(newSettings, 'grid layout');
+        reconnectWithLayout({ chartLayout: 'grid', layoutTimeframes: newSettings.layoutTimeframes, gridLayout });
+    }, [settings, saveClientSettings, reconnectWithLayout, instrument]);
+
+    // Save the current layout, drawing-tool defaults, indicators and studies as a named workspace
+    const handleSaveWorkspace = useCallback((name) => {
+        const workspace = {
+            chartLayout,
+            layoutTimeframes: settings.layoutTimeframes,
+            gridLayout: settings.gridLayout,
+            rowSplitRatio,
+            columnSplitRatio,
+            columnSplitRatios,
+            chartTypes: settings.chartTypes,
+            chartBehavior: settings.chartBehavior,
+            indicators: settings.indicators,
+            drawingDefaults: {
+                lineColor,
+                lineType,
+                showLabel,
+                lineOrientation,
+                boxOpacity,
+                isAllTimeframes,
+                arrowDirection,
+                arrowSize,
+                arrowStyle,
+                annotationText,
+                fontSize,
+                textAnchor,
+                fibType,
+                fibLevels,
+                fibShowPrices,
+                positionTargetR,
+            },
+            studies: {
+                internalStrategy: internalStrategyAnnotations.getSettings(),
+                sessionLabels: sessionLabelsAnnotations.getSettings(),
+                killzones: killzonesAnnotations.getSettings(),
+                ictPriceLines: ictPriceLinesAnnotations.getSettings(),
+            },
+            savedAt: Date.now(),
+        };
+        saveClientSettings({ ...settings, workspaces: { ...settings.workspaces, [name]: workspace } }, `workspace "${name}"`);
+    }, [settings, saveClientSettings, chartLayout, rowSplitRatio, columnSplitRatio, columnSplitRatios, lineColor, lineType,
+        showLabel, lineOrientation, boxOpacity, isAllTimeframes, arrowDirection, arrowSize, arrowStyle, annotationText,
+        fontSize, textAnchor, fibType, fibLevels, fibShowPrices, positionTargetR]);
+
+    // Restore a saved workspace. Drawing defaults, studies and split ratios apply immediately; if the
+    // workspace shows a different layout or timeframes, reconnect so the new timeframes are subscribed.
+    const handleLoadWorkspace = useCallback((name) => {
+        const workspace = (settings.workspaces || {})[name];
+        if (!workspace) return;
+        console.log(`Loading workspace "${name}":`, workspace);
+
+        const drawingDefaults = workspace.drawingDefaults || {};
+        const drawingSetters = {
+            lineColor: setLineColor,
+            lineType: setLineType,
+            showLabel: setShowLabel,
+            lineOrientation: setLineOrientation,
+            boxOpacity: setBoxOpacity,
+            isAllTimeframes: setIsAllTimeframes,
+            arrowDirection: setArrowDirection,
+            arrowSize: setArrowSize,
+            arrowStyle: setArrowStyle,
+            annotationText: setAnnotationText,
+            fontSize: setFontSize,
+            textAnchor: setTextAnchor,
+            fibType: setFibType,
+            fibLevels: setFibLevels,
+            fibShowPrices: setFibShowPrices,
+            positionTargetR: setPositionTargetR,
+        };
+        Object.keys(drawingSetters).forEach(key => {
+            if (drawingDefaults[key] !== undefined) drawingSetters[key](drawingDefaults[key]);
+        });
+
+        const studies = workspace.studies || {};
+        if (studies.internalStrategy) internalStrategyAnnotations.updateSettings(studies.internalStrategy);
+        if (studies.sessionLabels) sessionLabelsAnnotations.updateSettings(studies.sessionLabels);
+        if (studies.killzones) killzonesAnnotations.updateSettings(studies.killzones);
+        if (studies.ictPriceLines) ictPriceLinesAnnotations.updateSettings(studies.ictPriceLines);
+
+        if (workspace.rowSplitRatio !== undefined) setRowSplitRatio(workspace.rowSplitRatio);
+        if (workspace.columnSplitRatio !== undefined) setColumnSplitRatio(workspace.columnSplitRatio);
+        if (Array.isArray(workspace.columnSplitRatios)) setColumnSplitRatios(workspace.columnSplitRatios);
+
+        const newChartLayout = workspace.chartLayout || chartLayout;
+        const layoutTimeframes = { ...settings.layoutTimeframes, ...workspace.layoutTimeframes };
+        const gridLayout = workspace.gridLayout || settings.gridLayout;
+        const newTimeframes = newChartLayout === 'grid'
+            ? getGridTimeframes(gridLayout, instrument)
+            : getLayoutTimeframes(newChartLayout, layoutTimeframes);
+
+        const newSettings = withTimeframeDefaults({
+            ...settings,
+            layoutTimeframes,
+            gridLayout,
+            chartTypes: { ...settings.chartTypes, ...workspace.chartTypes },
+            chartBehavior: { ...settings.chartBehavior, ...workspace.chartBehavior },
+            indicators: workspace.indicators || settings.indicators,
+        }, newTimeframes);
+        saveClientSettings(newSettings, `workspace "${name}"`);
+
+        setShowWorkspaces(false);
+        const gridInstrumentsChanged = newChartLayout === 'grid' && JSON.stringify(getGridInstrumentTimeframes(gridLayout, instrument))
+            !== JSON.stringify(getGridInstrumentTimeframes(settings.gridLayout, instrument));
+        if (newChartLayout !== chartLayout || newTimeframes.join(',') !== timeframes.join(',') || gridInstrumentsChanged) {
+            setChartLayout(newChartLayout);
+            reconnectWithLayout({ chartLayout: newChartLayout, layoutTimeframes, gridLayout });
+        }
+    }, [settings, saveClientSettings, chartLayout, timeframes, reconnectWithLayout, instrument]);
+
+    const handleDeleteWorkspace = useCallback((name) => {
+        const workspaces = { ...settings.workspaces };
+        delete workspaces[name];
+        saveClientSettings({ ...settings, workspaces }, `workspace "${name}" deletion`);
+    }, [settings, saveClientSettings]);
+
+    // The alert service evaluates the saved alerts; its changes (new, edited, triggered) are saved back
+    useEffect(() => {
+        alertService.load(settings.alerts, settings.alertLog);
+    }, [settings.alerts, settings.alertLog]);
+
+    useEffect(() => {
+        return alertService.subscribe(({ alerts, log }) => {
+            saveClientSettings({ ...settings, alerts, alertLog: log }, 'alerts');
+        });
+    }, [settings, saveClientSettings]);
+
     // Add a useEffect to listen for reset-quatrain event from Electron
     useEffect(() => {
         const { ipcRenderer } = window.require('electron');
@@ -2127,125 +3055,25 @@ function App() {
         };
     }, [handleSwitchInstrument]);
 
-    // Function to handle crosshair movement and synchronize across all charts
-    const handleCrosshairMove = useCallback((timeframe, timestamp, price) => {
-        if (!isCrosshairMode) return;
-        
-        console.log(`DIAGNOSTIC: handleCrosshairMove called from ${timeframe} with timestamp=${timestamp} and price=${price}`);
-        
-        // Parse the source timeframe value to get duration in minutes
-        const sourceTimeframeMinutes = parseTimeframeToMinutes(timeframe);
-        
-        // Get current timeframes based on layout
-        const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
-        
-        // Loop through all timeframes and update their crosshairs
-        for (const tf of currentTimeframes) {
-            // Skip the source chart that triggered the event
-            if (tf === timeframe) continue;
-            
-            const sciChartSurface = sciChartSurfaceRefs.current[tf];
-            if (!sciChartSurface || !sciChartSurface.updateCrosshair) continue;
-            
-            // Map the timestamp to an appropriate value for each timeframe
-            let mappedTimestamp = timestamp;
-            
-            // Parse the target timeframe value to get duration in minutes
-            const targetTimeframeMinutes = parseTimeframeToMinutes(tf);
-            
-            // If target timeframe is higher than source timeframe (e.g., 5m > 1m)
-            if (targetTimeframeMinutes > sourceTimeframeMinutes) {
-                // Calculate the start of the containing candle in the higher timeframe
-                const date = new Date(timestamp);
-                
-                // Calculate minutes since the start of the day
-                const minutesSinceDayStart = date.getUTCHours() * 60 + date.getUTCMinutes();
-                
-                // Calculate which candle bucket this timestamp falls into
-                const targetCandleIndex = Math.floor(minutesSinceDayStart / targetTimeframeMinutes);
-                
-                // Calculate the start time of that candle
-                const targetCandleStartMinutes = targetCandleIndex * targetTimeframeMinutes;
-                const targetHours = Math.floor(targetCandleStartMinutes / 60);
-                const targetMinutes = targetCandleStartMinutes % 60;
-                
-                // Create a new date with the same day but with the calculated hours and minutes
-                const mappedDate = new Date(date);
-                mappedDate.setUTCHours(targetHours, targetMinutes, 0, 0);
-                
-                // Convert back to timestamp
-                mappedTimestamp = mappedDate.getTime();
-                
-                // Try to find the exact candle in the data
-                if (chartData[tf] && chartData[tf].length > 0) {
-                    // Find the exact candle with this start time if it exists
-                    const exactCandle = chartData[tf].find(candle => 
-                        Math.abs(candle.timestamp - mappedTimestamp) < 1000 // Allow 1 second tolerance
-                    );
-                    
-                    if (exactCandle) {
-                        mappedTimestamp = exactCandle.timestamp;
-                    } else {
-                        // If exact candle not found, find the closest one as fallback
-                        let closestCandle = null;
-                        let minDistance = Number.MAX_VALUE;
-                        
-                        for (const candle of chartData[tf]) {
-                            const distance = Math.abs(candle.timestamp - mappedTimestamp);
-                            if (distance < minDistance) {
-                                minDistance = distance;
-                                closestCandle = candle;
-                            }
-                        }
-                        
-                        if (closestCandle) {
-                            mappedTimestamp = closestCandle.timestamp;
-                        }
-                    }
-                }
-            } else if (targetTimeframeMinutes < sourceTimeframeMinutes) {
-                // For lower timeframes, keep using the closest candle approach
-                if (chartData[tf] && chartData[tf].length > 0) {
-                    let closestCandle = null;
-                    let minDistance = Number.MAX_VALUE;
-                    
-                    for (const candle of chartData[tf]) {
-                        const distance = Math.abs(candle.timestamp - timestamp);
-                        if (distance < minDistance) {
-                            minDistance = distance;
-                            closestCandle = candle;
-                        }
-                    }
-                    
-                    if (closestCandle) {
-                        mappedTimestamp = closestCandle.timestamp;
-                    }
-                }
+    // The simulator ends a replay session when the replay is stopped or has run to its end
+    useEffect(() => {
+        const { ipcRenderer } = window.require('electron');
+        const replayScorecardHandler = (event, scorecard) => {
+            if (scorecard.reason === 'completed') {
+                setReplayEnded(true);
             }
-            
-            console.log(`DIAGNOSTIC: Updating crosshair in ${tf} chart with mappedTimestamp=${mappedTimestamp}`);
-            
-            // Update the crosshair on this chart
-            sciChartSurface.updateCrosshair(mappedTimestamp, price);
-        }
-    }, [isCrosshairMode, chartData, chartLayout]);
-
-    // Helper function to parse timeframe string to minutes
-    const parseTimeframeToMinutes = (timeframe) => {
-        if (timeframe.endsWith('m')) {
-            // For minute-based timeframes (1m, 5m, 15m, etc.)
-            return parseInt(timeframe.slice(0, -1));
-        } else if (timeframe.endsWith('h')) {
-            // For hour-based timeframes (1h, 4h, etc.)
-            return parseInt(timeframe.slice(0, -1)) * 60;
-        } else if (timeframe.endsWith('d')) {
-            // For day-based timeframes (1d, etc.)
-            return parseInt(timeframe.slice(0, -1)) * 60 * 24;
-        }
-        // Default to 1 minute if format not recognized
-        return 1;
-    };
+            // Only replays that were traded get a scorecard
+            if (scorecard.trades.length > 0) {
+                setReplayScorecard(scorecard);
+            }
+        };
+
+        ipcRenderer.on('replay-scorecard', replayScorecardHandler);
+
+        return () => {
+            ipcRenderer.removeListener('replay-scorecard', replayScorecardHandler);
+        };
+    }, []);
 
     // Session processing function - separate so it can be reused
     const processSessionsFromCandles = useCallback((candleData) => {
@@ -2576,6 +3404,8 @@ function App() {
         const handleOpenAnnotationManager = () => setShowAnnotationManager(true);
         const handleOpenStrategyManager = () => setShowStrategyManager(true);
         const handleOpenIndicatorsStudies = () => setShowIndicatorsStudies(true);
+        const handleOpenWorkspaces = () => setShowWorkspaces(true);
+        const handleOpenAlerts = () => setShowAlerts(true);
         
         // Handle external client sync notification
         const handleExternalClientSynced = () => {
@@ -2592,6 +3422,8 @@ function App() {
         ipcRenderer.on('open-annotation-manager', handleOpenAnnotationManager);
         ipcRenderer.on('open-strategy-manager', handleOpenStrategyManager);
         ipcRenderer.on('open-indicators-studies', handleOpenIndicatorsStudies);
+        ipcRenderer.on('open-workspaces', handleOpenWorkspaces);
+        ipcRenderer.on('open-alerts', handleOpenAlerts);
         ipcRenderer.on('external-client-synced', handleExternalClientSynced);
         
         // Listeners for the new Chart Modify Order Overlay
@@ -2639,6 +3471,8 @@ function App() {
             ipcRenderer.removeAllListeners('request-data-for-trade-manager');
             ipcRenderer.removeAllListeners('execute-trade');
             ipcRenderer.removeAllListeners('external-client-synced');
+            ipcRenderer.removeAllListeners('open-workspaces');
+            ipcRenderer.removeAllListeners('open-alerts');
             
             // Remove new listeners for modify order overlay
             ipcRenderer.removeAllListeners('show-modify-order-overlay');
@@ -2651,8 +3485,7 @@ function App() {
         const counts = {};
         
         // Use current timeframes based on layout
-        const currentTimeframes = chartLayout === '4-way' ? fourWayTimeframes : 
-                                chartLayout === '6-way-long' ? sixWayLongTimeframes : sixWayTimeframes;
+        const currentTimeframes = timeframes;
         
         // For each timeframe, count annotations for each strategy
         currentTimeframes.forEach(timeframe => {
@@ -2695,7 +3528,7 @@ function App() {
         
         setStrategyAnnotationCounts(finalCounts);
         return finalCounts;
-    }, [chartLayout, strategies]);
+    }, [timeframes, strategies]);
 
     // Update annotation counts when charts change or strategies change
     useEffect(() => {
@@ -2749,6 +3582,51 @@ function App() {
         return () => clearInterval(memoryAuditInterval);
     }, [timeframes, countStrategyAnnotations]);
 
+    // A focused timeframe that left the layout no longer has a pane to fill the window
+    useEffect(() => {
+        if (focusedTimeframe && !timeframes.includes(focusedTimeframe)) {
+            setFocusedTimeframe(null);
+        }
+    }, [focusedTimeframe, timeframes]);
+
+    useEffect(() => {
+        if (!hotkeyNotice) return undefined;
+        const timer = setTimeout(() => setHotkeyNotice(null), 4000);
+        return () => clearTimeout(timer);
+    }, [hotkeyNotice]);
+
+    // Chart actions for the hotkeys (see utils/Hotkeys.js), left out while they can't run. Replay steps move by the
+    // focused timeframe, or else the shortest one.
+    const hotkeyHandlersRef = useRef({});
+    const canMoveReplay = isReplayMode && !replayEnded && !!replayControllerRef.current;
+    const replayStepTimeframe = getTimeframeDurationMs(focusedTimeframe)
+        ? focusedTimeframe
+        : timeframes
+            .filter(timeframe => getTimeframeDurationMs(timeframe))
+            .sort((a, b) => getTimeframeDurationMs(a) - getTimeframeDurationMs(b))[0];
+    hotkeyHandlersRef.current = isConnected && !loading ? {
+        lineMode: handleToggleLineMode,
+        boxMode: handleToggleBoxMode,
+        trendMode: handleToggleTrendMode,
+        arrowMode: handleToggleArrowMode,
+        textMode: handleToggleTextMode,
+        fibMode: handleToggleFibMode,
+        positionMode: handleTogglePositionMode,
+        crosshair: toggleCrosshairMode,
+        linkedCursor: toggleLinkedCursor,
+        drawingLock: toggleDrawingLockMode,
+        ...Object.fromEntries(timeframes.map((timeframe, index) => [
+            `focusTimeframe${index + 1}`,
+            () => setFocusedTimeframe(current => (current === timeframe ? null : timeframe))
+        ])),
+        replayPause: canMoveReplay ? handleReplayPauseToggle : null,
+        replayStep: canMoveReplay && replayStepTimeframe ? () => handleReplayStep(replayStepTimeframe) : null,
+        replayStepBack: canMoveReplay && replayStepTimeframe && replaySource === 'Local'
+            ? () => handleReplayStepBack(replayStepTimeframe)
+            : null
+    } : {};
+    const { hotkeys } = useHotkeys('chart', hotkeyHandlersRef, setHotkeyNotice);
+
     if (!isConnected) {
         return (
             <ConnectionScreen
@@ -2758,10 +3636,13 @@ function App() {
                 setInstrument={setInstrument}
                 historicalDays={historicalDays}
                 setHistoricalDays={setHistoricalDays}
+                maxHistoricalDays={MAX_HISTORY_DAYS}
+                recentHistoricalDays={RECENT_HISTORY_DAYS}
                 dataMode={dataMode}
                 setDataMode={setDataMode}
                 chartLayout={chartLayout}
                 setChartLayout={setChartLayout}
+                layoutTimeframes={settings.layoutTimeframes}
                 historyStart={historyStart}
                 setHistoryStart={setHistoryStart}
                 liveStart={liveStart}
@@ -2770,6 +3651,11 @@ function App() {
                 setLiveEnd={setLiveEnd}
                 replayInterval={replayInterval}
                 setReplayInterval={setReplayInterval}
+                replaySource={replaySource}
+                setReplaySource={setReplaySource}
+                replayOnly={IS_REPLAY_WINDOW}
+                serverProfiles={serverProfiles}
+                saveServerProfiles={saveServerProfiles}
                 connect={connect}
                 backgroundImage={backgroundImage}
                 showExternalClientSyncNotification={showExternalClientSyncNotification}
@@ -2822,6 +3708,8 @@ function App() {
                 togglePanel={toggleFlyout}
                 isCrosshairMode={isCrosshairMode}
                 toggleCrosshairMode={toggleCrosshairMode}
+                isLinkedCursor={isLinkedCursor}
+                toggleLinkedCursor={toggleLinkedCursor}
                 isDrawingLockMode={isDrawingLockMode}
                 toggleDrawingLockMode={toggleDrawingLockMode}
                 isLineMode={isLineMode}
@@ -2834,6 +3722,12 @@ function App() {
                 toggleArrowMode={handleToggleArrowMode}
                 isTextMode={isTextMode}
                 toggleTextMode={handleToggleTextMode}
+                isFibMode={isFibMode}
+                toggleFibMode={handleToggleFibMode}
+                isPositionMode={isPositionMode}
+                togglePositionMode={handleTogglePositionMode}
+                exportLayoutSnapshot={() => exportLayoutSnapshot()}
+                getConnectionHealth={() => connectionMonitorRef.current && connectionMonitorRef.current.getHealth()}
             />
             
             {/* Drawings Locked Overlay */}
@@ -2850,6 +3744,8 @@ function App() {
                 isBoxMode={isBoxMode}
                 isArrowMode={isArrowMode}
                 isTextMode={isTextMode}
+                isFibMode={isFibMode}
+                isPositionMode={isPositionMode}
                 lineColor={lineColor}
                 setLineColor={setLineColor}
                 lineType={lineType}
@@ -2874,53 +3770,128 @@ function App() {
                 setFontSize={setFontSize}
                 textAnchor={textAnchor}
                 setTextAnchor={setTextAnchor}
+                fibType={fibType}
+                setFibType={setFibType}
+                fibLevels={fibLevels}
+                setFibLevels={setFibLevels}
+                fibShowPrices={fibShowPrices}
+                setFibShowPrices={setFibShowPrices}
+                positionTargetR={positionTargetR}
+                setPositionTargetR={setPositionTargetR}
             />
             
-            <ChartLayout
-                chartLayout={chartLayout}
-                timeframes={timeframes}
-                instrument={instrument}
-                chartData={chartData}
-                settings={settings}
-                isCrosshairMode={isCrosshairMode}
-                isLineMode={isLineMode}
-                isBoxMode={isBoxMode}
-                isTrendMode={isTrendMode}
-                isArrowMode={isArrowMode}
-                isTextMode={isTextMode}
-                isDrawingLockMode={isDrawingLockMode}
-                lineColor={lineColor}
-                lineType={lineType}
-                showLabel={showLabel}
-                lineOrientation={lineOrientation}
-                setIsLineMode={setIsLineMode}
-                setIsBoxMode={setIsBoxMode}
-                setIsTrendMode={setIsTrendMode}
-                setIsArrowMode={setIsArrowMode}
-                setIsTextMode={setIsTextMode}
-                boxOpacity={boxOpacity}
-                arrowDirection={arrowDirection}
-                arrowSize={arrowSize}
-                arrowStyle={arrowStyle}
-                annotationText={annotationText}
-                fontSize={fontSize}
-                textAnchor={textAnchor}
-                setDataSeriesRef={setDataSeriesRef}
-                setLastPriceLineRef={setLastPriceLineRef}
-                setSciChartSurfaceRef={setSciChartSurfaceRef}
-                onAnnotationCreated={onAnnotationCreated}
-                onAnnotationUpdated={onAnnotationUpdated}
-                onAnnotationDeleted={onAnnotationDeleted}
-                createAnnotationId={createAnnotationId}
-                handleCrosshairMove={handleCrosshairMove}
-                isLiveMode={isLiveMode}
-                isReplayMode={isReplayMode}
-                handleMouseDown={handleMouseDown}
-                windowSize={windowSize}
-                rowSplitRatio={rowSplitRatio}
-                columnSplitRatio={columnSplitRatio}
-                columnSplitRatios={columnSplitRatios}
-            />
+            {chartLayout === 'grid' ? (
+                <GridChartLayout
+                    gridLayout={settings.gridLayout}
+                    focusedTimeframe={focusedTimeframe}
+                    onGridPositionsChange={handleGridPositionsChange}
+                    onGridCellsChange={handleGridCellsChange}
+                    instrumentChartData={instrumentChartData}
+                    timeframes={timeframes}
+                    instrument={instrument}
+                    chartData={chartData}
+                    settings={settings}
+                    isCrosshairMode={isCrosshairMode}
+                    isLineMode={isLineMode}
+                    isBoxMode={isBoxMode}
+                    isTrendMode={isTrendMode}
+                    isArrowMode={isArrowMode}
+                    isTextMode={isTextMode}
+                    isFibMode={isFibMode}
+                    isPositionMode={isPositionMode}
+                    isDrawingLockMode={isDrawingLockMode}
+                    lineColor={lineColor}
+                    lineType={lineType}
+                    showLabel={showLabel}
+                    lineOrientation={lineOrientation}
+                    setIsLineMode={setIsLineMode}
+                    setIsBoxMode={setIsBoxMode}
+                    setIsTrendMode={setIsTrendMode}
+                    setIsArrowMode={setIsArrowMode}
+                    setIsTextMode={setIsTextMode}
+                    setIsFibMode={setIsFibMode}
+                    setIsPositionMode={setIsPositionMode}
+                    boxOpacity={boxOpacity}
+                    arrowDirection={arrowDirection}
+                    arrowSize={arrowSize}
+                    arrowStyle={arrowStyle}
+                    annotationText={annotationText}
+                    fontSize={fontSize}
+                    textAnchor={textAnchor}
+                    fibType={fibType}
+                    fibLevels={fibLevels[fibType]}
+                    fibShowPrices={fibShowPrices}
+                    positionTargetR={positionTargetR}
+                    onExportSnapshot={handleExportPaneSnapshot}
+                    setDataSeriesRef={setDataSeriesRef}
+                    setLastPriceLineRef={setLastPriceLineRef}
+                    setSciChartSurfaceRef={setSciChartSurfaceRef}
+                    onAnnotationCreated={onAnnotationCreated}
+                    onAnnotationUpdated={onAnnotationUpdated}
+                    onAnnotationDeleted={onAnnotationDeleted}
+                    createAnnotationId={createAnnotationId}
+                    isLinkedCursor={isLinkedCursor}
+                    isLiveMode={isLiveMode}
+                    isReplayMode={isReplayMode}
+                    windowSize={windowSize}
+                />
+            ) : (
+                <ChartLayout
+                    chartLayout={chartLayout}
+                    focusedTimeframe={focusedTimeframe}
+                    timeframes={timeframes}
+                    instrument={instrument}
+                    chartData={chartData}
+                    settings={settings}
+                    isCrosshairMode={isCrosshairMode}
+                    isLineMode={isLineMode}
+                    isBoxMode={isBoxMode}
+                    isTrendMode={isTrendMode}
+                    isArrowMode={isArrowMode}
+                    isTextMode={isTextMode}
+                    isFibMode={isFibMode}
+                    isPositionMode={isPositionMode}
+                    isDrawingLockMode={isDrawingLockMode}
+                    lineColor={lineColor}
+                    lineType={lineType}
+                    showLabel={showLabel}
+                    lineOrientation={lineOrientation}
+                    setIsLineMode={setIsLineMode}
+                    setIsBoxMode={setIsBoxMode}
+                    setIsTrendMode={setIsTrendMode}
+                    setIsArrowMode={setIsArrowMode}
+                    setIsTextMode={setIsTextMode}
+                    setIsFibMode={setIsFibMode}
+                    setIsPositionMode={setIsPositionMode}
+                    boxOpacity={boxOpacity}
+                    arrowDirection={arrowDirection}
+                    arrowSize={arrowSize}
+                    arrowStyle={arrowStyle}
+                    annotationText={annotationText}
+                    fontSize={fontSize}
+                    textAnchor={textAnchor}
+                    fibType={fibType}
+                    fibLevels={fibLevels[fibType]}
+                    fibShowPrices={fibShowPrices}
+                    positionTargetR={positionTargetR}
+                    onExportSnapshot={handleExportPaneSnapshot}
+                    setDataSeriesRef={setDataSeriesRef}
+                    setLastPriceLineRef={setLastPriceLineRef}
+                    setSciChartSurfaceRef={setSciChartSurfaceRef}
+                    onAnnotationCreated={onAnnotationCreated}
+                    onAnnotationUpdated={onAnnotationUpdated}
+                    onAnnotationDeleted={onAnnotationDeleted}
+                    createAnnotationId={createAnnotationId}
+                    isLinkedCursor={isLinkedCursor}
+                    isLiveMode={isLiveMode}
+                    isReplayMode={isReplayMode}
+                    handleMouseDown={handleMouseDown}
+                    windowSize={windowSize}
+                    rowSplitRatio={rowSplitRatio}
+                    columnSplitRatio={columnSplitRatio}
+                    columnSplitRatios={columnSplitRatios}
+                />
+            )}
             
             {/* REPLAY label - only show in replay mode */}
             {isReplayMode && (
@@ -2935,6 +3906,25 @@ function App() {
                     replayPaused={replayPaused}
                     handleReplayPauseToggle={handleReplayPauseToggle}
                     handleReplayStop={handleReplayStop}
+                    timeframes={timeframes
+                        .filter(timeframe => getTimeframeDurationMs(timeframe))
+                        .sort((a, b) => getTimeframeDurationMs(a) - getTimeframeDurationMs(b))}
+                    handleReplaySpeed={handleReplaySpeed}
+                    handleReplayStep={handleReplayStep}
+                    handleReplayStepBack={replaySource === 'Local' ? handleReplayStepBack : null}
+                    handleReplayJump={handleReplayJump}
+                    bookmarks={(settings.replayBookmarks || []).filter(bookmark => bookmark.instrument === instrument)}
+                    handleAddBookmark={handleAddReplayBookmark}
+                    handleRestartAtBookmark={(bookmark) => restartReplayAt(bookmark.time)}
+                    handleDeleteBookmark={handleDeleteReplayBookmark}
+                />
+            )}
+
+            {replayScorecard && (
+                <ReplayScorecard
+                    scorecard={replayScorecard}
+                    formatTimestamp={formatTimestamp}
+                    onClose={() => setReplayScorecard(null)}
                 />
             )}
             
@@ -2982,10 +3972,35 @@ function App() {
                 />
             )}
             
+            {showWorkspaces && (
+                <Workspaces
+                    onClose={() => setShowWorkspaces(false)}
+                    workspaces={settings.workspaces || {}}
+                    onSave={handleSaveWorkspace}
+                    onLoad={handleLoadWorkspace}
+                    onDelete={handleDeleteWorkspace}
+                />
+            )}
+
+            {showAlerts && (
+                <Alerts
+                    onClose={() => setShowAlerts(false)}
+                    alerts={settings.alerts || []}
+                    log={settings.alertLog || []}
+                    symbol={instrument}
+                    latestPrice={latestPrice}
+                    timeframes={timeframes}
+                    sciChartSurfaceRefs={sciChartSurfaceRefs}
+                />
+            )}
+
             {showIndicatorsStudies && (
                 <IndicatorsStudies
                     onClose={() => setShowIndicatorsStudies(false)}
                     sessions={sessions}
+                    indicatorSettings={settings.indicators || {}}
+                    onIndicatorSettingsChange={handleIndicatorSettingsChange}
+                    timeframes={timeframes}
                 />
             )}
 
@@ -3015,6 +4030,17 @@ function App() {
             
             {/* Conditionally render the Chart Modify Order Overlay */}
             {showChartModifyOrderOverlay && <ChartModifyOrderOverlay />}
+            {selectedPosition && (
+                <PositionOrderOverlay
+                    position={selectedPosition}
+                    symbol={instrument}
+                    accountName={tradingAccountName}
+                    status={positionStatus}
+                    onPricesChange={handlePositionPricesChange}
+                    onSendBracket={handleSendPositionBracket}
+                    onClose={handleClosePositionOverlay}
+                />
+            )}
             
             {/* External Client Sync Notification */}
             {showExternalClientSyncNotification && (
@@ -3034,6 +4060,61 @@ function App() {
                     External client sync'd
                 </div>
             )}
+
+            {hotkeys && hotkeys.armed && (
+                <div
+                    title="Trading hotkeys send orders - disarm them from the Trading menu"
+                    style={{
+                        position: 'fixed',
+                        bottom: '10px',
+                        left: '10px',
+                        backgroundColor: 'rgba(178, 34, 34, 0.9)',
+                        color: 'white',
+                        padding: '3px 8px',
+                        borderRadius: '4px',
+                        fontSize: '12px',
+                        fontWeight: 'bold',
+                        zIndex: 10000
+                    }}
+                >
+                    TRADING HOTKEYS ARMED
+                </div>
+            )}
+
+            {hotkeyNotice && (
+                <div style={{
+                    position: 'fixed',
+                    top: '60px',
+                    right: '20px',
+                    backgroundColor: hotkeyNotice.type === 'error' ? 'rgba(178, 34, 34, 0.9)' : 'rgba(0, 128, 0, 0.9)',
+                    color: 'white',
+                    padding: '10px 20px',
+                    borderRadius: '5px',
+                    fontSize: '14px',
+                    zIndex: 10000,
+                    boxShadow: '0 2px 10px rgba(0, 0, 0, 0.3)'
+                }}>
+                    {hotkeyNotice.message}
+                </div>
+            )}
+
+            {snapshotNotification && (
+                <div className="snapshot-notification" style={{
+                    position: 'fixed',
+                    top: '20px',
+                    right: '20px',
+                    backgroundColor: snapshotNotification.isError ? 'rgba(178, 34, 34, 0.9)' : 'rgba(0, 128, 0, 0.9)',
+                    color: 'white',
+                    padding: '10px 20px',
+                    borderRadius: '5px',
+                    fontSize: '14px',
+                    zIndex: 10000,
+                    boxShadow: '0 2px 10px rgba(0, 0, 0, 0.3)',
+                    animation: 'fadeIn 0.3s ease-in'
+                }}>
+                    {snapshotNotification.message}
+                </div>
+            )}
         </div>
     );
 }
@@ -0,0 +1,375 @@
+import {
+    XyDataSeries,
+    FastLineRenderableSeries,
+    FastColumnRenderableSeries,
+    NumericAxis,
+    NumberRange,
+    EAutoRange
+} from 'scichart';
+import { INDICATOR_DEFINITIONS, createIndicatorCalculator } from './utils/IndicatorCalculations';
+
+// Default line colors for each indicator output
+const DEFAULT_OUTPUT_COLORS = {
+    SMA: { value: '#FFA500' },
+    EMA: { value: '#00BFFF' },
+    VWAP: { vwap: '#FF00FF', upper1: '#BA55D3', lower1: '#BA55D3', upper2: '#8A2BE2', lower2: '#8A2BE2' },
+    BOLLINGER: { middle: '#FFD700', upper: '#87CEEB', lower: '#87CEEB' },
+    ATR: { value: '#FF6347' },
+    RSI: { value: '#9370DB' },
+    MACD: { macd: '#1E90FF', signal: '#FF8C00', histogram: '#808080' },
+};
+
+// Outputs drawn as columns instead of lines
+const COLUMN_OUTPUTS = { MACD: ['histogram'] };
+
+const DEFAULT_SUBPANE_HEIGHT = 15; // % of chart height used by each sub-pane indicator
+const MAX_SUBPANE_TOP = 0.9; // Sub-panes are shrunk to leave at least the top 10% of the chart to the price
+
+/**
+ * Build a new indicator config with the type's default parameters and colors
+ * @param {string} type Indicator type (key of INDICATOR_DEFINITIONS)
+ * @returns {Object} Indicator config
+ */
+export const createIndicatorConfig = (type) => ({
+    id: `${type.toLowerCase()}-${Date.now()}`,
+    type,
+    enabled: true,
+    params: { ...INDICATOR_DEFINITIONS[type].defaults },
+    colors: { ...DEFAULT_OUTPUT_COLORS[type] },
+    lineWidth: 1,
+    paneHeight: DEFAULT_SUBPANE_HEIGHT,
+});
+
+/**
+ * Indicator Engine
+ * Calculates built-in indicators (SMA, EMA, VWAP, Bollinger, ATR, RSI, MACD) per timeframe and renders them
+ * as line series overlays on the price axis or as sub-panes stacked along the bottom of each chart.
+ * Settings are keyed by timeframe: { '1m': [indicatorConfig, ...], '5m': [...] }
+ */
+class IndicatorEngine {
+    constructor() {
+        this.chartSurfaces = null;
+        this.timeframes = [];
+        this.candleData = {};
+        this.isInitialized = false;
+        this.settings = {};
+        this.reservedBottomPercent = 0; // Space kept free at the bottom of each chart (volume pane)
+        this.indicatorsByChart = new Map(); // timeframe -> Map(indicatorId -> rendered indicator)
+        this.visibleRangeHandlers = new Map(); // timeframe -> { xAxis, handler }
+    }
+
+    /**
+     * Initialize the engine with chart references
+     */
+    initialize(chartSurfaces, timeframes, candleData, settings) {
+        this.removeAllIndicators();
+        this.chartSurfaces = chartSurfaces;
+        this.timeframes = timeframes;
+        this.candleData = candleData || {};
+        if (settings) {
+            this.settings = settings;
+        }
+        this.isInitialized = true;
+
+        console.log('Indicator Engine: Initialized');
+        this.refreshIndicators();
+    }
+
+    /**
+     * Get current settings
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Replace the per-timeframe indicator settings and re-render
+     */
+    updateSettings(newSettings) {
+        this.settings = { ...(newSettings || {}) };
+        this.refreshIndicators();
+    }
+
+    /**
+     * Reserve space at the bottom of each chart (e.g. for the volume pane) so sub-panes stack above it
+     */
+    setReservedBottomPercent(percent) {
+        const newPercent = Math.max(0, Number(percent) || 0);
+        if (newPercent === this.reservedBottomPercent) return;
+        this.reservedBottomPercent = newPercent;
+        this.timeframes.forEach(timeframe => this.updateSubpaneRanges(timeframe));
+    }
+
+    /**
+     * Refresh all indicators
+     */
+    refreshIndicators() {
+        if (!this.isInitialized) return;
+
+        this.removeAllIndicators();
+        this.timeframes.forEach(timeframe => this.createIndicatorsForTimeframe(timeframe));
+    }
+
+    /**
+     * Remove all indicator series and sub-pane axes from every chart
+     */
+    removeAllIndicators() {
+        for (const [timeframe, indicators] of this.indicatorsByChart) {
+            const chartSurface = this.chartSurfaces ? this.chartSurfaces[timeframe] : null;
+            indicators.forEach(indicator => this.removeIndicator(chartSurface, indicator));
+            if (chartSurface) {
+                try {
+                    chartSurface.invalidateElement();
+                } catch (error) {
+                    console.warn(`Indicator Engine: Error invalidating ${timeframe} chart: ${error.message}`);
+                }
+            }
+        }
+        this.indicatorsByChart.clear();
+
+        for (const { xAxis, handler } of this.visibleRangeHandlers.values()) {
+            xAxis.visibleRangeChanged.unsubscribe(handler);
+        }
+        this.visibleRangeHandlers.clear();
+    }
+
+    /**
+     * Remove one rendered indicator from a chart
+     */
+    removeIndicator(chartSurface, indicator) {
+        if (!chartSurface) return;
+        try {
+            Object.values(indicator.outputs).forEach(({ renderableSeries }) => {
+                chartSurface.renderableSeries.remove(renderableSeries, true);
+            });
+            if (indicator.axis) {
+                chartSurface.yAxes.remove(indicator.axis, true);
+            }
+        } catch (error) {
+            // The surface may already have been deleted when a layout change unmounted its ChartPane
+            console.warn(`Indicator Engine: Error removing ${indicator.config.type} indicator: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create series for every enabled indicator configured for a timeframe
+     */
+    createIndicatorsForTimeframe(timeframe) {
+        const chartSurface = this.chartSurfaces ? this.chartSurfaces[timeframe] : null;
+        const configs = (this.settings[timeframe] || []).filter(config => config.enabled && INDICATOR_DEFINITIONS[config.type]);
+        if (!chartSurface || configs.length === 0) return;
+
+        const wasmContext = chartSurface.webAssemblyContext2D;
+        const indicators = new Map();
+
+        configs.forEach(config => {
+            const definition = INDICATOR_DEFINITIONS[config.type];
+            const isSubpane = definition.pane === 'subpane';
+            let yAxisId = 'yAxis';
+            let axis = null;
+
+            if (isSubpane) {
+                // Each sub-pane gets its own hidden y axis whose range is positioned by updateSubpaneRanges
+                yAxisId = `indicator-axis-${config.id}`;
+                axis = new NumericAxis(wasmContext, {
+                    id: yAxisId,
+                    isVisible: false,
+                    autoRange: EAutoRange.Never,
+                    drawMajorBands: false,
+                    drawMajorGridLines: false,
+                    drawMinorGridLines: false,
+                    visibleRange: new NumberRange(0, 1)
+                });
+                chartSurface.yAxes.add(axis);
+            }
+
+            const outputs = {};
+            definition.outputs.forEach(outputName => {
+                const color = (config.colors && config.colors[outputName]) || DEFAULT_OUTPUT_COLORS[config.type][outputName];
+                const dataSeries = new XyDataSeries(wasmContext, { dataSeriesName: `${config.type} ${outputName}` });
+                const isColumn = (COLUMN_OUTPUTS[config.type] || []).includes(outputName);
+                const renderableSeries = isColumn
+                    ? new FastColumnRenderableSeries(wasmContext, {
+                        dataSeries,
+                        fill: color,
+                        stroke: color,
+                        strokeThickness: 0,
+                        opacity: 0.6,
+                        dataPointWidth: 0.5,
+                        xAxisId: 'xAxis',
+                        yAxisId
+                    })
+                    : new FastLineRenderableSeries(wasmContext, {
+                        dataSeries,
+                        stroke: color,
+                        strokeThickness: config.lineWidth || 1,
+                        xAxisId: 'xAxis',
+                        yAxisId
+                    });
+                chartSurface.renderableSeries.add(renderableSeries);
+                outputs[outputName] = { dataSeries, renderableSeries };
+            });
+
+            indicators.set(config.id, {
+                config,
+                axis,
+                outputs,
+                calculator: createIndicatorCalculator(config.type, config.params),
+                stateBeforeLast: null,
+                count: 0,
+                lastTimestamp: null
+            });
+        });
+
+        this.indicatorsByChart.set(timeframe, indicators);
+        this.calculateTimeframe(timeframe);
+
+        // Keep sub-pane ranges fitted to what is visible as the chart is zoomed or panned
+        const xAxis = chartSurface.xAxes.getById('xAxis');
+        if (xAxis && Array.from(indicators.values()).some(indicator => indicator.axis)) {
+            const handler = () => this.updateSubpaneRanges(timeframe);
+            xAxis.visibleRangeChanged.subscribe(handler);
+            this.visibleRangeHandlers.set(timeframe, { xAxis, handler });
+        }
+    }
+
+    /**
+     * Update candle data and incrementally recalculate indicators
+     */
+    updateCandleData(newCandleData) {
+        this.candleData = newCandleData || {};
+        if (!this.isInitialized) return;
+
+        for (const timeframe of this.indicatorsByChart.keys()) {
+            this.calculateTimeframe(timeframe);
+        }
+    }
+
+    /**
+     * Recalculate all indicators for a timeframe. Only the last (still forming) candle and any new candles
+     * are stepped when the previously processed candles are unchanged; otherwise the history is recalculated.
+     */
+    calculateTimeframe(timeframe) {
+        const indicators = this.indicatorsByChart.get(timeframe);
+        const candles = this.candleData[timeframe] || [];
+        if (!indicators) return;
+
+        indicators.forEach(indicator => {
+            if (!indicator.calculator) return;
+
+            const canResume = indicator.count > 0 &&
+                candles.length >= indicator.count &&
+                candles[indicator.count - 1].timestamp === indicator.lastTimestamp;
+
+            let startIndex = 0;
+            if (canResume) {
+                // Re-step the previously last candle from the state saved before it
+                startIndex = indicator.count - 1;
+                indicator.calculator.setState(indicator.stateBeforeLast);
+                Object.values(indicator.outputs).forEach(({ dataSeries }) => dataSeries.removeAt(startIndex));
+            } else {
+                indicator.calculator = createIndicatorCalculator(indicator.config.type, indicator.config.params);
+                Object.values(indicator.outputs).forEach(({ dataSeries }) => dataSeries.clear());
+            }
+
+            const timestamps = [];
+            const values = {};
+            Object.keys(indicator.outputs).forEach(outputName => { values[outputName] = []; });
+
+            for (let i = startIndex; i < candles.length; i++) {
+                if (i === candles.length - 1) {
+                    indicator.stateBeforeLast = indicator.calculator.getState();
+                }
+                const result = indicator.calculator.step(candles[i]);
+                timestamps.push(Number(candles[i].timestamp));
+                Object.keys(values).forEach(outputName => {
+                    const value = result[outputName];
+                    values[outputName].push(value === undefined ? NaN : value);
+                });
+            }
+
+            if (timestamps.length > 0) {
+                Object.entries(indicator.outputs).forEach(([outputName, { dataSeries }]) => {
+                    dataSeries.appendRange(timestamps, values[outputName]);
+                });
+            }
+
+            indicator.count = candles.length;
+            indicator.lastTimestamp = candles.length > 0 ? candles[candles.length - 1].timestamp : null;
+        });
+
+        this.updateSubpaneRanges(timeframe);
+    }
+
+    /**
+     * Position each sub-pane's hidden axis so its values fill its band along the bottom of the chart
+     */
+    updateSubpaneRanges(timeframe) {
+        const indicators = this.indicatorsByChart.get(timeframe);
+        const chartSurface = this.chartSurfaces ? this.chartSurfaces[timeframe] : null;
+        if (!indicators || !chartSurface) return;
+
+        const xAxis = chartSurface.xAxes.getById('xAxis');
+        const visibleRange = xAxis ? xAxis.visibleRange : null;
+
+        // Sub-panes that would stack past MAX_SUBPANE_TOP are scaled down together to fit above the volume band.
+        // With no room left above it, they keep their last ranges rather than divide by a zero band height.
+        const getBandHeight = (indicator) => Math.max(0, (indicator.config.paneHeight || DEFAULT_SUBPANE_HEIGHT) / 100);
+        let bandBottom = this.reservedBottomPercent / 100;
+        const room = MAX_SUBPANE_TOP - bandBottom;
+        const totalHeight = Array.from(indicators.values()).reduce((total, indicator) => total + (indicator.axis ? getBandHeight(indicator) : 0), 0);
+        const scale = totalHeight > room ? Math.max(0, room) / totalHeight : 1;
+
+        indicators.forEach(indicator => {
+            if (!indicator.axis) return;
+
+            const definition = INDICATOR_DEFINITIONS[indicator.config.type];
+            let min = Infinity;
+            let max = -Infinity;
+            if (definition.fixedRange) {
+                min = definition.fixedRange.min;
+                max = definition.fixedRange.max;
+            } else {
+                Object.values(indicator.outputs).forEach(({ dataSeries }) => {
+                    const xValues = dataSeries.getNativeXValues();
+                    const yValues = dataSeries.getNativeYValues();
+                    for (let i = 0; i < dataSeries.count(); i++) {
+                        const x = xValues.get(i);
+                        const y = yValues.get(i);
+                        if (isNaN(y) || (visibleRange && (x < visibleRange.min || x > visibleRange.max))) continue;
+                        min = Math.min(min, y);
+                        max = Math.max(max, y);
+                    }
+                });
+            }
+            if (!isFinite(min) || !isFinite(max)) {
+                min = 0;
+                max = 1;
+            }
+            if (max === min) {
+                max = min + 1;
+            }
+
+            // Solve for the axis range that maps [min, max] onto [bandBottom, bandTop] of the viewport
+            const bandTop = bandBottom + getBandHeight(indicator) * scale;
+            if (!(bandTop > bandBottom)) return;
+            const span = (max - min) / (bandTop - bandBottom);
+            indicator.axis.visibleRange = new NumberRange(min - bandBottom * span, max + (1 - bandTop) * span);
+            bandBottom = bandTop;
+        });
+
+        chartSurface.invalidateElement();
+    }
+
+    /**
+     * Destroy and cleanup
+     */
+    destroy() {
+        this.removeAllIndicators();
+        this.isInitialized = false;
+    }
+}
+
+const indicatorEngine = new IndicatorEngine();
+
+export default indicatorEngine;
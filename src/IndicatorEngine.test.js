@@ -0,0 +1,108 @@
+import indicatorEngine, { createIndicatorConfig } from './IndicatorEngine';
+
+// SciChart needs WebAssembly - stand in for the parts the engine uses
+jest.mock('scichart', () => {
+    class XyDataSeries {
+        constructor() {
+            this.xValues = [];
+            this.yValues = [];
+        }
+        appendRange(xValues, yValues) {
+            this.xValues.push(...xValues);
+            this.yValues.push(...yValues);
+        }
+        removeAt(index) {
+            this.xValues.splice(index, 1);
+            this.yValues.splice(index, 1);
+        }
+        clear() {
+            this.xValues = [];
+            this.yValues = [];
+        }
+        count() {
+            return this.xValues.length;
+        }
+        getNativeXValues() {
+            return { get: (i) => this.xValues[i] };
+        }
+        getNativeYValues() {
+            return { get: (i) => this.yValues[i] };
+        }
+    }
+    class NumberRange {
+        constructor(min, max) {
+            this.min = min;
+            this.max = max;
+        }
+    }
+    class NumericAxis {
+        constructor(wasmContext, options) {
+            Object.assign(this, options);
+        }
+    }
+    class RenderableSeries {
+        constructor(wasmContext, options) {
+            Object.assign(this, options);
+        }
+    }
+    return {
+        XyDataSeries,
+        NumberRange,
+        NumericAxis,
+        FastLineRenderableSeries: RenderableSeries,
+        FastColumnRenderableSeries: RenderableSeries,
+        EAutoRange: { Never: 'Never' }
+    };
+});
+
+const createChartSurface = () => {
+    const xAxis = {
+        visibleRange: null,
+        visibleRangeChanged: { subscribe: () => {}, unsubscribe: () => {} }
+    };
+    const collection = () => ({ items: [], add(item) { this.items.push(item); }, remove() {} });
+    return {
+        webAssemblyContext2D: {},
+        xAxes: { getById: () => xAxis },
+        yAxes: collection(),
+        renderableSeries: collection(),
+        invalidateElement: () => {}
+    };
+};
+
+const createCandles = (count) => Array.from({ length: count }, (_, i) => ({
+    timestamp: 1700000000000 + i * 60000,
+    open: 100 + i,
+    high: 101 + i,
+    low: 99 + i,
+    close: 100 + (i % 7),
+    volume: 10
+}));
+
+describe('IndicatorEngine', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        indicatorEngine.destroy();
+        jest.restoreAllMocks();
+    });
+
+    it('calculates a chart with a sub-pane indicator and fits its band above the reserved space', () => {
+        const chartSurface = createChartSurface();
+        const rsi = createIndicatorConfig('RSI');
+        indicatorEngine.initialize({ '1m': chartSurface }, ['1m'], { '1m': createCandles(50) }, { '1m': [rsi] });
+
+        expect(() => indicatorEngine.calculateTimeframe('1m')).not.toThrow();
+        expect(() => indicatorEngine.setReservedBottomPercent(20)).not.toThrow();
+
+        const axis = chartSurface.yAxes.items[0];
+        expect(Number.isFinite(axis.visibleRange.min)).toBe(true);
+        expect(Number.isFinite(axis.visibleRange.max)).toBe(true);
+        // RSI's 0-100 range sits in the band from 20% to 35% of the chart
+        const span = axis.visibleRange.max - axis.visibleRange.min;
+        expect((0 - axis.visibleRange.min) / span).toBeCloseTo(0.2);
+        expect((100 - axis.visibleRange.min) / span).toBeCloseTo(0.35);
+    });
+});
@@ -4,12 +4,28 @@ import internalStrategyAnnotations from './InternalStrategyAnnotations';
 import sessionLabelsAnnotations from './SessionLabelsAnnotations';
 import killzonesAnnotations from './KillzonesAnnotations';
 import ictPriceLinesAnnotations from './IctPriceLinesAnnotations';
+import { createIndicatorConfig } from './IndicatorEngine';
+import { INDICATOR_DEFINITIONS } from './utils/IndicatorCalculations';
 // import openingGapsAnnotations from './OpeningGapsAnnotations'; // DISABLED - Converted to User Study
 import { FaQuestionCircle } from 'react-icons/fa';
 
-const IndicatorsStudies = ({ onClose, sessions = [] }) => {
+// Period parameters (period, fastPeriod, ...) count candles, so they are whole numbers of at least 1
+const isPeriodParam = (param) => /period$/i.test(param);
+
+// Value of a number parameter from its input - the previous value while the field isn't a number
+const parseIndicatorParam = (param, input, previousValue) => {
+    const value = parseFloat(input);
+    if (!Number.isFinite(value)) return previousValue;
+    return isPeriodParam(param) ? Math.max(1, Math.round(value)) : Math.max(0, value);
+};
+
+const IndicatorsStudies = ({ onClose, sessions = [], indicatorSettings = {}, onIndicatorSettingsChange, timeframes = [] }) => {
     const [selectedItem, setSelectedItem] = useState('sessionTracker');
     
+    // Built-in indicator engine state - which timeframe is being edited and which type to add
+    const [indicatorTimeframe, setIndicatorTimeframe] = useState(timeframes[0] || '1m');
+    const [newIndicatorType, setNewIndicatorType] = useState('SMA');
+    
     // Get current internal strategy annotation settings
     const [internalSettings, setInternalSettings] = useState(internalStrategyAnnotations.getSettings());
     
@@ -269,6 +285,93 @@ const IndicatorsStudies = ({ onClose, sessions = [] }) => {
     //     openingGapsAnnotations.updateSettings(newSettings);
     // };
 
+    // Handle built-in indicator changes - settings are kept per timeframe and saved by App.js
+    const updateTimeframeIndicators = (updater) => {
+        const currentIndicators = indicatorSettings[indicatorTimeframe] || [];
+        const newSettings = {
+            ...indicatorSettings,
+            [indicatorTimeframe]: updater(currentIndicators)
+        };
+        if (onIndicatorSettingsChange) {
+            onIndicatorSettingsChange(newSettings);
+        }
+    };
+
+    const handleAddIndicator = () => {
+        updateTimeframeIndicators(indicators => [...indicators, createIndicatorConfig(newIndicatorType)]);
+    };
+
+    const handleRemoveIndicator = (indicatorId) => {
+        updateTimeframeIndicators(indicators => indicators.filter(indicator => indicator.id !== indicatorId));
+    };
+
+    const handleIndicatorChange = (indicatorId, field, value) => {
+        updateTimeframeIndicators(indicators => indicators.map(indicator =>
+            indicator.id === indicatorId ? { ...indicator, [field]: value } : indicator
+        ));
+    };
+
+    const handleIndicatorParamChange = (indicatorId, param, value) => {
+        updateTimeframeIndicators(indicators => indicators.map(indicator =>
+            indicator.id === indicatorId ? { ...indicator, params: { ...indicator.params, [param]: value } } : indicator
+        ));
+    };
+
+    const handleIndicatorColorChange = (indicatorId, output, color) => {
+        updateTimeframeIndicators(indicators => indicators.map(indicator =>
+            indicator.id === indicatorId ? { ...indicator, colors: { ...indicator.colors, [output]: color } } : indicator
+        ));
+    };
+
+    // Render the input for one indicator parameter based on the type of its default value
+    const renderIndicatorParam = (indicator, param) => {
+        const value = indicator.params[param];
+        if (param === 'source') {
+            return (
+                <label key={param} className="time-label">
+                    Source:
+                    <select
+                        value={value}
+                        onChange={(e) => handleIndicatorParamChange(indicator.id, param, e.target.value)}
+                    >
+                        <option value="close">Close</option>
+                        <option value="open">Open</option>
+                        <option value="high">High</option>
+                        <option value="low">Low</option>
+                        <option value="hl2">HL/2</option>
+                        <option value="hlc3">HLC/3</option>
+                        <option value="ohlc4">OHLC/4</option>
+                    </select>
+                </label>
+            );
+        }
+        if (typeof value === 'boolean') {
+            return (
+                <label key={param} className="checkbox-label">
+                    <input
+                        type="checkbox"
+                        checked={value}
+                        onChange={(e) => handleIndicatorParamChange(indicator.id, param, e.target.checked)}
+                    />
+                    {param === 'sessionReset' ? 'Reset Each Session (18:00 ET)' : param}
+                </label>
+            );
+        }
+        return (
+            <label key={param} className="number-label">
+                {param}:
+                <input
+                    type="number"
+                    min={isPeriodParam(param) ? 1 : 0}
+                    step={isPeriodParam(param) || Number.isInteger(INDICATOR_DEFINITIONS[indicator.type].defaults[param]) ? 1 : 0.1}
+                    value={value}
+                    onChange={(e) => handleIndicatorParamChange(indicator.id, param, parseIndicatorParam(param, e.target.value, value))}
+                    className="number-picker"
+                />
+            </label>
+        );
+    };
+
     // Helper function to format timestamps
     const formatTimestamp = (timestamp) => {
         if (!timestamp) return 'Active';
@@ -1435,6 +1538,112 @@ const IndicatorsStudies = ({ onClose, sessions = [] }) => {
             //             </div>
             //         </div>
             //     );
+            case 'indicators':
+                return (
+                    <div className="content-section">
+                        <h3>Indicators</h3>
+                        <div className="scrollable-content">
+                            <div className="session-global-settings">
+                                <div className="control-row">
+                                    <label className="time-label">
+                                        Timeframe:
+                                        <select
+                                            value={indicatorTimeframe}
+                                            onChange={(e) => setIndicatorTimeframe(e.target.value)}
+                                        >
+                                            {timeframes.map(tf => (
+                                                <option key={tf} value={tf}>{tf}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <label className="time-label">
+                                        Add:
+                                        <select
+                                            value={newIndicatorType}
+                                            onChange={(e) => setNewIndicatorType(e.target.value)}
+                                        >
+                                            {Object.entries(INDICATOR_DEFINITIONS).map(([type, definition]) => (
+                                                <option key={type} value={type}>{definition.name}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <button onClick={handleAddIndicator}>Add Indicator</button>
+                                </div>
+                            </div>
+
+                            {(indicatorSettings[indicatorTimeframe] || []).length === 0 && (
+                                <div className="session-indicator">
+                                    <h4>No indicators on {indicatorTimeframe}</h4>
+                                </div>
+                            )}
+
+                            {(indicatorSettings[indicatorTimeframe] || []).map(indicator => {
+                                const definition = INDICATOR_DEFINITIONS[indicator.type];
+                                if (!definition) return null;
+                                return (
+                                    <div key={indicator.id} className="session-indicator">
+                                        <h4>
+                                            {definition.name} ({definition.pane === 'subpane' ? 'Sub-pane' : 'Overlay'})
+                                        </h4>
+                                        <div className="indicator-controls">
+                                            <div className="control-row">
+                                                <label className="checkbox-label">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={indicator.enabled}
+                                                        onChange={(e) => handleIndicatorChange(indicator.id, 'enabled', e.target.checked)}
+                                                    />
+                                                    Enabled
+                                                </label>
+                                                <label className="number-label">
+                                                    Line Width:
+                                                    <input
+                                                        type="number"
+                                                        min="1"
+                                                        max="5"
+                                                        value={indicator.lineWidth}
+                                                        onChange={(e) => handleIndicatorChange(indicator.id, 'lineWidth', parseInt(e.target.value, 10) || 1)}
+                                                        className="number-picker"
+                                                    />
+                                                </label>
+                                                {definition.pane === 'subpane' && (
+                                                    <label className="number-label">
+                                                        Pane Height %:
+                                                        <input
+                                                            type="number"
+                                                            min="5"
+                                                            max="50"
+                                                            value={indicator.paneHeight}
+                                                            onChange={(e) => handleIndicatorChange(indicator.id, 'paneHeight', parseInt(e.target.value, 10) || 15)}
+                                                            className="number-picker"
+                                                        />
+                                                    </label>
+                                                )}
+                                                <button onClick={() => handleRemoveIndicator(indicator.id)}>Remove</button>
+                                            </div>
+                                            <div className="control-row">
+                                                {Object.keys(definition.defaults).map(param => renderIndicatorParam(indicator, param))}
+                                            </div>
+                                            <div className="control-row">
+                                                {definition.outputs.map(output => (
+                                                    <label key={output} className="color-label">
+                                                        {output}:
+                                                        <input
+                                                            type="color"
+                                                            value={(indicator.colors && indicator.colors[output]) || '#FFFFFF'}
+                                                            onChange={(e) => handleIndicatorColorChange(indicator.id, output, e.target.value)}
+                                                            className="color-picker"
+                                                        />
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                );
             default:
                 return (
                     <div className="content-section">
@@ -1488,6 +1697,12 @@ const IndicatorsStudies = ({ onClose, sessions = [] }) => {
                             >
                                 ICT PriceLines
                             </li>
+                            <li 
+                                className={selectedItem === 'indicators' ? 'active' : ''}
+                                onClick={() => setSelectedItem('indicators')}
+                            >
+                                Indicators
+                            </li>
                             {/* Opening Gaps menu item - DISABLED - Converted to User Study */}
                             {/* <li 
                                 className={selectedItem === 'openingGaps' ? 'active' : ''}
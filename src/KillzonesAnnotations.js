@@ -38,6 +38,7 @@ class KillzonesAnnotations {
         this.isInitialized = false;
         this.currentSessionStart = null; // Track current session start time
         this.sessionStartHour = 18; // CME futures session starts at 18:00 (6 PM)
+        this.settingsListeners = new Set(); // Notified when the settings change (e.g. shared with the Journal window)
     }
 
     getSettings() {
@@ -47,6 +48,13 @@ class KillzonesAnnotations {
     updateSettings(newSettings) {
         this.settings = { ...this.settings, ...newSettings };
         this.refreshAnnotations();
+        this.settingsListeners.forEach(listener => listener(this.getSettings()));
+    }
+
+    // Register a listener for settings changes, returns a function to remove it
+    onSettingsChange(listener) {
+        this.settingsListeners.add(listener);
+        return () => this.settingsListeners.delete(listener);
     }
 
     initialize(chartSurfaces, candleData) {
@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import './Settings.css';
 import settingsIcon from './images/settings-icon.png';
+import { DEFAULT_VOLUME_OPTIONS } from './utils/VolumeProfile';
+import { DEFAULT_BAR_TYPE_OPTIONS } from './utils/BarTransforms';
+import { DEFAULT_LAYOUT_TIMEFRAMES, DEFAULT_CHART_BEHAVIOR, isValidTimeframe } from './utils/Timeframes';
+import { DEFAULT_GRID_LAYOUT } from './utils/GridLayout';
 
 const Settings = ({ onClose, onApply, settings, ws, clientId }) => {
     const [localSettings, setLocalSettings] = useState(settings);
@@ -68,6 +72,44 @@ const Settings = ({ onClose, onApply, settings, ws, clientId }) => {
         }));
     };
 
+    const handleVolumeOptionChange = (field, value) => {
+        setLocalSettings((prev) => ({
+            ...prev,
+            volumeOptions: {
+                ...DEFAULT_VOLUME_OPTIONS,
+                ...prev.volumeOptions,
+                [field]: value,
+            },
+        }));
+    };
+
+    const handleBarTypeOptionChange = (field, value) => {
+        setLocalSettings((prev) => ({
+            ...prev,
+            barTypeOptions: {
+                ...DEFAULT_BAR_TYPE_OPTIONS,
+                ...prev.barTypeOptions,
+                [field]: value,
+            },
+        }));
+    };
+
+    const handleLayoutTimeframeChange = (layout, index, value) => {
+        setLocalSettings((prev) => {
+            const layoutTimeframes = { ...DEFAULT_LAYOUT_TIMEFRAMES, ...prev.layoutTimeframes };
+            const timeframes = [...layoutTimeframes[layout]];
+            timeframes[index] = value.trim();
+            return {
+                ...prev,
+                layoutTimeframes: { ...layoutTimeframes, [layout]: timeframes },
+            };
+        });
+    };
+
+    // A layout's timeframes are usable if every pane has a valid, distinct timeframe
+    const isValidLayoutTimeframes = (timeframes) =>
+        timeframes.every(isValidTimeframe) && new Set(timeframes).size === timeframes.length;
+
     const handleCandleWidthChange = (event) => {
         setCandleWidth(Number(event.target.value));
     };
@@ -81,19 +123,45 @@ const Settings = ({ onClose, onApply, settings, ws, clientId }) => {
     };
 
     const handleApply = () => {
+        // Keep only valid layout timeframes, and give newly added timeframes default behavior and chart type
+        const layoutTimeframes = { ...DEFAULT_LAYOUT_TIMEFRAMES };
+        const chartBehavior = { ...localSettings.chartBehavior };
+        const newChartTypes = { ...chartTypes };
+        Object.keys(layoutTimeframes).forEach((layout) => {
+            const configured = (localSettings.layoutTimeframes || {})[layout];
+            if (configured && isValidLayoutTimeframes(configured)) {
+                layoutTimeframes[layout] = configured;
+            } else if (settings.layoutTimeframes && settings.layoutTimeframes[layout]) {
+                layoutTimeframes[layout] = settings.layoutTimeframes[layout];
+            }
+            layoutTimeframes[layout].forEach((timeframe) => {
+                if (!chartBehavior[timeframe]) chartBehavior[timeframe] = { ...DEFAULT_CHART_BEHAVIOR };
+                if (!newChartTypes[timeframe]) newChartTypes[timeframe] = 'Candle';
+            });
+        });
+
         // Update local settings in the client with chartTypes included
-        onApply({ ...localSettings, candleWidth, chartTypes });
+        onApply({ ...localSettings, chartBehavior, layoutTimeframes, candleWidth, chartTypes: newChartTypes });
 
         // Construct the save_client_settings request with the structure App.js expects
         const saveRequest = {
             action: 'save_client_settings',
             client_id: clientId,
             new_values: {
-                chartBehavior: localSettings.chartBehavior,
+                chartBehavior: chartBehavior,
                 colors: localSettings.colors,
                 gridOptions: localSettings.gridOptions,
                 candleWidth: candleWidth, // Add candleWidth to the settings
-                chartTypes: chartTypes, // Add chartTypes to the settings
+                chartTypes: newChartTypes, // Add chartTypes to the settings
+                volumeOptions: localSettings.volumeOptions || DEFAULT_VOLUME_OPTIONS,
+                indicators: localSettings.indicators || {},
+                barTypeOptions: localSettings.barTypeOptions || DEFAULT_BAR_TYPE_OPTIONS,
+                layoutTimeframes: layoutTimeframes,
+                gridLayout: localSettings.gridLayout || DEFAULT_GRID_LAYOUT,
+                workspaces: localSettings.workspaces || {},
+                alerts: localSettings.alerts || [],
+                alertLog: localSettings.alertLog || [],
+                replayBookmarks: localSettings.replayBookmarks || [],
             },
         };
 
@@ -166,13 +234,85 @@ const Settings = ({ onClose, onApply, settings, ws, clientId }) => {
                             <option value="Candle">Candle</option>
                             <option value="Line">Line</option>
                             <option value="Both">Both</option>
+                            <option value="HeikinAshi">Heikin-Ashi</option>
+                            <option value="Renko">Renko</option>
+                            <option value="Range">Range Bars</option>
                         </select>
                     </div>
                 ))}
             </div>
+
+            <hr className="settings-divider" />
+
+            <div className="settings-section">
+                <h3 className="settings-subheader">Renko / Range Bars</h3>
+                <div className="chart-settings-row">
+                    <label>Tick Size</label>
+                    <input
+                        type="number"
+                        min="0.0001"
+                        step="0.0001"
+                        value={(localSettings.barTypeOptions || DEFAULT_BAR_TYPE_OPTIONS).tickSize}
+                        onChange={(e) => handleBarTypeOptionChange('tickSize', Number(e.target.value))}
+                    />
+                </div>
+                <div className="chart-settings-row">
+                    <label>Renko Brick (ticks)</label>
+                    <input
+                        type="number"
+                        min="1"
+                        value={(localSettings.barTypeOptions || DEFAULT_BAR_TYPE_OPTIONS).renkoBrickTicks}
+                        onChange={(e) => handleBarTypeOptionChange('renkoBrickTicks', Number(e.target.value))}
+                    />
+                </div>
+                <div className="chart-settings-row">
+                    <label>Range Bar (ticks)</label>
+                    <input
+                        type="number"
+                        min="1"
+                        value={(localSettings.barTypeOptions || DEFAULT_BAR_TYPE_OPTIONS).rangeBarTicks}
+                        onChange={(e) => handleBarTypeOptionChange('rangeBarTicks', Number(e.target.value))}
+                    />
+                </div>
+            </div>
         </div>
     );
 
+    // Render Timeframes content
+    const renderTimeframesContent = () => {
+        const layoutTimeframes = { ...DEFAULT_LAYOUT_TIMEFRAMES, ...localSettings.layoutTimeframes };
+        const layoutNames = { '4-way': '4-way', '6-way': '6-way', '6-way-long': '6-way Long' };
+        return (
+            <div className="category-content">
+                <div className="settings-section">
+                    <h3 className="settings-subheader">Layout Timeframes</h3>
+                    <p>
+                        Units: t (ticks), s (seconds), m, h, d, w - e.g. 2m, 45m, 2h, 1w, 30s, 500t.
+                        Timeframes Chronicle doesn't serve are built from lower-timeframe candles.
+                        Changes take effect the next time you connect.
+                    </p>
+                    {Object.keys(layoutNames).map((layout) => (
+                        <div key={layout} className="chart-settings-row">
+                            <label>{layoutNames[layout]}</label>
+                            {layoutTimeframes[layout].map((timeframe, index) => (
+                                <input
+                                    key={index}
+                                    type="text"
+                                    value={timeframe}
+                                    onChange={(e) => handleLayoutTimeframeChange(layout, index, e.target.value)}
+                                    style={isValidTimeframe(timeframe) ? undefined : { borderColor: '#FF0000' }}
+                                />
+                            ))}
+                            {!isValidLayoutTimeframes(layoutTimeframes[layout]) && (
+                                <span style={{ color: '#FF0000' }}>Invalid or duplicate - not saved</span>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        );
+    };
+
     // Render Appearance content
     const renderAppearanceContent = () => (
         <div className="category-content">
@@ -293,6 +433,92 @@ const Settings = ({ onClose, onApply, settings, ws, clientId }) => {
         </div>
     );
 
+    // Render Volume content
+    const renderVolumeContent = () => {
+        const volumeOptions = { ...DEFAULT_VOLUME_OPTIONS, ...localSettings.volumeOptions };
+        return (
+            <div className="category-content">
+                <div className="settings-section">
+                    <h3 className="settings-subheader">Volume Pane</h3>
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={volumeOptions.showVolumePane}
+                            onChange={(e) => handleVolumeOptionChange('showVolumePane', e.target.checked)}
+                        />
+                        Show Volume Pane
+                    </label>
+                    <div className="candle-width-setting">
+                        <label>Pane Height % (5-50)</label>
+                        <input
+                            type="range"
+                            min="5"
+                            max="50"
+                            value={volumeOptions.volumePaneHeight}
+                            onChange={(e) => handleVolumeOptionChange('volumePaneHeight', Number(e.target.value))}
+                        />
+                        <span>{volumeOptions.volumePaneHeight}%</span>
+                    </div>
+                </div>
+
+                <hr className="settings-divider" />
+
+                <div className="settings-section">
+                    <h3 className="settings-subheader">Volume Profile</h3>
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={volumeOptions.showVolumeProfile}
+                            onChange={(e) => handleVolumeOptionChange('showVolumeProfile', e.target.checked)}
+                        />
+                        Show Volume Profile (POC, VAH, VAL)
+                    </label>
+                    <div className="chart-settings-row">
+                        <label>Profile Range</label>
+                        <select
+                            value={volumeOptions.profileRange}
+                            onChange={(e) => handleVolumeOptionChange('profileRange', e.target.value)}
+                        >
+                            <option value="session">Current Session</option>
+                            <option value="visible">Visible Range</option>
+                        </select>
+                    </div>
+                    <div className="chart-settings-row">
+                        <label>Price Rows</label>
+                        <input
+                            type="number"
+                            min="10"
+                            max="200"
+                            value={volumeOptions.profileRows}
+                            onChange={(e) => handleVolumeOptionChange('profileRows', Number(e.target.value))}
+                        />
+                    </div>
+                    <div className="chart-settings-row">
+                        <label>Value Area %</label>
+                        <input
+                            type="number"
+                            min="10"
+                            max="100"
+                            value={volumeOptions.valueAreaPercent}
+                            onChange={(e) => handleVolumeOptionChange('valueAreaPercent', Number(e.target.value))}
+                        />
+                    </div>
+                    <div className="candle-width-setting">
+                        <label>Profile Width % (5-50)</label>
+                        <input
+                            type="range"
+                            min="5"
+                            max="50"
+                            value={volumeOptions.profileWidth}
+                            onChange={(e) => handleVolumeOptionChange('profileWidth', Number(e.target.value))}
+                        />
+                        <span>{volumeOptions.profileWidth}%</span>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
     return (
         <div className="settings-overlay">
             <div className="settings-panel">
@@ -323,19 +549,33 @@ const Settings = ({ onClose, onApply, settings, ws, clientId }) => {
                     >
                         Chart Type
                     </div>
+                    <div
+                        className={`menu-item ${selectedCategory === 'Timeframes' ? 'active' : ''}`}
+                        onClick={() => setSelectedCategory('Timeframes')}
+                    >
+                        Timeframes
+                    </div>
                     <div
                         className={`menu-item ${selectedCategory === 'Appearance' ? 'active' : ''}`}
                         onClick={() => setSelectedCategory('Appearance')}
                     >
                         Appearance
                     </div>
+                    <div
+                        className={`menu-item ${selectedCategory === 'Volume' ? 'active' : ''}`}
+                        onClick={() => setSelectedCategory('Volume')}
+                    >
+                        Volume
+                    </div>
                 </div>
                 <div className="settings-content">
                     <div className="settings-right-content">
                         <h2 className="category-title">{selectedCategory}</h2>
                         {selectedCategory === 'Chart Behavior' && renderChartBehaviorContent()}
                         {selectedCategory === 'Chart Type' && renderChartTypeContent()}
+                        {selectedCategory === 'Timeframes' && renderTimeframesContent()}
                         {selectedCategory === 'Appearance' && renderAppearanceContent()}
+                        {selectedCategory === 'Volume' && renderVolumeContent()}
                     </div>
                     <div className="settings-footer">
                         <button className="apply-button" onClick={handleApply}>
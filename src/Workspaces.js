@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import './Workspaces.css';
+
+// Describe a workspace's layout for the list, e.g. "Grid: 1h, 5m, 15m" or "4-way: 1h, 5m, 15m, 1m"
+const describeLayout = (workspace) => {
+    const layoutNames = { '4-way': '4-way', '6-way': '6-way', '6-way-long': '6-way Long', grid: 'Grid' };
+    const name = layoutNames[workspace.chartLayout] || workspace.chartLayout;
+    const timeframes = workspace.chartLayout === 'grid'
+        ? ((workspace.gridLayout && workspace.gridLayout.cells) || []).map(cell => cell.timeframe)
+        : (workspace.layoutTimeframes && workspace.layoutTimeframes[workspace.chartLayout]) || [];
+    return timeframes.length > 0 ? `${name}: ${timeframes.join(', ')}` : name;
+};
+
+/**
+ * Workspaces panel - save the current layout, drawing-tool defaults and enabled studies under a name,
+ * and restore or delete saved workspaces
+ */
+const Workspaces = ({ workspaces = {}, onSave, onLoad, onDelete, onClose }) => {
+    const [newName, setNewName] = useState('');
+    const names = Object.keys(workspaces).sort((a, b) => a.localeCompare(b));
+    const trimmedName = newName.trim();
+
+    const handleSave = () => {
+        if (!trimmedName) return;
+        if (workspaces[trimmedName] && !window.confirm(`Overwrite workspace "${trimmedName}"?`)) return;
+        onSave(trimmedName);
+        setNewName('');
+    };
+
+    const handleDelete = (name) => {
+        if (window.confirm(`Delete workspace "${name}"?`)) {
+            onDelete(name);
+        }
+    };
+
+    return (
+        <div className="workspaces-overlay">
+            <div className="workspaces-panel">
+                <div className="workspaces-header">
+                    <h2>Workspaces</h2>
+                    <button className="close-button" onClick={onClose}>
+                        X
+                    </button>
+                </div>
+
+                <div className="workspaces-section">
+                    <h3>Save Current Workspace</h3>
+                    <div className="workspaces-save-row">
+                        <input
+                            type="text"
+                            value={newName}
+                            placeholder="Workspace name"
+                            onChange={(e) => setNewName(e.target.value)}
+                            onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+                        />
+                        <button className="workspace-save-button" onClick={handleSave} disabled={!trimmedName}>
+                            Save
+                        </button>
+                    </div>
+                    <div className="workspaces-note">
+                        Saves the chart layout and timeframes, chart types, drawing-tool defaults, indicators and studies.
+                    </div>
+                </div>
+
+                <div className="workspaces-section">
+                    <h3>Saved Workspaces</h3>
+                    <div className="workspaces-list">
+                        {names.length > 0 ? (
+                            names.map(name => (
+                                <div key={name} className="workspace-item">
+                                    <div className="workspace-info">
+                                        <div className="workspace-name">{name}</div>
+                                        <div className="workspace-description">
+                                            {describeLayout(workspaces[name])}
+                                            {workspaces[name].savedAt && ` - saved ${new Date(workspaces[name].savedAt).toLocaleString()}`}
+                                        </div>
+                                    </div>
+                                    <div className="workspace-buttons">
+                                        <button className="workspace-load-button" onClick={() => onLoad(name)}>
+                                            Load
+                                        </button>
+                                        <button className="workspace-delete-button" onClick={() => handleDelete(name)}>
+                                            Delete
+                                        </button>
+                                    </div>
+                                </div>
+                            ))
+                        ) : (
+                            <div className="no-workspaces">No saved workspaces</div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Workspaces;
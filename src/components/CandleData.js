@@ -0,0 +1,418 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { DateTime } from 'luxon';
+import './TradeManager.css';
+import './CandleData.css';
+
+const ET_ZONE = 'America/New_York';
+
+// Candle fields a CSV column can be mapped to, and header names that suggest them
+const IMPORT_FIELDS = [
+  ['date', 'Date / time', /^(date|datetime|date_?time|time_?stamp|timestamp|time)$/i, true],
+  ['time', 'Time (if separate)', /^time$/i, false],
+  ['open', 'Open', /^(open|o)$/i, true],
+  ['high', 'High', /^(high|h)$/i, true],
+  ['low', 'Low', /^(low|l)$/i, true],
+  ['close', 'Close', /^(close|c|last)$/i, true],
+  ['volume', 'Volume', /^(volume|vol|v)$/i, false]
+];
+
+const TIME_FORMATS = [
+  ['auto', 'Detect (ISO, yyyy-MM-dd HH:mm, MM/dd/yyyy HH:mm, epoch)'],
+  ['epoch_s', 'Epoch seconds'],
+  ['epoch_ms', 'Epoch milliseconds'],
+  ['custom', 'Custom (Luxon format)']
+];
+
+const TIMEZONES = ['America/New_York', 'America/Chicago', 'UTC', 'Europe/London'];
+
+const DELIMITERS = [[',', 'Comma'], [';', 'Semicolon'], ['\t', 'Tab'], ['|', 'Pipe']];
+
+const formatEt = (timestamp) => DateTime.fromMillis(timestamp, { zone: ET_ZONE }).toFormat('yyyy-MM-dd HH:mm');
+
+const toEtInputValue = (timestamp) => DateTime.fromMillis(timestamp, { zone: ET_ZONE }).toFormat("yyyy-MM-dd'T'HH:mm");
+
+const fromEtInputValue = (value) => (value ? DateTime.fromISO(value, { zone: ET_ZONE }).toMillis() : undefined);
+
+const getSeriesKey = (series) => `${series.instrument}|${series.timeframe}`;
+
+/**
+ * Map the file's columns to candle fields by their header names, or by the usual order
+ * (date, open, high, low, close, volume) when the first row isn't a header
+ */
+const guessColumns = (rows) => {
+  const firstRow = rows[0] || [];
+  const hasHeader = firstRow.some(value => value !== '' && Number.isNaN(Number(value)))
+    && firstRow.filter(value => value !== '' && !Number.isNaN(Number(value))).length < 4;
+  const columns = {};
+  if (hasHeader) {
+    IMPORT_FIELDS.forEach(([field, , pattern]) => {
+      const index = firstRow.findIndex((name, i) => pattern.test(name) && !Object.values(columns).includes(i));
+      if (index !== -1) columns[field] = index;
+    });
+  } else {
+    ['date', 'open', 'high', 'low', 'close', 'volume'].forEach((field, index) => {
+      if (index < firstRow.length) columns[field] = index;
+    });
+  }
+  return { hasHeader, columns };
+};
+
+/**
+ * Candle Data window - imports OHLCV CSV files into the candle store and cache, and exports the candle store's
+ * instruments and timeframes as CSV or columnar files
+ */
+function CandleData() {
+  const [preview, setPreview] = useState(null);
+  const [importOptions, setImportOptions] = useState({
+    instrument: '',
+    timeframe: '1m',
+    delimiter: ',',
+    hasHeader: true,
+    columns: {},
+    timeFormat: 'auto',
+    customTimeFormat: 'yyyy-MM-dd HH:mm:ss',
+    timezone: ET_ZONE,
+    closeTimestamps: false
+  });
+  const [importResult, setImportResult] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const [seriesList, setSeriesList] = useState([]);
+  const [exportOptions, setExportOptions] = useState({ seriesKey: '', start: '', end: '', format: 'csv' });
+  const [statusMessage, setStatusMessage] = useState('');
+
+  const loadSeries = useCallback(async () => {
+    try {
+      const { ipcRenderer } = window.require('electron');
+      setSeriesList(await ipcRenderer.invoke('candle-file:list'));
+    } catch (error) {
+      console.error('CandleData: Error loading the candle store series:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSeries();
+  }, [loadSeries]);
+
+  const handleImportOptionChange = (key, value) => {
+    setImportOptions(current => ({ ...current, [key]: value }));
+  };
+
+  const handleColumnChange = (field, value) => {
+    setImportOptions(current => {
+      const columns = { ...current.columns };
+      if (value === '') {
+        delete columns[field];
+      } else {
+        columns[field] = parseInt(value, 10);
+      }
+      return { ...current, columns };
+    });
+  };
+
+  const handleChooseFile = async () => {
+    try {
+      const { ipcRenderer } = window.require('electron');
+      const result = await ipcRenderer.invoke('candle-file:preview');
+      if (!result) return;
+      setPreview(result);
+      setImportResult(null);
+      // The file name often starts with the instrument, e.g. ESM5_1m.csv
+      const fileName = result.filePath.split(/[\\/]/).pop();
+      const instrumentMatch = fileName.match(/^([A-Za-z0-9]+)/);
+      setImportOptions(current => ({
+        ...current,
+        ...guessColumns(result.rows),
+        delimiter: result.delimiter,
+        instrument: current.instrument || (instrumentMatch ? instrumentMatch[1].toUpperCase() : '')
+      }));
+    } catch (error) {
+      console.error('CandleData: Error reading the file:', error);
+      setStatusMessage(`Can't read the file: ${error.message}`);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setImportResult(null);
+    try {
+      const { ipcRenderer } = window.require('electron');
+      const { customTimeFormat, ...options } = importOptions;
+      const result = await ipcRenderer.invoke('candle-file:import', {
+        ...options,
+        filePath: preview.filePath,
+        instrument: importOptions.instrument.trim(),
+        timeFormat: importOptions.timeFormat === 'custom' ? customTimeFormat : importOptions.timeFormat
+      });
+      setImportResult(result);
+      loadSeries();
+    } catch (error) {
+      console.error('CandleData: Error importing candles:', error);
+      // Errors thrown in the main process arrive wrapped in the IPC error message
+      setImportResult({ error: error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '') });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleExportSeriesChange = (seriesKey) => {
+    const series = seriesList.find(item => getSeriesKey(item) === seriesKey);
+    setExportOptions(current => ({
+      ...current,
+      seriesKey,
+      start: series ? toEtInputValue(series.start) : '',
+      end: series ? toEtInputValue(series.end) : ''
+    }));
+  };
+
+  const handleExport = async () => {
+    const series = seriesList.find(item => getSeriesKey(item) === exportOptions.seriesKey);
+    if (!series) return;
+    try {
+      const { ipcRenderer } = window.require('electron');
+      const result = await ipcRenderer.invoke('candle-file:export', {
+        instrument: series.instrument,
+        timeframe: series.timeframe,
+        start: fromEtInputValue(exportOptions.start),
+        end: fromEtInputValue(exportOptions.end),
+        format: exportOptions.format
+      });
+      if (result) {
+        setStatusMessage(`Exported ${result.count} candles to ${result.filePath}`);
+      }
+    } catch (error) {
+      console.error('CandleData: Error exporting candles:', error);
+      setStatusMessage(`Export failed: ${error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '')}`);
+    }
+  };
+
+  const columnCount = preview ? Math.max(...preview.rows.map(row => row.length)) : 0;
+  const columnNames = Array.from({ length: columnCount }, (value, index) => (
+    importOptions.hasHeader && preview.rows[0][index] ? preview.rows[0][index] : `Column ${index + 1}`
+  ));
+  const missingColumns = IMPORT_FIELDS.filter(([field, , , required]) => required && importOptions.columns[field] === undefined);
+  const canImport = preview && importOptions.instrument.trim() && missingColumns.length === 0 && !isImporting;
+
+  return (
+    <div className="trade-manager-container candle-data-container">
+      <div className="header">
+        <h1 className="header-title">Import / Export Candles</h1>
+      </div>
+
+      <div className="main-content">
+        <div className="content-area">
+          <h3 className="candle-data-section-title">Import CSV</h3>
+          <div className="candle-data-row">
+            <button className="button" onClick={handleChooseFile}>Choose file...</button>
+            <span className="candle-data-file">{preview ? preview.filePath : 'No file chosen'}</span>
+          </div>
+
+          {preview && (
+            <>
+              <div className="scrollable-table-container candle-data-preview">
+                <table className="positions-table">
+                  <tbody className="positions-body">
+                    {preview.rows.map((row, rowIndex) => (
+                      <tr key={rowIndex} className={importOptions.hasHeader && rowIndex === 0 ? 'candle-data-header-row' : ''}>
+                        {row.map((value, index) => <td key={index}>{value}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="candle-data-grid">
+                <div className="form-group">
+                  <label className="label">Instrument</label>
+                  <input
+                    type="text"
+                    className="input"
+                    value={importOptions.instrument}
+                    placeholder="e.g. ESM5"
+                    onChange={(e) => handleImportOptionChange('instrument', e.target.value)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="label">Timeframe</label>
+                  <input
+                    type="text"
+                    className="input"
+                    value={importOptions.timeframe}
+                    placeholder="e.g. 1m, 5m, 1h"
+                    onChange={(e) => handleImportOptionChange('timeframe', e.target.value.trim())}
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="label">Delimiter</label>
+                  <select
+                    className="select"
+                    value={importOptions.delimiter}
+                    onChange={(e) => handleImportOptionChange('delimiter', e.target.value)}
+                  >
+                    {DELIMITERS.map(([delimiter, label]) => <option key={label} value={delimiter}>{label}</option>)}
+                  </select>
+                </div>
+                <label className="candle-data-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={importOptions.hasHeader}
+                    onChange={(e) => handleImportOptionChange('hasHeader', e.target.checked)}
+                  />
+                  First row is column names
+                </label>
+
+                {IMPORT_FIELDS.map(([field, label, , required]) => (
+                  <div key={field} className="form-group">
+                    <label className="label">{label}{required ? '' : ' (optional)'}</label>
+                    <select
+                      className="select"
+                      value={importOptions.columns[field] === undefined ? '' : importOptions.columns[field]}
+                      onChange={(e) => handleColumnChange(field, e.target.value)}
+                    >
+                      <option value="">{required ? 'Pick a column' : 'None'}</option>
+                      {columnNames.map((name, index) => <option key={index} value={index}>{name}</option>)}
+                    </select>
+                  </div>
+                ))}
+
+                <div className="form-group">
+                  <label className="label">Time format</label>
+                  <select
+                    className="select"
+                    value={importOptions.timeFormat}
+                    onChange={(e) => handleImportOptionChange('timeFormat', e.target.value)}
+                  >
+                    {TIME_FORMATS.map(([format, label]) => <option key={format} value={format}>{label}</option>)}
+                  </select>
+                </div>
+                {importOptions.timeFormat === 'custom' && (
+                  <div className="form-group">
+                    <label className="label">Format (date and time columns joined by a space)</label>
+                    <input
+                      type="text"
+                      className="input"
+                      value={importOptions.customTimeFormat}
+                      onChange={(e) => handleImportOptionChange('customTimeFormat', e.target.value)}
+                    />
+                  </div>
+                )}
+                <div className="form-group">
+                  <label className="label">Timezone of the file's times</label>
+                  <input
+                    type="text"
+                    className="input"
+                    list="candle-data-timezones"
+                    value={importOptions.timezone}
+                    onChange={(e) => handleImportOptionChange('timezone', e.target.value.trim())}
+                  />
+                  <datalist id="candle-data-timezones">
+                    {TIMEZONES.map(zone => <option key={zone} value={zone} />)}
+                  </datalist>
+                </div>
+                <label className="candle-data-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={importOptions.closeTimestamps}
+                    onChange={(e) => handleImportOptionChange('closeTimestamps', e.target.checked)}
+                  />
+                  Times are bar closes (e.g. NinjaTrader exports)
+                </label>
+              </div>
+
+              <div className="candle-data-row">
+                <button className="button primary" onClick={handleImport} disabled={!canImport}>
+                  {isImporting ? 'Importing...' : 'Import'}
+                </button>
+                {missingColumns.length > 0 && (
+                  <span className="candle-data-hint">Pick columns for {missingColumns.map(([, label]) => label).join(', ')}</span>
+                )}
+              </div>
+
+              {importResult && (importResult.error ? (
+                <div className="message negative-value">{importResult.error}</div>
+              ) : (
+                <div className="candle-data-result">
+                  <div className={importResult.count > 0 ? 'positive-value' : 'negative-value'}>
+                    Imported {importResult.count} candles
+                    {importResult.count > 0 && ` from ${formatEt(importResult.start)} to ${formatEt(importResult.end)} ET`}
+                    {importResult.skipped > 0 && `, skipped ${importResult.skipped} rows`}
+                  </div>
+                  {importResult.errors.map(error => <div key={error} className="candle-data-hint">{error}</div>)}
+                  {importResult.count > 0 && (
+                    <div className="candle-data-hint">
+                      Chart and replay them with a Local replay of {importOptions.instrument.trim()} (1m candles are replayed).
+                    </div>
+                  )}
+                </div>
+              ))}
+            </>
+          )}
+
+          <h3 className="candle-data-section-title">Export</h3>
+          {seriesList.length === 0 ? (
+            <div className="message">No candles loaded yet - connect the main window or import a file</div>
+          ) : (
+            <>
+              <div className="candle-data-grid">
+                <div className="form-group">
+                  <label className="label">Instrument / timeframe</label>
+                  <select
+                    className="select"
+                    value={exportOptions.seriesKey}
+                    onChange={(e) => handleExportSeriesChange(e.target.value)}
+                  >
+                    <option value="">Pick one</option>
+                    {seriesList.map(series => (
+                      <option key={getSeriesKey(series)} value={getSeriesKey(series)}>
+                        {series.instrument} {series.timeframe} - {series.count} candles, {formatEt(series.start)} to {formatEt(series.end)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label className="label">From (ET)</label>
+                  <input
+                    type="datetime-local"
+                    className="input"
+                    value={exportOptions.start}
+                    onChange={(e) => setExportOptions(current => ({ ...current, start: e.target.value }))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="label">To (ET)</label>
+                  <input
+                    type="datetime-local"
+                    className="input"
+                    value={exportOptions.end}
+                    onChange={(e) => setExportOptions(current => ({ ...current, end: e.target.value }))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="label">Format</label>
+                  <select
+                    className="select"
+                    value={exportOptions.format}
+                    onChange={(e) => setExportOptions(current => ({ ...current, format: e.target.value }))}
+                  >
+                    <option value="csv">CSV</option>
+                    <option value="columnar">Columnar binary (.qcol)</option>
+                  </select>
+                </div>
+              </div>
+              <div className="candle-data-row">
+                <button className="button primary" onClick={handleExport} disabled={!exportOptions.seriesKey}>Export</button>
+                <button className="button" onClick={loadSeries}>Refresh</button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {statusMessage && (
+        <div className="candle-data-status" onClick={() => setStatusMessage('')}>{statusMessage}</div>
+      )}
+    </div>
+  );
+}
+
+export default CandleData;
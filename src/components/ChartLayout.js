@@ -1,8 +1,22 @@
 import React from 'react';
 import ChartPane from './ChartPane';
+import { DEFAULT_CHART_BEHAVIOR } from '../utils/Timeframes';
+
+// Split ratios that give the pane of a timeframe slot the whole window - the 4-way layout has two columns, the
+// 6-way layouts three, with the first row's timeframes first
+const getFocusedSplitRatios = (chartLayout, index) => {
+  const columns = chartLayout === '4-way' ? 2 : 3;
+  const column = index % columns;
+  return {
+    rowSplitRatio: index < columns ? 100 : 0,
+    columnSplitRatio: column === 0 ? 100 : 0,
+    columnSplitRatios: [[100, 100], [0, 100], [0, 0]][column],
+  };
+};
 
 const ChartLayout = ({
   chartLayout,
+  focusedTimeframe,
   timeframes,
   instrument,
   chartData,
@@ -13,6 +27,8 @@ const ChartLayout = ({
   isTrendMode,
   isArrowMode,
   isTextMode,
+  isFibMode,
+  isPositionMode,
   isDrawingLockMode,
   lineColor,
   lineType,
@@ -23,6 +39,8 @@ const ChartLayout = ({
   setIsTrendMode,
   setIsArrowMode,
   setIsTextMode,
+  setIsFibMode,
+  setIsPositionMode,
   boxOpacity,
   arrowDirection,
   arrowSize,
@@ -30,6 +48,11 @@ const ChartLayout = ({
   annotationText,
   fontSize,
   textAnchor,
+  fibType,
+  fibLevels,
+  fibShowPrices,
+  positionTargetR,
+  onExportSnapshot,
   setDataSeriesRef,
   setLastPriceLineRef,
   setSciChartSurfaceRef,
@@ -37,7 +60,7 @@ const ChartLayout = ({
   onAnnotationUpdated,
   onAnnotationDeleted,
   createAnnotationId,
-  handleCrosshairMove,
+  isLinkedCursor,
   isLiveMode,
   isReplayMode,
   handleMouseDown,
@@ -46,11 +69,17 @@ const ChartLayout = ({
   columnSplitRatio,
   columnSplitRatios,
 }) => {
+  // A focused timeframe fills the window; the other panes stay mounted with no room
+  const focusIndex = focusedTimeframe ? timeframes.indexOf(focusedTimeframe) : -1;
+  const splitRatios = focusIndex === -1
+    ? { rowSplitRatio, columnSplitRatio, columnSplitRatios }
+    : getFocusedSplitRatios(chartLayout, focusIndex);
+
   // Calculate layout dimensions
   const dividerHeight = 10;
   const dividerWidth = 10;
   const availableHeight = windowSize.height - dividerHeight;
-  const topHeight = (availableHeight * rowSplitRatio) / 100;
+  const topHeight = (availableHeight * splitRatios.rowSplitRatio) / 100;
   const bottomHeight = availableHeight - topHeight;
   const availableWidth = windowSize.width - dividerWidth;
   
@@ -59,18 +88,18 @@ const ChartLayout = ({
   
   if (chartLayout === '4-way') {
     // For 4-way layout, we only need left and right widths
-    leftWidth = Math.floor((availableWidth * columnSplitRatio) / 100);
+    leftWidth = Math.floor((availableWidth * splitRatios.columnSplitRatio) / 100);
     rightWidth = availableWidth - leftWidth;
     centerWidth = 0; // Not used in 4-way layout
   } else {
     // For 6-way layout, we need 3 sections
-    const firstDividerPosition = Math.floor((availableWidth * columnSplitRatios[0]) / 100);
-    const secondDividerPosition = Math.floor((availableWidth * columnSplitRatios[1]) / 100);
+    const firstDividerPosition = Math.floor((availableWidth * splitRatios.columnSplitRatios[0]) / 100);
+    const secondDividerPosition = Math.floor((availableWidth * splitRatios.columnSplitRatios[1]) / 100);
     
     leftWidth = firstDividerPosition;
-    centerWidth = secondDividerPosition - firstDividerPosition - dividerWidth;
+    centerWidth = Math.max(0, secondDividerPosition - firstDividerPosition - dividerWidth);
     // Make sure rightWidth extends to the edge by using window width directly
-    rightWidth = windowSize.width - secondDividerPosition - dividerWidth;
+    rightWidth = Math.max(0, windowSize.width - secondDividerPosition - dividerWidth);
   }
 
   return (
@@ -98,17 +127,21 @@ const ChartLayout = ({
                 instrument={instrument}
                 timeframe={timeframes[0]}
                 candleData={chartData[timeframes[0]]}
-                chartBehavior={settings.chartBehavior[timeframes[0]]}
+                chartBehavior={settings.chartBehavior[timeframes[0]] || DEFAULT_CHART_BEHAVIOR}
                 colors={settings.colors}
                 gridOptions={settings.gridOptions}
                 candleWidth={settings.candleWidth}
                 chartType={settings.chartTypes ? settings.chartTypes[timeframes[0]] : 'Candle'}
+                volumeOptions={settings.volumeOptions}
+                barTypeOptions={settings.barTypeOptions}
                 isCrosshairMode={isCrosshairMode}
                 isLineMode={isLineMode}
                 isBoxMode={isBoxMode}
                 isTrendMode={isTrendMode}
                 isArrowMode={isArrowMode}
                 isTextMode={isTextMode}
+                isFibMode={isFibMode}
+                isPositionMode={isPositionMode}
                 isDrawingLockMode={isDrawingLockMode}
                 lineColor={lineColor}
                 lineType={lineType}
@@ -119,6 +152,8 @@ const ChartLayout = ({
                 setIsTrendMode={setIsTrendMode}
                 setIsArrowMode={setIsArrowMode}
                 setIsTextMode={setIsTextMode}
+                setIsFibMode={setIsFibMode}
+                setIsPositionMode={setIsPositionMode}
                 boxOpacity={boxOpacity}
                 arrowDirection={arrowDirection}
                 arrowSize={arrowSize}
@@ -126,6 +161,11 @@ const ChartLayout = ({
                 annotationText={annotationText}
                 fontSize={fontSize}
                 textAnchor={textAnchor}
+                fibType={fibType}
+                fibLevels={fibLevels}
+                fibShowPrices={fibShowPrices}
+                positionTargetR={positionTargetR}
+                onExportSnapshot={onExportSnapshot}
                 setDataSeriesRef={setDataSeriesRef}
                 setLastPriceLineRef={setLastPriceLineRef}
                 setSciChartSurfaceRef={setSciChartSurfaceRef}
@@ -134,7 +174,7 @@ const ChartLayout = ({
                 onAnnotationUpdated={onAnnotationUpdated}
                 onAnnotationDeleted={onAnnotationDeleted}
                 generateAnnotationId={(type) => createAnnotationId(type, timeframes[0])}
-                onCrosshairMove={(timeframe, timestamp, price) => handleCrosshairMove(timeframe, timestamp, price)}
+                isLinkedCursor={isLinkedCursor}
                 isLiveMode={isLiveMode}
                 isReplayMode={isReplayMode}
               />
@@ -163,17 +203,21 @@ const ChartLayout = ({
                 instrument={instrument}
                 timeframe={timeframes[1]}
                 candleData={chartData[timeframes[1]]}
-                chartBehavior={settings.chartBehavior[timeframes[1]]}
+                chartBehavior={settings.chartBehavior[timeframes[1]] || DEFAULT_CHART_BEHAVIOR}
                 colors={settings.colors}
                 gridOptions={settings.gridOptions}
                 candleWidth={settings.candleWidth}
                 chartType={settings.chartTypes ? settings.chartTypes[timeframes[1]] : 'Candle'}
+                volumeOptions={settings.volumeOptions}
+                barTypeOptions={settings.barTypeOptions}
                 isCrosshairMode={isCrosshairMode}
                 isLineMode={isLineMode}
                 isBoxMode={isBoxMode}
                 isTrendMode={isTrendMode}
                 isArrowMode={isArrowMode}
                 isTextMode={isTextMode}
+                isFibMode={isFibMode}
+                isPositionMode={isPositionMode}
                 isDrawingLockMode={isDrawingLockMode}
                 lineColor={lineColor}
                 lineType={lineType}
@@ -184,6 +228,8 @@ const ChartLayout = ({
                 setIsTrendMode={setIsTrendMode}
                 setIsArrowMode={setIsArrowMode}
                 setIsTextMode={setIsTextMode}
+                setIsFibMode={setIsFibMode}
+                setIsPositionMode={setIsPositionMode}
                 boxOpacity={boxOpacity}
                 arrowDirection={arrowDirection}
                 arrowSize={arrowSize}
@@ -191,6 +237,11 @@ const ChartLayout = ({
                 annotationText={annotationText}
                 fontSize={fontSize}
                 textAnchor={textAnchor}
+                fibType={fibType}
+                fibLevels={fibLevels}
+                fibShowPrices={fibShowPrices}
+                positionTargetR={positionTargetR}
+                onExportSnapshot={onExportSnapshot}
                 setDataSeriesRef={setDataSeriesRef}
                 setLastPriceLineRef={setLastPriceLineRef}
                 setSciChartSurfaceRef={setSciChartSurfaceRef}
@@ -199,7 +250,7 @@ const ChartLayout = ({
                 onAnnotationUpdated={onAnnotationUpdated}
                 onAnnotationDeleted={onAnnotationDeleted}
                 generateAnnotationId={(type) => createAnnotationId(type, timeframes[1])}
-                onCrosshairMove={(timeframe, timestamp, price) => handleCrosshairMove(timeframe, timestamp, price)}
+                isLinkedCursor={isLinkedCursor}
                 isLiveMode={isLiveMode}
                 isReplayMode={isReplayMode}
               />
@@ -227,17 +278,21 @@ const ChartLayout = ({
                 instrument={instrument}
                 timeframe={timeframes[0]}
                 candleData={chartData[timeframes[0]]}
-                chartBehavior={settings.chartBehavior[timeframes[0]]}
+                chartBehavior={settings.chartBehavior[timeframes[0]] || DEFAULT_CHART_BEHAVIOR}
                 colors={settings.colors}
                 gridOptions={settings.gridOptions}
                 candleWidth={settings.candleWidth}
                 chartType={settings.chartTypes ? settings.chartTypes[timeframes[0]] : 'Candle'}
+                volumeOptions={settings.volumeOptions}
+                barTypeOptions={settings.barTypeOptions}
                 isCrosshairMode={isCrosshairMode}
                 isLineMode={isLineMode}
                 isBoxMode={isBoxMode}
                 isTrendMode={isTrendMode}
                 isArrowMode={isArrowMode}
                 isTextMode={isTextMode}
+                isFibMode={isFibMode}
+                isPositionMode={isPositionMode}
                 isDrawingLockMode={isDrawingLockMode}
                 lineColor={lineColor}
                 lineType={lineType}
@@ -248,6 +303,8 @@ const ChartLayout = ({
                 setIsTrendMode={setIsTrendMode}
                 setIsArrowMode={setIsArrowMode}
                 setIsTextMode={setIsTextMode}
+                setIsFibMode={setIsFibMode}
+                setIsPositionMode={setIsPositionMode}
                 boxOpacity={boxOpacity}
                 arrowDirection={arrowDirection}
                 arrowSize={arrowSize}
@@ -255,6 +312,11 @@ const ChartLayout = ({
                 annotationText={annotationText}
                 fontSize={fontSize}
                 textAnchor={textAnchor}
+                fibType={fibType}
+                fibLevels={fibLevels}
+                fibShowPrices={fibShowPrices}
+                positionTargetR={positionTargetR}
+                onExportSnapshot={onExportSnapshot}
                 setDataSeriesRef={setDataSeriesRef}
                 setLastPriceLineRef={setLastPriceLineRef}
                 setSciChartSurfaceRef={setSciChartSurfaceRef}
@@ -263,7 +325,7 @@ const ChartLayout = ({
                 onAnnotationUpdated={onAnnotationUpdated}
                 onAnnotationDeleted={onAnnotationDeleted}
                 generateAnnotationId={(type) => createAnnotationId(type, timeframes[0])}
-                onCrosshairMove={(timeframe, timestamp, price) => handleCrosshairMove(timeframe, timestamp, price)}
+                isLinkedCursor={isLinkedCursor}
                 isLiveMode={isLiveMode}
                 isReplayMode={isReplayMode}
               />
@@ -292,17 +354,21 @@ const ChartLayout = ({
                 instrument={instrument}
                 timeframe={timeframes[1]}
                 candleData={chartData[timeframes[1]]}
-                chartBehavior={settings.chartBehavior[timeframes[1]]}
+                chartBehavior={settings.chartBehavior[timeframes[1]] || DEFAULT_CHART_BEHAVIOR}
                 colors={settings.colors}
                 gridOptions={settings.gridOptions}
                 candleWidth={settings.candleWidth}
                 chartType={settings.chartTypes ? settings.chartTypes[timeframes[1]] : 'Candle'}
+                volumeOptions={settings.volumeOptions}
+                barTypeOptions={settings.barTypeOptions}
                 isCrosshairMode={isCrosshairMode}
                 isLineMode={isLineMode}
                 isBoxMode={isBoxMode}
                 isTrendMode={isTrendMode}
                 isArrowMode={isArrowMode}
                 isTextMode={isTextMode}
+                isFibMode={isFibMode}
+                isPositionMode={isPositionMode}
                 isDrawingLockMode={isDrawingLockMode}
                 lineColor={lineColor}
                 lineType={lineType}
@@ -313,6 +379,8 @@ const ChartLayout = ({
                 setIsTrendMode={setIsTrendMode}
                 setIsArrowMode={setIsArrowMode}
                 setIsTextMode={setIsTextMode}
+                setIsFibMode={setIsFibMode}
+                setIsPositionMode={setIsPositionMode}
                 boxOpacity={boxOpacity}
                 arrowDirection={arrowDirection}
                 arrowSize={arrowSize}
@@ -320,6 +388,11 @@ const ChartLayout = ({
                 annotationText={annotationText}
                 fontSize={fontSize}
                 textAnchor={textAnchor}
+                fibType={fibType}
+                fibLevels={fibLevels}
+                fibShowPrices={fibShowPrices}
+                positionTargetR={positionTargetR}
+                onExportSnapshot={onExportSnapshot}
                 setDataSeriesRef={setDataSeriesRef}
                 setLastPriceLineRef={setLastPriceLineRef}
                 setSciChartSurfaceRef={setSciChartSurfaceRef}
@@ -328,7 +401,7 @@ const ChartLayout = ({
                 onAnnotationUpdated={onAnnotationUpdated}
                 onAnnotationDeleted={onAnnotationDeleted}
                 generateAnnotationId={(type) => createAnnotationId(type, timeframes[1])}
-                onCrosshairMove={(timeframe, timestamp, price) => handleCrosshairMove(timeframe, timestamp, price)}
+                isLinkedCursor={isLinkedCursor}
                 isLiveMode={isLiveMode}
                 isReplayMode={isReplayMode}
               />
@@ -357,17 +430,21 @@ const ChartLayout = ({
                 instrument={instrument}
                 timeframe={timeframes[2]}
                 candleData={chartData[timeframes[2]]}
-                chartBehavior={settings.chartBehavior[timeframes[2]]}
+                chartBehavior={settings.chartBehavior[timeframes[2]] || DEFAULT_CHART_BEHAVIOR}
                 colors={settings.colors}
                 gridOptions={settings.gridOptions}
                 candleWidth={settings.candleWidth}
                 chartType={settings.chartTypes ? settings.chartTypes[timeframes[2]] : 'Candle'}
+                volumeOptions={settings.volumeOptions}
+                barTypeOptions={settings.barTypeOptions}
                 isCrosshairMode={isCrosshairMode}
                 isLineMode={isLineMode}
                 isBoxMode={isBoxMode}
                 isTrendMode={isTrendMode}
                 isArrowMode={isArrowMode}
                 isTextMode={isTextMode}
+                isFibMode={isFibMode}
+                isPositionMode={isPositionMode}
                 isDrawingLockMode={isDrawingLockMode}
                 lineColor={lineColor}
                 lineType={lineType}
@@ -378,6 +455,8 @@ const ChartLayout = ({
                 setIsTrendMode={setIsTrendMode}
                 setIsArrowMode={setIsArrowMode}
                 setIsTextMode={setIsTextMode}
+                setIsFibMode={setIsFibMode}
+                setIsPositionMode={setIsPositionMode}
                 boxOpacity={boxOpacity}
                 arrowDirection={arrowDirection}
                 arrowSize={arrowSize}
@@ -385,6 +464,11 @@ const ChartLayout = ({
                 annotationText={annotationText}
                 fontSize={fontSize}
                 textAnchor={textAnchor}
+                fibType={fibType}
+                fibLevels={fibLevels}
+                fibShowPrices={fibShowPrices}
+                positionTargetR={positionTargetR}
+                onExportSnapshot={onExportSnapshot}
                 setDataSeriesRef={setDataSeriesRef}
                 setLastPriceLineRef={setLastPriceLineRef}
                 setSciChartSurfaceRef={setSciChartSurfaceRef}
@@ -393,7 +477,7 @@ const ChartLayout = ({
                 onAnnotationUpdated={onAnnotationUpdated}
                 onAnnotationDeleted={onAnnotationDeleted}
                 generateAnnotationId={(type) => createAnnotationId(type, timeframes[2])}
-                onCrosshairMove={(timeframe, timestamp, price) => handleCrosshairMove(timeframe, timestamp, price)}
+                isLinkedCursor={isLinkedCursor}
                 isLiveMode={isLiveMode}
                 isReplayMode={isReplayMode}
               />
@@ -429,17 +513,21 @@ const ChartLayout = ({
                 instrument={instrument}
                 timeframe={timeframes[2]}
                 candleData={chartData[timeframes[2]]}
-                chartBehavior={settings.chartBehavior[timeframes[2]]}
+                chartBehavior={settings.chartBehavior[timeframes[2]] || DEFAULT_CHART_BEHAVIOR}
                 colors={settings.colors}
                 gridOptions={settings.gridOptions}
                 candleWidth={settings.candleWidth}
                 chartType={settings.chartTypes ? settings.chartTypes[timeframes[2]] : 'Candle'}
+                volumeOptions={settings.volumeOptions}
+                barTypeOptions={settings.barTypeOptions}
                 isCrosshairMode={isCrosshairMode}
                 isLineMode={isLineMode}
                 isBoxMode={isBoxMode}
                 isTrendMode={isTrendMode}
                 isArrowMode={isArrowMode}
                 isTextMode={isTextMode}
+                isFibMode={isFibMode}
+                isPositionMode={isPositionMode}
                 isDrawingLockMode={isDrawingLockMode}
                 lineColor={lineColor}
                 lineType={lineType}
@@ -450,6 +538,8 @@ const ChartLayout = ({
                 setIsTrendMode={setIsTrendMode}
                 setIsArrowMode={setIsArrowMode}
                 setIsTextMode={setIsTextMode}
+                setIsFibMode={setIsFibMode}
+                setIsPositionMode={setIsPositionMode}
                 boxOpacity={boxOpacity}
                 arrowDirection={arrowDirection}
                 arrowSize={arrowSize}
@@ -457,6 +547,11 @@ const ChartLayout = ({
                 annotationText={annotationText}
                 fontSize={fontSize}
                 textAnchor={textAnchor}
+                fibType={fibType}
+                fibLevels={fibLevels}
+                fibShowPrices={fibShowPrices}
+                positionTargetR={positionTargetR}
+                onExportSnapshot={onExportSnapshot}
                 setDataSeriesRef={setDataSeriesRef}
                 setLastPriceLineRef={setLastPriceLineRef}
                 setSciChartSurfaceRef={setSciChartSurfaceRef}
@@ -465,7 +560,7 @@ const ChartLayout = ({
                 onAnnotationUpdated={onAnnotationUpdated}
                 onAnnotationDeleted={onAnnotationDeleted}
                 generateAnnotationId={(type) => createAnnotationId(type, timeframes[2])}
-                onCrosshairMove={(timeframe, timestamp, price) => handleCrosshairMove(timeframe, timestamp, price)}
+                isLinkedCursor={isLinkedCursor}
                 isLiveMode={isLiveMode}
                 isReplayMode={isReplayMode}
               />
@@ -494,17 +589,21 @@ const ChartLayout = ({
                 instrument={instrument}
                 timeframe={timeframes[3]}
                 candleData={chartData[timeframes[3]]}
-                chartBehavior={settings.chartBehavior[timeframes[3]]}
+                chartBehavior={settings.chartBehavior[timeframes[3]] || DEFAULT_CHART_BEHAVIOR}
                 colors={settings.colors}
                 gridOptions={settings.gridOptions}
                 candleWidth={settings.candleWidth}
                 chartType={settings.chartTypes ? settings.chartTypes[timeframes[3]] : 'Candle'}
+                volumeOptions={settings.volumeOptions}
+                barTypeOptions={settings.barTypeOptions}
                 isCrosshairMode={isCrosshairMode}
                 isLineMode={isLineMode}
                 isBoxMode={isBoxMode}
                 isTrendMode={isTrendMode}
                 isArrowMode={isArrowMode}
                 isTextMode={isTextMode}
+                isFibMode={isFibMode}
+                isPositionMode={isPositionMode}
                 isDrawingLockMode={isDrawingLockMode}
                 lineColor={lineColor}
                 lineType={lineType}
@@ -515,6 +614,8 @@ const ChartLayout = ({
                 setIsTrendMode={setIsTrendMode}
                 setIsArrowMode={setIsArrowMode}
                 setIsTextMode={setIsTextMode}
+                setIsFibMode={setIsFibMode}
+                setIsPositionMode={setIsPositionMode}
                 boxOpacity={boxOpacity}
                 arrowDirection={arrowDirection}
                 arrowSize={arrowSize}
@@ -522,6 +623,11 @@ const ChartLayout = ({
                 annotationText={annotationText}
                 fontSize={fontSize}
                 textAnchor={textAnchor}
+                fibType={fibType}
+                fibLevels={fibLevels}
+                fibShowPrices={fibShowPrices}
+                positionTargetR={positionTargetR}
+                onExportSnapshot={onExportSnapshot}
                 setDataSeriesRef={setDataSeriesRef}
                 setLastPriceLineRef={setLastPriceLineRef}
                 setSciChartSurfaceRef={setSciChartSurfaceRef}
@@ -530,7 +636,7 @@ const ChartLayout = ({
                 onAnnotationUpdated={onAnnotationUpdated}
                 onAnnotationDeleted={onAnnotationDeleted}
                 generateAnnotationId={(type) => createAnnotationId(type, timeframes[3])}
-                onCrosshairMove={(timeframe, timestamp, price) => handleCrosshairMove(timeframe, timestamp, price)}
+                isLinkedCursor={isLinkedCursor}
                 isLiveMode={isLiveMode}
                 isReplayMode={isReplayMode}
               />
@@ -558,17 +664,21 @@ const ChartLayout = ({
                 instrument={instrument}
                 timeframe={timeframes[3]}
                 candleData={chartData[timeframes[3]]}
-                chartBehavior={settings.chartBehavior[timeframes[3]]}
+                chartBehavior={settings.chartBehavior[timeframes[3]] || DEFAULT_CHART_BEHAVIOR}
                 colors={settings.colors}
                 gridOptions={settings.gridOptions}
                 candleWidth={settings.candleWidth}
                 chartType={settings.chartTypes ? settings.chartTypes[timeframes[3]] : 'Candle'}
+                volumeOptions={settings.volumeOptions}
+                barTypeOptions={settings.barTypeOptions}
                 isCrosshairMode={isCrosshairMode}
                 isLineMode={isLineMode}
                 isBoxMode={isBoxMode}
                 isTrendMode={isTrendMode}
                 isArrowMode={isArrowMode}
                 isTextMode={isTextMode}
+                isFibMode={isFibMode}
+                isPositionMode={isPositionMode}
                 isDrawingLockMode={isDrawingLockMode}
                 lineColor={lineColor}
                 lineType={lineType}
@@ -579,6 +689,8 @@ const ChartLayout = ({
                 setIsTrendMode={setIsTrendMode}
                 setIsArrowMode={setIsArrowMode}
                 setIsTextMode={setIsTextMode}
+                setIsFibMode={setIsFibMode}
+                setIsPositionMode={setIsPositionMode}
                 boxOpacity={boxOpacity}
                 arrowDirection={arrowDirection}
                 arrowSize={arrowSize}
@@ -586,6 +698,11 @@ const ChartLayout = ({
                 annotationText={annotationText}
                 fontSize={fontSize}
                 textAnchor={textAnchor}
+                fibType={fibType}
+                fibLevels={fibLevels}
+                fibShowPrices={fibShowPrices}
+                positionTargetR={positionTargetR}
+                onExportSnapshot={onExportSnapshot}
                 setDataSeriesRef={setDataSeriesRef}
                 setLastPriceLineRef={setLastPriceLineRef}
                 setSciChartSurfaceRef={setSciChartSurfaceRef}
@@ -594,7 +711,7 @@ const ChartLayout = ({
                 onAnnotationUpdated={onAnnotationUpdated}
                 onAnnotationDeleted={onAnnotationDeleted}
                 generateAnnotationId={(type) => createAnnotationId(type, timeframes[3])}
-                onCrosshairMove={(timeframe, timestamp, price) => handleCrosshairMove(timeframe, timestamp, price)}
+                isLinkedCursor={isLinkedCursor}
                 isLiveMode={isLiveMode}
                 isReplayMode={isReplayMode}
               />
@@ -623,17 +740,21 @@ const ChartLayout = ({
                 instrument={instrument}
                 timeframe={timeframes[4]}
                 candleData={chartData[timeframes[4]]}
-                chartBehavior={settings.chartBehavior[timeframes[4]]}
+                chartBehavior={settings.chartBehavior[timeframes[4]] || DEFAULT_CHART_BEHAVIOR}
                 colors={settings.colors}
                 gridOptions={settings.gridOptions}
                 candleWidth={settings.candleWidth}
                 chartType={settings.chartTypes ? settings.chartTypes[timeframes[4]] : 'Candle'}
+                volumeOptions={settings.volumeOptions}
+                barTypeOptions={settings.barTypeOptions}
                 isCrosshairMode={isCrosshairMode}
                 isLineMode={isLineMode}
                 isBoxMode={isBoxMode}
                 isTrendMode={isTrendMode}
                 isArrowMode={isArrowMode}
                 isTextMode={isTextMode}
+                isFibMode={isFibMode}
+                isPositionMode={isPositionMode}
                 isDrawingLockMode={isDrawingLockMode}
                 lineColor={lineColor}
                 lineType={lineType}
@@ -644,6 +765,8 @@ const ChartLayout = ({
                 setIsTrendMode={setIsTrendMode}
                 setIsArrowMode={setIsArrowMode}
                 setIsTextMode={setIsTextMode}
+                setIsFibMode={setIsFibMode}
+                setIsPositionMode={setIsPositionMode}
                 boxOpacity={boxOpacity}
                 arrowDirection={arrowDirection}
                 arrowSize={arrowSize}
@@ -651,6 +774,11 @@ const ChartLayout = ({
                 annotationText={annotationText}
                 fontSize={fontSize}
                 textAnchor={textAnchor}
+                fibType={fibType}
+                fibLevels={fibLevels}
+                fibShowPrices={fibShowPrices}
+                positionTargetR={positionTargetR}
+                onExportSnapshot={onExportSnapshot}
                 setDataSeriesRef={setDataSeriesRef}
                 setLastPriceLineRef={setLastPriceLineRef}
                 setSciChartSurfaceRef={setSciChartSurfaceRef}
@@ -659,7 +787,7 @@ const ChartLayout = ({
                 onAnnotationUpdated={onAnnotationUpdated}
                 onAnnotationDeleted={onAnnotationDeleted}
                 generateAnnotationId={(type) => createAnnotationId(type, timeframes[4])}
-                onCrosshairMove={(timeframe, timestamp, price) => handleCrosshairMove(timeframe, timestamp, price)}
+                isLinkedCursor={isLinkedCursor}
                 isLiveMode={isLiveMode}
                 isReplayMode={isReplayMode}
               />
@@ -688,17 +816,21 @@ const ChartLayout = ({
                 instrument={instrument}
                 timeframe={timeframes[5]}
                 candleData={chartData[timeframes[5]]}
-                chartBehavior={settings.chartBehavior[timeframes[5]]}
+                chartBehavior={settings.chartBehavior[timeframes[5]] || DEFAULT_CHART_BEHAVIOR}
                 colors={settings.colors}
                 gridOptions={settings.gridOptions}
                 candleWidth={settings.candleWidth}
                 chartType={settings.chartTypes ? settings.chartTypes[timeframes[5]] : 'Candle'}
+                volumeOptions={settings.volumeOptions}
+                barTypeOptions={settings.barTypeOptions}
                 isCrosshairMode={isCrosshairMode}
                 isLineMode={isLineMode}
                 isBoxMode={isBoxMode}
                 isTrendMode={isTrendMode}
                 isArrowMode={isArrowMode}
                 isTextMode={isTextMode}
+                isFibMode={isFibMode}
+                isPositionMode={isPositionMode}
                 isDrawingLockMode={isDrawingLockMode}
                 lineColor={lineColor}
                 lineType={lineType}
@@ -709,6 +841,8 @@ const ChartLayout = ({
                 setIsTrendMode={setIsTrendMode}
                 setIsArrowMode={setIsArrowMode}
                 setIsTextMode={setIsTextMode}
+                setIsFibMode={setIsFibMode}
+                setIsPositionMode={setIsPositionMode}
                 boxOpacity={boxOpacity}
                 arrowDirection={arrowDirection}
                 arrowSize={arrowSize}
@@ -716,6 +850,11 @@ const ChartLayout = ({
                 annotationText={annotationText}
                 fontSize={fontSize}
                 textAnchor={textAnchor}
+                fibType={fibType}
+                fibLevels={fibLevels}
+                fibShowPrices={fibShowPrices}
+                positionTargetR={positionTargetR}
+                onExportSnapshot={onExportSnapshot}
                 setDataSeriesRef={setDataSeriesRef}
                 setLastPriceLineRef={setLastPriceLineRef}
                 setSciChartSurfaceRef={setSciChartSurfaceRef}
@@ -724,7 +863,7 @@ const ChartLayout = ({
                 onAnnotationUpdated={onAnnotationUpdated}
                 onAnnotationDeleted={onAnnotationDeleted}
                 generateAnnotationId={(type) => createAnnotationId(type, timeframes[5])}
-                onCrosshairMove={(timeframe, timestamp, price) => handleCrosshairMove(timeframe, timestamp, price)}
+                isLinkedCursor={isLinkedCursor}
                 isLiveMode={isLiveMode}
                 isReplayMode={isReplayMode}
               />
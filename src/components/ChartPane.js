@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { SciChartSurface } from 'scichart';
 import { NumericAxis } from 'scichart/Charting/Visuals/Axis/NumericAxis';
 import { OhlcDataSeries } from 'scichart/Charting/Model/OhlcDataSeries';
@@ -19,13 +19,34 @@ import {
     NativeTextAnnotation,
     DefaultPaletteProvider,
     EStrokePaletteMode,
-    parseColorToUIntArgb
+    parseColorToUIntArgb,
+    FastColumnRenderableSeries,
+    NumberRange,
+    EAutoRange,
+    ECoordinateMode
 } from 'scichart';
 import { EasternTimeLabelProvider, CustomTickProvider } from '../utils/CustomProviders';
-import { resetToDefaultRange, getReadableTextColor, getArrowAnchorPoints, createArrowSvg, timeframeToMilliseconds } from '../utils/chartUtils';
+import { resetToDefaultRange, getReadableTextColor, getArrowAnchorPoints, createArrowSvg, timeframeToMilliseconds, removeDerivedAnnotations, findContainingBarIndex, scrollToTimestamp } from '../utils/chartUtils';
+import { getTimeframeDurationMs } from '../utils/Timeframes';
+import { DEFAULT_VOLUME_OPTIONS, calculateVolumeProfile, getProfileCandles } from '../utils/VolumeProfile';
+import { DEFAULT_BAR_TYPE_OPTIONS, isTransformedChartType, createBarTransformer } from '../utils/BarTransforms';
+import { createFibonacciAnnotation, drawFibonacciLevels } from '../utils/FibonacciTool';
+import { DEFAULT_TARGET_R, createPositionAnnotation, drawPositionZones } from '../utils/PositionTool';
+import cursorSyncService from '../services/cursor-sync';
 
 // Import the reset button image
 import resetButtonIcon from '../images/button-reset-range.png';
+import snapshotButtonIcon from '../images/snapshot-button.svg';
+
+// Label of the crosshair's vertical line
+const formatCursorTime = (timestamp) => {
+    const timestampDate = new Date(timestamp);
+    const month = (timestampDate.getMonth() + 1).toString(); // getMonth is 0-indexed
+    const day = timestampDate.getDate().toString().padStart(2, '0');
+    const hours = timestampDate.getHours().toString().padStart(2, '0');
+    const minutes = timestampDate.getMinutes().toString().padStart(2, '0');
+    return `${month}/${day} ${hours}:${minutes}`;
+};
 
 // Candle Countdown Timer Component
 const CandleCountdown = ({ isLiveMode, isReplayMode, timeframe, candleData }) => {
@@ -221,6 +242,30 @@ class ComparisonLinePaletteProvider extends DefaultPaletteProvider {
     }
 }
 
+// Custom PaletteProvider for volume columns - colors each bar by the direction of its candle
+class VolumePaletteProvider extends DefaultPaletteProvider {
+    constructor(upColor, downColor, ohlcDataSeries) {
+        super();
+        this.upColor = parseColorToUIntArgb(upColor);
+        this.downColor = parseColorToUIntArgb(downColor);
+        this.ohlcDataSeries = ohlcDataSeries; // Store the OhlcDataSeries reference
+    }
+
+    overrideFillArgb(xValue, yValue, index, opacity, metadata) {
+        if (!this.ohlcDataSeries || index >= this.ohlcDataSeries.count()) {
+            return undefined;
+        }
+
+        const open = this.ohlcDataSeries.getNativeOpenValues().get(index);
+        const close = this.ohlcDataSeries.getNativeCloseValues().get(index);
+        return close >= open ? this.upColor : this.downColor;
+    }
+
+    overrideStrokeArgb(xValue, yValue, index, opacity, metadata) {
+        return this.overrideFillArgb(xValue, yValue, index, opacity, metadata);
+    }
+}
+
 // ChartPane component with crosshair functionality
 function ChartPane({ 
     instrument, 
@@ -236,6 +281,8 @@ function ChartPane({
     isTrendMode, 
     isArrowMode, 
     isTextMode,
+    isFibMode,
+    isPositionMode,
     isDrawingLockMode,
     lineColor, 
     lineType, 
@@ -246,6 +293,8 @@ function ChartPane({
     setIsTrendMode, 
     setIsArrowMode, 
     setIsTextMode,
+    setIsFibMode,
+    setIsPositionMode,
     setDataSeriesRef, 
     setLastPriceLineRef, 
     setSciChartSurfaceRef, 
@@ -257,14 +306,21 @@ function ChartPane({
     annotationText,
     fontSize,
     textAnchor,
+    fibType,
+    fibLevels,
+    fibShowPrices,
+    positionTargetR,
+    onExportSnapshot,
     onAnnotationCreated, 
     onAnnotationUpdated, 
     onAnnotationDeleted, 
     generateAnnotationId,
-    onCrosshairMove,
+    isLinkedCursor,
     isLiveMode,
     isReplayMode,
-    chartType = 'Candle' // New prop to control chart type (default: 'Candle')
+    chartType = 'Candle', // New prop to control chart type (default: 'Candle')
+    volumeOptions = DEFAULT_VOLUME_OPTIONS, // Volume pane and volume profile options
+    barTypeOptions = DEFAULT_BAR_TYPE_OPTIONS // Tick size, Renko brick size and range bar size
 }) {
     const chartRef = useRef(null);
     const sciChartSurfaceRef = useRef(null);
@@ -273,11 +329,23 @@ function ChartPane({
     const lineDataSeriesRef = useRef(null); // New ref for line data series
     const candlestickSeriesRef = useRef(null); // New ref for candlestick series
     const lineSeriesRef = useRef(null); // New ref for line series
+    const volumeDataSeriesRef = useRef(null); // Ref for volume column data series
+    const volumeSeriesRef = useRef(null); // Ref for volume column series
+    const volumeProfileAnnotationsRef = useRef([]); // Volume profile rows and POC/VAH/VAL lines
+    const volumeByTimestampRef = useRef(new Map()); // Volume lookup keyed by candle timestamp
+    const volumeOptionsRef = useRef(volumeOptions);
+    const sourceCandlesRef = useRef(new Map()); // Raw candles keyed by timestamp for Heikin-Ashi/Renko/range bars
+    const wasTransformedRef = useRef(false); // Whether the series currently holds transformed bars
     const [isInitialized, setIsInitialized] = useState(false);
     const settingsRef = useRef(chartBehavior);
     const verticalLineRef = useRef(null);
     const cursorHorizontalLineRef = useRef(null);
     const isCrosshairModeRef = useRef(isCrosshairMode);
+    const isLinkedCursorRef = useRef(isLinkedCursor);
+    const cursorSourceIdRef = useRef(null); // This pane's ID in linked cursor messages
+    if (!cursorSourceIdRef.current) {
+        cursorSourceIdRef.current = cursorSyncService.createSourceId();
+    }
     const lineAnnotationsRef = useRef([]);
     const initialDataLoadedRef = useRef(false);
     
@@ -294,39 +362,186 @@ function ChartPane({
     const trendLineRef = useRef(null);
     const isDrawingTrendLineRef = useRef(false);
     const trendLineStartCoordinatesRef = useRef({ x: 0, y: 0 });
+    const fibAnnotationRef = useRef(null);
+    const isDrawingFibRef = useRef(false);
+    const positionAnnotationRef = useRef(null);
+    const isDrawingPositionRef = useRef(false);
 
     const handleLineColorChange = (event) => lineColor(event.target.value);
     const handleLineTypeChange = (event) => lineType(event.target.value);
     const handleShowLabelChange = (event) => showLabel(event.target.checked);
     
     // Define updateCrosshair first, before any useEffects reference it
+    // Shows the crosshair lines at a bar and price - without a price (another instrument's pane) only the time line
     const updateCrosshair = useCallback((timestamp, yValue) => {
-        if (!sciChartSurfaceRef.current || !verticalLineRef.current || !cursorHorizontalLineRef.current || !isCrosshairModeRef.current) return;
+        if (!sciChartSurfaceRef.current || !verticalLineRef.current || !cursorHorizontalLineRef.current) return;
         
         verticalLineRef.current.isHidden = false;
         verticalLineRef.current.x1 = timestamp;
-        
-        // Format the timestamp for the vertical line label
-        const timestampDate = new Date(timestamp);
-        const month = (timestampDate.getMonth() + 1).toString(); // getMonth is 0-indexed
-        const day = timestampDate.getDate().toString().padStart(2, '0');
-        const hours = timestampDate.getHours().toString().padStart(2, '0');
-        const minutes = timestampDate.getMinutes().toString().padStart(2, '0');
-        verticalLineRef.current.labelValue = `${month}/${day} ${hours}:${minutes}`;
-        
-        cursorHorizontalLineRef.current.isHidden = false;
-        cursorHorizontalLineRef.current.y1 = yValue;
+        verticalLineRef.current.labelValue = formatCursorTime(timestamp);
         
         // Add null/undefined check before calling toFixed
         if (yValue === null || yValue === undefined) {
-            cursorHorizontalLineRef.current.labelValue = '';
+            cursorHorizontalLineRef.current.isHidden = true;
         } else {
+            cursorHorizontalLineRef.current.isHidden = false;
+            cursorHorizontalLineRef.current.y1 = yValue;
             cursorHorizontalLineRef.current.labelValue = yValue.toFixed(2);
         }
         
         sciChartSurfaceRef.current.invalidateElement();
     }, []);
 
+    const hideCrosshair = useCallback(() => {
+        if (!sciChartSurfaceRef.current || !verticalLineRef.current || !cursorHorizontalLineRef.current) return;
+        verticalLineRef.current.isHidden = true;
+        cursorHorizontalLineRef.current.isHidden = true;
+        sciChartSurfaceRef.current.invalidateElement();
+    }, []);
+
+    // Rebuild the volume series from the candles currently in the OHLC series so the two stay index-aligned
+    // (VolumePaletteProvider colors each bar from the OHLC series at the same index)
+    const rebuildVolumeSeries = useCallback(() => {
+        const dataSeries = dataSeriesRef.current;
+        const volumeDataSeries = volumeDataSeriesRef.current;
+        if (!dataSeries || !volumeDataSeries) return;
+
+        const count = dataSeries.count();
+        const xValues = dataSeries.getNativeXValues();
+        const timestamps = [];
+        const volumes = [];
+        for (let i = 0; i < count; i++) {
+            const timestamp = xValues.get(i);
+            timestamps.push(timestamp);
+            volumes.push(volumeByTimestampRef.current.get(timestamp) || 0);
+        }
+
+        volumeDataSeries.clear();
+        volumeDataSeries.appendRange(timestamps, volumes);
+    }, []);
+
+    // Scale the hidden volume axis so the tallest bar in the visible x range fills volumePaneHeight % of the chart
+    const updateVolumeAxisRange = useCallback(() => {
+        const sciChartSurface = sciChartSurfaceRef.current;
+        const volumeDataSeries = volumeDataSeriesRef.current;
+        if (!sciChartSurface || !volumeDataSeries) return;
+
+        const xAxis = sciChartSurface.xAxes.getById('xAxis');
+        const volumeAxis = sciChartSurface.yAxes.getById('volumeAxis');
+        if (!xAxis || !volumeAxis) return;
+
+        const visibleRange = xAxis.visibleRange;
+        const count = volumeDataSeries.count();
+        const xValues = volumeDataSeries.getNativeXValues();
+        const yValues = volumeDataSeries.getNativeYValues();
+        let maxVolume = 0;
+        for (let i = 0; i < count; i++) {
+            const x = xValues.get(i);
+            if (x >= visibleRange.min && x <= visibleRange.max) {
+                maxVolume = Math.max(maxVolume, yValues.get(i));
+            }
+        }
+        if (maxVolume <= 0) maxVolume = 1;
+
+        const paneHeight = Math.min(90, Math.max(5, Number(volumeOptionsRef.current.volumePaneHeight) || DEFAULT_VOLUME_OPTIONS.volumePaneHeight));
+        volumeAxis.visibleRange = new NumberRange(0, maxVolume * 100 / paneHeight);
+    }, []);
+
+    // Remove and redraw the volume profile (rows on the right edge plus POC/VAH/VAL lines)
+    const drawVolumeProfile = useCallback(() => {
+        const sciChartSurface = sciChartSurfaceRef.current;
+        if (!sciChartSurface) return;
+
+        volumeProfileAnnotationsRef.current.forEach(annotation => {
+            sciChartSurface.annotations.remove(annotation, true);
+        });
+        volumeProfileAnnotationsRef.current = [];
+
+        const options = volumeOptionsRef.current;
+        const dataSeries = dataSeriesRef.current;
+        if (!options.showVolumeProfile || !dataSeries || dataSeries.count() === 0) {
+            sciChartSurface.invalidateElement();
+            return;
+        }
+
+        // Collect the charted candles along with their volume
+        const count = dataSeries.count();
+        const xValues = dataSeries.getNativeXValues();
+        const highValues = dataSeries.getNativeHighValues();
+        const lowValues = dataSeries.getNativeLowValues();
+        const candles = [];
+        for (let i = 0; i < count; i++) {
+            const timestamp = xValues.get(i);
+            candles.push({
+                timestamp,
+                high: highValues.get(i),
+                low: lowValues.get(i),
+                volume: volumeByTimestampRef.current.get(timestamp) || 0
+            });
+        }
+
+        const xAxis = sciChartSurface.xAxes.getById('xAxis');
+        const profileCandles = getProfileCandles(candles, options.profileRange, xAxis ? xAxis.visibleRange : null);
+        const profile = calculateVolumeProfile(profileCandles, {
+            rows: options.profileRows || DEFAULT_VOLUME_OPTIONS.profileRows,
+            valueAreaPercent: options.valueAreaPercent || DEFAULT_VOLUME_OPTIONS.valueAreaPercent
+        });
+        if (!profile) {
+            sciChartSurface.invalidateElement();
+            return;
+        }
+
+        const profileWidth = Math.min(100, Math.max(5, Number(options.profileWidth) || DEFAULT_VOLUME_OPTIONS.profileWidth)) / 100;
+        const annotations = [];
+
+        profile.rows.forEach((row, index) => {
+            if (row.volume <= 0) return;
+            const inValueArea = index >= profile.valueAreaLowIndex && index <= profile.valueAreaHighIndex;
+            annotations.push(new BoxAnnotation({
+                id: `volume-profile-${timeframe}-row-${index}`,
+                xCoordinateMode: ECoordinateMode.Relative,
+                x1: 1 - profileWidth * (row.volume / profile.maxVolume),
+                x2: 1,
+                y1: row.priceLow,
+                y2: row.priceHigh,
+                fill: index === profile.pocIndex ? 'rgba(255, 215, 0, 0.45)' : inValueArea ? 'rgba(100, 149, 237, 0.35)' : 'rgba(128, 128, 128, 0.25)',
+                stroke: 'transparent',
+                strokeThickness: 0,
+                isEditable: false,
+                xAxisId: 'xAxis',
+                yAxisId: 'yAxis'
+            }));
+        });
+
+        const levelLines = [
+            { key: 'poc', label: 'POC', price: profile.poc, stroke: '#FFD700', strokeDashArray: [] },
+            { key: 'vah', label: 'VAH', price: profile.vah, stroke: '#6495ED', strokeDashArray: [4, 4] },
+            { key: 'val', label: 'VAL', price: profile.val, stroke: '#6495ED', strokeDashArray: [4, 4] }
+        ];
+        levelLines.forEach(level => {
+            annotations.push(new HorizontalLineAnnotation({
+                id: `volume-profile-${timeframe}-${level.key}`,
+                xCoordinateMode: ECoordinateMode.Relative,
+                x1: 1 - profileWidth,
+                y1: level.price,
+                stroke: level.stroke,
+                strokeThickness: 1,
+                strokeDashArray: level.strokeDashArray,
+                isEditable: false,
+                showLabel: true,
+                labelPlacement: 'TopLeft',
+                labelValue: `${level.label} ${level.price.toFixed(2)}`,
+                fontSize: 11,
+                xAxisId: 'xAxis',
+                yAxisId: 'yAxis'
+            }));
+        });
+
+        annotations.forEach(annotation => sciChartSurface.annotations.add(annotation));
+        volumeProfileAnnotationsRef.current = annotations;
+        sciChartSurface.invalidateElement();
+    }, [timeframe]);
+
     useEffect(() => {
         settingsRef.current = chartBehavior;
     }, [chartBehavior]);
@@ -336,6 +551,10 @@ function ChartPane({
         isCrosshairModeRef.current = isCrosshairMode;
     }, [isCrosshairMode]);
 
+    useEffect(() => {
+        isLinkedCursorRef.current = isLinkedCursor;
+    }, [isLinkedCursor]);
+
     // Pass refs to parent - Revised
     useEffect(() => {
         // Only pass refs once the chart is initialized AND the refs are set
@@ -346,16 +565,13 @@ function ChartPane({
                 sciChartSurface: !!sciChartSurfaceRef.current
             });
             
-            // Attach the updateCrosshair method to the sciChartSurface object
-            sciChartSurfaceRef.current.updateCrosshair = updateCrosshair;
-            
             setDataSeriesRef(timeframe, dataSeriesRef.current);
             setLastPriceLineRef(timeframe, lastPriceLineRef.current);
             // Pass the actual surface object, not the ref object
             setSciChartSurfaceRef(timeframe, sciChartSurfaceRef.current);
         }
     // Add isInitialized as a dependency
-    }, [isInitialized, timeframe, setDataSeriesRef, setLastPriceLineRef, setSciChartSurfaceRef, updateCrosshair]);
+    }, [isInitialized, timeframe, setDataSeriesRef, setLastPriceLineRef, setSciChartSurfaceRef]);
 
     // Debug log for instrument and timeframe values
     useEffect(() => {
@@ -364,12 +580,17 @@ function ChartPane({
 
     // Hide crosshair annotations when isCrosshairMode is false
     useEffect(() => {
-        if (!isCrosshairMode && sciChartSurfaceRef.current && verticalLineRef.current && cursorHorizontalLineRef.current) {
-            verticalLineRef.current.isHidden = true;
-            cursorHorizontalLineRef.current.isHidden = true;
-            sciChartSurfaceRef.current.invalidateElement();
+        if (!isCrosshairMode) {
+            hideCrosshair();
         }
-    }, [isCrosshairMode]);
+    }, [isCrosshairMode, hideCrosshair]);
+
+    // Hide another pane's cursor when the linked cursor is switched off
+    useEffect(() => {
+        if (!isLinkedCursor) {
+            hideCrosshair();
+        }
+    }, [isLinkedCursor, hideCrosshair]);
 
     useEffect(() => {
         const initChart = async () => {
@@ -397,17 +618,7 @@ function ChartPane({
                 }
 
                 // Calculate candle interval based on timeframe
-                let candleInterval;
-                if (timeframe.endsWith('m')) {
-                    const minutes = parseInt(timeframe.slice(0, -1));
-                    candleInterval = minutes * 60 * 1000; // Convert to milliseconds
-                } else if (timeframe.endsWith('h')) {
-                    const hours = parseInt(timeframe.slice(0, -1));
-                    candleInterval = hours * 60 * 60 * 1000; // Convert to milliseconds
-                } else {
-                    console.warn(`Unknown timeframe: ${timeframe}. Defaulting to 1m.`);
-                    candleInterval = 60 * 1000; // Default to 1 minute
-                }
+                const candleInterval = timeframeToMilliseconds(timeframe);
 
                 const xAxis = new NumericAxis(wasmContext, {
                     id: 'xAxis',
@@ -472,6 +683,38 @@ function ChartPane({
                 lineSeriesRef.current = lineSeries;
                 sciChartSurface.renderableSeries.add(lineSeries);
 
+                // Hidden y axis for the volume pane. Its visible range is managed by updateVolumeAxisRange
+                // so the tallest visible bar fills volumePaneHeight % of the chart, keeping the bars in a
+                // band along the bottom that scrolls and zooms with the shared x axis.
+                const volumeAxis = new NumericAxis(wasmContext, {
+                    id: 'volumeAxis',
+                    isVisible: false,
+                    autoRange: EAutoRange.Never,
+                    drawMajorBands: false,
+                    drawMajorGridLines: false,
+                    drawMinorGridLines: false,
+                    visibleRange: new NumberRange(0, 1)
+                });
+                sciChartSurface.yAxes.add(volumeAxis);
+
+                const volumeDataSeries = new XyDataSeries(wasmContext, { dataSeriesName: "Volume" });
+                volumeDataSeriesRef.current = volumeDataSeries;
+
+                const volumeSeries = new FastColumnRenderableSeries(wasmContext, {
+                    dataSeries: volumeDataSeries,
+                    fill: colors.upCandleFill,
+                    stroke: colors.upCandleStroke,
+                    strokeThickness: 0,
+                    opacity: 0.5,
+                    dataPointWidth: candleWidth / 100,
+                    xAxisId: 'xAxis',
+                    yAxisId: 'volumeAxis',
+                    isVisible: !!volumeOptionsRef.current.showVolumePane,
+                    paletteProvider: new VolumePaletteProvider(colors.upCandleFill, colors.downCandleFill, dataSeries)
+                });
+                volumeSeriesRef.current = volumeSeries;
+                sciChartSurface.renderableSeries.add(volumeSeries);
+
                 // Set the initial visibility based on chartType prop
                 if (chartType === 'Both') {
                     // Show both candle and line charts
@@ -479,7 +722,7 @@ function ChartPane({
                     lineSeries.isVisible = true;
                 } else {
                     // Show only the selected chart type
-                    candlestickSeries.isVisible = chartType === 'Candle';
+                    candlestickSeries.isVisible = chartType === 'Candle' || isTransformedChartType(chartType);
                     lineSeries.isVisible = chartType === 'Line';
                 }
 
@@ -618,6 +861,15 @@ function ChartPane({
                 }
             }
             
+            // Update volume bar colors
+            const volumeSeries = volumeSeriesRef.current;
+            if (volumeSeries) {
+                volumeSeries.fill = colors.upCandleFill;
+                volumeSeries.stroke = colors.upCandleStroke;
+                volumeSeries.dataPointWidth = candleWidth / 100;
+                volumeSeries.paletteProvider = new VolumePaletteProvider(colors.upCandleFill, colors.downCandleFill, dataSeriesRef.current);
+            }
+
             // Update background color
             sciChartSurface.background = colors.chartBackground;
             
@@ -648,13 +900,15 @@ function ChartPane({
         }
     }, [isInitialized, colors, gridOptions, candleWidth, timeframe]);
 
-    // Attach event listeners for crosshair functionality
+    // Attach event listeners for crosshair functionality, and share the cursor with the other panes
     useEffect(() => {
         if (!chartRef.current || !sciChartSurfaceRef.current || !isInitialized) return;
 
-        const handleMouseMove = (event) => {
-            if (!isCrosshairModeRef.current || !sciChartSurfaceRef.current) return;
+        // The bar nearest the mouse and the price under it, or null before there are bars
+        const getCursorValues = (event) => {
             const sciChartSurface = sciChartSurfaceRef.current;
+            const dataSeries = dataSeriesRef.current;
+            if (!sciChartSurface || !dataSeries || dataSeries.count() === 0) return null;
             const xAxis = sciChartSurface.xAxes.getById('xAxis');
             const yAxis = sciChartSurface.yAxes.getById('yAxis');
 
@@ -670,66 +924,95 @@ function ChartPane({
             const mouseXValue = xCoord.getDataValue(adjustedMouseX);
             const mouseYValue = yCoord.getDataValue(adjustedMouseY);
 
-            const timeXValues = dataSeriesRef.current.getNativeXValues();
-
-            const timestamps = [];
-            for (let j = 1; j < dataSeriesRef.current.count(); j++) {
-                timestamps.push(timeXValues.get(j));
-            }
-
-            if (timestamps.length === 0) return;
-            let closestIndex = 0;
-            let minDiff = Math.abs(timestamps[0] - mouseXValue);
-            for (let i = 1; i < timestamps.length; i++) {
-                const diff = Math.abs(timestamps[i] - mouseXValue);
-                if (diff < minDiff) {
-                    minDiff = diff;
-                    closestIndex = i;
+            // Candles are centered on their timestamps, so the nearest one is the candle under the mouse
+            const timeXValues = dataSeries.getNativeXValues();
+            const index = Math.max(0, findContainingBarIndex(dataSeries, mouseXValue));
+            let nearestTimestamp = timeXValues.get(index);
+            if (index + 1 < dataSeries.count()) {
+                const nextTimestamp = timeXValues.get(index + 1);
+                if (Math.abs(nextTimestamp - mouseXValue) < Math.abs(nearestTimestamp - mouseXValue)) {
+                    nearestTimestamp = nextTimestamp;
                 }
             }
-            const nearestTimestamp = timestamps[closestIndex];
-            
-            console.log(`DIAGNOSTIC: In ${timeframe} chart, mousemove found nearestTimestamp=${nearestTimestamp}, mouseYValue=${mouseYValue}`);
+            return { timestamp: nearestTimestamp, price: mouseYValue };
+        };
 
-            verticalLineRef.current.isHidden = false;
-            verticalLineRef.current.x1 = nearestTimestamp;
-            // Format the timestamp for the vertical line label
-            const timestampDate = new Date(nearestTimestamp);
-            const month = (timestampDate.getMonth() + 1).toString(); // getMonth is 0-indexed
-            const day = timestampDate.getDate().toString().padStart(2, '0');
-            const hours = timestampDate.getHours().toString().padStart(2, '0');
-            const minutes = timestampDate.getMinutes().toString().padStart(2, '0');
-            verticalLineRef.current.labelValue = `${month}/${day} ${hours}:${minutes}`;
-            
-            cursorHorizontalLineRef.current.isHidden = false;
-            cursorHorizontalLineRef.current.y1 = mouseYValue;
-            cursorHorizontalLineRef.current.labelValue = mouseYValue.toFixed(2);
+        const handleMouseMove = (event) => {
+            if (!isCrosshairModeRef.current && !isLinkedCursorRef.current) return;
+            const cursor = getCursorValues(event);
+            if (!cursor) return;
 
-            // Call the onCrosshairMove callback with the current timestamp and price
-            if (onCrosshairMove) {
-                console.log(`DIAGNOSTIC: ${timeframe} chart calling onCrosshairMove with nearestTimestamp=${nearestTimestamp}, mouseYValue=${mouseYValue}`);
-                onCrosshairMove(timeframe, nearestTimestamp, mouseYValue);
+            if (isCrosshairModeRef.current) {
+                updateCrosshair(cursor.timestamp, cursor.price);
+            }
+            if (isLinkedCursorRef.current) {
+                cursorSyncService.publish({ type: 'move', source: cursorSourceIdRef.current, instrument, ...cursor });
             }
-
-            sciChartSurface.invalidateElement();
         };
 
         const handleMouseLeave = () => {
-            if (!sciChartSurfaceRef.current) return;
-            verticalLineRef.current.isHidden = true;
-            cursorHorizontalLineRef.current.isHidden = true;
-            sciChartSurfaceRef.current.invalidateElement();
+            hideCrosshair();
+            if (isLinkedCursorRef.current) {
+                cursorSyncService.publish({ type: 'leave', source: cursorSourceIdRef.current });
+            }
+        };
+
+        // Alt+click scrolls every pane, this one included, to the bar under the mouse
+        const handleSyncClick = (event) => {
+            if (!event.altKey || !isLinkedCursorRef.current) return;
+            const cursor = getCursorValues(event);
+            if (!cursor) return;
+            scrollToTimestamp(sciChartSurfaceRef.current, dataSeriesRef.current, cursor.timestamp, settingsRef.current.yPercentSpace);
+            cursorSyncService.publish({ type: 'scroll', source: cursorSourceIdRef.current, instrument, ...cursor });
         };
 
         const chartDiv = chartRef.current;
         chartDiv.addEventListener('mousemove', handleMouseMove);
         chartDiv.addEventListener('mouseleave', handleMouseLeave);
+        chartDiv.addEventListener('click', handleSyncClick);
 
         return () => {
             chartDiv.removeEventListener('mousemove', handleMouseMove);
             chartDiv.removeEventListener('mouseleave', handleMouseLeave);
+            chartDiv.removeEventListener('click', handleSyncClick);
+        };
+    }, [isInitialized, instrument, updateCrosshair, hideCrosshair]);
+
+    // Show the cursor of the pane the mouse is over, here or in another chart window: a time line on this pane's bar
+    // containing its time, and a price line if this pane charts the same instrument
+    useEffect(() => {
+        if (!isInitialized) return undefined;
+        const barDurationMs = getTimeframeDurationMs(timeframe);
+
+        const handleLinkedCursor = (message) => {
+            if (!isLinkedCursorRef.current || message.source === cursorSourceIdRef.current) return;
+            const sciChartSurface = sciChartSurfaceRef.current;
+            const dataSeries = dataSeriesRef.current;
+            if (!sciChartSurface || !dataSeries) return;
+
+            if (message.type === 'leave') {
+                hideCrosshair();
+                return;
+            }
+
+            // Renko and range bars, like tick bars, don't have a fixed length
+            const isTimeBased = chartType !== 'Renko' && chartType !== 'Range';
+            const index = findContainingBarIndex(dataSeries, message.timestamp, isTimeBased ? barDurationMs : null);
+            if (index < 0) {
+                hideCrosshair();
+                return;
+            }
+            const barTimestamp = dataSeries.getNativeXValues().get(index);
+
+            if (message.type === 'scroll') {
+                scrollToTimestamp(sciChartSurface, dataSeries, barTimestamp, settingsRef.current.yPercentSpace);
+                return;
+            }
+            updateCrosshair(barTimestamp, message.instrument === instrument ? message.price : null);
         };
-    }, [isInitialized, onCrosshairMove]);
+
+        return cursorSyncService.subscribe(handleLinkedCursor);
+    }, [isInitialized, instrument, timeframe, chartType, updateCrosshair, hideCrosshair]);
 
     // Add a separate useEffect to set canvas z-index after initialization
     useEffect(() => {
@@ -760,14 +1043,45 @@ function ChartPane({
         if (isInitialized && sciChartSurfaceRef.current) {
             const candlestickSeries = sciChartSurfaceRef.current.renderableSeries.get(0);
             candlestickSeries.dataPointWidth = candleWidth / 100;
+            if (volumeSeriesRef.current) {
+                volumeSeriesRef.current.dataPointWidth = candleWidth / 100;
+            }
             sciChartSurfaceRef.current.invalidateElement();
         }
     }, [candleWidth, isInitialized]);
 
+    // Transformer for Heikin-Ashi, Renko and range bar chart types (null for Candle/Line/Both).
+    // It is attached to the OHLC data series so LiveDataHandler.handleLiveCandleUpdate can keep the
+    // last bar forming between full reloads.
+    const barTransformer = useMemo(
+        () => isTransformedChartType(chartType)
+            ? createBarTransformer(chartType, barTypeOptions, timeframeToMilliseconds(timeframe))
+            : null,
+        [chartType, barTypeOptions, timeframe]
+    );
+
     // Update effect for handling data updates
     useEffect(() => {
         if (isInitialized && sciChartSurfaceRef.current && dataSeriesRef.current && lineDataSeriesRef.current && candleData && candleData.length > 0) {
             console.log(`ChartPane[${timeframe}] updating with ${candleData.length} candles`);
+
+            // Track volume by timestamp. In replay mode candles are merged with what is already charted,
+            // so keep the existing volumes; otherwise the chart is fully reloaded from candleData.
+            if (!isReplayMode) {
+                volumeByTimestampRef.current = new Map();
+                sourceCandlesRef.current = new Map();
+            }
+            candleData.forEach(c => {
+                volumeByTimestampRef.current.set(Number(c.timestamp), Number(c.volume) || 0);
+                sourceCandlesRef.current.set(Number(c.timestamp), c);
+            });
+
+            dataSeriesRef.current.barTransformer = barTransformer;
+            if (wasTransformedRef.current && !barTransformer) {
+                // Switching back from transformed bars: drop them so replay mode doesn't merge them as candles
+                dataSeriesRef.current.clear();
+            }
+            wasTransformedRef.current = !!barTransformer;
             
             // DEBUG: Log first and last candle
             if (candleData.length > 0) {
@@ -775,8 +1089,36 @@ function ChartPane({
                 console.log(`Last candle:`, candleData[candleData.length - 1]);
             }
             
-            // CRITICAL BUG FIX FOR REPLAY MODE: Handle replay mode differently
-            if (isReplayMode) {
+            if (barTransformer) {
+                // Heikin-Ashi / Renko / range bars: rebuild from all raw candles seen so far (in replay mode
+                // sourceCandlesRef keeps the earlier candles, matching the merge behaviour below)
+                const sourceCandles = Array.from(sourceCandlesRef.current.values())
+                    .sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+                const bars = barTransformer.process(sourceCandles);
+
+                // Volume pane follows the transformed bars
+                volumeByTimestampRef.current = new Map();
+                bars.forEach(bar => volumeByTimestampRef.current.set(bar.timestamp, bar.volume || 0));
+
+                dataSeriesRef.current.clear();
+                dataSeriesRef.current.appendRange(
+                    bars.map((b) => b.timestamp),
+                    bars.map((b) => b.open),
+                    bars.map((b) => b.high),
+                    bars.map((b) => b.low),
+                    bars.map((b) => b.close)
+                );
+
+                lineDataSeriesRef.current.clear();
+                lineDataSeriesRef.current.appendRange(
+                    bars.map((b) => b.timestamp),
+                    bars.map((b) => b.close)
+                );
+                if (lineSeriesRef.current && lineSeriesRef.current.paletteProvider instanceof ComparisonLinePaletteProvider) {
+                    lineSeriesRef.current.paletteProvider.dataSeries = lineDataSeriesRef.current;
+                }
+            } else if (isReplayMode) {
+                // CRITICAL BUG FIX FOR REPLAY MODE: Handle replay mode differently
                 // Special case for replay mode
                 if (dataSeriesRef.current.count() === 0) {
                     // If empty, just load all data
@@ -877,6 +1219,9 @@ function ChartPane({
             }
             
             console.log(`ChartPane[${timeframe}] data series count after update:`, dataSeriesRef.current.count());
+
+            // Keep the volume pane aligned with the candles that were just charted
+            rebuildVolumeSeries();
             
             // Reset chart range only on the first load after initialization
             if (!initialDataLoadedRef.current) {
@@ -896,6 +1241,9 @@ function ChartPane({
             lastPriceLineRef.current.axisLabelStroke = getReadableTextColor(isBullish ? colors.upCandleFill : colors.downCandleFill);
             lastPriceLineRef.current.isHidden = false;
 
+            updateVolumeAxisRange();
+            drawVolumeProfile();
+
             sciChartSurfaceRef.current.invalidateElement();
         } else {
             console.log(`Chart not ready for ${timeframe}:`, {
@@ -905,7 +1253,7 @@ function ChartPane({
                 candleData: candleData?.length || 0,
             });
         }
-    }, [candleData, chartBehavior, isInitialized, timeframe, colors, isReplayMode]);
+    }, [candleData, chartBehavior, isInitialized, timeframe, colors, isReplayMode, barTransformer, rebuildVolumeSeries, updateVolumeAxisRange, drawVolumeProfile]);
 
     useEffect(() => {
         if (chartRef.current) {
@@ -1005,6 +1353,8 @@ function ChartPane({
                     }
                     
                     sciChartSurface.annotations.remove(selectedAnnotation);
+                    // Remove the level lines, zones and labels of a Fibonacci or position drawing along with its anchor
+                    removeDerivedAnnotations(sciChartSurface, selectedAnnotation.id);
                     // Update the lineAnnotationsRef if it's tracked there
                     if (lineAnnotationsRef.current.includes(selectedAnnotation)) {
                         lineAnnotationsRef.current = lineAnnotationsRef.current.filter(ann => ann !== selectedAnnotation);
@@ -1479,6 +1829,229 @@ function ChartPane({
         };
     }, [isInitialized, isTextMode, lineColor, annotationText, timeframe, generateAnnotationId, onAnnotationCreated, onAnnotationUpdated, setIsTextMode, fontSize, textAnchor]);
 
+    // Fibonacci drawing functionality - drag from the swing start to the swing end, like a trend line
+    useEffect(() => {
+        if (!chartRef.current || !sciChartSurfaceRef.current || !isInitialized) return;
+
+        const sciChartSurface = sciChartSurfaceRef.current;
+        const chartDiv = chartRef.current;
+
+        // Convert the mouse position to chart values, with the same cursor offset as the other drawing tools
+        const getMouseValues = (event) => {
+            const rect = chartDiv.getBoundingClientRect();
+            const cursorOffsetX = 10;
+            const cursorOffsetY = 10;
+            const xCoord = sciChartSurface.xAxes.getById('xAxis').getCurrentCoordinateCalculator();
+            const yCoord = sciChartSurface.yAxes.getById('yAxis').getCurrentCoordinateCalculator();
+            return {
+                x: xCoord.getDataValue(event.clientX - rect.left - cursorOffsetX),
+                y: yCoord.getDataValue(event.clientY - rect.top - cursorOffsetY)
+            };
+        };
+
+        const handleMouseDown = (event) => {
+            if (!isFibMode) return;
+
+            const { x, y } = getMouseValues(event);
+            fibAnnotationRef.current = createFibonacciAnnotation({
+                id: generateAnnotationId('fib', timeframe),
+                x1: x,
+                y1: y,
+                x2: x,
+                y2: y,
+                stroke: lineColor,
+                fibType,
+                fibLevels,
+                fibShowPrices,
+                isEditable: true,
+                sciChartSurface,
+                onDragEnded: () => {
+                    // Call the update handler when the Fibonacci drag is finished
+                    onAnnotationUpdated(fibAnnotationRef.current, timeframe);
+                }
+            });
+
+            sciChartSurface.annotations.add(fibAnnotationRef.current);
+            isDrawingFibRef.current = true;
+
+            // Prevent event propagation to stop other handlers
+            event.stopPropagation();
+            event.preventDefault();
+        };
+
+        const handleMouseMove = (event) => {
+            if (!isFibMode || !isDrawingFibRef.current || !fibAnnotationRef.current) return;
+
+            const { x, y } = getMouseValues(event);
+            fibAnnotationRef.current.x2 = x;
+            fibAnnotationRef.current.y2 = y;
+            drawFibonacciLevels(fibAnnotationRef.current, sciChartSurface);
+            sciChartSurface.invalidateElement();
+
+            event.stopPropagation();
+            event.preventDefault();
+        };
+
+        const handleMouseUp = (event) => {
+            if (!isFibMode || !isDrawingFibRef.current) return;
+
+            const fibAnnotation = fibAnnotationRef.current;
+            if (fibAnnotation) {
+                // A Fibonacci without any price range has no levels to show, so just remove it
+                const isTooSmall = Math.abs(fibAnnotation.y2 - fibAnnotation.y1) < 0.00001;
+
+                if (isTooSmall) {
+                    removeDerivedAnnotations(sciChartSurface, fibAnnotation.id);
+                    // CRITICAL FIX: Call delete() method on annotation to free WebGL resources
+                    if (typeof fibAnnotation.delete === 'function') {
+                        try {
+                            fibAnnotation.delete();
+                        } catch (error) {
+                            console.warn(`Error calling delete() on small Fibonacci: ${error.message}`);
+                        }
+                    }
+                    sciChartSurface.annotations.remove(fibAnnotation);
+                } else {
+                    onAnnotationCreated(fibAnnotation, timeframe);
+                }
+                sciChartSurface.invalidateElement();
+            }
+
+            isDrawingFibRef.current = false;
+
+            // Turn off Fibonacci mode after drawing is complete
+            setIsFibMode(false);
+
+            if (event) {
+                event.stopPropagation();
+                event.preventDefault();
+            }
+        };
+
+        chartDiv.addEventListener('mousedown', handleMouseDown, { capture: true });
+        document.addEventListener('mousemove', handleMouseMove, { capture: true });
+        document.addEventListener('mouseup', handleMouseUp, { capture: true });
+
+        return () => {
+            chartDiv.removeEventListener('mousedown', handleMouseDown, { capture: true });
+            document.removeEventListener('mousemove', handleMouseMove, { capture: true });
+            document.removeEventListener('mouseup', handleMouseUp, { capture: true });
+        };
+    }, [isInitialized, isFibMode, lineColor, fibType, fibLevels, fibShowPrices, timeframe, generateAnnotationId, onAnnotationCreated, onAnnotationUpdated, setIsFibMode]);
+
+    // Position drawing functionality - press at the entry and drag to the stop; the target is placed
+    // positionTargetR times the risk beyond the entry
+    useEffect(() => {
+        if (!chartRef.current || !sciChartSurfaceRef.current || !isInitialized) return;
+
+        const sciChartSurface = sciChartSurfaceRef.current;
+        const chartDiv = chartRef.current;
+        const targetR = positionTargetR > 0 ? positionTargetR : DEFAULT_TARGET_R;
+
+        // Convert the mouse position to chart values, with the same cursor offset as the other drawing tools
+        const getMouseValues = (event) => {
+            const rect = chartDiv.getBoundingClientRect();
+            const cursorOffsetX = 10;
+            const cursorOffsetY = 10;
+            const xCoord = sciChartSurface.xAxes.getById('xAxis').getCurrentCoordinateCalculator();
+            const yCoord = sciChartSurface.yAxes.getById('yAxis').getCurrentCoordinateCalculator();
+            return {
+                x: xCoord.getDataValue(event.clientX - rect.left - cursorOffsetX),
+                y: yCoord.getDataValue(event.clientY - rect.top - cursorOffsetY)
+            };
+        };
+
+        const handleMouseDown = (event) => {
+            if (!isPositionMode) return;
+
+            const { x, y } = getMouseValues(event);
+            positionAnnotationRef.current = createPositionAnnotation({
+                id: generateAnnotationId('pos', timeframe),
+                x1: x,
+                x2: x,
+                entryPrice: y,
+                stopPrice: y,
+                targetPrice: y,
+                stroke: lineColor,
+                isEditable: true,
+                sciChartSurface,
+                onDragEnded: () => {
+                    // Call the update handler when the position drag is finished
+                    onAnnotationUpdated(positionAnnotationRef.current, timeframe);
+                }
+            });
+
+            sciChartSurface.annotations.add(positionAnnotationRef.current);
+            isDrawingPositionRef.current = true;
+
+            // Prevent event propagation to stop other handlers
+            event.stopPropagation();
+            event.preventDefault();
+        };
+
+        const handleMouseMove = (event) => {
+            if (!isPositionMode || !isDrawingPositionRef.current || !positionAnnotationRef.current) return;
+
+            const { x, y } = getMouseValues(event);
+            const position = positionAnnotationRef.current;
+            position.x2 = x;
+            position.y1 = y;
+            position.y2 = position.entryPrice + (position.entryPrice - y) * targetR;
+            drawPositionZones(position, sciChartSurface);
+            sciChartSurface.invalidateElement();
+
+            event.stopPropagation();
+            event.preventDefault();
+        };
+
+        const handleMouseUp = (event) => {
+            if (!isPositionMode || !isDrawingPositionRef.current) return;
+
+            const position = positionAnnotationRef.current;
+            if (position) {
+                // A position without any risk or width can't be measured, so just remove it
+                const isTooSmall = Math.abs(position.y1 - position.entryPrice) < 0.00001
+                    || Math.abs(position.x2 - position.x1) < 0.00001;
+
+                if (isTooSmall) {
+                    removeDerivedAnnotations(sciChartSurface, position.id);
+                    // CRITICAL FIX: Call delete() method on annotation to free WebGL resources
+                    if (typeof position.delete === 'function') {
+                        try {
+                            position.delete();
+                        } catch (error) {
+                            console.warn(`Error calling delete() on small position: ${error.message}`);
+                        }
+                    }
+                    sciChartSurface.annotations.remove(position);
+                } else {
+                    onAnnotationCreated(position, timeframe);
+                }
+                sciChartSurface.invalidateElement();
+            }
+
+            isDrawingPositionRef.current = false;
+
+            // Turn off position mode after drawing is complete
+            setIsPositionMode(false);
+
+            if (event) {
+                event.stopPropagation();
+                event.preventDefault();
+            }
+        };
+
+        chartDiv.addEventListener('mousedown', handleMouseDown, { capture: true });
+        document.addEventListener('mousemove', handleMouseMove, { capture: true });
+        document.addEventListener('mouseup', handleMouseUp, { capture: true });
+
+        return () => {
+            chartDiv.removeEventListener('mousedown', handleMouseDown, { capture: true });
+            document.removeEventListener('mousemove', handleMouseMove, { capture: true });
+            document.removeEventListener('mouseup', handleMouseUp, { capture: true });
+        };
+    }, [isInitialized, isPositionMode, lineColor, positionTargetR, timeframe, generateAnnotationId, onAnnotationCreated, onAnnotationUpdated, setIsPositionMode]);
+
     // Define the reset click handler
     const handleResetClick = useCallback(() => {
         if (sciChartSurfaceRef.current && dataSeriesRef.current && chartBehavior) {
@@ -1489,6 +2062,41 @@ function ChartPane({
         }
     }, [timeframe, chartBehavior]);
 
+    // Apply volume pane / volume profile options
+    useEffect(() => {
+        volumeOptionsRef.current = volumeOptions || DEFAULT_VOLUME_OPTIONS;
+        if (!isInitialized || !sciChartSurfaceRef.current) return;
+
+        if (volumeSeriesRef.current) {
+            volumeSeriesRef.current.isVisible = !!volumeOptionsRef.current.showVolumePane;
+        }
+        updateVolumeAxisRange();
+        drawVolumeProfile();
+    }, [volumeOptions, isInitialized, updateVolumeAxisRange, drawVolumeProfile]);
+
+    // Rescale the volume pane, and redraw a visible-range profile, as the chart is zoomed or panned
+    useEffect(() => {
+        if (!isInitialized || !sciChartSurfaceRef.current) return;
+        const xAxis = sciChartSurfaceRef.current.xAxes.getById('xAxis');
+        if (!xAxis) return;
+
+        let profileTimer = null;
+        const handleVisibleRangeChanged = () => {
+            updateVolumeAxisRange();
+            if (volumeOptionsRef.current.showVolumeProfile && volumeOptionsRef.current.profileRange === 'visible') {
+                // Debounce the profile rebuild while the user is dragging
+                clearTimeout(profileTimer);
+                profileTimer = setTimeout(drawVolumeProfile, 100);
+            }
+        };
+
+        xAxis.visibleRangeChanged.subscribe(handleVisibleRangeChanged);
+        return () => {
+            clearTimeout(profileTimer);
+            xAxis.visibleRangeChanged.unsubscribe(handleVisibleRangeChanged);
+        };
+    }, [isInitialized, updateVolumeAxisRange, drawVolumeProfile]);
+
     // Update effect for setting chart type visibility
     useEffect(() => {
         if (isInitialized && candlestickSeriesRef.current && lineSeriesRef.current) {
@@ -1499,7 +2107,8 @@ function ChartPane({
                 lineSeriesRef.current.isVisible = true;
             } else {
                 // Show only the selected chart type
-                candlestickSeriesRef.current.isVisible = chartType === 'Candle';
+                // Heikin-Ashi, Renko and range bars are drawn by the candlestick series
+                candlestickSeriesRef.current.isVisible = chartType === 'Candle' || isTransformedChartType(chartType);
                 lineSeriesRef.current.isVisible = chartType === 'Line';
             }
             
@@ -1515,12 +2124,14 @@ function ChartPane({
         <>
             <div 
                 ref={chartRef} 
+                data-chart-pane={timeframe}
+                data-instrument={instrument}
                 style={{ 
                     height: '100%', 
                     width: '100%', 
                     position: 'relative', 
                     backgroundColor: colors.chartBackground,
-                    cursor: isCrosshairMode ? 'crosshair' : isBoxMode || isTrendMode || isArrowMode || isTextMode ? 'crosshair' : 'default'
+                    cursor: isCrosshairMode ? 'crosshair' : isBoxMode || isTrendMode || isArrowMode || isTextMode || isFibMode || isPositionMode ? 'crosshair' : 'default'
                 }} 
             >
                 {/* Title overlay with extra-high z-index to ensure visibility */}
@@ -1561,6 +2172,24 @@ function ChartPane({
                         title="Reset Zoom/Pan" // Tooltip for accessibility
                     />
                 )}
+                {/* Snapshot Button Overlay */}
+                {isInitialized && onExportSnapshot && (
+                    <img 
+                        src={snapshotButtonIcon} 
+                        alt="Export Snapshot" 
+                        onClick={() => onExportSnapshot(chartRef.current, instrument, timeframe)}
+                        style={{
+                            position: 'absolute',
+                            top: 32, // Next to the reset button
+                            left: 28,
+                            height: '18px',
+                            zIndex: 50,
+                            cursor: 'pointer',
+                            pointerEvents: 'auto'
+                        }}
+                        title="Export Snapshot (PNG)"
+                    />
+                )}
             </div>
             {/* Render CandleCountdown as a sibling to the chart container */}
             <CandleCountdown 
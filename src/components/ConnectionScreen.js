@@ -1,4 +1,6 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { getLayoutTimeframes } from '../utils/Timeframes';
+import ServerProfiles from './ServerProfiles';
 
 /**
  * ConnectionScreen component - displays the initial connection screen with inputs for connection settings
@@ -10,10 +12,13 @@ const ConnectionScreen = ({
   setInstrument,
   historicalDays,
   setHistoricalDays,
+  maxHistoricalDays,
+  recentHistoricalDays,
   dataMode,
   setDataMode,
   chartLayout,
   setChartLayout,
+  layoutTimeframes,
   historyStart,
   setHistoryStart,
   liveStart,
@@ -22,10 +27,19 @@ const ConnectionScreen = ({
   setLiveEnd,
   replayInterval,
   setReplayInterval,
+  replaySource,
+  setReplaySource,
+  replayOnly,
+  serverProfiles,
+  saveServerProfiles,
   connect,
   backgroundImage,
   showExternalClientSyncNotification
 }) => {
+  const [isEditingServers, setIsEditingServers] = useState(false);
+  // Local replays don't use Chronicle
+  const usesServer = !(dataMode === 'Replay' && replaySource === 'Local');
+
   return (
     <div style={{ 
       textAlign: 'center', 
@@ -46,7 +60,7 @@ const ConnectionScreen = ({
         backgroundColor: 'rgba(0, 0, 0, 0.7)',
         padding: '30px',
         borderRadius: '10px',
-        width: '400px'
+        width: isEditingServers ? '560px' : '400px'
       }}>
         <h1>Custom Multi-Way Charting Client</h1>
         <label>
@@ -72,10 +86,15 @@ const ConnectionScreen = ({
             Days of Historical Data:
             <input
               type="number"
+              min="1"
+              max={maxHistoricalDays}
               value={historicalDays}
               onChange={(e) => setHistoricalDays(e.target.value)}
               style={{ marginLeft: '10px', background: 'black', color: 'white' }}
             />
+            <span style={{ marginLeft: '10px', fontSize: '12px' }}>
+              1 to {maxHistoricalDays} days. The last {recentHistoricalDays} are charted first, then older cached days are added behind them.
+            </span>
           </label>
         ) : (
           <>
@@ -118,6 +137,18 @@ const ConnectionScreen = ({
                 style={{ marginLeft: '10px', background: 'black', color: 'white' }}
               />
             </label>
+            <br />
+            <label title="Local replays play candles Quatrain has already received, without Chronicle">
+              Replay Source:
+              <select
+                value={replaySource}
+                onChange={(e) => setReplaySource(e.target.value)}
+                style={{ marginLeft: '10px', background: 'black', color: 'white', padding: '3px' }}
+              >
+                <option value="Chronicle">Chronicle</option>
+                <option value="Local">Local (stored candles)</option>
+              </select>
+            </label>
           </>
         )}
         <br />
@@ -128,8 +159,8 @@ const ConnectionScreen = ({
             onChange={(e) => setDataMode(e.target.value)}
             style={{ marginLeft: '10px', background: 'black', color: 'white', padding: '3px' }}
           >
-            <option value="Live">Live</option>
-            <option value="History Only">History Only</option>
+            {!replayOnly && <option value="Live">Live</option>}
+            {!replayOnly && <option value="History Only">History Only</option>}
             <option value="Replay">Replay</option>
           </select>
         </label>
@@ -141,12 +172,63 @@ const ConnectionScreen = ({
             onChange={(e) => setChartLayout(e.target.value)}
             style={{ marginLeft: '10px', background: 'black', color: 'white', padding: '3px' }}
           >
-            <option value="4-way">4-way (1h, 15m, 5m, 1m)</option>
-            <option value="6-way">6-way (1h, 30m, 15m, 10m, 5m, 1m)</option>
-            <option value="6-way-long">6-way Long (1d, 4h, 1h, 15m, 5m, 1m)</option>
+            <option value="4-way">4-way ({getLayoutTimeframes('4-way', layoutTimeframes).join(', ')})</option>
+            <option value="6-way">6-way ({getLayoutTimeframes('6-way', layoutTimeframes).join(', ')})</option>
+            <option value="6-way-long">6-way Long ({getLayoutTimeframes('6-way-long', layoutTimeframes).join(', ')})</option>
+            <option value="grid">Grid (free-form)</option>
           </select>
         </label>
         <br />
+        {usesServer && serverProfiles && (
+          <>
+            <label title="The Chronicle server to connect to">
+              Server:
+              <select
+                value={serverProfiles.primaryId}
+                onChange={(e) => saveServerProfiles({
+                  ...serverProfiles,
+                  primaryId: e.target.value,
+                  secondaryId: serverProfiles.secondaryId === e.target.value ? null : serverProfiles.secondaryId
+                })}
+                style={{ marginLeft: '10px', background: 'black', color: 'white', padding: '3px' }}
+              >
+                {serverProfiles.profiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.name} ({profile.host}:{profile.port})</option>
+                ))}
+              </select>
+            </label>
+            <br />
+            <label title="The connection fails over to this server when the primary drops or stops sending heartbeats">
+              Backup:
+              <select
+                value={serverProfiles.secondaryId || ''}
+                onChange={(e) => saveServerProfiles({ ...serverProfiles, secondaryId: e.target.value || null })}
+                style={{ marginLeft: '10px', background: 'black', color: 'white', padding: '3px' }}
+              >
+                <option value="">None</option>
+                {serverProfiles.profiles.filter(profile => profile.id !== serverProfiles.primaryId).map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.name} ({profile.host}:{profile.port})</option>
+                ))}
+              </select>
+            </label>
+            {!isEditingServers && (
+              <span
+                onClick={() => setIsEditingServers(true)}
+                style={{ marginLeft: '10px', fontSize: '12px', textDecoration: 'underline', cursor: 'pointer' }}
+              >
+                Edit Servers
+              </span>
+            )}
+            {isEditingServers && (
+              <ServerProfiles
+                serverProfiles={serverProfiles}
+                onSave={saveServerProfiles}
+                onClose={() => setIsEditingServers(false)}
+              />
+            )}
+            <br />
+          </>
+        )}
         <button 
           onClick={() => connect()} 
           style={{ 
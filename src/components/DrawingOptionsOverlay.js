@@ -1,4 +1,5 @@
 import React from 'react';
+import { DEFAULT_FIB_LEVELS, formatFibonacciLevel } from '../utils/FibonacciTool';
 
 // New component for drawing options overlay
 const DrawingOptionsOverlay = ({
@@ -7,6 +8,8 @@ const DrawingOptionsOverlay = ({
     isBoxMode,
     isArrowMode,
     isTextMode,
+    isFibMode,
+    isPositionMode,
     lineColor,
     setLineColor,
     lineType,
@@ -30,7 +33,15 @@ const DrawingOptionsOverlay = ({
     fontSize,
     setFontSize,
     textAnchor,
-    setTextAnchor
+    setTextAnchor,
+    fibType,
+    setFibType,
+    fibLevels,
+    setFibLevels,
+    fibShowPrices,
+    setFibShowPrices,
+    positionTargetR,
+    setPositionTargetR
 }) => {
     // Handlers for form controls
     const handleLineColorChange = (event) => setLineColor(event.target.value);
@@ -42,9 +53,30 @@ const DrawingOptionsOverlay = ({
     const handleArrowSizeChange = (event) => setArrowSize(event.target.value);
     const handleArrowStyleChange = (event) => setArrowStyle(event.target.value);
     const handleAnnotationTextChange = (event) => setAnnotationText(event.target.value);
+    const handleFibTypeChange = (event) => setFibType(event.target.value);
+    const handleFibShowPricesChange = (event) => setFibShowPrices(event.target.checked);
+    const handlePositionTargetRChange = (event) => {
+        const targetR = parseFloat(event.target.value);
+        if (Number.isFinite(targetR) && targetR > 0) setPositionTargetR(targetR);
+    };
+
+    // Update one level of the current Fibonacci type
+    const handleFibLevelChange = (index, changes) => {
+        setFibLevels(prevLevels => ({
+            ...prevLevels,
+            [fibType]: prevLevels[fibType].map((fibLevel, i) => (i === index ? { ...fibLevel, ...changes } : fibLevel))
+        }));
+    };
+    const handleFibLevelValueChange = (index, value) => {
+        const level = parseFloat(value);
+        if (Number.isFinite(level)) handleFibLevelChange(index, { level });
+    };
+    const handleFibLevelsReset = () => {
+        setFibLevels(prevLevels => ({ ...prevLevels, [fibType]: DEFAULT_FIB_LEVELS[fibType] }));
+    };
 
     // Check if any drawing mode is active
-    const isAnyDrawingModeActive = isLineMode || isBoxMode || isTrendMode || isArrowMode || isTextMode;
+    const isAnyDrawingModeActive = isLineMode || isBoxMode || isTrendMode || isArrowMode || isTextMode || isFibMode || isPositionMode;
 
     // Return null if no drawing mode is active
     if (!isAnyDrawingModeActive) return null;
@@ -238,6 +270,97 @@ const DrawingOptionsOverlay = ({
                     </div>
                 </div>
             )}
+            
+            {isFibMode && (
+                <div className="drawing-options">
+                    <div className="drawing-option-row">
+                        <label>Type:</label>
+                        <select value={fibType} onChange={handleFibTypeChange}>
+                            <option value="retracement">Retracement</option>
+                            <option value="extension">Extension</option>
+                        </select>
+                    </div>
+                    
+                    {fibLevels[fibType].map((fibLevel, index) => (
+                        <div className="drawing-option-row" key={index}>
+                            <input
+                                type="checkbox"
+                                checked={fibLevel.enabled}
+                                onChange={(e) => handleFibLevelChange(index, { enabled: e.target.checked })}
+                                title={formatFibonacciLevel(fibLevel.level)}
+                            />
+                            <input
+                                type="number"
+                                step="0.001"
+                                value={fibLevel.level}
+                                onChange={(e) => handleFibLevelValueChange(index, e.target.value)}
+                                style={{
+                                    width: '60px',
+                                    background: '#222',
+                                    color: '#fff',
+                                    border: '1px solid #444'
+                                }}
+                            />
+                            <input
+                                type="color"
+                                value={fibLevel.color}
+                                onChange={(e) => handleFibLevelChange(index, { color: e.target.value })}
+                            />
+                        </div>
+                    ))}
+                    
+                    <div className="drawing-option-row">
+                        <button onClick={handleFibLevelsReset}>Reset Levels</button>
+                    </div>
+                    
+                    <div className="drawing-option-row">
+                        <label>
+                            <input type="checkbox" checked={fibShowPrices} onChange={handleFibShowPricesChange} />
+                            Prices
+                        </label>
+                    </div>
+                    
+                    <div className="drawing-option-row">
+                        <label>
+                            <input type="checkbox" checked={isAllTimeframes} onChange={handleAllTimeframesChange} />
+                            All TFs
+                        </label>
+                    </div>
+                </div>
+            )}
+            
+            {isPositionMode && (
+                <div className="drawing-options">
+                    <div className="drawing-option-row">
+                        <label>Color:</label>
+                        <input type="color" value={lineColor} onChange={handleLineColorChange} />
+                    </div>
+                    
+                    <div className="drawing-option-row">
+                        <label title="Target distance from the entry, as a multiple of the risk">Target R:</label>
+                        <input
+                            type="number"
+                            min="0.1"
+                            step="0.1"
+                            value={positionTargetR}
+                            onChange={handlePositionTargetRChange}
+                            style={{
+                                width: '60px',
+                                background: '#222',
+                                color: '#fff',
+                                border: '1px solid #444'
+                            }}
+                        />
+                    </div>
+                    
+                    <div className="drawing-option-row">
+                        <label>
+                            <input type="checkbox" checked={isAllTimeframes} onChange={handleAllTimeframesChange} />
+                            All TFs
+                        </label>
+                    </div>
+                </div>
+            )}
         </div>
     );
 };
@@ -1,14 +1,71 @@
-import React, { useRef } from 'react';
+import React, { useRef, useState, useEffect } from 'react';
 import '../App.css';
 // Import drawing lock image
 import drawingLockImage from '../images/button-drawing-lock.png';
 
+// Short form of a duration for the narrow flyout: 850ms, 12s, 4m, 2h
+const formatAge = (ms) => {
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${Math.floor(ms / 1000)}s`;
+    if (ms < 3600000) return `${Math.floor(ms / 60000)}m`;
+    return `${Math.floor(ms / 3600000)}h`;
+};
+
+// Health of the Chronicle connection - latency, age of the last message and reconnect count - refreshed every
+// second while the panel is open
+const ConnectionHealth = ({ isOpen, getHealth }) => {
+    const [, setTick] = useState(0);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const timer = setInterval(() => setTick(tick => tick + 1), 1000);
+        return () => clearInterval(timer);
+    }, [isOpen]);
+
+    const health = getHealth && getHealth();
+    if (!health) return null;
+
+    const now = Date.now();
+    const status = {
+        connecting: 'Opening',
+        connected: 'Online',
+        reconnecting: `Retry ${formatAge(Math.max(0, health.nextAttemptAt - now))}`,
+        stopped: 'Offline'
+    }[health.status];
+    const latency = health.latencyMs !== null ? formatAge(health.latencyMs) : '-';
+    const lastMessage = health.lastMessageAt ? formatAge(now - health.lastMessageAt) : '-';
+    const title = [
+        health.status === 'reconnecting'
+            ? `Connection lost - reconnect attempt ${health.attempt} in ${formatAge(Math.max(0, health.nextAttemptAt - now))}`
+            : `Chronicle connection: ${status.toLowerCase()}`,
+        `Server: ${health.server}`,
+        `Latency: ${latency}`,
+        `Last message: ${health.lastMessageAt ? `${lastMessage} ago` : 'none yet'}`,
+        `Reconnects: ${health.reconnectCount}`
+    ].join('\n');
+
+    return (
+        <div className={`connection-health ${health.status}`} title={title}>
+            <div className="connection-health-status">
+                <span className="connection-health-dot" />
+                {status}
+            </div>
+            <div className="connection-health-server">{health.server}</div>
+            <div>Lat {latency}</div>
+            <div>Msg {lastMessage}</div>
+            <div>Rec {health.reconnectCount}</div>
+        </div>
+    );
+};
+
 // Updated Flyout Panel Component with new drawing lock button
 const FlyoutPanel = ({ 
     isOpen, 
     togglePanel, 
     isCrosshairMode, 
     toggleCrosshairMode, 
+    isLinkedCursor,
+    toggleLinkedCursor,
     isDrawingLockMode,
     toggleDrawingLockMode,
     isLineMode, 
@@ -20,7 +77,13 @@ const FlyoutPanel = ({
     isArrowMode,
     toggleArrowMode,
     isTextMode,
-    toggleTextMode
+    toggleTextMode,
+    isFibMode,
+    toggleFibMode,
+    isPositionMode,
+    togglePositionMode,
+    exportLayoutSnapshot,
+    getConnectionHealth
 }) => {
     const panelRef = useRef(null);
 
@@ -49,6 +112,11 @@ const FlyoutPanel = ({
                             onClick={toggleDrawingLockMode}
                             style={drawingLockStyle}
                         />
+                        <div
+                            className={`linked-cursor-button ${isLinkedCursor ? 'active' : ''}`}
+                            onClick={toggleLinkedCursor}
+                            title="Linked cursor - show the time and price under the mouse on every pane (Alt+click scrolls them all there)"
+                        />
                     </div>
                     
                     <hr className="tools-separator" />
@@ -79,8 +147,33 @@ const FlyoutPanel = ({
                             className={`text-button ${isTextMode ? 'active' : ''}`}
                             onClick={toggleTextMode}
                         />
+                        <div
+                            className={`fib-button ${isFibMode ? 'active' : ''}`}
+                            onClick={toggleFibMode}
+                            title="Fibonacci retracement / extension"
+                        />
+                    </div>
+                    <div className="button-row">
+                        <div
+                            className={`position-button ${isPositionMode ? 'active' : ''}`}
+                            onClick={togglePositionMode}
+                            title="Long / short position"
+                        />
+                    </div>
+
+                    <hr className="tools-separator" />
+
+                    {/* Snapshot of the whole chart layout */}
+                    <div className="button-row">
+                        <div
+                            className="snapshot-button"
+                            onClick={exportLayoutSnapshot}
+                            title="Export layout snapshot (PNG)"
+                        />
                     </div>
                 </div>
+
+                <ConnectionHealth isOpen={isOpen} getHealth={getConnectionHealth} />
             </div>
         </div>
     );
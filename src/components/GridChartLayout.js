@@ -0,0 +1,354 @@
+import React, { useState, useEffect } from 'react';
+import GridLayout from 'react-grid-layout';
+import 'react-grid-layout/css/styles.css';
+import 'react-resizable/css/styles.css';
+import ChartPane from './ChartPane';
+import { DEFAULT_CHART_BEHAVIOR, isValidTimeframe } from '../utils/Timeframes';
+import {
+  GRID_COLUMNS,
+  GRID_ROWS,
+  MAX_GRID_CELLS,
+  normalizeGridLayout,
+  createGridCell,
+  applyGridPositions,
+} from '../utils/GridLayout';
+
+const GRID_MARGIN = 6;
+const HEADER_HEIGHT = 24;
+
+// Ref and annotation callbacks for other-instrument panes, which the App doesn't track
+const ignorePaneCallback = () => {};
+
+const headerStyle = {
+  height: `${HEADER_HEIGHT}px`,
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  padding: '0 6px',
+  backgroundColor: '#000',
+  color: '#fff',
+  fontWeight: 'bold',
+  fontSize: '13px',
+  cursor: 'move',
+  userSelect: 'none',
+};
+
+const controlStyle = {
+  backgroundColor: '#222',
+  color: '#fff',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  fontSize: '12px',
+  height: '18px',
+};
+
+/**
+ * Header for a grid cell - acts as the drag handle and lets the user change the cell's instrument and timeframe
+ * or remove it. An empty instrument means the connection's instrument.
+ */
+const GridPaneHeader = ({ mainInstrument, cell, cells, onPaneChange, onRemove }) => {
+  const [instrumentInput, setInstrumentInput] = useState(cell.instrument || '');
+  const [timeframeInput, setTimeframeInput] = useState(cell.timeframe);
+
+  useEffect(() => {
+    setInstrumentInput(cell.instrument || '');
+    setTimeframeInput(cell.timeframe);
+  }, [cell.instrument, cell.timeframe]);
+
+  const otherCells = cells.filter(other => other.i !== cell.i);
+  const isOnlyMainCell = !cell.instrument && !otherCells.some(other => !other.instrument);
+
+  // A pane is valid if its timeframe parses, its instrument/timeframe pair isn't already in the grid and
+  // at least one pane still charts the connection's instrument
+  const isValidPane = (instrument, timeframe) => isValidTimeframe(timeframe)
+    && !otherCells.some(other => (other.instrument || null) === instrument && other.timeframe === timeframe)
+    && !(instrument && isOnlyMainCell);
+
+  const readInputs = () => {
+    const instrument = instrumentInput.trim().toUpperCase();
+    return {
+      instrument: instrument && instrument !== mainInstrument ? instrument : null,
+      timeframe: timeframeInput.trim(),
+    };
+  };
+  const pending = readInputs();
+  const isInputValid = isValidPane(pending.instrument, pending.timeframe);
+
+  const commitPane = () => {
+    const { instrument, timeframe } = readInputs();
+    if (instrument === (cell.instrument || null) && timeframe === cell.timeframe) {
+      setInstrumentInput(cell.instrument || '');
+      return;
+    }
+    if (!isValidPane(instrument, timeframe)) {
+      setInstrumentInput(cell.instrument || '');
+      setTimeframeInput(cell.timeframe);
+      return;
+    }
+    onPaneChange(cell.i, { instrument, timeframe });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') e.target.blur();
+    if (e.key === 'Escape') {
+      setInstrumentInput(cell.instrument || '');
+      setTimeframeInput(cell.timeframe);
+    }
+  };
+
+  return (
+    <div className="grid-pane-drag-handle" style={headerStyle}>
+      <input
+        className="grid-pane-control"
+        type="text"
+        value={instrumentInput}
+        placeholder={mainInstrument}
+        onChange={(e) => setInstrumentInput(e.target.value)}
+        onBlur={commitPane}
+        onKeyDown={handleKeyDown}
+        title={isOnlyMainCell
+          ? `At least one pane must chart ${mainInstrument}`
+          : `Instrument - leave empty for ${mainInstrument}`}
+        disabled={isOnlyMainCell}
+        style={{ ...controlStyle, width: '64px', borderColor: isInputValid ? '#555' : '#f44336' }}
+      />
+      <input
+        className="grid-pane-control"
+        type="text"
+        value={timeframeInput}
+        onChange={(e) => setTimeframeInput(e.target.value)}
+        onBlur={commitPane}
+        onKeyDown={handleKeyDown}
+        title="Timeframe (e.g. 1m, 45m, 2h, 1d, 1w) - must not already be in the grid for this instrument"
+        style={{ ...controlStyle, width: '48px', borderColor: isInputValid ? '#555' : '#f44336' }}
+      />
+      <div style={{ flex: 1 }} />
+      {otherCells.length > 0 && !isOnlyMainCell && (
+        <button
+          className="grid-pane-control"
+          onClick={() => onRemove(cell.i)}
+          title="Remove pane"
+          style={{ ...controlStyle, cursor: 'pointer', padding: '0 6px' }}
+        >
+          X
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * GridChartLayout component - free-form layout where each ChartPane sits in a draggable, resizable grid cell.
+ *
+ * Moving or resizing cells only changes their positions (onGridPositionsChange). Adding or removing a cell or
+ * changing its instrument or timeframe changes what is subscribed, so those go through onGridCellsChange and the
+ * App reconnects with the new layout.
+ *
+ * Cells for another instrument are drawn from instrumentChartData (fed by their own subscriptions). Their chart
+ * surfaces aren't registered with the App, so annotations, studies and drawings stay on the main instrument's panes.
+ */
+const GridChartLayout = ({
+  gridLayout,
+  onGridPositionsChange,
+  onGridCellsChange,
+  timeframes,
+  instrument,
+  chartData,
+  instrumentChartData = {},
+  settings,
+  isCrosshairMode,
+  isLineMode,
+  isBoxMode,
+  isTrendMode,
+  isArrowMode,
+  isTextMode,
+  isFibMode,
+  isPositionMode,
+  isDrawingLockMode,
+  lineColor,
+  lineType,
+  showLabel,
+  lineOrientation,
+  setIsLineMode,
+  setIsBoxMode,
+  setIsTrendMode,
+  setIsArrowMode,
+  setIsTextMode,
+  setIsFibMode,
+  setIsPositionMode,
+  boxOpacity,
+  arrowDirection,
+  arrowSize,
+  arrowStyle,
+  annotationText,
+  fontSize,
+  textAnchor,
+  fibType,
+  fibLevels,
+  fibShowPrices,
+  positionTargetR,
+  onExportSnapshot,
+  setDataSeriesRef,
+  setLastPriceLineRef,
+  setSciChartSurfaceRef,
+  onAnnotationCreated,
+  onAnnotationUpdated,
+  onAnnotationDeleted,
+  createAnnotationId,
+  isLinkedCursor,
+  isLiveMode,
+  isReplayMode,
+  windowSize,
+  focusedTimeframe,
+}) => {
+  // Only main-instrument cells whose timeframe is subscribed for this connection are rendered
+  const cells = normalizeGridLayout(gridLayout, instrument).cells
+    .filter(cell => cell.instrument || timeframes.includes(cell.timeframe));
+  const rowHeight = Math.max(10, (windowSize.height - GRID_MARGIN * (GRID_ROWS - 1)) / GRID_ROWS);
+  // A focused timeframe's pane covers the whole grid and the rest are pushed below it, out of sight, until the
+  // focus is cleared - the saved positions are left alone
+  const focusedCell = focusedTimeframe
+    ? cells.find(cell => !cell.instrument && cell.timeframe === focusedTimeframe)
+    : null;
+  const layout = cells.map(({ i, x, y, w, h }) => (focusedCell && i === focusedCell.i
+    ? { i, x: 0, y: 0, w: GRID_COLUMNS, h: GRID_ROWS }
+    : { i, x, y, w, h }));
+
+  const handleLayoutStop = (layout) => {
+    onGridPositionsChange(applyGridPositions(cells, layout));
+  };
+
+  const handleAddCell = () => {
+    const newCell = createGridCell(cells);
+    if (newCell) {
+      onGridCellsChange([...cells, newCell]);
+    }
+  };
+
+  const handleRemoveCell = (id) => {
+    onGridCellsChange(cells.filter(cell => cell.i !== id));
+  };
+
+  const handlePaneChange = (id, changes) => {
+    onGridCellsChange(cells.map(cell => (cell.i === id ? { ...cell, ...changes } : cell)));
+  };
+
+  const renderPane = (cell) => {
+    const timeframe = cell.timeframe;
+    const isOtherInstrument = !!cell.instrument;
+    const candles = (isOtherInstrument
+      ? (instrumentChartData[cell.instrument] || {})[timeframe]
+      : chartData[timeframe]) || [];
+    return (
+      <div key={cell.i} style={{ display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+        <GridPaneHeader
+          mainInstrument={instrument}
+          cell={cell}
+          cells={cells}
+          onPaneChange={handlePaneChange}
+          onRemove={handleRemoveCell}
+        />
+        <div style={{ flex: 1, position: 'relative', minHeight: 0 }}>
+          <ChartPane
+            instrument={cell.instrument || instrument}
+            timeframe={timeframe}
+            candleData={candles}
+            chartBehavior={settings.chartBehavior[timeframe] || DEFAULT_CHART_BEHAVIOR}
+            colors={settings.colors}
+            gridOptions={settings.gridOptions}
+            candleWidth={settings.candleWidth}
+            chartType={settings.chartTypes ? settings.chartTypes[timeframe] : 'Candle'}
+            volumeOptions={settings.volumeOptions}
+            barTypeOptions={settings.barTypeOptions}
+            isCrosshairMode={isCrosshairMode}
+            isLineMode={!isOtherInstrument && isLineMode}
+            isBoxMode={!isOtherInstrument && isBoxMode}
+            isTrendMode={!isOtherInstrument && isTrendMode}
+            isArrowMode={!isOtherInstrument && isArrowMode}
+            isTextMode={!isOtherInstrument && isTextMode}
+            isFibMode={!isOtherInstrument && isFibMode}
+            isPositionMode={!isOtherInstrument && isPositionMode}
+            isDrawingLockMode={isOtherInstrument || isDrawingLockMode}
+            lineColor={lineColor}
+            lineType={lineType}
+            showLabel={showLabel}
+            lineOrientation={lineOrientation}
+            setIsLineMode={setIsLineMode}
+            setIsBoxMode={setIsBoxMode}
+            setIsTrendMode={setIsTrendMode}
+            setIsArrowMode={setIsArrowMode}
+            setIsTextMode={setIsTextMode}
+            setIsFibMode={setIsFibMode}
+            setIsPositionMode={setIsPositionMode}
+            boxOpacity={boxOpacity}
+            arrowDirection={arrowDirection}
+            arrowSize={arrowSize}
+            arrowStyle={arrowStyle}
+            annotationText={annotationText}
+            fontSize={fontSize}
+            textAnchor={textAnchor}
+            fibType={fibType}
+            fibLevels={fibLevels}
+            fibShowPrices={fibShowPrices}
+            positionTargetR={positionTargetR}
+            onExportSnapshot={onExportSnapshot}
+            setDataSeriesRef={isOtherInstrument ? ignorePaneCallback : setDataSeriesRef}
+            setLastPriceLineRef={isOtherInstrument ? ignorePaneCallback : setLastPriceLineRef}
+            setSciChartSurfaceRef={isOtherInstrument ? ignorePaneCallback : setSciChartSurfaceRef}
+            livePrice={candles[candles.length - 1]}
+            onAnnotationCreated={isOtherInstrument ? ignorePaneCallback : onAnnotationCreated}
+            onAnnotationUpdated={isOtherInstrument ? ignorePaneCallback : onAnnotationUpdated}
+            onAnnotationDeleted={isOtherInstrument ? ignorePaneCallback : onAnnotationDeleted}
+            generateAnnotationId={(type) => createAnnotationId(type, timeframe)}
+            isLinkedCursor={isLinkedCursor}
+            isLiveMode={isLiveMode}
+            isReplayMode={isReplayMode}
+          />
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ position: 'relative', width: `${windowSize.width}px`, height: `${windowSize.height}px`, overflow: 'hidden' }}>
+      <GridLayout
+        width={windowSize.width}
+        layout={layout}
+        cols={GRID_COLUMNS}
+        maxRows={GRID_ROWS}
+        rowHeight={rowHeight}
+        margin={[GRID_MARGIN, GRID_MARGIN]}
+        containerPadding={[0, 0]}
+        isDraggable={!focusedCell}
+        isResizable={!focusedCell}
+        draggableHandle=".grid-pane-drag-handle"
+        draggableCancel=".grid-pane-control"
+        onDragStop={handleLayoutStop}
+        onResizeStop={handleLayoutStop}
+      >
+        {cells.map(renderPane)}
+      </GridLayout>
+      {cells.length < MAX_GRID_CELLS && (
+        <button
+          onClick={handleAddCell}
+          title="Add a pane to the grid"
+          style={{
+            ...controlStyle,
+            position: 'absolute',
+            right: 8,
+            bottom: 8,
+            height: '24px',
+            padding: '0 10px',
+            zIndex: 60,
+            cursor: 'pointer',
+            opacity: 0.8,
+          }}
+        >
+          + Pane
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default GridChartLayout;
@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import './TradeManager.css';
+import './Hotkeys.css';
+import {
+  HOTKEY_ACTIONS,
+  HOTKEY_SCOPES,
+  getHotkeyBindings,
+  getChangedBindings,
+  getKeyCombo,
+  findHotkeyConflicts
+} from '../utils/Hotkeys';
+
+const GROUPS = [...new Set(HOTKEY_ACTIONS.map(action => action.group))];
+
+/**
+ * Hotkeys window - the keys and windows of every hotkey action, the quantity the trading hotkeys buy and sell,
+ * and the switch that arms them
+ */
+function Hotkeys() {
+  const [savedState, setSavedState] = useState(null);
+  const [bindings, setBindings] = useState(null);
+  const [tradeQuantity, setTradeQuantity] = useState('1');
+  const [capturing, setCapturing] = useState(null); // Action whose keys are being recorded
+
+  useEffect(() => {
+    const { ipcRenderer } = window.require('electron');
+    const applyState = (state) => {
+      setSavedState(state);
+      setBindings(getHotkeyBindings(state.bindings));
+      setTradeQuantity(String(state.tradeQuantity));
+    };
+    // Arming elsewhere mustn't throw away unsaved edits here
+    const handleUpdated = (event, state) => {
+      setSavedState(current => ({ ...(current || state), armed: state.armed }));
+    };
+    ipcRenderer.invoke('hotkeys:get')
+      .then(applyState)
+      .catch(error => console.error('Hotkeys: Error loading hotkeys:', error));
+    ipcRenderer.on('hotkeys-updated', handleUpdated);
+    return () => {
+      ipcRenderer.removeListener('hotkeys-updated', handleUpdated);
+    };
+  }, []);
+
+  // Record the next key combination for the action being captured: Escape cancels, Backspace clears
+  useEffect(() => {
+    if (!capturing) return undefined;
+    const handleKeyDown = (event) => {
+      event.preventDefault();
+      if (event.key === 'Escape') {
+        setCapturing(null);
+        return;
+      }
+      const key = event.key === 'Backspace' ? '' : getKeyCombo(event);
+      if (key === null) return;
+      setBindings(current => ({ ...current, [capturing]: { ...current[capturing], key } }));
+      setCapturing(null);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [capturing]);
+
+  if (!savedState || !bindings) {
+    return <div className="trade-manager-container"><div className="message">Loading hotkeys...</div></div>;
+  }
+
+  const conflicts = findHotkeyConflicts(bindings);
+  const hasConflicts = Object.keys(conflicts).length > 0;
+  const quantity = parseInt(tradeQuantity, 10);
+  const quantityError = !Number.isInteger(quantity) || quantity < 1;
+  const isDirty = JSON.stringify(getChangedBindings(bindings)) !== JSON.stringify(savedState.bindings)
+    || quantity !== savedState.tradeQuantity;
+
+  const handleScopeChange = (actionId, scope) => {
+    setBindings(current => ({ ...current, [actionId]: { ...current[actionId], scope } }));
+  };
+
+  const handleSave = async () => {
+    const { ipcRenderer } = window.require('electron');
+    const saved = await ipcRenderer.invoke('hotkeys:save', { bindings: getChangedBindings(bindings), tradeQuantity: quantity });
+    setSavedState(saved);
+    setBindings(getHotkeyBindings(saved.bindings));
+    setTradeQuantity(String(saved.tradeQuantity));
+  };
+
+  const handleRevert = () => {
+    setBindings(getHotkeyBindings(savedState.bindings));
+    setTradeQuantity(String(savedState.tradeQuantity));
+  };
+
+  const handleArmedChange = (armed) => {
+    const { ipcRenderer } = window.require('electron');
+    ipcRenderer.invoke('hotkeys:set-armed', armed);
+  };
+
+  return (
+    <div className="trade-manager-container">
+      <div className="header">
+        <h1 className="header-title">Hotkeys</h1>
+        <span className={savedState.armed ? 'negative-value' : 'neutral-value'}>
+          {savedState.armed ? 'Trading hotkeys ARMED' : 'Trading hotkeys disarmed'}
+        </span>
+      </div>
+
+      <div className="main-content">
+        <div className="sidebar hotkeys-sidebar">
+          <h2 className="sidebar-title">Trading</h2>
+          <label className="hotkeys-checkbox">
+            <input
+              type="checkbox"
+              checked={savedState.armed}
+              onChange={(e) => handleArmedChange(e.target.checked)}
+            />
+            Arm trading hotkeys
+          </label>
+          <div className="hotkeys-hint">
+            Trading hotkeys send orders straight to the NinjaTrader Bridge. They only work while armed, and disarm
+            when Quatrain starts and whenever the bridge disconnects. Also in the Trading menu.
+          </div>
+          <div className="form-group">
+            <label className="label">Quantity to buy / sell</label>
+            <input
+              type="number"
+              min="1"
+              className="input"
+              value={tradeQuantity}
+              onChange={(e) => setTradeQuantity(e.target.value)}
+            />
+          </div>
+          <div className="hotkeys-hint">
+            Orders go to the account and instrument selected in the Trade Manager. Keys typed into a text box never
+            run a hotkey.
+          </div>
+
+          {hasConflicts && <div className="hotkeys-error">Resolve the conflicting keys before saving</div>}
+          {quantityError && <div className="hotkeys-error">The quantity has to be a whole number of at least 1</div>}
+          <div className="button-group">
+            <button className="button primary" onClick={handleSave} disabled={!isDirty || hasConflicts || quantityError}>
+              Save
+            </button>
+            <button className="button" onClick={handleRevert} disabled={!isDirty}>Revert</button>
+          </div>
+          <button className="button margin-top" onClick={() => setBindings(getHotkeyBindings())}>
+            Restore defaults
+          </button>
+        </div>
+
+        <div className="content-area hotkeys-content">
+          <table className="positions-table">
+            <thead className="positions-header">
+              <tr>
+                <th>Action</th>
+                <th>Keys</th>
+                <th>Windows</th>
+              </tr>
+            </thead>
+            {GROUPS.map(group => (
+              <tbody key={group} className="positions-body">
+                <tr className="hotkeys-group-row">
+                  <td colSpan={3}>{group}</td>
+                </tr>
+                {HOTKEY_ACTIONS.filter(action => action.group === group).map(action => {
+                  const binding = bindings[action.id];
+                  return (
+                    <tr key={action.id}>
+                      <td>
+                        {action.label}
+                        {conflicts[action.id] && (
+                          <div className="hotkeys-conflict">Conflicts with {conflicts[action.id]}</div>
+                        )}
+                      </td>
+                      <td>
+                        <button
+                          className={`button hotkeys-key${capturing === action.id ? ' capturing' : ''}${conflicts[action.id] ? ' conflict' : ''}`}
+                          onClick={() => setCapturing(capturing === action.id ? null : action.id)}
+                          title="Click, then press the keys - Backspace clears, Escape cancels"
+                        >
+                          {capturing === action.id ? 'Press keys...' : (binding.key || 'None')}
+                        </button>
+                      </td>
+                      <td>
+                        <select
+                          className="select hotkeys-scope"
+                          value={binding.scope}
+                          onChange={(e) => handleScopeChange(action.id, e.target.value)}
+                        >
+                          {['global', ...action.windows].map(scope => (
+                            <option key={scope} value={scope}>{HOTKEY_SCOPES[scope]}</option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            ))}
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Hotkeys;
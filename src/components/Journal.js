@@ -0,0 +1,392 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import './TradeManager.css';
+import './Journal.css';
+import PerformanceDashboard from './PerformanceDashboard';
+import { getPlanName } from '../utils/PerformanceStats';
+
+const CSV_COLUMNS = [
+  ['Trade ID', trade => trade.id],
+  ['Account', trade => trade.accountId],
+  ['Instrument', trade => trade.instrument],
+  ['Side', trade => trade.side],
+  ['Status', trade => trade.status],
+  ['Entry Time', trade => new Date(trade.entryTime).toISOString()],
+  ['Exit Time', trade => (trade.exitTime ? new Date(trade.exitTime).toISOString() : '')],
+  ['Quantity', trade => trade.quantity],
+  ['Entry Price', trade => trade.entryPrice],
+  ['Exit Price', trade => (trade.exitPrice !== null ? trade.exitPrice : '')],
+  ['P&L Points', trade => trade.pnlPoints],
+  ['P&L $', trade => (trade.pnlDollars !== null ? trade.pnlDollars : '')],
+  ['MAE', trade => trade.mae],
+  ['MFE', trade => trade.mfe],
+  ['Risk Points', trade => (trade.riskPoints !== null ? trade.riskPoints : '')],
+  ['R Multiple', trade => (trade.rMultiple !== null ? trade.rMultiple : '')],
+  ['Plan', trade => getPlanName(trade)],
+  ['Scale-ins', trade => trade.scaleIns],
+  ['Scale-outs', trade => trade.scaleOuts],
+  ['Fills', trade => trade.fills.length],
+  ['Tags', trade => trade.tags.join('; ')],
+  ['Notes', trade => trade.notes]
+];
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const buildCsv = (trades) => [
+  CSV_COLUMNS.map(([header]) => header).join(','),
+  ...trades.map(trade => CSV_COLUMNS.map(([, getValue]) => escapeCsvValue(getValue(trade))).join(','))
+].join('\r\n');
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : '-');
+
+const formatDuration = (trade) => {
+  if (!trade.exitTime) return '-';
+  const seconds = Math.round((trade.exitTime - trade.entryTime) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
+
+const getPnlClass = (value) => {
+  if (value > 0) return 'positive-value';
+  if (value < 0) return 'negative-value';
+  return '';
+};
+
+// P&L in dollars when the instrument's point value is known, otherwise in points
+const formatPnl = (trade) => {
+  if (trade.status === 'open' && trade.exitPrice === null) return '-';
+  if (trade.pnlDollars !== null) return `$${trade.pnlDollars.toFixed(2)}`;
+  return `${trade.pnlPoints.toFixed(2)} pts`;
+};
+
+// Parse a date input value (YYYY-MM-DD) as local midnight
+const parseDateInput = (value) => {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day).getTime();
+};
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const EMPTY_FILTERS = { account: '', instrument: '', side: '', status: '', tag: '', from: '', to: '' };
+
+/**
+ * Trade Journal window - round-trip trades rebuilt from every fill reported by the NinjaTrader Bridge,
+ * with MAE/MFE, filters, tags, notes and CSV export. The journal itself is kept by the main process.
+ */
+function Journal() {
+  const [trades, setTrades] = useState([]);
+  const [positionEvents, setPositionEvents] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [selectedTradeId, setSelectedTradeId] = useState(null);
+  const [tagsInput, setTagsInput] = useState('');
+  const [notesInput, setNotesInput] = useState('');
+  const [editorTradeId, setEditorTradeId] = useState(null); // Trade the tag and notes editors were loaded from
+  const [statusMessage, setStatusMessage] = useState('');
+  const [activeView, setActiveView] = useState('trades');
+
+  const loadJournal = useCallback(async () => {
+    try {
+      const { ipcRenderer } = window.require('electron');
+      const journal = await ipcRenderer.invoke('journal:get');
+      setTrades(journal.trades);
+      setPositionEvents(journal.positionEvents);
+    } catch (error) {
+      console.error('Journal: Error loading the trade journal:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadJournal();
+    const { ipcRenderer } = window.require('electron');
+    ipcRenderer.on('journal-updated', loadJournal);
+    return () => {
+      ipcRenderer.removeListener('journal-updated', loadJournal);
+    };
+  }, [loadJournal]);
+
+  const filterOptions = useMemo(() => ({
+    accounts: [...new Set(trades.map(trade => trade.accountId))].sort(),
+    instruments: [...new Set(trades.map(trade => trade.instrument))].sort(),
+    tags: [...new Set(trades.flatMap(trade => trade.tags))].sort()
+  }), [trades]);
+
+  // Newest first
+  const filteredTrades = useMemo(() => {
+    const from = parseDateInput(filters.from);
+    const to = parseDateInput(filters.to);
+    return trades.filter(trade => (!filters.account || trade.accountId === filters.account)
+      && (!filters.instrument || trade.instrument === filters.instrument)
+      && (!filters.side || trade.side === filters.side)
+      && (!filters.status || trade.status === filters.status)
+      && (!filters.tag || trade.tags.includes(filters.tag))
+      && (from === null || trade.entryTime >= from)
+      && (to === null || trade.entryTime < to + ONE_DAY_MS))
+      .sort((a, b) => b.entryTime - a.entryTime);
+  }, [trades, filters]);
+
+  const summary = useMemo(() => {
+    const closedTrades = filteredTrades.filter(trade => trade.status === 'closed');
+    const winners = closedTrades.filter(trade => trade.pnlPoints > 0).length;
+    const hasDollars = closedTrades.every(trade => trade.pnlDollars !== null);
+    const netPnl = closedTrades.reduce((sum, trade) => sum + (hasDollars ? trade.pnlDollars : trade.pnlPoints), 0);
+    return {
+      closed: closedTrades.length,
+      open: filteredTrades.length - closedTrades.length,
+      winRate: closedTrades.length > 0 ? (winners / closedTrades.length) * 100 : null,
+      netPnl: hasDollars ? `$${netPnl.toFixed(2)}` : `${netPnl.toFixed(2)} pts`,
+      netPnlValue: netPnl
+    };
+  }, [filteredTrades]);
+
+  const selectedTrade = trades.find(trade => trade.id === selectedTradeId) || null;
+
+  // Position events of the selected trade's account and instrument while it was open
+  const selectedTradeEvents = useMemo(() => {
+    if (!selectedTrade) return [];
+    const endTime = selectedTrade.exitTime || Date.now();
+    // Account updates can arrive shortly before or after the fill
+    return positionEvents.filter(event => event.accountId === selectedTrade.accountId
+      && event.instrument === selectedTrade.instrument
+      && event.time >= selectedTrade.entryTime - 5000
+      && event.time <= endTime + 5000);
+  }, [selectedTrade, positionEvents]);
+
+  // Load the tag and notes editors when another trade is selected - later updates to the same trade (fills, saves)
+  // leave unsaved edits alone
+  if (selectedTrade && selectedTrade.id !== editorTradeId) {
+    setEditorTradeId(selectedTrade.id);
+    setTagsInput(selectedTrade.tags.join(', '));
+    setNotesInput(selectedTrade.notes);
+  }
+
+  const handleFilterChange = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSaveMeta = async () => {
+    if (!selectedTrade) return;
+    const tags = tagsInput.split(',').map(tag => tag.trim()).filter(Boolean);
+    const { ipcRenderer } = window.require('electron');
+    await ipcRenderer.invoke('journal:update-trade', { tradeId: selectedTrade.id, tags, notes: notesInput });
+    setStatusMessage('Tags and notes saved');
+  };
+
+  const handleExportCsv = async () => {
+    try {
+      const { ipcRenderer } = window.require('electron');
+      const date = new Date().toISOString().slice(0, 10);
+      const filePath = await ipcRenderer.invoke('journal:export-csv', {
+        csv: buildCsv(filteredTrades),
+        defaultName: `trade-journal-${date}.csv`
+      });
+      if (filePath) {
+        setStatusMessage(`Exported ${filteredTrades.length} trades to ${filePath}`);
+      }
+    } catch (error) {
+      console.error('Journal: Error exporting CSV:', error);
+      setStatusMessage(`Export failed: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="trade-manager-container journal-container">
+      <div className="header">
+        <h1 className="header-title">Trade Journal</h1>
+        <div className="journal-summary">
+          <span>{summary.closed} closed</span>
+          <span>{summary.open} open</span>
+          <span>Win rate {summary.winRate !== null ? `${summary.winRate.toFixed(0)}%` : '-'}</span>
+          <span>Net <span className={getPnlClass(summary.netPnlValue)}>{summary.netPnl}</span></span>
+          <button className="button primary" onClick={handleExportCsv} disabled={filteredTrades.length === 0}>
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="journal-filters">
+        <select className="select" value={filters.account} onChange={(e) => handleFilterChange('account', e.target.value)}>
+          <option value="">All accounts</option>
+          {filterOptions.accounts.map(account => <option key={account} value={account}>{account}</option>)}
+        </select>
+        <select className="select" value={filters.instrument} onChange={(e) => handleFilterChange('instrument', e.target.value)}>
+          <option value="">All instruments</option>
+          {filterOptions.instruments.map(instrument => <option key={instrument} value={instrument}>{instrument}</option>)}
+        </select>
+        <select className="select" value={filters.side} onChange={(e) => handleFilterChange('side', e.target.value)}>
+          <option value="">Long and short</option>
+          <option value="long">Long</option>
+          <option value="short">Short</option>
+        </select>
+        <select className="select" value={filters.status} onChange={(e) => handleFilterChange('status', e.target.value)}>
+          <option value="">Open and closed</option>
+          <option value="closed">Closed</option>
+          <option value="open">Open</option>
+        </select>
+        <select className="select" value={filters.tag} onChange={(e) => handleFilterChange('tag', e.target.value)}>
+          <option value="">Any tag</option>
+          {filterOptions.tags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+        </select>
+        <label>
+          From
+          <input type="date" className="select" value={filters.from} onChange={(e) => handleFilterChange('from', e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" className="select" value={filters.to} onChange={(e) => handleFilterChange('to', e.target.value)} />
+        </label>
+        <button className="button" onClick={() => setFilters(EMPTY_FILTERS)}>Clear</button>
+      </div>
+
+      <div className="tabs-container journal-view-tabs">
+        <div className={`tab ${activeView === 'trades' ? 'active' : ''}`} onClick={() => setActiveView('trades')}>
+          Trades
+        </div>
+        <div className={`tab ${activeView === 'performance' ? 'active' : ''}`} onClick={() => setActiveView('performance')}>
+          Performance
+        </div>
+      </div>
+
+      <div className="main-content">
+        <div className="content-area">
+          {activeView === 'performance' ? (
+            <PerformanceDashboard trades={filteredTrades} />
+          ) : filteredTrades.length === 0 ? (
+            <div className="message">
+              {trades.length === 0 ? 'No trades yet - fills from the Trade Manager are recorded here' : 'No trades match the filters'}
+            </div>
+          ) : (
+            <div className="scrollable-table-container">
+              <table className="positions-table journal-table">
+                <thead className="positions-header">
+                  <tr>
+                    <th>Entry</th>
+                    <th>Account</th>
+                    <th>Instrument</th>
+                    <th>Side</th>
+                    <th>Qty</th>
+                    <th>Entry Price</th>
+                    <th>Exit Price</th>
+                    <th>Duration</th>
+                    <th>MAE</th>
+                    <th>MFE</th>
+                    <th>R</th>
+                    <th>Tags</th>
+                    <th>P/L</th>
+                  </tr>
+                </thead>
+                <tbody className="positions-body">
+                  {filteredTrades.map(trade => (
+                    <tr
+                      key={trade.id}
+                      className={trade.id === selectedTradeId ? 'journal-row-selected' : ''}
+                      onClick={() => setSelectedTradeId(trade.id)}
+                    >
+                      <td>{formatTime(trade.entryTime)}</td>
+                      <td>{trade.accountId}</td>
+                      <td>{trade.instrument}</td>
+                      <td className={trade.side === 'long' ? 'positive-value' : 'negative-value'}>
+                        {trade.side === 'long' ? 'Long' : 'Short'}
+                      </td>
+                      <td>{trade.quantity}{trade.status === 'open' && ` (${trade.openQuantity} open)`}</td>
+                      <td>{trade.entryPrice.toFixed(2)}</td>
+                      <td>{trade.exitPrice !== null ? trade.exitPrice.toFixed(2) : '-'}</td>
+                      <td>{trade.status === 'open' ? 'Open' : formatDuration(trade)}</td>
+                      <td>{trade.mae.toFixed(2)}</td>
+                      <td>{trade.mfe.toFixed(2)}</td>
+                      <td className={getPnlClass(trade.rMultiple)}>
+                        {trade.rMultiple !== null ? `${trade.rMultiple.toFixed(2)}R` : '-'}
+                      </td>
+                      <td>{trade.tags.join(', ')}</td>
+                      <td className={getPnlClass(trade.pnlPoints)}>{formatPnl(trade)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {selectedTrade && activeView === 'trades' && (
+          <div className="journal-detail">
+            <h2 className="sidebar-title">
+              {selectedTrade.side === 'long' ? 'Long' : 'Short'} {selectedTrade.quantity} {selectedTrade.instrument}
+            </h2>
+            <div className="journal-detail-stats">
+              <div>P/L: <span className={getPnlClass(selectedTrade.pnlPoints)}>{formatPnl(selectedTrade)}</span>
+                {' '}({selectedTrade.pnlPoints.toFixed(2)} pts)</div>
+              <div>MAE / MFE: {selectedTrade.mae.toFixed(2)} / {selectedTrade.mfe.toFixed(2)} pts per contract</div>
+              <div>
+                Risk: {selectedTrade.riskPoints !== null ? `${selectedTrade.riskPoints.toFixed(2)} pts per contract` : 'no stop recorded'}
+                {selectedTrade.rMultiple !== null && ` (${selectedTrade.rMultiple.toFixed(2)}R)`}
+              </div>
+              <div>Plan: {getPlanName(selectedTrade)}</div>
+              <div>Scale-ins: {selectedTrade.scaleIns}, scale-outs: {selectedTrade.scaleOuts}</div>
+            </div>
+
+            <h3 className="journal-detail-title">Fills</h3>
+            <table className="positions-table">
+              <tbody className="positions-body">
+                {selectedTrade.fills.map((fill, index) => (
+                  <tr key={`${fill.id}-${index}`}>
+                    <td>{new Date(fill.time).toLocaleTimeString()}</td>
+                    <td>{fill.role}</td>
+                    <td>{fill.action} {fill.quantity}</td>
+                    <td>{fill.name}</td>
+                    <td>{fill.price.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {selectedTradeEvents.length > 0 && (
+              <>
+                <h3 className="journal-detail-title">Position</h3>
+                <table className="positions-table">
+                  <tbody className="positions-body">
+                    {selectedTradeEvents.map((event, index) => (
+                      <tr key={`${event.time}-${index}`}>
+                        <td>{new Date(event.time).toLocaleTimeString()}</td>
+                        <td>{event.event}</td>
+                        <td>{event.marketPosition} {event.quantity}</td>
+                        <td>{event.averagePrice !== null ? event.averagePrice.toFixed(2) : ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+
+            <h3 className="journal-detail-title">Tags</h3>
+            <input
+              type="text"
+              className="select journal-input"
+              placeholder="e.g. ORB, A+ setup, revenge"
+              value={tagsInput}
+              onChange={(e) => setTagsInput(e.target.value)}
+            />
+            <h3 className="journal-detail-title">Notes</h3>
+            <textarea
+              className="select journal-input journal-notes"
+              value={notesInput}
+              onChange={(e) => setNotesInput(e.target.value)}
+            />
+            <div className="button-group">
+              <button className="button primary" onClick={handleSaveMeta}>Save</button>
+              <button className="button" onClick={() => setSelectedTradeId(null)}>Close</button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {statusMessage && (
+        <div className="journal-status" onClick={() => setStatusMessage('')}>{statusMessage}</div>
+      )}
+    </div>
+  );
+}
+
+export default Journal;
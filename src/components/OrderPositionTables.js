@@ -1,6 +1,7 @@
 import React from 'react';
 import { sendToNTBridge } from '../services/nt-bridge-service';
 import { convertNinjaTraderToCme } from '../utils/symbolMapping';
+import { isWorkingOrder } from './trading/BracketOrderGroups';
 
 // Renders the positions table
 export const PositionsTable = ({ 
@@ -327,4 +328,120 @@ export const OrdersTable = ({
       )}
     </div>
   );
-}; 
\ No newline at end of file
+}; 
+
+// Renders bracket orders as one row per bracket - its entry, the stops still working and each target
+export const BracketsTable = ({
+  selectedAccount,
+  isConnected,
+  brackets,
+  setPopupContent,
+  setShowPopup
+}) => {
+  if (brackets.length === 0) {
+    return <div className="message">No bracket orders for this account</div>;
+  }
+
+  // Cancel every working order of the bracket in one request
+  const handleCancelBracket = (bracketId) => {
+    if (!selectedAccount || !isConnected) {
+      console.error("Cannot cancel bracket: No selected account or not connected.");
+      setPopupContent({
+        title: 'Error',
+        message: 'Cannot cancel bracket: No account selected or connection lost.'
+      });
+      setShowPopup(true);
+      return;
+    }
+
+    const accountId = selectedAccount.accountId || selectedAccount.id;
+    console.log(`Sending cancel bracket request for Account: ${accountId}, Bracket: ${bracketId}`);
+    sendToNTBridge({
+      type: 'cancel_bracket',
+      accountId: accountId,
+      bracketId: bracketId
+    });
+  };
+
+  const formatPrice = (price) => (price ? `$${Number(price).toFixed(2)}` : '-');
+
+  const formatEntry = (bracket) => {
+    const { entry, plan } = bracket;
+    if (!entry) return plan ? `${plan.quantity} ${plan.entryOrderType}` : '-';
+    if (entry.filledQuantity > 0) return `${entry.filledQuantity}/${entry.quantity} @ ${formatPrice(entry.averageFillPrice)}`;
+    return `${entry.quantity} ${entry.type} ${formatPrice(entry.limitPrice || entry.stopPrice)}`;
+  };
+
+  const formatStop = (bracket) => {
+    if (bracket.stops.length === 0) {
+      const { plan } = bracket;
+      if (!plan) return '-';
+      return plan.stopPrice ? `${formatPrice(plan.stopPrice)} after fill` : `${plan.stopPoints} pts after fill`;
+    }
+    return `${bracket.workingStopQuantity} @ ${formatPrice(bracket.stopPrice)}`;
+  };
+
+  const formatTargets = (bracket) => {
+    if (bracket.targets.length === 0) {
+      const planTargets = bracket.plan ? bracket.plan.targets || [] : [];
+      return planTargets.map(target => (target.price ? `${target.quantity} @ ${formatPrice(target.price)}` : `${target.quantity} @ +${target.points} pts`))
+        .join(', ') || '-';
+    }
+    return bracket.targets.map(target => {
+      const mark = target.filledQuantity >= target.quantity ? ' ✓' : (target.working ? '' : ' ✗');
+      return `T${target.leg} ${target.quantity} @ ${formatPrice(target.price)}${mark}`;
+    }).join(', ');
+  };
+
+  const statusColors = {
+    'Awaiting entry': '#03A9F4',
+    'Partially filled': '#03A9F4',
+    Active: '#4CAF50',
+    Closed: '#9E9E9E',
+    Cancelled: '#9E9E9E',
+    Rejected: '#F44336'
+  };
+
+  return (
+    <div className="scrollable-table-container">
+      <table className="orders-table">
+        <thead className="orders-header">
+          <tr>
+            <th>Bracket</th>
+            <th>Instrument</th>
+            <th>Action</th>
+            <th>Entry</th>
+            <th>Stop</th>
+            <th>Targets</th>
+            <th>Status</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody className="orders-body">
+          {brackets.map(bracket => {
+            const hasWorkingOrders = [bracket.entry, ...bracket.stops].filter(Boolean).some(isWorkingOrder)
+              || bracket.targets.some(target => target.working);
+            return (
+              <tr key={bracket.bracketId}>
+                <td>{bracket.bracketId}</td>
+                <td>{bracket.instrument}</td>
+                <td>{bracket.action}</td>
+                <td>{formatEntry(bracket)}</td>
+                <td>{formatStop(bracket)}</td>
+                <td>{formatTargets(bracket)}</td>
+                <td style={{ color: statusColors[bracket.status] || '#FFFFFF' }}>{bracket.status}</td>
+                <td>
+                  {hasWorkingOrders && (
+                    <button className="cancel-button" onClick={() => handleCancelBracket(bracket.bracketId)}>
+                      Cancel
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  SciChartSurface,
+  NumericAxis,
+  XyDataSeries,
+  FastLineRenderableSeries,
+  FastColumnRenderableSeries,
+  DefaultPaletteProvider,
+  EStrokePaletteMode,
+  parseColorToUIntArgb,
+  NumberRange
+} from 'scichart';
+import { CategoryLabelProvider, CategoryTickProvider } from '../utils/CustomProviders';
+import { computePerformanceStats } from '../utils/PerformanceStats';
+import killzonesAnnotations from '../KillzonesAnnotations';
+import DataClient from '../services/data-client';
+
+const PROFIT_COLOR = '#4CAF50';
+const LOSS_COLOR = '#FF5252';
+const EQUITY_COLOR = '#007bff';
+
+const BREAKDOWNS = {
+  byTimeOfDay: 'Time of day',
+  byKillzone: 'Killzone',
+  byInstrument: 'Instrument',
+  byPlan: 'Trade Boss plan',
+  byTag: 'Tag'
+};
+
+// Colors profit columns green and loss columns red
+class ProfitLossPaletteProvider extends DefaultPaletteProvider {
+  constructor() {
+    super();
+    this.strokePaletteMode = EStrokePaletteMode.SOLID;
+    this.profitColor = parseColorToUIntArgb(PROFIT_COLOR);
+    this.lossColor = parseColorToUIntArgb(LOSS_COLOR);
+  }
+
+  overrideFillArgb(xValue, yValue) {
+    return yValue < 0 ? this.lossColor : this.profitColor;
+  }
+
+  overrideStrokeArgb(xValue, yValue) {
+    return this.overrideFillArgb(xValue, yValue);
+  }
+}
+
+/**
+ * A SciChart surface with a category X axis showing profit/loss columns and an optional line
+ * @param {Object} props
+ * @param {string} props.id - Container element ID
+ * @param {Array<string>} props.labels - X axis labels, one per column
+ * @param {Array<number>} props.columns - Column values
+ * @param {Array<number>} [props.line] - Line values (the equity curve)
+ */
+const PerformanceChart = ({ id, labels, columns, line }) => {
+  const chartRef = useRef(null);
+  const [isReady, setIsReady] = useState(false);
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    SciChartSurface.create(id).then(({ sciChartSurface, wasmContext }) => {
+      if (isCancelled) {
+        sciChartSurface.delete();
+        return;
+      }
+      const xAxis = new NumericAxis(wasmContext, {
+        labelProvider: new CategoryLabelProvider(),
+        drawMinorGridLines: false,
+        drawMajorBands: false
+      });
+      xAxis.tickProvider = new CategoryTickProvider(wasmContext);
+      sciChartSurface.xAxes.add(xAxis);
+      sciChartSurface.yAxes.add(new NumericAxis(wasmContext, {
+        growBy: new NumberRange(0.1, 0.1),
+        drawMinorGridLines: false
+      }));
+      chartRef.current = { sciChartSurface, wasmContext, xAxis };
+      setIsReady(true);
+    }).catch(error => {
+      console.error(`PerformanceDashboard: Error creating chart ${id}:`, error);
+    });
+
+    return () => {
+      isCancelled = true;
+      if (chartRef.current) {
+        chartRef.current.sciChartSurface.delete();
+        chartRef.current = null;
+      }
+    };
+  }, [id]);
+
+  useEffect(() => {
+    if (!isReady || !chartRef.current) return;
+    const { sciChartSurface, wasmContext, xAxis } = chartRef.current;
+
+    const oldSeries = sciChartSurface.renderableSeries.asArray();
+    sciChartSurface.renderableSeries.clear();
+    oldSeries.forEach(series => series.delete());
+
+    const xValues = columns.map((value, index) => index);
+    xAxis.labelProvider.labels = labels;
+    xAxis.labelProvider.invalidateCache();
+    sciChartSurface.renderableSeries.add(new FastColumnRenderableSeries(wasmContext, {
+      dataSeries: new XyDataSeries(wasmContext, { xValues, yValues: columns }),
+      paletteProvider: new ProfitLossPaletteProvider(),
+      dataPointWidth: 0.6
+    }));
+    if (line) {
+      sciChartSurface.renderableSeries.add(new FastLineRenderableSeries(wasmContext, {
+        dataSeries: new XyDataSeries(wasmContext, { xValues, yValues: line }),
+        stroke: EQUITY_COLOR,
+        strokeThickness: 2
+      }));
+    }
+    // Leave half a column of room at each end
+    xAxis.visibleRange = new NumberRange(-0.5, Math.max(columns.length - 0.5, 0.5));
+    sciChartSurface.zoomExtentsY();
+  }, [isReady, labels, columns, line]);
+
+  return <div id={id} className="performance-chart" />;
+};
+
+const formatValue = (value, unit) => {
+  if (value === null || value === undefined) return '-';
+  return unit === '$' ? `$${value.toFixed(2)}` : `${value.toFixed(2)} pts`;
+};
+
+const formatRatio = (value) => {
+  if (value === null || value === undefined) return '-';
+  return value === Infinity ? '∞' : value.toFixed(2);
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(0)}%`);
+
+const getValueClass = (value) => {
+  if (value > 0) return 'positive-value';
+  if (value < 0) return 'negative-value';
+  return '';
+};
+
+/**
+ * Performance dashboard for the Journal window - equity curve and statistics of the journal's closed trades,
+ * with breakdowns by time of day, killzone, instrument, Trade Boss plan and tag
+ * @param {Object} props
+ * @param {Array<Object>} props.trades - Journal trades (the Journal's filters apply)
+ */
+function PerformanceDashboard({ trades }) {
+  const [period, setPeriod] = useState('daily');
+  const [breakdownKey, setBreakdownKey] = useState('byTimeOfDay');
+  // The main window shares its killzone windows; the study defaults apply until it does
+  const [killzoneSettings, setKillzoneSettings] = useState(killzonesAnnotations.getSettings());
+
+  useEffect(() => {
+    SciChartSurface.configure({
+      dataUrl: 'scichart2d.data',
+      wasmUrl: 'scichart2d.wasm',
+    });
+  }, []);
+
+  useEffect(() => {
+    const dataClient = new DataClient();
+    return dataClient.subscribe('killzones:settings', (settings) => {
+      if (settings) setKillzoneSettings(settings);
+    });
+  }, []);
+
+  const stats = useMemo(
+    () => computePerformanceStats(trades, { period, killzoneSettings }),
+    [trades, period, killzoneSettings]
+  );
+  const { unit, summary } = stats;
+
+  const equityChart = useMemo(() => ({
+    labels: stats.equityCurve.map(point => point.period),
+    columns: stats.equityCurve.map(point => point.pnl),
+    line: stats.equityCurve.map(point => point.equity)
+  }), [stats]);
+
+  const breakdownRows = stats[breakdownKey];
+  const breakdownChart = useMemo(() => ({
+    labels: breakdownRows.map(row => row.label),
+    columns: breakdownRows.map(row => row.net)
+  }), [breakdownRows]);
+
+  if (summary.trades === 0) {
+    return <div className="message">No closed trades to analyze</div>;
+  }
+
+  const statCards = [
+    ['Trades', `${summary.trades} (${summary.wins}W / ${summary.losses}L)`],
+    ['Win rate', formatPercent(summary.winRate)],
+    ['Net', formatValue(summary.net, unit), getValueClass(summary.net)],
+    ['Profit factor', formatRatio(summary.profitFactor)],
+    ['Expectancy', `${formatValue(summary.expectancy, unit)} / trade`, getValueClass(summary.expectancy)],
+    ['Average R', summary.averageR !== null ? `${summary.averageR.toFixed(2)}R (${summary.rTrades} trades)` : '-',
+      getValueClass(summary.averageR)],
+    ['Average win / loss', `${formatValue(summary.averageWin, unit)} / ${formatValue(summary.averageLoss, unit)}`],
+    ['Max drawdown', formatValue(summary.maxDrawdown, unit), summary.maxDrawdown > 0 ? 'negative-value' : '']
+  ];
+
+  return (
+    <div className="performance-dashboard">
+      <div className="performance-stats">
+        {statCards.map(([label, value, className]) => (
+          <div key={label} className="performance-stat">
+            <div className="performance-stat-label">{label}</div>
+            <div className={`performance-stat-value ${className || ''}`}>{value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="performance-section-header">
+        <h3 className="journal-detail-title">Equity curve</h3>
+        <select className="select" value={period} onChange={(e) => setPeriod(e.target.value)}>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+        </select>
+      </div>
+      <PerformanceChart id="performance-equity-chart" {...equityChart} />
+
+      <div className="performance-section-header">
+        <h3 className="journal-detail-title">Breakdown by</h3>
+        <select className="select" value={breakdownKey} onChange={(e) => setBreakdownKey(e.target.value)}>
+          {Object.entries(BREAKDOWNS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <PerformanceChart id="performance-breakdown-chart" {...breakdownChart} />
+      <table className="positions-table">
+        <thead className="positions-header">
+          <tr>
+            <th>{BREAKDOWNS[breakdownKey]}</th>
+            <th>Trades</th>
+            <th>Win rate</th>
+            <th>Avg R</th>
+            <th>Profit factor</th>
+            <th>Expectancy</th>
+            <th>Max drawdown</th>
+            <th>Net</th>
+          </tr>
+        </thead>
+        <tbody className="positions-body">
+          {breakdownRows.map(row => (
+            <tr key={row.label}>
+              <td>{row.label}</td>
+              <td>{row.trades}</td>
+              <td>{formatPercent(row.winRate)}</td>
+              <td>{row.averageR !== null ? `${row.averageR.toFixed(2)}R` : '-'}</td>
+              <td>{formatRatio(row.profitFactor)}</td>
+              <td>{formatValue(row.expectancy, unit)}</td>
+              <td>{formatValue(row.maxDrawdown, unit)}</td>
+              <td className={getValueClass(row.net)}>{formatValue(row.net, unit)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default PerformanceDashboard;
@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+import styled from 'styled-components';
+import { getPositionStats, formatDollars } from '../utils/PositionTool';
+
+// Styled components for the overlay
+const OverlayContainer = styled.div`
+  position: fixed;
+  bottom: 40px;
+  right: 20px;
+  background-color: rgba(0, 0, 0, 0.85);
+  border: 1px solid ${props => props.side === 'long' ? '#4CAF50' : '#FF5252'};
+  border-radius: 6px;
+  padding: 8px 12px;
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  z-index: 9999;
+  box-shadow: 0 3px 10px rgba(0, 0, 0, 0.5);
+  min-width: 240px;
+  font-family: 'Arial', sans-serif;
+  color: white;
+  font-size: 12px;
+`;
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  font-size: 13px;
+`;
+
+const SideText = styled.span`
+  color: ${props => props.side === 'long' ? '#4CAF50' : '#FF5252'};
+  font-weight: bold;
+`;
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+`;
+
+const RowLabel = styled.span`
+  width: 44px;
+  color: #aaa;
+`;
+
+const StatText = styled.span`
+  color: ${props => props.color || '#aaa'};
+`;
+
+const PriceInput = styled.input`
+  width: 80px;
+  background: #222;
+  color: #fff;
+  border: 1px solid #444;
+  border-radius: 3px;
+  font-size: 12px;
+`;
+
+const Button = styled.button`
+  background-color: ${props => props.$primary ? '#2962FF' : '#444'};
+  color: white;
+  border: none;
+  padding: 4px 12px;
+  border-radius: 3px;
+  cursor: pointer;
+  font-size: 12px;
+
+  &:hover {
+    background-color: ${props => props.$primary ? '#1E53E5' : '#555'};
+  }
+
+  &:disabled {
+    background-color: #333;
+    color: #777;
+    cursor: default;
+  }
+`;
+
+const StatusText = styled.div`
+  color: ${props => props.type === 'error' ? '#FF5252' : props.type === 'success' ? '#4CAF50' : '#aaa'};
+  max-width: 260px;
+`;
+
+const formatPoints = (points, ticks) => `${points.toFixed(2)} pts (${ticks} ticks)`;
+
+/**
+ * Overlay shown while a position drawing is selected - its stats, editable entry/stop/target prices and a
+ * "Send as Bracket" action that places the position through the NinjaTrader Bridge
+ */
+function PositionOrderOverlay({ position, symbol, accountName, status, onPricesChange, onSendBracket, onClose }) {
+  const [quantity, setQuantity] = useState('1');
+  const [priceInputs, setPriceInputs] = useState({});
+
+  useEffect(() => {
+    if (!position) return;
+    setPriceInputs({
+      entryPrice: position.entryPrice.toFixed(2),
+      stopPrice: position.stopPrice.toFixed(2),
+      targetPrice: position.targetPrice.toFixed(2),
+    });
+  }, [position]);
+
+  if (!position) return null;
+
+  const stats = getPositionStats(position);
+  const qty = parseInt(quantity, 10) || 0;
+  const totalDollars = (dollars) => (dollars === null ? null : dollars * qty);
+
+  const commitPrices = () => {
+    const prices = {
+      entryPrice: parseFloat(priceInputs.entryPrice),
+      stopPrice: parseFloat(priceInputs.stopPrice),
+      targetPrice: parseFloat(priceInputs.targetPrice),
+    };
+    const isUnchanged = Object.keys(prices).every(key => prices[key] === parseFloat(position[key].toFixed(2)));
+    if (isUnchanged) return;
+    if (!Object.values(prices).every(Number.isFinite)
+        || (prices.stopPrice - prices.entryPrice) * (prices.targetPrice - prices.entryPrice) >= 0) {
+      // Not a valid position - put the drawing's prices back
+      setPriceInputs({
+        entryPrice: position.entryPrice.toFixed(2),
+        stopPrice: position.stopPrice.toFixed(2),
+        targetPrice: position.targetPrice.toFixed(2),
+      });
+      return;
+    }
+    onPricesChange(prices);
+  };
+
+  const handlePriceKeyDown = (event) => {
+    if (event.key === 'Enter') event.target.blur();
+  };
+
+  const renderPriceInput = (key) => (
+    <PriceInput
+      type="number"
+      step="0.25"
+      value={priceInputs[key] || ''}
+      onChange={(e) => setPriceInputs(prev => ({ ...prev, [key]: e.target.value }))}
+      onBlur={commitPrices}
+      onKeyDown={handlePriceKeyDown}
+    />
+  );
+
+  return (
+    <OverlayContainer side={stats.side}>
+      <Header>
+        <span>
+          <SideText side={stats.side}>{stats.side === 'long' ? 'LONG' : 'SHORT'}</SideText> {symbol}
+          {stats.rMultiple !== null && ` · ${stats.rMultiple.toFixed(2)}R`}
+        </span>
+        <Button onClick={onClose} title="Close">X</Button>
+      </Header>
+      <Row>
+        <RowLabel>Target</RowLabel>
+        {renderPriceInput('targetPrice')}
+        <StatText color="#4CAF50">{formatPoints(stats.rewardPoints, stats.rewardTicks)}</StatText>
+      </Row>
+      <Row>
+        <RowLabel>Entry</RowLabel>
+        {renderPriceInput('entryPrice')}
+      </Row>
+      <Row>
+        <RowLabel>Stop</RowLabel>
+        {renderPriceInput('stopPrice')}
+        <StatText color="#FF5252">{formatPoints(stats.riskPoints, stats.riskTicks)}</StatText>
+      </Row>
+      <Row>
+        <RowLabel>Qty</RowLabel>
+        <PriceInput
+          type="number"
+          min="1"
+          step="1"
+          value={quantity}
+          onChange={(e) => setQuantity(e.target.value)}
+          style={{ width: '50px' }}
+        />
+        <StatText>
+          Risk {formatDollars(totalDollars(stats.riskDollars))} / Reward {formatDollars(totalDollars(stats.rewardDollars))}
+        </StatText>
+      </Row>
+      <Row>
+        <Button
+          $primary
+          disabled={qty < 1}
+          onClick={() => onSendBracket(qty)}
+          title={`Entry, then stop and target once filled, on ${accountName || 'the Trade Manager account'}`}
+        >
+          Send as Bracket
+        </Button>
+        <StatText>{accountName || 'No account'}</StatText>
+      </Row>
+      {status && <StatusText type={status.type}>{status.message}</StatusText>}
+    </OverlayContainer>
+  );
+}
+
+export default PositionOrderOverlay;
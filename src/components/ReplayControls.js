@@ -1,7 +1,44 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { SPEED_PRESETS } from '../services/replay-controller';
+
+const buttonStyle = {
+  backgroundColor: '#333',
+  border: '1px solid #777',
+  color: 'white',
+  padding: '5px 10px',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontWeight: 'bold'
+};
+
+const smallButtonStyle = {
+  ...buttonStyle,
+  padding: '3px 7px',
+  fontSize: '11px'
+};
+
+const inputStyle = {
+  backgroundColor: 'transparent',
+  border: '1px solid #555',
+  color: 'white',
+  borderRadius: '3px',
+  padding: '2px 5px',
+  fontSize: '12px'
+};
+
+const rowStyle = {
+  display: 'flex',
+  width: '100%',
+  gap: '5px',
+  marginTop: '5px',
+  alignItems: 'center'
+};
 
 /**
- * ReplayControls component - displays replay control UI when in replay mode
+ * ReplayControls component - displays replay control UI when in replay mode: pause/resume, stop, the update
+ * interval and speed presets, stepping one bar (back too, for local replays), jumping to an ET time and the
+ * instrument's replay bookmarks
  */
 const ReplayControls = ({
   replayEnded,
@@ -13,8 +50,30 @@ const ReplayControls = ({
   handleIntervalSubmit,
   replayPaused,
   handleReplayPauseToggle,
-  handleReplayStop
+  handleReplayStop,
+  timeframes,
+  handleReplaySpeed,
+  handleReplayStep,
+  handleReplayStepBack,
+  handleReplayJump,
+  bookmarks,
+  handleAddBookmark,
+  handleRestartAtBookmark,
+  handleDeleteBookmark
 }) => {
+  const [stepTimeframe, setStepTimeframe] = useState(timeframes[0]);
+  const [jumpTime, setJumpTime] = useState('');
+  const [bookmarkLabel, setBookmarkLabel] = useState('');
+  const [showBookmarks, setShowBookmarks] = useState(false);
+
+  // The layout may have changed since the step timeframe was picked
+  const selectedStepTimeframe = timeframes.includes(stepTimeframe) ? stepTimeframe : timeframes[0];
+
+  const addBookmark = () => {
+    handleAddBookmark(bookmarkLabel.trim());
+    setBookmarkLabel('');
+  };
+
   return (
     <div style={{
       position: 'absolute',
@@ -42,96 +101,144 @@ const ReplayControls = ({
           marginTop: '5px',
           justifyContent: 'center'
         }}>
-          <button
-            onClick={resetQuatrain}
-            style={{
-              backgroundColor: '#333',
-              border: '1px solid #777',
-              color: 'white',
-              padding: '5px 10px',
-              borderRadius: '3px',
-              cursor: 'pointer',
-              fontSize: '12px',
-              fontWeight: 'bold'
-            }}
-          >
+          <button onClick={resetQuatrain} style={buttonStyle}>
             Reset Quatrain
           </button>
         </div>
       ) : (
         /* When replay is active or paused, show controls */
-        <div style={{
-          display: 'flex',
-          width: '100%',
-          gap: '5px',
-          marginTop: '5px',
-          alignItems: 'center'
-        }}>
-          <div style={{
-            display: 'flex',
-            flexDirection: 'column',
-            fontSize: '10px',
-            alignItems: 'center',
-            marginRight: '5px'
-          }}>
-            <label htmlFor="replayInterval" style={{ 
-              marginBottom: '2px',
-              color: 'white'
+        <>
+          <div style={rowStyle}>
+            <div style={{
+              display: 'flex',
+              flexDirection: 'column',
+              fontSize: '10px',
+              alignItems: 'center',
+              marginRight: '5px'
             }}>
-              Interval
-            </label>
+              <label htmlFor="replayInterval" style={{
+                marginBottom: '2px',
+                color: 'white'
+              }}>
+                Interval
+              </label>
+              <input
+                id="replayInterval"
+                type="text"
+                value={intervalInputValue}
+                onChange={handleIntervalChange}
+                onKeyDown={handleIntervalSubmit}
+                style={{ ...inputStyle, width: '50px', textAlign: 'center' }}
+              />
+            </div>
+            {SPEED_PRESETS.map(speed => (
+              <button
+                key={speed}
+                onClick={() => handleReplaySpeed(speed)}
+                style={smallButtonStyle}
+                title={`Play at ${speed}x real time`}
+              >
+                {speed}x
+              </button>
+            ))}
+            <button onClick={handleReplayPauseToggle} style={buttonStyle}>
+              {replayPaused ? 'Resume' : 'Pause'}
+            </button>
+            <button onClick={handleReplayStop} style={buttonStyle}>
+              Stop
+            </button>
+          </div>
+
+          <div style={rowStyle}>
+            {handleReplayStepBack && (
+              <button
+                onClick={() => handleReplayStepBack(selectedStepTimeframe)}
+                style={smallButtonStyle}
+                title="Restart the replay at the end of the previous bar, paused"
+              >
+                Back
+              </button>
+            )}
+            <button
+              onClick={() => handleReplayStep(selectedStepTimeframe)}
+              disabled={!replayPaused}
+              style={{ ...smallButtonStyle, opacity: replayPaused ? 1 : 0.5 }}
+              title="Play to the close of the next bar and pause (pause first)"
+            >
+              Step
+            </button>
+            <select
+              value={selectedStepTimeframe}
+              onChange={(e) => setStepTimeframe(e.target.value)}
+              style={{ ...inputStyle, backgroundColor: 'black' }}
+            >
+              {timeframes.map(timeframe => (
+                <option key={timeframe} value={timeframe}>{timeframe}</option>
+              ))}
+            </select>
             <input
-              id="replayInterval"
-              type="text"
-              value={intervalInputValue}
-              onChange={handleIntervalChange}
-              onKeyDown={handleIntervalSubmit}
-              style={{
-                width: '50px',
-                backgroundColor: 'transparent',
-                border: '1px solid #555',
-                color: 'white',
-                borderRadius: '3px',
-                padding: '2px 5px',
-                fontSize: '12px',
-                textAlign: 'center'
-              }}
+              type="datetime-local"
+              value={jumpTime}
+              onChange={(e) => setJumpTime(e.target.value)}
+              style={{ ...inputStyle, backgroundColor: 'black', marginLeft: '5px' }}
+              title="Time to jump to (ET)"
             />
+            <button
+              onClick={() => handleReplayJump(jumpTime)}
+              disabled={!jumpTime}
+              style={smallButtonStyle}
+              title="Play ahead to this ET time, or restart the replay there if it's behind"
+            >
+              Jump
+            </button>
+            <button
+              onClick={() => setShowBookmarks(!showBookmarks)}
+              style={{ ...smallButtonStyle, marginLeft: '5px' }}
+            >
+              Bookmarks ({bookmarks.length})
+            </button>
           </div>
-          <button
-            onClick={handleReplayPauseToggle}
-            style={{
-              backgroundColor: '#333',
-              border: '1px solid #777',
-              color: 'white',
-              padding: '5px 10px',
-              borderRadius: '3px',
-              cursor: 'pointer',
-              fontSize: '12px',
-              fontWeight: 'bold'
-            }}
-          >
-            {replayPaused ? 'Resume' : 'Pause'}
-          </button>
-          <button
-            onClick={handleReplayStop}
-            style={{
-              backgroundColor: '#333',
-              border: '1px solid #777',
-              color: 'white',
-              padding: '5px 10px',
-              borderRadius: '3px',
-              cursor: 'pointer',
-              fontSize: '12px',
-              fontWeight: 'bold'
-            }}
-          >
-            Stop
-          </button>
-        </div>
+
+          {showBookmarks && (
+            <div style={{ width: '100%', marginTop: '5px', fontSize: '11px', fontWeight: 'normal' }}>
+              <div style={{ ...rowStyle, marginTop: 0 }}>
+                <input
+                  type="text"
+                  value={bookmarkLabel}
+                  placeholder="Label (optional)"
+                  onChange={(e) => setBookmarkLabel(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter') addBookmark(); }}
+                  style={{ ...inputStyle, flex: 1 }}
+                />
+                <button onClick={addBookmark} style={smallButtonStyle} title="Bookmark the current replay time">
+                  Add
+                </button>
+              </div>
+              {bookmarks.map(bookmark => (
+                <div key={bookmark.id} style={{ ...rowStyle, justifyContent: 'space-between' }}>
+                  <span>
+                    {formatTimestamp(bookmark.time)}{bookmark.label ? ` - ${bookmark.label}` : ''}
+                  </span>
+                  <span style={{ display: 'flex', gap: '5px' }}>
+                    <button
+                      onClick={() => handleRestartAtBookmark(bookmark)}
+                      style={smallButtonStyle}
+                      title="Restart the replay at this moment"
+                    >
+                      Go
+                    </button>
+                    <button onClick={() => handleDeleteBookmark(bookmark.id)} style={smallButtonStyle}>
+                      X
+                    </button>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
       )}
     </div>
   );
 };
 
-export default ReplayControls; 
\ No newline at end of file
+export default ReplayControls;
@@ -0,0 +1,124 @@
+import React from 'react';
+import './ReplayScorecard.css';
+
+const formatDollars = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+
+const formatR = (value) => (value === null ? '-' : `${value > 0 ? '+' : ''}${value.toFixed(2)}R`);
+
+const getPnlClass = (value) => {
+  if (value > 0) return 'positive-value';
+  if (value < 0) return 'negative-value';
+  return '';
+};
+
+const END_REASONS = {
+  completed: 'Replay finished',
+  stopped: 'Replay stopped',
+  reset: 'Replay reset'
+};
+
+/**
+ * ReplayScorecard component - the trades taken against a replay in the Quatrain Simulator, their P&L and R,
+ * and the mistakes made, shown when the replay ends
+ */
+const ReplayScorecard = ({ scorecard, formatTimestamp, onClose }) => {
+  const { summary, trades, mistakes } = scorecard;
+
+  return (
+    <div className="replay-scorecard-overlay">
+      <div className="replay-scorecard-panel">
+        <div className="replay-scorecard-header">
+          <h2>Replay Scorecard - {scorecard.instrument}</h2>
+          <button className="close-button" onClick={onClose}>
+            X
+          </button>
+        </div>
+
+        <div className="replay-scorecard-content">
+          <div className="replay-scorecard-range">
+            {END_REASONS[scorecard.reason] || 'Replay ended'}: {formatTimestamp(scorecard.liveStart)} to {formatTimestamp(scorecard.endTime)}
+          </div>
+
+          <div className="replay-scorecard-stats">
+            <div className="replay-scorecard-stat">
+              <span className="stat-label">Trades</span>
+              <span className="stat-value">{summary.tradeCount}</span>
+            </div>
+            <div className="replay-scorecard-stat">
+              <span className="stat-label">Win rate</span>
+              <span className="stat-value">
+                {summary.winRate === null ? '-' : `${Math.round(summary.winRate * 100)}%`} ({summary.wins}W / {summary.losses}L)
+              </span>
+            </div>
+            <div className="replay-scorecard-stat">
+              <span className="stat-label">Net P&L</span>
+              <span className={`stat-value ${getPnlClass(summary.netPnl)}`}>{formatDollars(summary.netPnl)}</span>
+            </div>
+            <div className="replay-scorecard-stat">
+              <span className="stat-label">Total R</span>
+              <span className={`stat-value ${getPnlClass(summary.totalR)}`}>{formatR(summary.totalR)}</span>
+            </div>
+            <div className="replay-scorecard-stat">
+              <span className="stat-label">Average R</span>
+              <span className="stat-value">{formatR(summary.averageR)}</span>
+            </div>
+            <div className="replay-scorecard-stat">
+              <span className="stat-label">Mistakes</span>
+              <span className={`stat-value ${summary.mistakeCount > 0 ? 'negative-value' : ''}`}>{summary.mistakeCount}</span>
+            </div>
+          </div>
+
+          <table className="replay-scorecard-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Side</th>
+                <th>Qty</th>
+                <th>Entry</th>
+                <th>Exit</th>
+                <th>Entry Time</th>
+                <th>Exit Time</th>
+                <th>P&L</th>
+                <th>R</th>
+              </tr>
+            </thead>
+            <tbody>
+              {trades.map((trade, index) => (
+                <tr key={trade.id}>
+                  <td>{index + 1}</td>
+                  <td>{trade.side}</td>
+                  <td>{trade.quantity}</td>
+                  <td>{trade.entryPrice}</td>
+                  <td>{trade.exitPrice === null ? '-' : trade.exitPrice}</td>
+                  <td>{formatTimestamp(trade.entryTime)}</td>
+                  <td>{trade.status === 'open' ? 'Open' : formatTimestamp(trade.exitTime)}</td>
+                  <td className={getPnlClass(trade.pnlDollars)}>{formatDollars(trade.pnlDollars)}</td>
+                  <td>{formatR(trade.rMultiple)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {mistakes.length > 0 && (
+            <>
+              <h3>Mistakes</h3>
+              <ul className="replay-scorecard-mistakes">
+                {mistakes.map((mistake, index) => (
+                  <li key={`${mistake.tradeId}-${mistake.type}-${index}`}>
+                    <span className="mistake-time">{formatTimestamp(mistake.time)}</span>
+                    <span className="mistake-label">{mistake.label}</span>
+                    <span className="mistake-detail">
+                      Trade {trades.findIndex(trade => trade.id === mistake.tradeId) + 1} - {mistake.detail}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayScorecard;
@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { DateTime } from 'luxon';
+import './TradeManager.css';
+import './RiskGuardrails.css';
+
+// Number settings, in the order the form shows them
+const NUMBER_SETTINGS = [
+  ['maxContractsPerInstrument', 'Max contracts per instrument'],
+  ['maxDailyLoss', 'Max daily realized loss ($)'],
+  ['maxOpenRisk', 'Max open risk ($)'],
+  ['maxTradesPerDay', 'Max trades per day'],
+  ['maxConsecutiveLosses', 'Cooldown after consecutive losses'],
+  ['cooldownMinutes', 'Cooldown minutes']
+];
+
+const NEW_LOCKOUT = { time: '08:30', minutesBefore: 2, minutesAfter: 5, label: '', flatten: false };
+
+const DECISION_CLASSES = {
+  blocked: 'negative-value',
+  flatten: 'negative-value',
+  allowed: 'positive-value'
+};
+
+const formatDollars = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+
+const getValueClass = (value) => {
+  if (value > 0) return 'positive-value';
+  if (value < 0) return 'negative-value';
+  return '';
+};
+
+/**
+ * Risk Guardrails window - the rules checked before every order reaches the NinjaTrader Bridge, where each
+ * account stands against them, and the audit trail of every decision
+ */
+function RiskGuardrails() {
+  const [settings, setSettings] = useState(null);
+  const [savedSettings, setSavedSettings] = useState(null);
+  const [accounts, setAccounts] = useState([]);
+  const [audit, setAudit] = useState([]);
+  const [activeLockout, setActiveLockout] = useState(null);
+  const [decisionFilter, setDecisionFilter] = useState('');
+
+  const loadState = useCallback(async () => {
+    try {
+      const { ipcRenderer } = window.require('electron');
+      const state = await ipcRenderer.invoke('risk:get');
+      setSavedSettings(state.settings);
+      // Keep unsaved edits when the audit trail changes
+      setSettings(current => current || state.settings);
+      setAccounts(state.accounts);
+      setAudit(state.audit);
+      setActiveLockout(state.activeLockout);
+    } catch (error) {
+      console.error('RiskGuardrails: Error loading risk guardrails:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadState();
+    const { ipcRenderer } = window.require('electron');
+    ipcRenderer.on('risk-updated', loadState);
+    return () => {
+      ipcRenderer.removeListener('risk-updated', loadState);
+    };
+  }, [loadState]);
+
+  const handleSettingChange = (key, value) => {
+    setSettings(current => ({ ...current, [key]: value }));
+  };
+
+  const handleLockoutChange = (index, key, value) => {
+    setSettings(current => ({
+      ...current,
+      lockouts: current.lockouts.map((lockout, i) => (i === index ? { ...lockout, [key]: value } : lockout))
+    }));
+  };
+
+  const handleAddLockout = () => {
+    setSettings(current => ({ ...current, lockouts: [...current.lockouts, { ...NEW_LOCKOUT }] }));
+  };
+
+  const handleRemoveLockout = (index) => {
+    setSettings(current => ({ ...current, lockouts: current.lockouts.filter((lockout, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    const { ipcRenderer } = window.require('electron');
+    const cleaned = {
+      ...settings,
+      ...Object.fromEntries(NUMBER_SETTINGS.map(([key]) => [key, Math.max(0, Number(settings[key]) || 0)])),
+      lockouts: settings.lockouts
+        .filter(lockout => /^\d{1,2}:\d{2}$/.test(lockout.time))
+        .map(lockout => ({
+          ...lockout,
+          minutesBefore: Math.max(0, Number(lockout.minutesBefore) || 0),
+          minutesAfter: Math.max(0, Number(lockout.minutesAfter) || 0)
+        }))
+    };
+    const saved = await ipcRenderer.invoke('risk:update-settings', cleaned);
+    setSettings(saved);
+    setSavedSettings(saved);
+  };
+
+  if (!settings) {
+    return <div className="trade-manager-container"><div className="message">Loading...</div></div>;
+  }
+
+  const isDirty = JSON.stringify(settings) !== JSON.stringify(savedSettings);
+  const filteredAudit = decisionFilter ? audit.filter(entry => entry.decision === decisionFilter) : audit;
+
+  return (
+    <div className="trade-manager-container">
+      <div className="header">
+        <h1 className="header-title">Risk Guardrails</h1>
+        <div className="risk-header-status">
+          {activeLockout && (
+            <span className="negative-value">
+              Lockout{activeLockout.label ? ` (${activeLockout.label})` : ''} until {DateTime.fromMillis(activeLockout.end).setZone('America/New_York').toFormat('HH:mm')} ET
+            </span>
+          )}
+          <span className={savedSettings.enabled ? 'positive-value' : 'negative-value'}>
+            {savedSettings.enabled ? 'Enforcing' : 'Disabled - orders are audited only'}
+          </span>
+        </div>
+      </div>
+
+      <div className="main-content">
+        <div className="sidebar risk-sidebar">
+          <h2 className="sidebar-title">Rules</h2>
+          <label className="risk-checkbox">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => handleSettingChange('enabled', e.target.checked)}
+            />
+            Enforce guardrails
+          </label>
+          <div className="risk-hint">A limit of 0 turns the rule off. Orders that reduce a position are never blocked.</div>
+
+          {NUMBER_SETTINGS.map(([key, label]) => (
+            <div key={key} className="form-group">
+              <label className="label">{label}</label>
+              <input
+                type="number"
+                min="0"
+                className="input"
+                value={settings[key]}
+                onChange={(e) => handleSettingChange(key, e.target.value)}
+              />
+            </div>
+          ))}
+
+          <label className="risk-checkbox">
+            <input
+              type="checkbox"
+              checked={settings.requireStop}
+              onChange={(e) => handleSettingChange('requireStop', e.target.checked)}
+            />
+            Block entries without a stop when open risk is limited
+          </label>
+          <label className="risk-checkbox">
+            <input
+              type="checkbox"
+              checked={settings.flattenOnDailyLoss}
+              onChange={(e) => handleSettingChange('flattenOnDailyLoss', e.target.checked)}
+            />
+            Flatten when the daily loss limit is reached
+          </label>
+
+          <h2 className="sidebar-title risk-lockouts-title">Lockouts (ET)</h2>
+          {settings.lockouts.length === 0 && (
+            <div className="risk-hint">No lockouts - add one around news releases or the open</div>
+          )}
+          {settings.lockouts.map((lockout, index) => (
+            <div key={index} className="risk-lockout">
+              <div className="risk-lockout-row">
+                <input
+                  type="time"
+                  className="input"
+                  value={lockout.time}
+                  onChange={(e) => handleLockoutChange(index, 'time', e.target.value)}
+                />
+                <input
+                  type="text"
+                  className="input"
+                  placeholder="Label"
+                  value={lockout.label}
+                  onChange={(e) => handleLockoutChange(index, 'label', e.target.value)}
+                />
+              </div>
+              <div className="risk-lockout-row">
+                <label className="label">
+                  Before (min)
+                  <input
+                    type="number"
+                    min="0"
+                    className="input"
+                    value={lockout.minutesBefore}
+                    onChange={(e) => handleLockoutChange(index, 'minutesBefore', e.target.value)}
+                  />
+                </label>
+                <label className="label">
+                  After (min)
+                  <input
+                    type="number"
+                    min="0"
+                    className="input"
+                    value={lockout.minutesAfter}
+                    onChange={(e) => handleLockoutChange(index, 'minutesAfter', e.target.value)}
+                  />
+                </label>
+              </div>
+              <div className="risk-lockout-row">
+                <label className="risk-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={lockout.flatten}
+                    onChange={(e) => handleLockoutChange(index, 'flatten', e.target.checked)}
+                  />
+                  Flatten at start
+                </label>
+                <button className="button danger" onClick={() => handleRemoveLockout(index)}>Remove</button>
+              </div>
+            </div>
+          ))}
+          <button className="button" onClick={handleAddLockout}>Add lockout</button>
+
+          <div className="button-group risk-save">
+            <button className="button primary" onClick={handleSave} disabled={!isDirty}>Save</button>
+            <button className="button" onClick={() => setSettings(savedSettings)} disabled={!isDirty}>Revert</button>
+          </div>
+        </div>
+
+        <div className="content-area">
+          <h3 className="risk-section-title">Today</h3>
+          {accounts.length === 0 ? (
+            <div className="message">No account data yet - connect the Trade Manager to NinjaTrader</div>
+          ) : (
+            <table className="positions-table">
+              <thead className="positions-header">
+                <tr>
+                  <th>Account</th>
+                  <th>Realized P&L</th>
+                  <th>Open risk</th>
+                  <th>Trades</th>
+                  <th>Loss streak</th>
+                  <th>Positions</th>
+                </tr>
+              </thead>
+              <tbody className="positions-body">
+                {accounts.map(account => (
+                  <tr key={account.accountId}>
+                    <td>{account.accountId}</td>
+                    <td className={getValueClass(account.realizedPnl)}>{formatDollars(account.realizedPnl)}</td>
+                    <td>
+                      {formatDollars(account.openRisk)}
+                      {account.unprotected.length > 0 && (
+                        <span className="negative-value"> (no stop: {account.unprotected.join(', ')})</span>
+                      )}
+                    </td>
+                    <td>{account.tradesToday}</td>
+                    <td>{account.lossStreak}</td>
+                    <td>
+                      {Object.entries(account.positions)
+                        .map(([instrument, position]) => `${position.quantity > 0 ? '+' : ''}${position.quantity} ${instrument}`)
+                        .join(', ') || 'Flat'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="risk-section-header">
+            <h3 className="risk-section-title">Audit trail</h3>
+            <select className="select" value={decisionFilter} onChange={(e) => setDecisionFilter(e.target.value)}>
+              <option value="">All decisions</option>
+              <option value="blocked">Blocked</option>
+              <option value="allowed">Allowed</option>
+              <option value="exit">Exits</option>
+              <option value="flatten">Flattens</option>
+              <option value="settings">Settings changes</option>
+            </select>
+          </div>
+          <div className="scrollable-table-container">
+            <table className="positions-table">
+              <thead className="positions-header">
+                <tr>
+                  <th>Time</th>
+                  <th>Decision</th>
+                  <th>Rule</th>
+                  <th>Account</th>
+                  <th>Order</th>
+                  <th>Source</th>
+                  <th>Reason</th>
+                </tr>
+              </thead>
+              <tbody className="positions-body">
+                {filteredAudit.map(entry => (
+                  <tr key={entry.id}>
+                    <td>{new Date(entry.time).toLocaleString()}</td>
+                    <td className={DECISION_CLASSES[entry.decision] || ''}>{entry.decision}</td>
+                    <td>{entry.rule || ''}</td>
+                    <td>{entry.accountId || ''}</td>
+                    <td>
+                      {entry.action ? `${entry.action} ${entry.quantity} ${entry.instrument} ${entry.orderType}` : (entry.instrument || '')}
+                    </td>
+                    <td>{entry.source || ''}</td>
+                    <td>{entry.reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RiskGuardrails;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+
+const inputStyle = { background: 'black', color: 'white', border: '1px solid #555', padding: '2px 4px', boxSizing: 'border-box' };
+const buttonStyle = {
+  background: 'rgba(0, 0, 0, 0.7)',
+  color: 'white',
+  padding: '4px 10px',
+  border: '1px solid #888',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+// What's wrong with a profile, or null
+const getProfileError = (profile) => {
+  if (!profile.host.trim()) return `${profile.name || 'A server'} needs a host`;
+  const port = Number(profile.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) return `${profile.name || 'A server'} needs a port from 1 to 65535`;
+  return null;
+};
+
+/**
+ * ServerProfiles component - edits the named Chronicle servers offered on the connection screen: host, port, TLS
+ * and auth token of each, and how long a connection may go without a ctrl heartbeat before failing over
+ */
+const ServerProfiles = ({ serverProfiles, onSave, onClose }) => {
+  const [profiles, setProfiles] = useState(serverProfiles.profiles.map(profile => ({ ...profile })));
+  const [heartbeatTimeoutSec, setHeartbeatTimeoutSec] = useState(serverProfiles.heartbeatTimeoutSec);
+
+  const updateProfile = (id, changes) => {
+    setProfiles(prev => prev.map(profile => (profile.id === id ? { ...profile, ...changes } : profile)));
+  };
+
+  const addProfile = () => {
+    setProfiles(prev => [...prev, {
+      id: `server-${Date.now()}`,
+      name: `Server ${prev.length + 1}`,
+      host: 'localhost',
+      port: 8080,
+      tls: false,
+      authToken: ''
+    }]);
+  };
+
+  const removeProfile = (id) => {
+    setProfiles(prev => prev.filter(profile => profile.id !== id));
+  };
+
+  const error = profiles.map(getProfileError).find(Boolean) || null;
+
+  const save = async () => {
+    await onSave({ ...serverProfiles, profiles, heartbeatTimeoutSec });
+    onClose();
+  };
+
+  return (
+    <div style={{ marginTop: '12px', padding: '10px', border: '1px solid #555', borderRadius: '6px', textAlign: 'left', fontSize: '13px' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1.3fr 58px 32px 1fr 20px', gap: '4px', alignItems: 'center' }}>
+        <span>Name</span>
+        <span>Host</span>
+        <span>Port</span>
+        <span title="Connect with wss://">TLS</span>
+        <span title="Sent to Chronicle as the token query parameter">Auth Token</span>
+        <span />
+        {profiles.map(profile => (
+          <React.Fragment key={profile.id}>
+            <input
+              value={profile.name}
+              onChange={(e) => updateProfile(profile.id, { name: e.target.value })}
+              style={{ ...inputStyle, width: '100%' }}
+            />
+            <input
+              value={profile.host}
+              onChange={(e) => updateProfile(profile.id, { host: e.target.value })}
+              style={{ ...inputStyle, width: '100%' }}
+            />
+            <input
+              type="number"
+              value={profile.port}
+              onChange={(e) => updateProfile(profile.id, { port: e.target.value })}
+              style={{ ...inputStyle, width: '100%' }}
+            />
+            <input
+              type="checkbox"
+              checked={profile.tls}
+              onChange={(e) => updateProfile(profile.id, { tls: e.target.checked })}
+            />
+            <input
+              type="password"
+              value={profile.authToken}
+              onChange={(e) => updateProfile(profile.id, { authToken: e.target.value })}
+              placeholder="None"
+              style={{ ...inputStyle, width: '100%' }}
+            />
+            <span
+              onClick={() => profiles.length > 1 && removeProfile(profile.id)}
+              title={profiles.length > 1 ? 'Remove this server' : 'There has to be at least one server'}
+              style={{ cursor: profiles.length > 1 ? 'pointer' : 'default', color: profiles.length > 1 ? '#f66' : '#555', textAlign: 'center' }}
+            >
+              ✕
+            </span>
+          </React.Fragment>
+        ))}
+      </div>
+      <button onClick={addProfile} style={{ ...buttonStyle, marginTop: '8px' }}>Add Server</button>
+      <div style={{ marginTop: '10px' }}>
+        <label title="With a backup server, a connection that gets no ctrl heartbeat for this long fails over to it">
+          Heartbeat timeout (s):
+          <input
+            type="number"
+            min="5"
+            value={heartbeatTimeoutSec}
+            onChange={(e) => setHeartbeatTimeoutSec(e.target.value)}
+            style={{ ...inputStyle, marginLeft: '8px', width: '60px' }}
+          />
+        </label>
+      </div>
+      {error && <div style={{ marginTop: '8px', color: '#f66' }}>{error}</div>}
+      <div style={{ marginTop: '10px', display: 'flex', justifyContent: 'flex-end', gap: '8px' }}>
+        <button onClick={onClose} style={buttonStyle}>Cancel</button>
+        <button onClick={save} disabled={!!error} style={{ ...buttonStyle, opacity: error ? 0.5 : 1 }}>Save</button>
+      </div>
+    </div>
+  );
+};
+
+export default ServerProfiles;
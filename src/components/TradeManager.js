@@ -10,10 +10,12 @@ import {
   sendToNTBridge, 
   registerConnectionStateCallback, 
   registerMessageHandler, 
-  getNTBridgeConnectionStatus 
+  getNTBridgeConnectionStatus,
+  NT_BRIDGE_URL
 } from '../services/nt-bridge-service';
-import { PositionsTable, OrdersTable } from './OrderPositionTables';
-import { PlatformSelection, AccountList, AccountOverview } from './trading/TradeManagerComponents';
+import { PositionsTable, OrdersTable, BracketsTable } from './OrderPositionTables';
+import { groupBracketOrders, isBracketOrder } from './trading/BracketOrderGroups';
+import { PlatformSelection, SimulatorSettings, AccountList, AccountOverview } from './trading/TradeManagerComponents';
 
 function TradeManager() {
   // State for platform selection
@@ -29,6 +31,7 @@ function TradeManager() {
   const [accountDetails, setAccountDetails] = useState(null);
   const [activeListTab, setActiveListTab] = useState('positions'); // New state for Positions/Orders tab
   const [orders, setOrders] = useState({}); // Store orders keyed by orderId
+  const [bracketPlans, setBracketPlans] = useState({}); // bracketSubmitted messages keyed by bracketId
   
   // State for chart modification mode
   const [isChartModificationModeActive, setIsChartModificationModeActive] = useState(false);
@@ -47,6 +50,8 @@ function TradeManager() {
   const accountDetailsRef = useRef(null);
   const ordersRef = useRef({});
   const isConnectedRef = useRef(false);
+  // Last state seen per order ID, to tell a new fill from a filled order resent by getOrders
+  const lastOrderStatesRef = useRef({});
   
   // Create DataClient instance
   const dataClientRef = useRef(null);
@@ -558,7 +563,7 @@ function TradeManager() {
       // Connect directly to the NinjaTrader Bridge
       try {
         console.log("Starting NT Bridge connection process");
-        connectToNTBridge();
+        connectToNTBridge(NT_BRIDGE_URL);
       } catch (error) {
         console.error('Error connecting to NinjaTrader Bridge:', error);
         setIsConnecting(false);
@@ -568,18 +573,21 @@ function TradeManager() {
           message: 'Failed to connect to NinjaTrader Bridge. Please make sure the bridge is running.'
         });
       }
-    } else if (selectedPlatform === 'demo') {
-      // Handle demo account connection
-      setIsConnected(true);
-      
-      // Create demo account
-      const demoAccount = {
-        id: 'demo-1',
-        name: 'Quatrain Demo Account',
-        accountType: 'Simulation'
-      };
-      
-      setNtAccounts([demoAccount]);
+    } else if (selectedPlatform === 'simulator') {
+      // The simulator speaks the NinjaTrader Bridge protocol - start its server, then connect as usual
+      setIsConnecting(true);
+      const { ipcRenderer } = window.require('electron');
+      ipcRenderer.invoke('sim-broker:start')
+        .then(({ url }) => connectToNTBridge(url))
+        .catch(error => {
+          console.error('Error starting the Quatrain Simulator:', error);
+          setIsConnecting(false);
+          setShowPopup(true);
+          setPopupContent({
+            title: 'Connection Error',
+            message: `Failed to start the Quatrain Simulator: ${error.message}`
+          });
+        });
     }
   };
   
@@ -792,6 +800,13 @@ function TradeManager() {
         }
         break;
         
+      case 'bracketSubmitted':
+        // Keep the bracket's plan - its stop and targets aren't orders until the entry fills
+        if (message.bracketId) {
+          setBracketPlans(prevPlans => ({ ...prevPlans, [message.bracketId]: message }));
+        }
+        break;
+        
       case 'orderUpdate':
         if (message.order && message.order.orderId) {
           const updatedOrder = message.order;
@@ -805,6 +820,21 @@ function TradeManager() {
             [updatedOrder.orderId]: updatedOrder 
           }));
           
+          // Capture the charts at every entry and exit fill for the trade journal
+          const previousState = lastOrderStatesRef.current[updatedOrder.orderId];
+          lastOrderStatesRef.current[updatedOrder.orderId] = updatedOrder.state;
+          if (updatedOrder.state === 'Filled' && previousState && previousState !== 'Filled') {
+            try {
+              const { ipcRenderer } = window.require('electron');
+              ipcRenderer.send('request-chart-snapshot', {
+                reason: 'fill',
+                label: `Fill: ${updatedOrder.action} ${updatedOrder.quantity} ${updatedOrder.instrument} @ ${updatedOrder.averageFillPrice}`
+              });
+            } catch (error) {
+              console.error('TradeManager: Error requesting fill snapshot:', error);
+            }
+          }
+          
           // Check for stop order quantity adjustments after order updates
           if (smartStopSettings.stopQtyFollowsPosition) {
             setTimeout(() => {
@@ -849,47 +879,31 @@ function TradeManager() {
     // Log the state immediately after setting it
     console.log("State selectedAccount should now be:", account);
     
-    if (selectedPlatform === 'ninjatrader') {
-      // Find the account in the current accounts list to display immediately
-      // This uses the data we already have from the accountsUpdate messages
-      const currentAccounts = ntAccounts.filter(a => a.accountId === idToRequest || a.id === idToRequest);
-      if (currentAccounts.length > 0) {
-        // If we already have details for this account from an accountsUpdate message, use it immediately
-        const foundAccount = currentAccounts[0];
-        console.log("Using cached account details:", foundAccount);
-        
-        // Check if we have the detailed account info with accountId property
-        if (foundAccount.accountId) {
-          setAccountDetails(foundAccount);
-        }
-      }
+    // Find the account in the current accounts list to display immediately
+    // This uses the data we already have from the accountsUpdate messages
+    const currentAccounts = ntAccounts.filter(a => a.accountId === idToRequest || a.id === idToRequest);
+    if (currentAccounts.length > 0) {
+      // If we already have details for this account from an accountsUpdate message, use it immediately
+      const foundAccount = currentAccounts[0];
+      console.log("Using cached account details:", foundAccount);
       
-      // Always send a request for the latest details using the correct ID
-      sendToNTBridge({ 
-        type: 'getAccountDetails',
-        accountId: idToRequest
-      });
-
-      // Request existing orders for the selected account
-      sendToNTBridge({ 
-        type: 'getOrders',
-        accountId: idToRequest 
-      });
-    } else if (selectedPlatform === 'demo') {
-      // Generate demo account details
-      setAccountDetails({
-        accountId: idToRequest,
-        name: account.name,
-        connectionName: 'Demo',
-        accountType: 'Simulation',
-        cashValue: 100000,
-        buyingPower: 100000,
-        realizedProfitLoss: 0,
-        unrealizedProfitLoss: 0,
-        netLiquidationValue: 100000,
-        positions: []
-      });
+      // Check if we have the detailed account info with accountId property
+      if (foundAccount.accountId) {
+        setAccountDetails(foundAccount);
+      }
     }
+    
+    // Always send a request for the latest details using the correct ID
+    sendToNTBridge({ 
+      type: 'getAccountDetails',
+      accountId: idToRequest
+    });
+
+    // Request existing orders for the selected account
+    sendToNTBridge({ 
+      type: 'getOrders',
+      accountId: idToRequest 
+    });
   };
   
   // Close popup
@@ -1029,6 +1043,15 @@ function TradeManager() {
         workingOrderStates.includes(order.state)
     ).length;
 
+    // Bracket orders grouped into their brackets, counting the ones still working
+    const accountBrackets = groupBracketOrders(
+      Object.values(ordersRef.current).filter(
+        order => order.accountId === selectedAccount?.id || order.accountId === selectedAccount?.accountId
+      ),
+      bracketPlans
+    );
+    const openBracketCount = accountBrackets.filter(bracket => !['Closed', 'Cancelled', 'Rejected'].includes(bracket.status)).length;
+
     // Convert CME symbol to NinjaTrader format
     const currentNtSymbol = symbol ? convertCmeToNinjaTrader(symbol) : 'n/a';
 
@@ -1120,6 +1143,12 @@ function TradeManager() {
                 <span className="working-order-count">({workingOrderCount})</span>
               )}
             </div>
+            <div 
+              className={`list-tab ${activeListTab === 'brackets' ? 'active' : ''}`} 
+              onClick={() => setActiveListTab('brackets')}
+            >
+              Brackets <span className={`tab-count ${activeListTab === 'brackets' ? 'active' : ''}`}>{openBracketCount}</span>
+            </div>
           </div>
 
           <div className="list-tab-content">
@@ -1145,6 +1174,15 @@ function TradeManager() {
                 handleModifyOrderClick={handleModifyOrderClick}
               />
             }
+            {activeListTab === 'brackets' && 
+              <BracketsTable
+                selectedAccount={selectedAccount}
+                isConnected={isConnected}
+                brackets={accountBrackets}
+                setPopupContent={setPopupContent}
+                setShowPopup={setShowPopup}
+              />
+            }
           </div>
 
         </div>
@@ -1595,6 +1633,9 @@ function TradeManager() {
       
       // Find all stop orders for this symbol and account that need quantity adjustment
       Object.values(currentOrders).forEach(order => {
+        // Bracket stops are sized to their targets, and their OCO groups resize them as targets fill
+        if (isBracketOrder(order)) return;
+
         // Only process stop orders for this symbol and account
         const isStopOrder = order.type && (order.type.toUpperCase().includes('STOP'));
         const matchesSymbol = order.instrument === ninjaTraderSymbol;
@@ -2312,6 +2353,13 @@ function TradeManager() {
             handleConnect={handleConnect}
             handleDisconnect={handleDisconnect}
           />
+
+          {selectedPlatform === 'simulator' && (
+            <>
+              <h2 className="sidebar-title">Simulator</h2>
+              <SimulatorSettings />
+            </>
+          )}
           
           <h2 className="sidebar-title">Accounts</h2>
           <AccountList 
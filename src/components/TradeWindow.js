@@ -4,6 +4,7 @@ import tradeTheChartIcon from '../images/trade-the-chart-icon.png';
 import smartstopIcon from '../images/smartstop-icon.png';
 import TradeBossPanel from './trading/TradeBossPanel';
 import { useTradeBoss } from './trading/useTradeBoss';
+import { useHotkeys } from './useHotkeys';
 import {
   TradeWindowContainer,
   MainContent,
@@ -15,6 +16,7 @@ import {
   Header,
   HeaderLeft,
   HeaderTitle,
+  HotkeyArmToggle,
   HeaderCenter,
   HeaderSymbol,
   SymbolText,
@@ -100,6 +102,10 @@ function TradeWindow() {
   
   // Trade Boss functionality
   const tradeBoss = useTradeBoss(isNTBridgeConnected, accountName, symbol, setStatus);
+
+  // Hotkeys - the Trade Window only runs the trading actions, which the hook provides
+  const hotkeyHandlersRef = useRef({});
+  const { hotkeys, setArmed: setHotkeysArmed } = useHotkeys('trade', hotkeyHandlersRef, setStatus);
   
   // Refs
   const dataClientRef = useRef(null);
@@ -262,11 +268,13 @@ function TradeWindow() {
       ipcRenderer.on('nt-bridge-send-response', (event, response) => {
         console.log('TradeWindow: Received nt-bridge-send-response:', response);
         
-        // Only handle place_order type responses
-        if (response.originalMessage && response.originalMessage.type === 'place_order') {
+        // Only handle place_order and place_bracket type responses
+        if (response.originalMessage && ['place_order', 'place_bracket'].includes(response.originalMessage.type)) {
           if (!response.success) {
             // Show an error message for failed order submissions
-            const orderType = response.originalMessage.orderType || 'Unknown';
+            const orderType = response.originalMessage.type === 'place_bracket'
+              ? `${response.originalMessage.entryOrderType} bracket`
+              : response.originalMessage.orderType || 'Unknown';
             const symbol = response.originalMessage.symbol || 'Unknown';
             const action = response.originalMessage.action || 'Unknown';
             
@@ -1390,6 +1398,15 @@ function TradeWindow() {
           <Header>
             <HeaderLeft>
               <HeaderTitle>Trade</HeaderTitle>
+              {hotkeys && (
+                <HotkeyArmToggle
+                  armed={hotkeys.armed}
+                  onClick={() => setHotkeysArmed(!hotkeys.armed)}
+                  title="Trading hotkeys send orders only while armed - set the keys in Charts > Hotkeys"
+                >
+                  {hotkeys.armed ? 'Hotkeys ARMED' : 'Hotkeys off'}
+                </HotkeyArmToggle>
+              )}
             </HeaderLeft>
             <HeaderCenter>
               <SymbolText>{symbol || '---'}</SymbolText>
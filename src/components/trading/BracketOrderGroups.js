@@ -0,0 +1,159 @@
+/**
+ * Bracket Order Groups Module
+ *
+ * Helpers for the NinjaTrader Bridge place_bracket command. The add-on submits a bracket's entry and, as it
+ * fills, one stop per target with each stop/target pair in its own OCO group - NinjaTrader then resizes the
+ * stop when a target fills and cancels the targets when the stop fills, even while Quatrain is closed.
+ *
+ * Bracket orders are named QB_<bracketId>_E (entry), QB_<bracketId>_S<n> (stops) and QB_<bracketId>_T<n>
+ * (targets), which is how their order updates are grouped back into one bracket here.
+ */
+
+const BRACKET_ORDER_NAME_PATTERN = /^QB_([A-Za-z0-9]+)_([EST])(\d*)$/;
+const BRACKET_ROLES = { E: 'entry', S: 'stop', T: 'target' };
+
+export const WORKING_ORDER_STATES = ['Working', 'Accepted', 'PendingSubmit', 'Submitted', 'ChangePending', 'ChangeSubmitted'];
+
+export const isWorkingOrder = (order) => WORKING_ORDER_STATES.includes(order.state);
+
+// Generate a bracket ID - the add-on puts it in order names, so it has no underscores
+export const generateBracketId = () => {
+  return `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`;
+};
+
+/**
+ * Parse the name of a bracket order
+ * @param {string} name - Order name from an orderUpdate
+ * @returns {Object|null} { bracketId, role: 'entry'|'stop'|'target', leg } or null if it isn't a bracket order
+ */
+export const parseBracketOrderName = (name) => {
+  const match = BRACKET_ORDER_NAME_PATTERN.exec(name || '');
+  if (!match) return null;
+  return {
+    bracketId: match[1],
+    role: BRACKET_ROLES[match[2]],
+    leg: match[3] ? parseInt(match[3], 10) : null
+  };
+};
+
+export const isBracketOrder = (order) => parseBracketOrderName(order && order.name) !== null;
+
+/**
+ * Create a place_bracket request
+ * @param {Object} bracket
+ * @param {string} bracket.bracketId - From generateBracketId
+ * @param {string} bracket.action - BUY or SELL
+ * @param {string} bracket.entryOrderType - MARKET, LIMIT or MARKETSTOP
+ * @param {number} [bracket.entryPrice] - Limit or stop price of the entry
+ * @param {number} [bracket.stopPrice] - Absolute stop price...
+ * @param {number} [bracket.stopPoints] - ...or the stop's distance in points from the entry fill
+ * @param {string} [bracket.stopOrderType] - MARKETSTOP (default) or LIMITSTOP
+ * @param {Array<Object>} bracket.targets - [{ quantity, price }] or [{ quantity, points }] from the entry fill
+ * @returns {Object} The request for the NinjaTrader Bridge
+ */
+export const createPlaceBracketRequest = ({ bracketId, action, entryOrderType, entryPrice, accountName, symbol, quantity,
+  stopPrice, stopPoints, stopOrderType = 'MARKETSTOP', targets, riskStopPoints }) => {
+  const request = {
+    type: 'place_bracket',
+    bracketId: bracketId,
+    action: action,
+    entryOrderType: entryOrderType,
+    accountId: accountName,
+    symbol: symbol,
+    quantity: quantity,
+    stopOrderType: stopOrderType,
+    targets: targets,
+    // Lets the risk guardrails count the risk of the entry
+    riskStopPoints: riskStopPoints,
+    timestamp: Date.now()
+  };
+
+  if (entryOrderType !== 'MARKET') request.entryPrice = entryPrice;
+  if (stopPrice !== undefined) {
+    request.stopPrice = stopPrice;
+  } else {
+    request.stopPoints = stopPoints;
+  }
+
+  return request;
+};
+
+// Sum of a list of orders' remaining (unfilled) quantity
+const getRemainingQuantity = (orders) => orders.reduce(
+  (sum, order) => sum + Math.max(0, (order.quantity || 0) - (order.filledQuantity || 0)), 0
+);
+
+/**
+ * Group bracket orders into brackets
+ * @param {Array<Object>} orders - Orders from orderUpdate messages
+ * @param {Object} [plans] - bracketSubmitted messages keyed by bracket ID, for brackets whose exits aren't placed yet
+ * @returns {Array<Object>} Brackets, newest first: { bracketId, accountId, instrument, action, status, entry,
+ *   stops, targets: [{ leg, price, quantity, filledQuantity, working }], workingStopQuantity, stopPrice, plan }
+ */
+export const groupBracketOrders = (orders, plans = {}) => {
+  const groups = new Map();
+
+  orders.forEach(order => {
+    const parsed = parseBracketOrderName(order.name);
+    if (!parsed) return;
+    if (!groups.has(parsed.bracketId)) {
+      groups.set(parsed.bracketId, { bracketId: parsed.bracketId, entry: null, stops: [], targetOrders: [] });
+    }
+    const group = groups.get(parsed.bracketId);
+    if (parsed.role === 'entry') {
+      group.entry = order;
+    } else if (parsed.role === 'stop') {
+      group.stops.push(order);
+    } else {
+      group.targetOrders.push({ ...order, leg: parsed.leg });
+    }
+  });
+
+  return Array.from(groups.values()).map(group => {
+    const { entry, stops, targetOrders } = group;
+    const anyOrder = entry || stops[0] || targetOrders[0];
+    const plan = plans[group.bracketId] || null;
+
+    // A target filled on several partial entry fills has an order per fill - show them as one leg
+    const legs = new Map();
+    targetOrders.forEach(order => {
+      const leg = legs.get(order.leg) || { leg: order.leg, price: order.limitPrice, quantity: 0, filledQuantity: 0, working: false };
+      leg.quantity += order.quantity || 0;
+      leg.filledQuantity += order.filledQuantity || 0;
+      leg.working = leg.working || isWorkingOrder(order);
+      legs.set(order.leg, leg);
+    });
+
+    const workingStops = stops.filter(isWorkingOrder);
+    const hasWorkingExits = workingStops.length > 0 || targetOrders.some(isWorkingOrder);
+    let status;
+    if (entry && isWorkingOrder(entry)) {
+      status = entry.filledQuantity > 0 ? 'Partially filled' : 'Awaiting entry';
+    } else if (hasWorkingExits) {
+      status = 'Active';
+    } else if (entry && !entry.filledQuantity && ['Cancelled', 'Rejected'].includes(entry.state)) {
+      status = entry.state;
+    } else {
+      status = 'Closed';
+    }
+
+    const newestTime = Math.max(...[entry, ...stops, ...targetOrders]
+      .filter(Boolean)
+      .map(order => new Date(order.submissionTime).getTime() || 0));
+
+    return {
+      bracketId: group.bracketId,
+      accountId: anyOrder.accountId,
+      instrument: anyOrder.instrument,
+      action: entry ? entry.action : (plan ? plan.action : ''),
+      status,
+      entry,
+      stops,
+      targets: Array.from(legs.values()).sort((a, b) => a.leg - b.leg),
+      workingStopQuantity: getRemainingQuantity(workingStops),
+      stopPrice: (workingStops[0] || stops[0] || {}).stopPrice || (plan ? plan.stopPrice : null),
+      plan,
+      time: newestTime
+    };
+  }).sort((a, b) => b.time - a.time);
+};
@@ -0,0 +1,196 @@
+import { useRef, useEffect, useCallback } from 'react';
+import { roundToTick } from '../../utils/PositionTool';
+import { generateBracketId, parseBracketOrderName, createPlaceBracketRequest } from './BracketOrderGroups';
+
+/**
+ * Position Bracket Logic Module
+ *
+ * Sends a position drawn on the chart as a native bracket order through the NinjaTrader Bridge place_bracket
+ * command: the entry, and a stop and a target linked as an OCO group that NinjaTrader places once the entry
+ * fills. The tracked brackets only report their progress in the status bar.
+ */
+
+// Validate position bracket parameters
+export const validatePositionBracket = (accountName, symbol, quantity, entryPrice, stopPrice, targetPrice) => {
+  // Check for valid account
+  if (!accountName) {
+    return {
+      isValid: false,
+      error: 'Cannot send bracket: No account selected in the Trade Manager'
+    };
+  }
+
+  // Check for valid symbol
+  if (!symbol) {
+    return {
+      isValid: false,
+      error: 'Cannot send bracket: No instrument selected'
+    };
+  }
+
+  // Validate quantity
+  const qty = parseInt(quantity, 10);
+  if (isNaN(qty) || qty < 1) {
+    return {
+      isValid: false,
+      error: 'Please enter a valid quantity'
+    };
+  }
+
+  // The stop and the target must be on opposite sides of the entry
+  if (![entryPrice, stopPrice, targetPrice].every(Number.isFinite)
+      || (stopPrice - entryPrice) * (targetPrice - entryPrice) >= 0) {
+    return {
+      isValid: false,
+      error: 'The stop and target must be on opposite sides of the entry'
+    };
+  }
+
+  return { isValid: true };
+};
+
+// Entry order type: a limit order when the entry is at or better than the market,
+// a stop order when the market has to trade through the entry first
+export const getEntryOrderType = (action, entryPrice, latestPrice) => {
+  if (!latestPrice) return 'LIMIT';
+  const isAtOrBetterThanMarket = action === 'BUY' ? entryPrice <= latestPrice : entryPrice >= latestPrice;
+  return isAtOrBetterThanMarket ? 'LIMIT' : 'MARKETSTOP';
+};
+
+// Create the place_bracket request for a bracket
+export const createBracketOrder = (bracket, latestPrice) => {
+  const entryOrderType = getEntryOrderType(bracket.action, bracket.entryPrice, latestPrice);
+  return createPlaceBracketRequest({
+    bracketId: bracket.bracketId,
+    action: bracket.action,
+    entryOrderType: entryOrderType,
+    entryPrice: bracket.entryPrice,
+    accountName: bracket.accountName,
+    symbol: bracket.symbol,
+    quantity: bracket.quantity,
+    stopPrice: bracket.stopPrice,
+    targets: [{ quantity: bracket.quantity, price: bracket.targetPrice }],
+    riskStopPoints: Math.abs(bracket.entryPrice - bracket.stopPrice)
+  });
+};
+
+// Report the progress of a tracked bracket from an orderUpdate of one of its orders
+export const checkBracketOrderUpdate = (order, activeBracketsRef, setStatus) => {
+  try {
+    const bracketOrder = parseBracketOrderName(order.name);
+    if (!bracketOrder || !activeBracketsRef.current.has(bracketOrder.bracketId)) return false;
+
+    const { bracketId, role } = bracketOrder;
+    const bracket = activeBracketsRef.current.get(bracketId);
+    const state = (order.state || '').toLowerCase();
+
+    if (role === 'entry') {
+      if (state === 'filled') {
+        console.log(`Position Bracket: Entry ${order.orderId} filled at ${order.averageFillPrice}, NinjaTrader places stop and target`);
+        setStatus({
+          message: `Bracket entry filled at ${order.averageFillPrice} - stop ${bracket.stopPrice} and target ${bracket.targetPrice} placed`,
+          type: 'success'
+        });
+      } else if ((state === 'cancelled' || state === 'rejected') && !order.filledQuantity) {
+        console.log(`Position Bracket: Entry ${order.orderId} ${state}, dropping bracket ${bracketId}`);
+        activeBracketsRef.current.delete(bracketId);
+        setStatus({
+          message: `Bracket entry ${state}`,
+          type: state === 'rejected' ? 'error' : 'info'
+        });
+      }
+    } else if (state === 'filled') {
+      // The OCO group cancels the other exit, so the bracket is done
+      console.log(`Position Bracket: ${role} ${order.orderId} filled, bracket ${bracketId} closed`);
+      activeBracketsRef.current.delete(bracketId);
+      setStatus({
+        message: `Bracket ${role} filled at ${order.averageFillPrice}`,
+        type: role === 'target' ? 'success' : 'info'
+      });
+    }
+    return true;
+  } catch (error) {
+    console.error('Position Bracket: Error checking order update:', error);
+    return false;
+  }
+};
+
+/**
+ * Custom hook for sending positions as bracket orders
+ *
+ * Listens for NinjaTrader Bridge order updates and reports the tracked brackets' progress.
+ */
+export const usePositionBrackets = (setStatus) => {
+  const activeBracketsRef = useRef(new Map());
+
+  useEffect(() => {
+    try {
+      const { ipcRenderer } = window.require('electron');
+
+      const handleBridgeMessage = (event, message) => {
+        if (message && message.type === 'orderUpdate' && message.order && activeBracketsRef.current.size > 0) {
+          checkBracketOrderUpdate(message.order, activeBracketsRef, setStatus);
+        }
+      };
+
+      // A bracket that never reached NinjaTrader (no Trade Manager, blocked by the risk guardrails) is dropped
+      const handleSendResponse = (event, response) => {
+        const request = response && response.originalMessage;
+        if (response.success || !request || request.type !== 'place_bracket' || !activeBracketsRef.current.has(request.bracketId)) return;
+        activeBracketsRef.current.delete(request.bracketId);
+        setStatus({ message: `Bracket not sent: ${response.error || 'Connection error'}`, type: 'error' });
+      };
+
+      ipcRenderer.on('nt-bridge-message', handleBridgeMessage);
+      ipcRenderer.on('nt-bridge-send-response', handleSendResponse);
+      return () => {
+        ipcRenderer.removeListener('nt-bridge-message', handleBridgeMessage);
+        ipcRenderer.removeListener('nt-bridge-send-response', handleSendResponse);
+      };
+    } catch (error) {
+      console.error('Position Bracket: Error setting up NT Bridge listener:', error);
+    }
+  }, [setStatus]);
+
+  // Send a position as a bracket order and start tracking it
+  const sendBracket = useCallback(({ side, quantity, entryPrice, stopPrice, targetPrice, symbol, accountName, latestPrice }) => {
+    const validation = validatePositionBracket(accountName, symbol, quantity, entryPrice, stopPrice, targetPrice);
+    if (!validation.isValid) {
+      console.error('Position Bracket: Cannot send bracket -', validation.error);
+      setStatus({ message: validation.error, type: 'error' });
+      return false;
+    }
+
+    const bracket = {
+      bracketId: generateBracketId(),
+      action: side === 'long' ? 'BUY' : 'SELL',
+      quantity: parseInt(quantity, 10),
+      symbol: symbol,
+      accountName: accountName,
+      entryPrice: roundToTick(entryPrice),
+      stopPrice: roundToTick(stopPrice),
+      targetPrice: roundToTick(targetPrice)
+    };
+
+    try {
+      const { ipcRenderer } = window.require('electron');
+      const bracketOrder = createBracketOrder(bracket, latestPrice);
+
+      console.log('Position Bracket: Placing bracket order:', bracketOrder);
+      ipcRenderer.send('nt-bridge-send-request', bracketOrder);
+      activeBracketsRef.current.set(bracket.bracketId, bracket);
+
+      setStatus({
+        message: `${bracket.action} ${bracket.quantity} ${symbol} ${bracketOrder.entryOrderType} @ ${bracket.entryPrice} sent - stop ${bracket.stopPrice}, target ${bracket.targetPrice} follow the fill`,
+        type: 'success'
+      });
+      return true;
+    } catch (error) {
+      console.error('Position Bracket: Error placing bracket order:', error);
+      setStatus({ message: 'Position Bracket: Error placing bracket order', type: 'error' });
+      return false;
+    }
+  }, [setStatus]);
+
+  return { sendBracket, activeBracketsRef };
+};
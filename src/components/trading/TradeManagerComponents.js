@@ -1,9 +1,16 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 
 // Available trading platforms
 const PLATFORMS = [
   { id: 'ninjatrader', name: 'NinjaTrader' },
-  { id: 'demo', name: 'Demo Account' }
+  { id: 'simulator', name: 'Quatrain Simulator' }
+];
+
+// Number settings of the simulator, in the order the form shows them
+const SIMULATOR_NUMBER_SETTINGS = [
+  ['startingBalance', 'Starting balance ($)'],
+  ['commissionPerContract', 'Commission per contract per side ($)'],
+  ['slippageTicks', 'Slippage on market and stop fills (ticks)']
 ];
 
 // Platform Selection Component
@@ -57,6 +64,72 @@ export const PlatformSelection = ({
   );
 };
 
+// Simulator Settings Component - accounts, commission and slippage of the Quatrain Simulator
+export const SimulatorSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [accountNames, setAccountNames] = useState('');
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    const { ipcRenderer } = window.require('electron');
+    ipcRenderer.invoke('sim-broker:get-settings').then(saved => {
+      setSettings(saved);
+      setAccountNames(saved.accountNames.join(', '));
+    });
+  }, []);
+
+  if (!settings) return null;
+
+  const handleSave = async () => {
+    const { ipcRenderer } = window.require('electron');
+    const saved = await ipcRenderer.invoke('sim-broker:update-settings', {
+      ...settings,
+      accountNames: accountNames.split(',')
+    });
+    setSettings(saved);
+    setAccountNames(saved.accountNames.join(', '));
+    setStatus('Settings saved');
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Cancel all simulator orders and reset every simulator account to the starting balance?')) return;
+    const { ipcRenderer } = window.require('electron');
+    await ipcRenderer.invoke('sim-broker:reset-accounts');
+    setStatus('Accounts reset');
+  };
+
+  return (
+    <div className="platform-selector">
+      <div className="form-group">
+        <label className="label">Accounts (comma separated)</label>
+        <input
+          type="text"
+          className="input"
+          value={accountNames}
+          onChange={(e) => setAccountNames(e.target.value)}
+        />
+      </div>
+      {SIMULATOR_NUMBER_SETTINGS.map(([key, label]) => (
+        <div key={key} className="form-group">
+          <label className="label">{label}</label>
+          <input
+            type="number"
+            min="0"
+            className="input"
+            value={settings[key]}
+            onChange={(e) => setSettings(current => ({ ...current, [key]: e.target.value }))}
+          />
+        </div>
+      ))}
+      <div className="button-group">
+        <button className="button primary" onClick={handleSave}>Save</button>
+        <button className="button danger" onClick={handleReset}>Reset accounts</button>
+      </div>
+      {status && <div className="message">{status}</div>}
+    </div>
+  );
+};
+
 // Account List Component
 export const AccountList = ({ 
   isConnected, 
@@ -102,6 +102,18 @@ export const HeaderTitle = styled.h1`
   line-height: 1.2;
 `;
 
+export const HotkeyArmToggle = styled.button`
+  margin-top: 4px;
+  padding: 1px 6px;
+  font-size: 11px;
+  font-weight: bold;
+  color: #ffffff;
+  background-color: ${props => props.armed ? '#B22222' : '#333'};
+  border: 1px solid ${props => props.armed ? '#F44336' : '#555'};
+  border-radius: 3px;
+  cursor: pointer;
+`;
+
 export const HeaderCenter = styled.div`
   display: flex;
   flex-direction: column;
@@ -72,8 +72,8 @@ export const useTradeBoss = (isConnected, accountName, symbol, setStatus) => {
     );
     
     if (result.success) {
-      // Add to tracking
-      addTradeBossOrder(result.orderTrackingId, result.automationSettings);
+      // Add to tracking, with the plan for the trade journal
+      addTradeBossOrder(result.orderTrackingId, { ...result.automationSettings, tradePlan });
       
       setStatus({
         message: result.message,
@@ -94,6 +94,7 @@ export const useTradeBoss = (isConnected, accountName, symbol, setStatus) => {
     scaleOutQty,
     scaleOutPoints,
     scaleOutUnit,
+    tradePlan,
     setStatus,
     addTradeBossOrder
   ]);
@@ -141,8 +142,8 @@ export const useTradeBoss = (isConnected, accountName, symbol, setStatus) => {
     );
     
     if (result.success) {
-      // Add to tracking
-      addTradeBossOrder(result.orderTrackingId, result.automationSettings);
+      // Add to tracking, with the plan for the trade journal
+      addTradeBossOrder(result.orderTrackingId, { ...result.automationSettings, tradePlan });
       
       setStatus({
         message: result.message,
@@ -163,6 +164,7 @@ export const useTradeBoss = (isConnected, accountName, symbol, setStatus) => {
     scaleOutQty,
     scaleOutPoints,
     scaleOutUnit,
+    tradePlan,
     setStatus,
     addTradeBossOrder
   ]);
@@ -0,0 +1,105 @@
+import { useState, useEffect, useRef } from 'react';
+import TradingHotkeys from '../services/trading-hotkeys';
+import { HOTKEY_ACTIONS, getHotkeyBindings, getKeyCombo, isTypingTarget, findHotkeyAction } from '../utils/Hotkeys';
+
+/**
+ * Custom hook that listens for the hotkeys of a window
+ *
+ * Keys bound to an action this window can run run it - the window's own handlers for chart actions, the shared
+ * trading actions otherwise. A global chart action pressed in a Trade Window runs in the main chart window.
+ * Trading actions do nothing until the trading hotkeys are armed, and holding their key down doesn't repeat them.
+ *
+ * @param {string} windowType 'chart' or 'trade'
+ * @param {Object} handlersRef Ref to actionId -> handler for the chart actions, kept current by the window
+ * @param {Function} setStatus Shows { message, type } to the user
+ * @returns {Object} { hotkeys: { bindings, tradeQuantity, armed } or null until loaded, setArmed(armed) }
+ */
+export const useHotkeys = (windowType, handlersRef, setStatus) => {
+  const [hotkeys, setHotkeys] = useState(null);
+  const setStatusRef = useRef(setStatus);
+  setStatusRef.current = setStatus;
+
+  useEffect(() => {
+    const { ipcRenderer } = window.require('electron');
+    const trading = new TradingHotkeys((status) => setStatusRef.current(status));
+    trading.start();
+    let current = null;
+
+    const applyState = (state) => {
+      // Arming catches up on the positions and stops moving the stop to breakeven needs
+      if (state.armed && !(current && current.armed)) {
+        trading.refresh();
+      }
+      current = { ...state, bindings: getHotkeyBindings(state.bindings) };
+      setHotkeys(current);
+    };
+
+    const tradingHandlers = {
+      buyMarket: () => trading.placeMarketOrder('BUY', current.tradeQuantity),
+      sellMarket: () => trading.placeMarketOrder('SELL', current.tradeQuantity),
+      flatten: () => trading.flatten(),
+      cancelAll: () => trading.cancelAll(),
+      breakeven: () => trading.moveStopToBreakeven(),
+      disarmTrading: () => ipcRenderer.invoke('hotkeys:set-armed', false)
+    };
+
+    // The window leaves a chart action's handler out while it can't run it, e.g. replay steps outside a replay
+    const getHandler = (action) => tradingHandlers[action.id] || handlersRef.current[action.id] || null;
+
+    const runAction = (action, handler) => {
+      if (action.trading && !current.armed) {
+        setStatusRef.current({ message: `${action.label}: trading hotkeys are disarmed`, type: 'error' });
+        return;
+      }
+      handler();
+    };
+
+    const handleKeyDown = (event) => {
+      if (!current || isTypingTarget(event.target)) return;
+      const combo = getKeyCombo(event);
+      if (!combo) return;
+      const action = findHotkeyAction(current.bindings, combo, windowType);
+      if (!action) return;
+      if (!action.windows.includes(windowType)) {
+        event.preventDefault();
+        ipcRenderer.send('hotkeys:run', action.id);
+        return;
+      }
+      const handler = getHandler(action);
+      if (!handler) return;
+      event.preventDefault();
+      if (action.trading && event.repeat) return;
+      runAction(action, handler);
+    };
+
+    // A global chart action pressed in another window
+    const handleRun = (event, actionId) => {
+      const action = HOTKEY_ACTIONS.find(candidate => candidate.id === actionId);
+      const handler = action && current && getHandler(action);
+      if (handler) runAction(action, handler);
+    };
+
+    const handleUpdated = (event, state) => applyState(state);
+
+    ipcRenderer.invoke('hotkeys:get')
+      .then(applyState)
+      .catch(error => console.error('useHotkeys: Error loading hotkeys:', error));
+    ipcRenderer.on('hotkeys-updated', handleUpdated);
+    ipcRenderer.on('hotkeys:run', handleRun);
+    window.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      trading.stop();
+      ipcRenderer.removeListener('hotkeys-updated', handleUpdated);
+      ipcRenderer.removeListener('hotkeys:run', handleRun);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [windowType, handlersRef]);
+
+  const setArmed = (armed) => {
+    const { ipcRenderer } = window.require('electron');
+    ipcRenderer.invoke('hotkeys:set-armed', armed);
+  };
+
+  return { hotkeys, setArmed };
+};
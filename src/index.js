@@ -4,6 +4,10 @@ import './index.css';
 import App from './App';
 import TradeManager from './components/TradeManager';
 import TradeWindow from './components/TradeWindow';
+import Journal from './components/Journal';
+import RiskGuardrails from './components/RiskGuardrails';
+import CandleData from './components/CandleData';
+import Hotkeys from './components/Hotkeys';
 import reportWebVitals from './reportWebVitals';
 
 // Parse query parameters to determine which component to render
@@ -18,6 +22,14 @@ if (view === 'tradeManager') {
   ComponentToRender = TradeManager;
 } else if (view === 'tradeWindow') {
   ComponentToRender = TradeWindow;
+} else if (view === 'journal') {
+  ComponentToRender = Journal;
+} else if (view === 'risk') {
+  ComponentToRender = RiskGuardrails;
+} else if (view === 'candleData') {
+  ComponentToRender = CandleData;
+} else if (view === 'hotkeys') {
+  ComponentToRender = Hotkeys;
 } else {
   ComponentToRender = App;
 }
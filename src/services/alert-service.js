@@ -0,0 +1,319 @@
+import internalStrategyAnnotations from '../InternalStrategyAnnotations';
+
+/**
+ * Alert Service
+ *
+ * Price alerts on a horizontal line or trend line drawing, an internal strategy price level
+ * (PDH/PDL, ORB30, London H/L...) or an arbitrary price. Cross and touch conditions are
+ * evaluated on live ticks, close conditions on candle closures from the CandleEventService.
+ * A triggered alert is written to the alert log and announced with a desktop notification
+ * and a sound. The alerts and the log are persisted by App with the client settings.
+ */
+
+export const ALERT_CONDITIONS = {
+  crossUp: 'Crosses up',
+  crossDown: 'Crosses down',
+  touch: 'Touches',
+  closeAbove: 'Closes above',
+  closeBelow: 'Closes below'
+};
+
+// Internal strategy price levels an alert can be attached to (keys of priceLevels)
+export const ALERT_LEVELS = {
+  previousDayHigh: 'PDH',
+  previousDayLow: 'PDL',
+  preMarketHigh: 'PMH',
+  preMarketLow: 'PML',
+  orb30High: 'ORB30 High',
+  orb30Low: 'ORB30 Low',
+  londonHigh: 'London High',
+  londonLow: 'London Low'
+};
+
+export const isCloseCondition = (condition) => condition === 'closeAbove' || condition === 'closeBelow';
+
+const MAX_LOG_ENTRIES = 100;
+
+class AlertService {
+  constructor() {
+    this.alerts = [];
+    this.log = [];
+    this.sciChartSurfaceRefs = null;
+    // Last tick price per symbol, to detect crosses
+    this.lastPrices = new Map();
+    // Close alerts that have fired wait for a close back inside the level before firing again
+    this.closeArmed = new Map();
+    this.listeners = new Set();
+    this.audioContext = null;
+  }
+
+  /**
+   * Initialize the service with the chart references used to find drawings
+   * @param {Object} sciChartSurfaceRefs Ref of chart surfaces keyed by timeframe
+   */
+  initialize(sciChartSurfaceRefs) {
+    this.sciChartSurfaceRefs = sciChartSurfaceRefs;
+  }
+
+  /**
+   * Load saved alerts and log entries without notifying listeners
+   * @param {Array} alerts Saved alerts
+   * @param {Array} log Saved alert log entries, newest first
+   */
+  load(alerts, log) {
+    this.alerts = Array.isArray(alerts) ? alerts : [];
+    this.log = Array.isArray(log) ? log : [];
+  }
+
+  /**
+   * Subscribe to changes of the alerts or the log (added, edited, removed, triggered)
+   * @param {Function} listener Called with { alerts, log }
+   * @returns {Function} A function to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    const state = { alerts: this.alerts, log: this.log };
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('AlertService: Error in listener', error);
+      }
+    });
+  }
+
+  /**
+   * Add an alert
+   * @param {Object} alert { symbol, target: { type: 'price'|'drawing'|'level', price, annotationId, levelName },
+   *                         label, condition, timeframe, repeat, notify, sound }
+   * @returns {Object} The added alert
+   */
+  addAlert(alert) {
+    const newAlert = {
+      notify: true,
+      sound: true,
+      repeat: false,
+      ...alert,
+      id: `alert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      enabled: true,
+      createdAt: Date.now(),
+      triggeredAt: null
+    };
+    this.alerts = [...this.alerts, newAlert];
+    console.log('AlertService: Added alert', newAlert);
+    this.notifyListeners();
+    return newAlert;
+  }
+
+  /**
+   * Change an alert, e.g. { enabled: false }
+   * @param {string} alertId The alert ID
+   * @param {Object} changes Properties to change
+   */
+  updateAlert(alertId, changes) {
+    this.alerts = this.alerts.map(alert => (alert.id === alertId ? { ...alert, ...changes } : alert));
+    this.closeArmed.delete(alertId);
+    this.notifyListeners();
+  }
+
+  /**
+   * Remove an alert
+   * @param {string} alertId The alert ID
+   */
+  removeAlert(alertId) {
+    this.alerts = this.alerts.filter(alert => alert.id !== alertId);
+    this.closeArmed.delete(alertId);
+    this.notifyListeners();
+  }
+
+  /**
+   * Remove the alerts attached to a drawing, called when the drawing is deleted
+   * @param {string} annotationId The drawing's annotation ID
+   */
+  removeAlertsForAnnotation(annotationId) {
+    const remaining = this.alerts.filter(alert => !(alert.target.type === 'drawing' && alert.target.annotationId === annotationId));
+    if (remaining.length === this.alerts.length) return;
+    console.log(`AlertService: Removing ${this.alerts.length - remaining.length} alerts on deleted drawing ${annotationId}`);
+    this.alerts = remaining;
+    this.notifyListeners();
+  }
+
+  /**
+   * Clear the alert log
+   */
+  clearLog() {
+    this.log = [];
+    this.notifyListeners();
+  }
+
+  /**
+   * Find a drawing on any chart surface
+   * @param {string} annotationId The annotation ID
+   * @returns {Object|null} The annotation or null if it isn't on a chart
+   */
+  findAnnotation(annotationId) {
+    if (!this.sciChartSurfaceRefs || !this.sciChartSurfaceRefs.current) return null;
+    for (const surface of Object.values(this.sciChartSurfaceRefs.current)) {
+      if (!surface) continue;
+      const annotation = surface.annotations.asArray().find(anno => anno.id === annotationId);
+      if (annotation) return annotation;
+    }
+    return null;
+  }
+
+  /**
+   * Get the price an alert is watching at a point in time
+   * @param {Object} alert The alert
+   * @param {number} time Time in milliseconds, used for trend lines
+   * @returns {number|null} The price, or null if the target isn't available (drawing not loaded, level not calculated)
+   */
+  getTargetPrice(alert, time) {
+    const { target } = alert;
+    if (target.type === 'price') {
+      return Number.isFinite(target.price) ? target.price : null;
+    }
+    if (target.type === 'level') {
+      const level = internalStrategyAnnotations.getPriceLevel(target.levelName);
+      return level && Number.isFinite(level.price) ? level.price : null;
+    }
+    if (target.type === 'drawing') {
+      const annotation = this.findAnnotation(target.annotationId);
+      if (!annotation) return null;
+      const annotype = target.annotationId.split('/')[3];
+      if (annotype === 'tline') {
+        // Trend lines are extended both ways from their two points
+        if (annotation.x2 === annotation.x1) return annotation.y1;
+        return annotation.y1 + (annotation.y2 - annotation.y1) * (time - annotation.x1) / (annotation.x2 - annotation.x1);
+      }
+      return annotation.y1;
+    }
+    return null;
+  }
+
+  /**
+   * Evaluate cross and touch alerts on a live tick
+   * @param {string} symbol The instrument symbol
+   * @param {number} price The tick price
+   * @param {number} time Time of the tick (the timestamp of the candle being built)
+   */
+  processPrice(symbol, price, time) {
+    if (!symbol || !Number.isFinite(price)) return;
+    const lastPrice = this.lastPrices.get(symbol);
+    this.lastPrices.set(symbol, price);
+    // The same tick arrives once per timeframe
+    if (lastPrice === undefined || lastPrice === price) return;
+
+    this.alerts.forEach(alert => {
+      if (!alert.enabled || alert.symbol !== symbol || isCloseCondition(alert.condition)) return;
+      const level = this.getTargetPrice(alert, time);
+      if (level === null) return;
+
+      const crossedUp = lastPrice < level && price >= level;
+      const crossedDown = lastPrice > level && price <= level;
+      const isTriggered = (alert.condition === 'crossUp' && crossedUp)
+        || (alert.condition === 'crossDown' && crossedDown)
+        || (alert.condition === 'touch' && (crossedUp || crossedDown));
+      if (isTriggered) {
+        this.triggerAlert(alert, price, level);
+      }
+    });
+  }
+
+  /**
+   * Evaluate close alerts on a candle closure from the CandleEventService
+   * @param {Object} event The candle closure event ({ symbol, timeframe, candle, close })
+   */
+  processCandleClosure(event) {
+    if (!event || !Number.isFinite(event.close)) return;
+    const time = event.candle ? event.candle.timestamp : event.timestamp;
+
+    this.alerts.forEach(alert => {
+      if (!alert.enabled || alert.symbol !== event.symbol || alert.timeframe !== event.timeframe
+          || !isCloseCondition(alert.condition)) return;
+      const level = this.getTargetPrice(alert, time);
+      if (level === null) return;
+
+      const isBeyond = alert.condition === 'closeAbove' ? event.close > level : event.close < level;
+      if (!isBeyond) {
+        this.closeArmed.delete(alert.id);
+        return;
+      }
+      if (this.closeArmed.get(alert.id) === false) return;
+      this.closeArmed.set(alert.id, false);
+      this.triggerAlert(alert, event.close, level);
+    });
+  }
+
+  /**
+   * Log, announce and (for one-shot alerts) disable a triggered alert
+   * @param {Object} alert The alert
+   * @param {number} price The price that triggered it
+   * @param {number} level The price the alert was watching
+   */
+  triggerAlert(alert, price, level) {
+    const now = Date.now();
+    const conditionText = ALERT_CONDITIONS[alert.condition] || alert.condition;
+    const timeframeText = isCloseCondition(alert.condition) ? ` (${alert.timeframe})` : '';
+    const entry = {
+      id: `${alert.id}_${now}`,
+      alertId: alert.id,
+      time: now,
+      symbol: alert.symbol,
+      message: `${alert.symbol} ${conditionText.toLowerCase()} ${alert.label} ${level.toFixed(2)}${timeframeText}`,
+      price,
+      level
+    };
+    console.log(`AlertService: Alert triggered - ${entry.message} at ${price}`);
+
+    this.log = [entry, ...this.log].slice(0, MAX_LOG_ENTRIES);
+    this.alerts = this.alerts.map(existing => (existing.id === alert.id
+      ? { ...existing, triggeredAt: now, enabled: existing.repeat ? existing.enabled : false }
+      : existing));
+
+    if (alert.notify) this.showNotification(entry);
+    if (alert.sound) this.playSound();
+    this.notifyListeners();
+  }
+
+  showNotification(entry) {
+    try {
+      if (typeof Notification === 'undefined') return;
+      new Notification('Quatrain Alert', { body: `${entry.message} - last ${entry.price}`, silent: true });
+    } catch (error) {
+      console.error('AlertService: Error showing notification', error);
+    }
+  }
+
+  // Two short tones
+  playSound() {
+    try {
+      if (!this.audioContext) {
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      }
+      const context = this.audioContext;
+      [0, 0.2].forEach((offset, index) => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.frequency.value = index === 0 ? 880 : 1175;
+        gain.gain.setValueAtTime(0.2, context.currentTime + offset);
+        gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + offset + 0.18);
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(context.currentTime + offset);
+        oscillator.stop(context.currentTime + offset + 0.18);
+      });
+    } catch (error) {
+      console.error('AlertService: Error playing alert sound', error);
+    }
+  }
+}
+
+// Create a singleton instance
+const alertService = new AlertService();
+
+// Export the singleton instance
+export default alertService;
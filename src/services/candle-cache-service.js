@@ -0,0 +1,324 @@
+/**
+ * Candle Cache Service for Quatrain
+ *
+ * Runs in the main process and keeps the main window's candles on disk in the userData directory, so a connect
+ * only has to ask Chronicle for what it doesn't already have. Candles are stored per instrument and timeframe in
+ * JSON files of one UTC day each (one month for hourly and longer timeframes), loaded when they're first needed
+ * and written a few seconds after they change. Files read for the windows are read asynchronously, so loading a
+ * long history doesn't hold up the main process.
+ *
+ * Next to the candles, each instrument/timeframe keeps the time ranges known to be complete: the history of a
+ * get_data request once it has loaded, extended by live candles for as long as the live connection lasts. A gap
+ * left by a disconnect is simply a hole between ranges, and the next connect requests everything from the
+ * first hole on. A range ends at its last candle, which may still have been forming, so that candle is always
+ * requested again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_DIR_NAME = 'candle-cache';
+const COVERAGE_FILE_NAME = 'coverage.json';
+const SAVE_DELAY_MS = 5000;
+const PARTITION_IDLE_MS = 60 * 1000; // Saved files not used for this long are dropped from memory
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: ONE_HOUR_MS, d: 24 * ONE_HOUR_MS, w: 7 * 24 * ONE_HOUR_MS };
+
+// Nominal duration of a timeframe such as '5m' or '1h' (null for tick bars)
+const getTimeframeDurationMs = (timeframe) => {
+  const match = /^(\d+)([smhdw])$/.exec(timeframe || '');
+  return match ? parseInt(match[1], 10) * UNIT_MS[match[2]] : null;
+};
+
+// File-system safe name for an instrument or timeframe
+const toFileName = (name) => String(name).replace(/[^A-Za-z0-9._-]/g, '_');
+
+// Sorted ranges with overlapping and touching ones combined
+const mergeRanges = (ranges) => {
+  const sorted = ranges.filter(([start, end]) => end >= start).sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+};
+
+class CandleCacheService {
+  constructor() {
+    this.rootPath = null;
+    this.partitions = new Map(); // File path -> { candles (sorted by timestamp), dirty, usedAt }
+    this.coverage = new Map(); // `${instrument}|${timeframe}` -> { ranges, dirty }
+    this.liveInstruments = new Set(); // Instruments whose coverage live candles extend
+    this.saveTimer = null;
+  }
+
+  /**
+   * Register the cache's IPC handlers
+   * @param {Object} ipcMain Electron's ipcMain object
+   * @param {string} userDataPath Electron's userData directory
+   */
+  initialize(ipcMain, userDataPath) {
+    this.rootPath = path.join(userDataPath, CACHE_DIR_NAME);
+
+    ipcMain.handle('candle-cache:plan', (event, params) => this.planRequest(params));
+    ipcMain.handle('candle-cache:get', (event, params) => (
+      this.getCandles(params.instrument, params.timeframe, params.start, params.end)
+    ));
+    ipcMain.on('candle-cache:covered', (event, params) => this.markCovered(params));
+    ipcMain.on('candle-cache:live-ended', () => this.endLive());
+
+    console.log(`CandleCacheService: Initialized at ${this.rootPath}`);
+  }
+
+  getTimeframePath(instrument, timeframe) {
+    return path.join(this.rootPath, toFileName(instrument), toFileName(timeframe));
+  }
+
+  // Files split by UTC day, or by month for hourly and longer timeframes
+  getPartitionName(timestamp, timeframe) {
+    const date = new Date(timestamp).toISOString();
+    return getTimeframeDurationMs(timeframe) >= ONE_HOUR_MS ? date.slice(0, 7) : date.slice(0, 10);
+  }
+
+  getPartition(instrument, timeframe, partitionName) {
+    const filePath = path.join(this.getTimeframePath(instrument, timeframe), `${partitionName}.json`);
+    if (!this.partitions.has(filePath)) {
+      let candles = [];
+      try {
+        if (fs.existsSync(filePath)) {
+          candles = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+      } catch (error) {
+        console.error(`CandleCacheService: Error reading ${filePath}, dropping it:`, error);
+      }
+      this.partitions.set(filePath, { candles, dirty: false, usedAt: 0 });
+    }
+    const partition = this.partitions.get(filePath);
+    partition.usedAt = Date.now();
+    return partition;
+  }
+
+  // getPartition without blocking on the read - resolves to null when the file doesn't exist
+  async loadPartition(instrument, timeframe, partitionName) {
+    const filePath = path.join(this.getTimeframePath(instrument, timeframe), `${partitionName}.json`);
+    if (!this.partitions.has(filePath)) {
+      let candles = null;
+      try {
+        candles = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`CandleCacheService: Error reading ${filePath}, dropping it:`, error);
+          candles = [];
+        }
+      }
+      // A live candle may have loaded the file while it was being read
+      if (candles && !this.partitions.has(filePath)) {
+        this.partitions.set(filePath, { candles, dirty: false, usedAt: 0 });
+      }
+    }
+    const partition = this.partitions.get(filePath);
+    if (!partition) return null;
+    partition.usedAt = Date.now();
+    return partition;
+  }
+
+  getCoverage(instrument, timeframe) {
+    const key = `${instrument}|${timeframe}`;
+    if (!this.coverage.has(key)) {
+      const filePath = path.join(this.getTimeframePath(instrument, timeframe), COVERAGE_FILE_NAME);
+      let ranges = [];
+      try {
+        if (fs.existsSync(filePath)) {
+          ranges = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+      } catch (error) {
+        console.error(`CandleCacheService: Error reading ${filePath}, dropping it:`, error);
+      }
+      this.coverage.set(key, { instrument, timeframe, ranges, dirty: false });
+    }
+    return this.coverage.get(key);
+  }
+
+  /**
+   * Store a candle from the main window's candle stream
+   * @param {Object} message Chronicle data message { instrument, timeframe, timestamp, open, high, low, close, volume, source }
+   */
+  addCandle(message) {
+    if (!this.rootPath || !message.instrument || !getTimeframeDurationMs(message.timeframe)
+        || !Number.isFinite(message.timestamp)) {
+      return;
+    }
+
+    const { instrument, timeframe, timestamp } = message;
+    const candle = {
+      timestamp,
+      open: message.open,
+      high: message.high,
+      low: message.low,
+      close: message.close,
+      volume: message.volume || 0
+    };
+
+    const partition = this.getPartition(instrument, timeframe, this.getPartitionName(timestamp, timeframe));
+    const { candles } = partition;
+    // Candles almost always arrive in order, so look from the end
+    let index = candles.length;
+    while (index > 0 && candles[index - 1].timestamp > timestamp) index -= 1;
+    if (index > 0 && candles[index - 1].timestamp === timestamp) {
+      candles[index - 1] = candle;
+    } else {
+      candles.splice(index, 0, candle);
+    }
+    partition.dirty = true;
+
+    // Live candles extend the range the live connection's history ended in
+    if (message.source === 'T' && this.liveInstruments.has(instrument)) {
+      const coverage = this.getCoverage(instrument, timeframe);
+      const lastRange = coverage.ranges[coverage.ranges.length - 1];
+      if (lastRange && timestamp > lastRange[1]) {
+        lastRange[1] = timestamp;
+        coverage.dirty = true;
+      }
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Get cached candles
+   * @param {string} instrument Instrument symbol
+   * @param {string} timeframe Timeframe
+   * @param {number} start Start timestamp (ms)
+   * @param {number} end End timestamp (ms)
+   * @returns {Promise<Array>} Candles sorted by timestamp
+   */
+  async getCandles(instrument, timeframe, start, end) {
+    if (!this.rootPath || !getTimeframeDurationMs(timeframe)) return [];
+
+    const partitionNames = new Set();
+    const stepMs = getTimeframeDurationMs(timeframe) >= ONE_HOUR_MS ? 28 * UNIT_MS.d : UNIT_MS.d;
+    for (let time = start; time < end + stepMs; time += stepMs) {
+      partitionNames.add(this.getPartitionName(Math.min(time, end), timeframe));
+    }
+
+    const result = [];
+    for (const partitionName of [...partitionNames].sort()) {
+      const partition = await this.loadPartition(instrument, timeframe, partitionName);
+      if (!partition) continue;
+      partition.candles.forEach(candle => {
+        if (candle.timestamp >= start && candle.timestamp <= end) result.push(candle);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Work out what a get_data request still needs from Chronicle
+   * @param {Object} params
+   * @param {string} params.instrument Instrument symbol
+   * @param {Array<string>} params.timeframes Subscribed timeframes
+   * @param {number} params.start History start (ms)
+   * @param {number} params.end Request time (ms)
+   * @param {number} [params.recentStart] Only cached candles from here on are returned - the window gets older
+   *   ones with candle-cache:get once it has charted these (defaults to start)
+   * @returns {Promise<Object>} { fetchStart, candles } - the time to request from, and each timeframe's cached
+   *   candles from recentStart up to and including fetchStart
+   */
+  async planRequest({ instrument, timeframes, start, end, recentStart = start }) {
+    let fetchStart = end;
+    const candles = {};
+
+    for (const timeframe of timeframes) {
+      // The first time from start on that no range covers
+      let covered = start;
+      this.getCoverage(instrument, timeframe).ranges.forEach(([rangeStart, rangeEnd]) => {
+        if (rangeStart <= covered && rangeEnd > covered) covered = rangeEnd;
+      });
+      fetchStart = Math.min(fetchStart, covered);
+      const candlesStart = Math.max(start, recentStart);
+      candles[timeframe] = covered > candlesStart ? await this.getCandles(instrument, timeframe, candlesStart, covered) : [];
+    }
+
+    console.log(`CandleCacheService: ${instrument} is cached from ${new Date(start).toISOString()} to ${new Date(fetchStart).toISOString()}`);
+    return { fetchStart, candles };
+  }
+
+  /**
+   * Record time ranges whose candles have all been received
+   * @param {Object} params
+   * @param {string} params.instrument Instrument symbol
+   * @param {Object} params.ranges timeframe -> { start, end }
+   * @param {boolean} params.live Whether live candles keep extending the ranges
+   */
+  markCovered({ instrument, ranges, live }) {
+    Object.keys(ranges || {}).forEach(timeframe => {
+      const { start, end } = ranges[timeframe];
+      if (!getTimeframeDurationMs(timeframe) || !Number.isFinite(start) || !Number.isFinite(end)) return;
+      const coverage = this.getCoverage(instrument, timeframe);
+      coverage.ranges = mergeRanges([...coverage.ranges, [start, end]]);
+      coverage.dirty = true;
+    });
+    if (live) {
+      this.liveInstruments.add(instrument);
+    }
+    this.scheduleSave();
+  }
+
+  // The live connection ended - later live candles may come after a gap
+  endLive() {
+    this.liveInstruments.clear();
+  }
+
+  // Save a few seconds after a change, so a stream of candles is written in batches
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveNow();
+    }, SAVE_DELAY_MS);
+  }
+
+  saveNow() {
+    if (!this.rootPath) return;
+
+    const writeFile = (filePath, data) => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write to a temporary file first so a crash can't leave a half-written file
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, filePath);
+    };
+
+    try {
+      this.partitions.forEach((partition, filePath) => {
+        if (partition.dirty) {
+          writeFile(filePath, partition.candles);
+          partition.dirty = false;
+        } else if (Date.now() - partition.usedAt > PARTITION_IDLE_MS) {
+          this.partitions.delete(filePath);
+        }
+      });
+      this.coverage.forEach(coverage => {
+        if (!coverage.dirty) return;
+        writeFile(path.join(this.getTimeframePath(coverage.instrument, coverage.timeframe), COVERAGE_FILE_NAME), coverage.ranges);
+        coverage.dirty = false;
+      });
+    } catch (error) {
+      console.error('CandleCacheService: Error saving the candle cache:', error);
+    }
+  }
+
+  shutdown() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.saveNow();
+  }
+}
+
+module.exports = CandleCacheService;
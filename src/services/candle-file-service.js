@@ -0,0 +1,328 @@
+/**
+ * Candle File Service for Quatrain
+ *
+ * Runs in the main process and moves candles in and out of Quatrain as files. OHLCV CSV files are imported into
+ * the DataService candle store and the on-disk candle cache, with the columns, time format and timezone of the
+ * file configurable, so imported candles can be charted, replayed locally and run through studies like any
+ * other. Any instrument/timeframe/range in the candle store can be exported as CSV or as a compact columnar
+ * binary file for research in other tools.
+ *
+ * The columnar format (.qcol) is little-endian:
+ *   'QCOL' | uint32 header length | JSON header | padding to 8 bytes | one float64 array per column
+ * The header is { version, instrument, timeframe, count, columns: [{ name, type }] }, and the columns are
+ * timestamp (ms since the epoch, UTC), open, high, low, close and volume, count values each. In NumPy, for
+ * example, a column is np.frombuffer(data, '<f8', count, offset).
+ */
+
+const fs = require('fs');
+const { DateTime } = require('luxon');
+
+const COLUMNAR_MAGIC = 'QCOL';
+const COLUMNAR_VERSION = 1;
+const CANDLE_FIELDS = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+const PRICE_FIELDS = ['open', 'high', 'low', 'close'];
+const PREVIEW_LINE_COUNT = 6;
+const MAX_REPORTED_ERRORS = 10;
+const ONE_MINUTE_MS = 60 * 1000;
+
+const UNIT_MS = { s: 1000, m: ONE_MINUTE_MS, h: 60 * ONE_MINUTE_MS, d: 24 * 60 * ONE_MINUTE_MS, w: 7 * 24 * 60 * ONE_MINUTE_MS };
+
+// Formats tried in order when the time format is 'auto'
+const AUTO_TIME_FORMATS = [
+  'yyyy-MM-dd HH:mm:ss',
+  'yyyy-MM-dd HH:mm',
+  'yyyyMMdd HHmmss',
+  'yyyyMMdd HH:mm:ss',
+  'MM/dd/yyyy HH:mm:ss',
+  'MM/dd/yyyy HH:mm',
+  'M/d/yyyy H:mm:ss',
+  'M/d/yyyy H:mm'
+];
+
+const getTimeframeDurationMs = (timeframe) => {
+  const match = /^(\d+)([smhdw])$/.exec(timeframe || '');
+  return match ? parseInt(match[1], 10) * UNIT_MS[match[2]] : null;
+};
+
+// The delimiter used most in a line
+const detectDelimiter = (line) => {
+  const counts = [',', ';', '\t', '|'].map(delimiter => [delimiter, line.split(delimiter).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+};
+
+// Split a CSV line, honouring double-quoted fields
+const splitLine = (line, delimiter) => {
+  if (!line.includes('"')) return line.split(delimiter).map(field => field.trim());
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+/**
+ * Parse a file's time value to a timestamp
+ * @param {string} text Date and time as written in the file
+ * @param {string} timeFormat 'auto', 'epoch_s', 'epoch_ms' or a Luxon format string
+ * @param {string} timezone IANA zone the file's times are in
+ * @returns {number|null} Timestamp (ms) or null if it can't be parsed
+ */
+const parseTime = (text, timeFormat, timezone) => {
+  if (!text) return null;
+  if (timeFormat === 'epoch_s' || timeFormat === 'epoch_ms' || (timeFormat === 'auto' && /^\d{9,13}(\.\d+)?$/.test(text))) {
+    const value = parseFloat(text);
+    // Seconds have 10 digits for current dates, milliseconds 13
+    const isSeconds = timeFormat === 'epoch_s' || (timeFormat === 'auto' && value < 1e11);
+    return Math.round(isSeconds ? value * 1000 : value);
+  }
+
+  let dateTime;
+  if (timeFormat === 'auto') {
+    dateTime = DateTime.fromISO(text, { zone: timezone });
+    for (let i = 0; !dateTime.isValid && i < AUTO_TIME_FORMATS.length; i += 1) {
+      dateTime = DateTime.fromFormat(text, AUTO_TIME_FORMATS[i], { zone: timezone });
+    }
+  } else {
+    dateTime = DateTime.fromFormat(text, timeFormat, { zone: timezone });
+  }
+  return dateTime.isValid ? dateTime.toMillis() : null;
+};
+
+class CandleFileService {
+  /**
+   * @param {DataService} dataService Candle store imports go into and exports come from
+   * @param {CandleCacheService} candleCacheService On-disk cache imports are kept in
+   */
+  constructor(dataService, candleCacheService) {
+    this.dataService = dataService;
+    this.candleCacheService = candleCacheService;
+    this.chooseImportFile = null;
+    this.chooseExportFile = null;
+  }
+
+  /**
+   * Register the IPC handlers
+   * @param {Object} ipcMain Electron's ipcMain object
+   * @param {Object} options
+   * @param {Function} options.chooseImportFile (event) -> Promise of the file path picked to import, or null
+   * @param {Function} options.chooseExportFile (event, defaultName, format) -> Promise of the path to export to, or null
+   */
+  initialize(ipcMain, { chooseImportFile, chooseExportFile }) {
+    this.chooseImportFile = chooseImportFile;
+    this.chooseExportFile = chooseExportFile;
+
+    ipcMain.handle('candle-file:preview', (event) => this.previewImport(event));
+    ipcMain.handle('candle-file:import', (event, options) => this.importCsv(options));
+    ipcMain.handle('candle-file:list', () => this.listSeries());
+    ipcMain.handle('candle-file:export', (event, options) => this.exportCandles(event, options));
+
+    console.log('CandleFileService: Initialized');
+  }
+
+  /**
+   * Pick a CSV file and read its first lines, so its columns can be mapped
+   * @returns {Promise<Object|null>} { filePath, delimiter, rows } or null if no file was picked
+   */
+  async previewImport(event) {
+    const filePath = await this.chooseImportFile(event);
+    if (!filePath) return null;
+
+    // The start of the file is enough - it may be large
+    const handle = await fs.promises.open(filePath, 'r');
+    let text;
+    try {
+      const buffer = Buffer.alloc(64 * 1024);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      text = buffer.toString('utf8', 0, bytesRead).replace(/^\uFEFF/, '');
+    } finally {
+      await handle.close();
+    }
+
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, PREVIEW_LINE_COUNT);
+    const delimiter = lines.length > 0 ? detectDelimiter(lines[0]) : ',';
+    return { filePath, delimiter, rows: lines.map(line => splitLine(line, delimiter)) };
+  }
+
+  /**
+   * Import a CSV file of candles
+   * @param {Object} options
+   * @param {string} options.filePath File to import
+   * @param {string} options.instrument Instrument the candles are for
+   * @param {string} options.timeframe Timeframe of the candles
+   * @param {string} options.delimiter Field delimiter
+   * @param {boolean} options.hasHeader Whether the first line is column names
+   * @param {Object} options.columns Field -> zero-based column index: date, time (optional, when the time is in a
+   *   column of its own), open, high, low, close, volume (optional)
+   * @param {string} options.timeFormat 'auto', 'epoch_s', 'epoch_ms' or a Luxon format string for date + ' ' + time
+   * @param {string} options.timezone IANA zone the file's times are in
+   * @param {boolean} options.closeTimestamps Whether times are bar closes rather than opens
+   * @returns {Promise<Object>} { count, skipped, start, end, errors }
+   */
+  async importCsv({ filePath, instrument, timeframe, delimiter, hasHeader, columns, timeFormat, timezone, closeTimestamps }) {
+    const durationMs = getTimeframeDurationMs(timeframe);
+    if (!instrument) throw new Error('An instrument is required');
+    if (!durationMs) throw new Error(`Unsupported timeframe ${timeframe} - use seconds, minutes, hours, days or weeks`);
+    if (!DateTime.local().setZone(timezone).isValid) throw new Error(`Unknown timezone ${timezone}`);
+    const missing = ['date', ...PRICE_FIELDS].filter(field => !Number.isInteger(columns[field]));
+    if (missing.length > 0) throw new Error(`Pick a column for ${missing.join(', ')}`);
+
+    const text = (await fs.promises.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+    const lines = text.split(/\r?\n/);
+    const hasTimeColumn = Number.isInteger(columns.time);
+    const hasVolumeColumn = Number.isInteger(columns.volume);
+
+    const candles = new Map(); // timestamp -> candle, so a repeated time keeps its last row
+    const errors = [];
+    let skipped = 0;
+    const skip = (lineNumber, reason) => {
+      skipped += 1;
+      if (errors.length < MAX_REPORTED_ERRORS) errors.push(`Line ${lineNumber}: ${reason}`);
+    };
+
+    lines.forEach((line, index) => {
+      if ((hasHeader && index === 0) || line.trim() === '') return;
+      const fields = splitLine(line, delimiter);
+      const timeText = hasTimeColumn ? `${fields[columns.date]} ${fields[columns.time]}` : fields[columns.date];
+      const time = parseTime(timeText, timeFormat, timezone);
+      if (time === null) {
+        skip(index + 1, `can't read the time "${timeText}"`);
+        return;
+      }
+
+      const candle = { timestamp: closeTimestamps ? time - durationMs : time };
+      for (const field of PRICE_FIELDS) {
+        candle[field] = parseFloat(fields[columns[field]]);
+        if (!Number.isFinite(candle[field])) {
+          skip(index + 1, `${field} "${fields[columns[field]]}" isn't a number`);
+          return;
+        }
+      }
+      candle.volume = hasVolumeColumn ? parseFloat(fields[columns.volume]) || 0 : 0;
+      candles.set(candle.timestamp, candle);
+    });
+
+    const sorted = [...candles.values()].sort((a, b) => a.timestamp - b.timestamp);
+    if (sorted.length > 0) {
+      this.dataService.storeCandles(instrument, timeframe, sorted);
+      sorted.forEach(candle => this.candleCacheService.addCandle({ ...candle, instrument, timeframe, source: 'H' }));
+    }
+
+    const result = {
+      count: sorted.length,
+      skipped,
+      start: sorted.length > 0 ? sorted[0].timestamp : null,
+      end: sorted.length > 0 ? sorted[sorted.length - 1].timestamp : null,
+      errors
+    };
+    console.log(`CandleFileService: Imported ${result.count} ${instrument} ${timeframe} candles from ${filePath} (${skipped} rows skipped)`);
+    return result;
+  }
+
+  /**
+   * The instrument/timeframe series in the candle store
+   * @returns {Array<Object>} [{ instrument, timeframe, count, start, end }]
+   */
+  listSeries() {
+    const series = [];
+    Object.keys(this.dataService.candleStore).sort().forEach(instrument => {
+      Object.keys(this.dataService.candleStore[instrument]).forEach(timeframe => {
+        const candles = this.dataService.candleStore[instrument][timeframe];
+        if (candles.length === 0) return;
+        series.push({
+          instrument,
+          timeframe,
+          count: candles.length,
+          start: candles[0].timestamp,
+          end: candles[candles.length - 1].timestamp
+        });
+      });
+    });
+    return series;
+  }
+
+  /**
+   * Export candles from the candle store
+   * @param {Object} event IPC event of the window asking
+   * @param {Object} options
+   * @param {string} options.instrument Instrument symbol
+   * @param {string} options.timeframe Timeframe
+   * @param {number} [options.start] Start timestamp (ms)
+   * @param {number} [options.end] End timestamp (ms)
+   * @param {string} options.format 'csv' or 'columnar'
+   * @returns {Promise<Object|null>} { filePath, count } or null if no file was picked
+   */
+  async exportCandles(event, { instrument, timeframe, start, end, format }) {
+    const candles = this.dataService.getCandlesForInstrument(instrument, timeframe, { start, end });
+    if (candles.length === 0) throw new Error(`No ${instrument} ${timeframe} candles in that range`);
+
+    const day = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+    const extension = format === 'columnar' ? 'qcol' : 'csv';
+    const defaultName = `${instrument}_${timeframe}_${day(candles[0].timestamp)}_${day(candles[candles.length - 1].timestamp)}.${extension}`;
+    const filePath = await this.chooseExportFile(event, defaultName, format);
+    if (!filePath) return null;
+
+    const data = format === 'columnar'
+      ? this.buildColumnarFile(instrument, timeframe, candles)
+      : this.buildCsv(candles);
+    await fs.promises.writeFile(filePath, data);
+    console.log(`CandleFileService: Exported ${candles.length} ${instrument} ${timeframe} candles to ${filePath}`);
+    return { filePath, count: candles.length };
+  }
+
+  buildCsv(candles) {
+    const lines = [['timestamp', 'datetime_utc', ...CANDLE_FIELDS.slice(1)].join(',')];
+    candles.forEach(candle => {
+      lines.push([
+        candle.timestamp,
+        new Date(candle.timestamp).toISOString(),
+        ...CANDLE_FIELDS.slice(1).map(field => (candle[field] === undefined ? '' : candle[field]))
+      ].join(','));
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  buildColumnarFile(instrument, timeframe, candles) {
+    const header = Buffer.from(JSON.stringify({
+      version: COLUMNAR_VERSION,
+      instrument,
+      timeframe,
+      count: candles.length,
+      columns: CANDLE_FIELDS.map(name => ({ name, type: 'float64' }))
+    }), 'utf8');
+
+    // Columns start on an 8-byte boundary, so they can be read as Float64Arrays in place
+    const prefixLength = COLUMNAR_MAGIC.length + 4 + header.length;
+    const dataOffset = Math.ceil(prefixLength / 8) * 8;
+    const buffer = Buffer.alloc(dataOffset + CANDLE_FIELDS.length * candles.length * 8);
+    buffer.write(COLUMNAR_MAGIC, 0, 'ascii');
+    buffer.writeUInt32LE(header.length, COLUMNAR_MAGIC.length);
+    header.copy(buffer, COLUMNAR_MAGIC.length + 4);
+
+    CANDLE_FIELDS.forEach((field, column) => {
+      const columnOffset = dataOffset + column * candles.length * 8;
+      candles.forEach((candle, index) => {
+        buffer.writeDoubleLE(Number(candle[field]) || 0, columnOffset + index * 8);
+      });
+    });
+    return buffer;
+  }
+}
+
+module.exports = CandleFileService;
@@ -0,0 +1,242 @@
+/**
+ * Connection Monitor for Quatrain
+ *
+ * Looks after a Chronicle WebSocket once a session is up. When the socket drops it schedules reconnects with
+ * exponential backoff (1s, 2s, 4s ... up to 30s) until one opens, and it keeps the health figures shown in the
+ * flyout: round-trip latency, when the last message arrived and how many times the connection has been
+ * re-established. Chronicle has no ping, so latency is timed from set_client_id to its set_client_id_response -
+ * sent on every connect and again every few seconds while connected.
+ *
+ * With a primary and a secondary server it also fails over. Chronicle sends ctrl heartbeats, and with the
+ * set_client_id replies a live connection always has ctrl messages coming in; when none has arrived for the
+ * heartbeat timeout the server is taken to be hung and the socket is dropped. Every reconnect attempt goes to
+ * the other server, so a dropped or hung primary is replaced by the secondary straight away, and the connection
+ * stays there until the secondary fails in turn. A first connect that can't reach the primary tries the
+ * secondary too.
+ *
+ * The monitor only decides when and where to reconnect; resuming the session on the new socket is up to its owner.
+ */
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const PROBE_INTERVAL_MS = 10000; // How often set_client_id is re-sent to measure latency
+const HEARTBEAT_CHECK_MS = 1000;
+const DEFAULT_HEARTBEAT_TIMEOUT_MS = 30000;
+
+export const DEFAULT_CHRONICLE_URL = 'ws://localhost:8080';
+
+/**
+ * Delay before a reconnect attempt
+ * @param {number} attempt Attempts already made since the connection dropped
+ * @returns {number} Delay (ms)
+ */
+export const getReconnectDelay = (attempt) => Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+
+/**
+ * WebSocket URL of a server profile. Browsers can't set headers on a WebSocket, so the auth token goes in the
+ * `token` query parameter.
+ * @param {Object} profile { host, port, tls, authToken }
+ * @returns {string}
+ */
+export const getServerUrl = ({ host, port, tls, authToken }) => (
+  `${tls ? 'wss' : 'ws'}://${host}:${port}${authToken ? `/?token=${encodeURIComponent(authToken)}` : ''}`
+);
+
+/**
+ * Servers to connect to from the saved server profiles: the primary, then the secondary if there is one
+ * @param {Object} serverProfiles { profiles, primaryId, secondaryId } from the ServerProfileService
+ * @returns {Array<Object>} [{ name, url }] - empty until the profiles have loaded
+ */
+export const getProfileServers = (serverProfiles) => {
+  if (!serverProfiles) return [];
+  return [serverProfiles.primaryId, serverProfiles.secondaryId]
+    .map(id => serverProfiles.profiles.find(profile => profile.id === id))
+    .filter(Boolean)
+    .map(profile => ({ name: profile.name, url: getServerUrl(profile) }));
+};
+
+/**
+ * Stop listening to a socket and close it, then run its close handler now rather than whenever a hung server
+ * lets the closing handshake finish
+ * @param {WebSocket} socket
+ */
+export const dropSocket = (socket) => {
+  const { onclose } = socket;
+  socket.onopen = null;
+  socket.onmessage = null;
+  socket.onclose = null;
+  socket.close();
+  if (onclose) onclose({});
+};
+
+class ConnectionMonitor {
+  /**
+   * @param {Object} options
+   * @param {string} options.clientId Client ID sent with set_client_id
+   * @param {Function} options.send Sends a message object on the current socket
+   * @param {Function} options.reconnect Opens a new socket to the current server
+   * @param {Function} [options.onStale] Called when the current server has stopped sending ctrl messages - the
+   *   owner drops the socket, which then counts as closed
+   * @param {Array<Object>} [options.servers] Servers to use, primary first: [{ name, url }]
+   * @param {number} [options.heartbeatTimeoutMs] Time without a ctrl message before the server counts as hung
+   */
+  constructor({ clientId, send, reconnect, onStale, servers, heartbeatTimeoutMs = DEFAULT_HEARTBEAT_TIMEOUT_MS }) {
+    this.clientId = clientId;
+    this.send = send;
+    this.reconnect = reconnect;
+    this.onStale = onStale || null;
+    this.servers = servers && servers.length > 0 ? servers : [{ name: 'Chronicle', url: DEFAULT_CHRONICLE_URL }];
+    this.heartbeatTimeoutMs = heartbeatTimeoutMs;
+
+    this.serverIndex = 0;
+    this.serversTried = 1; // Servers a first connect has tried
+    this.status = 'connecting'; // 'connecting', 'connected', 'reconnecting' or 'stopped'
+    this.attempt = 0; // Reconnect attempts since the connection dropped
+    this.reconnectCount = 0; // Times the connection has been re-established
+    this.latencyMs = null;
+    this.lastMessageAt = null;
+    this.lastCtrlAt = null;
+    this.nextAttemptAt = null;
+    this.probeSentAt = null;
+    this.reconnectTimer = null;
+    this.probeTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  get isStopped() {
+    return this.status === 'stopped';
+  }
+
+  get isReconnecting() {
+    return this.status === 'reconnecting';
+  }
+
+  /**
+   * The server to connect to
+   * @returns {Object} { name, url }
+   */
+  get server() {
+    return this.servers[this.serverIndex];
+  }
+
+  /**
+   * A socket opened - a reconnect if the connection had dropped
+   */
+  opened() {
+    if (this.isStopped) return;
+    if (this.isReconnecting) {
+      this.reconnectCount += 1;
+    }
+    this.status = 'connected';
+    this.attempt = 0;
+    this.nextAttemptAt = null;
+    this.lastCtrlAt = Date.now();
+    this.clearTimers();
+    this.probeTimer = setInterval(() => this.sendClientId(), PROBE_INTERVAL_MS);
+    this.heartbeatTimer = setInterval(() => this.checkHeartbeat(), HEARTBEAT_CHECK_MS);
+  }
+
+  /**
+   * Send set_client_id, timing the reply
+   */
+  sendClientId() {
+    this.probeSentAt = Date.now();
+    this.send({ action: 'set_client_id', clientid: this.clientId });
+  }
+
+  /**
+   * Note a message from Chronicle
+   * @param {Object} message Parsed message
+   */
+  messageReceived(message) {
+    this.lastMessageAt = Date.now();
+    if (message.mtyp !== 'ctrl') return;
+    this.lastCtrlAt = this.lastMessageAt;
+    if (message.action === 'set_client_id_response' && this.probeSentAt !== null) {
+      this.latencyMs = this.lastMessageAt - this.probeSentAt;
+      this.probeSentAt = null;
+    }
+  }
+
+  checkHeartbeat() {
+    if (this.status !== 'connected' || !this.onStale) return;
+    const silentMs = Date.now() - this.lastCtrlAt;
+    if (silentMs > this.heartbeatTimeoutMs) {
+      console.warn(`ConnectionMonitor[${this.clientId}]: No ctrl message from ${this.server.name} for ${silentMs}ms, dropping it`);
+      this.clearTimers();
+      this.onStale();
+    }
+  }
+
+  /**
+   * The socket closed - schedule the next reconnect attempt, to the other server if there is one
+   * @returns {boolean} False if the monitor has been stopped, so nothing will reconnect
+   */
+  closed() {
+    this.clearTimers();
+    this.probeSentAt = null;
+    if (this.isStopped) return false;
+
+    const delay = getReconnectDelay(this.attempt);
+    this.attempt += 1;
+    this.serverIndex = (this.serverIndex + 1) % this.servers.length;
+    this.status = 'reconnecting';
+    this.nextAttemptAt = Date.now() + delay;
+    console.log(`ConnectionMonitor[${this.clientId}]: Connection lost, reconnect attempt ${this.attempt} to ${this.server.name} in ${delay}ms`);
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.isStopped) this.reconnect();
+    }, delay);
+    return true;
+  }
+
+  /**
+   * A first connect couldn't open its socket - try the next server that hasn't been tried yet
+   * @returns {boolean} False if every server has been tried
+   */
+  tryNextServer() {
+    if (this.status !== 'connecting' || this.serversTried >= this.servers.length) return false;
+    this.serversTried += 1;
+    this.serverIndex = (this.serverIndex + 1) % this.servers.length;
+    console.log(`ConnectionMonitor[${this.clientId}]: Could not connect, trying ${this.server.name}`);
+    this.reconnect();
+    return true;
+  }
+
+  /**
+   * Stop reconnecting - the connection is being closed on purpose
+   */
+  stop() {
+    this.status = 'stopped';
+    this.nextAttemptAt = null;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.clearTimers();
+  }
+
+  clearTimers() {
+    clearInterval(this.probeTimer);
+    clearInterval(this.heartbeatTimer);
+    this.probeTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * @returns {Object} { status, server, latencyMs, lastMessageAt, reconnectCount, attempt, nextAttemptAt }
+   */
+  getHealth() {
+    return {
+      status: this.status,
+      server: this.server.name,
+      latencyMs: this.latencyMs,
+      lastMessageAt: this.lastMessageAt,
+      reconnectCount: this.reconnectCount,
+      attempt: this.attempt,
+      nextAttemptAt: this.nextAttemptAt
+    };
+  }
+}
+
+export default ConnectionMonitor;
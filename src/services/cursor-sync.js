@@ -0,0 +1,101 @@
+/**
+ * Cursor Sync Service
+ *
+ * Links the cursor across chart panes. A pane publishes where the mouse is over it - the bar's timestamp and the
+ * price - when the mouse leaves it, and when it is Alt+clicked to scroll every pane to that time. The other
+ * panes show a time marker on their own bar containing that timestamp, and a price line when they chart the same
+ * instrument.
+ *
+ * Panes in the same window hear each other directly. Other chart windows (replay windows) hear through the
+ * DataService 'cursor:sync' channel, which passes each message on without storing it. Mouse moves are sent there
+ * at most once per animation frame.
+ */
+
+import DataClient from './data-client';
+
+const CHANNEL = 'cursor:sync';
+
+class CursorSyncService {
+  constructor() {
+    this.listeners = new Set();
+    this.dataClient = null;
+    this.windowKey = Math.random().toString(36).slice(2, 10);
+    this.nextSourceId = 1;
+    this.pendingMove = null; // Latest mouse move waiting for the next animation frame
+    this.frameId = null;
+  }
+
+  /**
+   * A source ID for a pane, unique across windows - panes skip the messages they sent themselves
+   * @returns {string}
+   */
+  createSourceId() {
+    const sourceId = `${this.windowKey}-${this.nextSourceId}`;
+    this.nextSourceId += 1;
+    return sourceId;
+  }
+
+  /**
+   * Register a callback for cursor messages from every pane, this window's and other windows'
+   * @param {Function} callback Called with { type: 'move' | 'leave' | 'scroll', source, instrument, timestamp, price }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.connect();
+    this.listeners.add(callback);
+    return () => {
+      this.listeners.delete(callback);
+    };
+  }
+
+  /**
+   * Share a cursor message with every other pane
+   * @param {Object} message { type, source, instrument, timestamp, price }
+   */
+  publish(message) {
+    this.connect();
+    this.notifyListeners(message);
+
+    if (message.type === 'move') {
+      this.pendingMove = message;
+      if (this.frameId === null) {
+        this.frameId = window.requestAnimationFrame(() => {
+          this.frameId = null;
+          const pendingMove = this.pendingMove;
+          this.pendingMove = null;
+          if (pendingMove) this.dataClient.push(CHANNEL, pendingMove);
+        });
+      }
+      return;
+    }
+
+    // A leave or scroll replaces the move that hasn't gone out yet
+    this.pendingMove = null;
+    this.dataClient.push(CHANNEL, message);
+  }
+
+  // The window's DataClient subscription lasts as long as the window - DataClient can't remove its IPC listener
+  connect() {
+    if (this.dataClient) return;
+    this.dataClient = new DataClient();
+    this.dataClient.subscribe(CHANNEL, (message) => {
+      if (message) this.notifyListeners(message);
+    });
+  }
+
+  notifyListeners(message) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(message);
+      } catch (error) {
+        console.error('CursorSyncService: Error in cursor callback:', error);
+      }
+    });
+  }
+}
+
+// Create a singleton instance
+const cursorSyncService = new CursorSyncService();
+
+// Export the singleton instance
+export default cursorSyncService;
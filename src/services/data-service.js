@@ -24,6 +24,9 @@ class DataService {
     this.smartStopSettings = {
       stopQtyFollowsPosition: false
     };
+    
+    // Killzone windows from the main window's Killzones study, for the performance breakdown
+    this.killzoneSettings = null;
   }
 
   /**
@@ -78,6 +81,14 @@ class DataService {
         data: this.smartStopSettings
       });
     }
+    
+    // If subscribing to killzone settings, send current settings immediately
+    if (channel === 'killzones:settings') {
+      window.send('data:update', {
+        channel: 'killzones:settings',
+        data: this.killzoneSettings
+      });
+    }
 
     console.log(`DataService: Window ${windowId} subscribed to ${channel}`);
     return true;
@@ -113,6 +124,11 @@ class DataService {
     if (channel === 'smartstop:settings') {
       return this.smartStopSettings;
     }
+    
+    // Return killzone settings if requested
+    if (channel === 'killzones:settings') {
+      return this.killzoneSettings;
+    }
 
     return null;
   }
@@ -125,6 +141,13 @@ class DataService {
    */
   handleDataPush(event, params) {
     const { channel, data, windowId } = params;
+
+    // Linked cursor moves arrive many times a second - pass them on to the other chart windows unlogged and unstored
+    if (channel === 'cursor:sync') {
+      this.notifySubscribers(channel, data, windowId);
+      return true;
+    }
+
     console.log(`DataService: Window ${windowId} pushed data to ${channel}`);
 
     // Handle different types of data
@@ -150,6 +173,13 @@ class DataService {
       this.updateSmartStopSettings(data);
       return true;
     }
+    
+    // Handle killzone settings
+    if (channel === 'killzones:settings') {
+      this.killzoneSettings = data;
+      this.notifySubscribers('killzones:settings', this.killzoneSettings);
+      return true;
+    }
 
     return false;
   }
@@ -210,6 +240,33 @@ class DataService {
    * @param {Array|Object} candles Candle data to add
    */
   addCandles(instrument, timeframe, candles) {
+    this.storeCandles(instrument, timeframe, candles);
+
+    // Notify subscribers
+    const channel = `candles:${instrument}:${timeframe}`;
+    this.notifySubscribers(channel, candles);
+
+    // If this is a 1m candle and it's the latest one, update market data
+    if (timeframe === '1m') {
+      const latestCandle = this.getLatestCandle(instrument, timeframe);
+      if (latestCandle) {
+        this.updateMarketData({
+          currentSymbol: instrument,
+          latestPrice: latestCandle.close,
+          timestamp: latestCandle.timestamp
+        });
+      }
+    }
+  }
+
+  /**
+   * Keep candles in the store without notifying anyone - for the main window's whole candle stream, history
+   * included, so it can be replayed locally later
+   * @param {string} instrument Instrument symbol
+   * @param {string} timeframe Timeframe
+   * @param {Array|Object} candles Candle data to store
+   */
+  storeCandles(instrument, timeframe, candles) {
     // Initialize storage structure if needed
     if (!this.candleStore[instrument]) {
       this.candleStore[instrument] = {};
@@ -219,41 +276,28 @@ class DataService {
       this.candleStore[instrument][timeframe] = [];
     }
 
+    const store = this.candleStore[instrument][timeframe];
+
     // Handle both single candle and candle array
     const candleArray = Array.isArray(candles) ? candles : [candles];
     
-    // Add candles to store
+    // Keep the store sorted by timestamp, replacing candles that already exist (e.g. a forming bar)
     for (const candle of candleArray) {
-      // Check if candle already exists by timestamp
-      const existingIndex = this.candleStore[instrument][timeframe].findIndex(
-        c => c.timestamp === candle.timestamp
-      );
-
-      if (existingIndex >= 0) {
-        // Update existing candle
-        this.candleStore[instrument][timeframe][existingIndex] = candle;
-      } else {
-        // Add new candle
-        this.candleStore[instrument][timeframe].push(candle);
+      let low = 0;
+      let high = store.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (store[mid].timestamp < candle.timestamp) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
       }
-    }
-
-    // Sort candles by timestamp
-    this.candleStore[instrument][timeframe].sort((a, b) => a.timestamp - b.timestamp);
 
-    // Notify subscribers
-    const channel = `candles:${instrument}:${timeframe}`;
-    this.notifySubscribers(channel, candles);
-
-    // If this is a 1m candle and it's the latest one, update market data
-    if (timeframe === '1m') {
-      const latestCandle = this.getLatestCandle(instrument, timeframe);
-      if (latestCandle) {
-        this.updateMarketData({
-          currentSymbol: instrument,
-          latestPrice: latestCandle.close,
-          timestamp: latestCandle.timestamp
-        });
+      if (low < store.length && store[low].timestamp === candle.timestamp) {
+        store[low] = candle;
+      } else {
+        store.splice(low, 0, candle);
       }
     }
   }
@@ -314,13 +358,15 @@ class DataService {
    * Notify subscribers of data updates
    * @param {string} channel Channel name
    * @param {*} data Data to send
+   * @param {string} [exceptWindowId] Window to leave out, e.g. the one that pushed the data
    */
-  notifySubscribers(channel, data) {
+  notifySubscribers(channel, data, exceptWindowId = null) {
     if (!this.subscribers.has(channel)) {
       return;
     }
 
     this.subscribers.get(channel).forEach((subscriber, windowId) => {
+      if (windowId === exceptWindowId) return;
       try {
         subscriber.window.send('data:update', {
           channel,
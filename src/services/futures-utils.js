@@ -0,0 +1,52 @@
+/**
+ * Futures helpers for the main-process services
+ *
+ * Instrument naming and trading-session boundaries shared by the risk guardrails and the simulator broker.
+ * The renderer has its own versions in utils/symbolMapping.js, which the main process can't import.
+ */
+
+const { DateTime } = require('luxon');
+
+// CME futures sessions start at 18:00 ET, like the Killzones study's trading day
+const MARKET_TIME_ZONE = 'America/New_York';
+const SESSION_START_HOUR = 18;
+
+const CME_MONTHS = {
+  F: '01', G: '02', H: '03', J: '04', K: '05', M: '06',
+  N: '07', Q: '08', U: '09', V: '10', X: '11', Z: '12'
+};
+
+/**
+ * Convert a CME symbol (e.g. "MNQM5") to the NinjaTrader instrument name positions are reported under
+ * ("MNQ 06-25"). Mirrors convertCmeToNinjaTrader in utils/symbolMapping.js.
+ * @param {string} symbol CME symbol or NinjaTrader instrument name
+ * @returns {string} NinjaTrader instrument name
+ */
+const toNinjaTraderInstrument = (symbol) => {
+  const match = (symbol || '').match(/^([A-Z0-9]{1,3})([FGHJKMNQUVXZ])(\d{1,2})$/i);
+  if (!match) return symbol;
+  const [, root, monthCode, yearDigits] = match;
+  const currentYear = new Date().getFullYear();
+  let year = 2000 + parseInt(yearDigits, 10);
+  if (yearDigits.length === 1) {
+    const decade = Math.floor(currentYear / 10) * 10;
+    year = decade + parseInt(yearDigits, 10) + (parseInt(yearDigits, 10) < currentYear % 10 ? 10 : 0);
+  }
+  return `${root.toUpperCase()} ${CME_MONTHS[monthCode.toUpperCase()]}-${String(year).slice(-2)}`;
+};
+
+// Start of the trading session a time falls in - in ET whatever the machine's time zone, like VolumeProfile's
+const getSessionStart = (time) => {
+  const marketTime = DateTime.fromMillis(time).setZone(MARKET_TIME_ZONE);
+  let sessionStart = marketTime.set({ hour: SESSION_START_HOUR, minute: 0, second: 0, millisecond: 0 });
+  if (marketTime < sessionStart) {
+    sessionStart = sessionStart.minus({ days: 1 });
+  }
+  return sessionStart.toMillis();
+};
+
+module.exports = {
+  MARKET_TIME_ZONE,
+  toNinjaTraderInstrument,
+  getSessionStart
+};
@@ -0,0 +1,124 @@
+/**
+ * Hotkey Service for Quatrain
+ *
+ * Runs in the main process and keeps the hotkey bindings every chart window and Trade Window listens with - the
+ * key combination and window scope of each action - and the quantity the trading hotkeys buy and sell. The
+ * actions themselves are listed in src/utils/Hotkeys.js; only bindings that differ from an action's default are
+ * saved, in the userData directory.
+ *
+ * It also holds whether the trading hotkeys are armed. That is never saved: every run of Quatrain starts with
+ * them disarmed, and they disarm again whenever the NinjaTrader Bridge disconnects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HOTKEYS_FILE_NAME = 'hotkeys.json';
+const HOTKEY_SCOPES = ['global', 'chart', 'trade'];
+const DEFAULT_TRADE_QUANTITY = 1;
+
+class HotkeyService {
+  constructor() {
+    this.filePath = null;
+    this.settings = { bindings: {}, tradeQuantity: DEFAULT_TRADE_QUANTITY };
+    this.armed = false;
+    this.changeListeners = new Set();
+  }
+
+  /**
+   * Load the bindings and register the IPC handlers
+   * @param {Object} ipcMain Electron's ipcMain object
+   * @param {string} userDataPath Electron's userData directory
+   */
+  initialize(ipcMain, userDataPath) {
+    this.filePath = path.join(userDataPath, HOTKEYS_FILE_NAME);
+    this.load();
+
+    ipcMain.handle('hotkeys:get', () => this.getState());
+    ipcMain.handle('hotkeys:save', (event, settings) => this.save(settings));
+    ipcMain.handle('hotkeys:set-armed', (event, armed) => this.setArmed(armed));
+
+    console.log(`HotkeyService: Initialized with ${Object.keys(this.settings.bindings).length} custom binding(s)`);
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.settings = this.normalize(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+      }
+    } catch (error) {
+      console.error('HotkeyService: Error loading hotkeys, using the defaults:', error);
+    }
+  }
+
+  /**
+   * @returns {Object} { bindings, tradeQuantity, armed }
+   */
+  getState() {
+    return { ...this.settings, armed: this.armed };
+  }
+
+  /**
+   * Replace the bindings and trade quantity
+   * @param {Object} settings { bindings: { actionId -> { key, scope } }, tradeQuantity }
+   * @returns {Object} The new state
+   */
+  save(settings) {
+    this.settings = this.normalize(settings);
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.settings, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('HotkeyService: Error saving hotkeys:', error);
+    }
+    this.notifyChange();
+    return this.getState();
+  }
+
+  /**
+   * Arm or disarm the trading hotkeys
+   * @param {boolean} armed
+   * @returns {Object} The new state
+   */
+  setArmed(armed) {
+    if (this.armed !== !!armed) {
+      this.armed = !!armed;
+      console.log(`HotkeyService: Trading hotkeys ${this.armed ? 'armed' : 'disarmed'}`);
+      this.notifyChange();
+    }
+    return this.getState();
+  }
+
+  onChange(callback) {
+    this.changeListeners.add(callback);
+    return () => this.changeListeners.delete(callback);
+  }
+
+  notifyChange() {
+    const state = this.getState();
+    this.changeListeners.forEach(callback => {
+      try {
+        callback(state);
+      } catch (error) {
+        console.error('HotkeyService: Error in change callback:', error);
+      }
+    });
+  }
+
+  // Bindings with a string key (empty for none) and a known scope, and a whole trade quantity of at least 1
+  normalize(settings = {}) {
+    const bindings = {};
+    Object.entries(settings.bindings || {}).forEach(([actionId, binding]) => {
+      if (!binding) return;
+      bindings[actionId] = {
+        key: String(binding.key || '').trim(),
+        scope: HOTKEY_SCOPES.includes(binding.scope) ? binding.scope : 'global'
+      };
+    });
+    const tradeQuantity = Math.max(1, parseInt(settings.tradeQuantity, 10) || DEFAULT_TRADE_QUANTITY);
+    return { bindings, tradeQuantity };
+  }
+}
+
+module.exports = HotkeyService;
@@ -0,0 +1,298 @@
+/**
+ * Instrument Feed for Quatrain
+ *
+ * Streams candles for an additional instrument shown alongside the connection's main instrument.
+ * Chronicle's get_data replaces every subscription on the socket it arrives on, so each additional
+ * instrument gets its own WebSocket and get_data (or get_replay) request, independent of the main
+ * connection in App.js.
+ *
+ * Historical candles are collected until the stream goes quiet or the first live candle arrives, then
+ * delivered in one update; live candles are merged in as they arrive. Timeframes Chronicle doesn't serve directly are aggregated
+ * client-side, the same way App.js does for the main instrument.
+ *
+ * Outside replays, a feed whose history has loaded reconnects when its socket drops and asks only for candles
+ * from the newest one it has on, which are merged in like live candles. Given a secondary server, it fails over
+ * the same way as the main connection.
+ */
+
+import {
+  getSubscriptionTimeframes,
+  getAggregationSource,
+  aggregateCandles,
+  createCandleAggregator,
+} from '../utils/Timeframes';
+import ConnectionMonitor, { dropSocket } from './connection-monitor';
+
+const HISTORY_SETTLE_MS = 1000; // Deliver history once no historical candle has arrived for this long
+
+class InstrumentFeed {
+  /**
+   * @param {Object} options
+   * @param {string} options.instrument Instrument symbol
+   * @param {Array<string>} options.timeframes Timeframes to chart for the instrument
+   * @param {string} options.clientId Client ID of the main connection (the feed registers as `${clientId}-${instrument}`)
+   * @param {string} options.dataMode 'Live', 'History Only' or 'Replay'
+   * @param {number} options.startTime History start (ms) for Live and History Only modes
+   * @param {Object} options.replay { historyStart, liveStart, liveEnd, replayInterval } for Replay mode
+   * @param {Function} options.onData Called with the instrument and its candles keyed by timeframe
+   * @param {Array<Object>} [options.servers] Chronicle servers, the one to use first leading: [{ name, url }]
+   * @param {number} [options.heartbeatTimeoutMs] Time without a ctrl message before a server counts as hung
+   * @param {Function} [options.createSocket] Opens the feed's socket - a Chronicle WebSocket to the server's URL
+   *   unless given, e.g. a LocalReplaySocket for replays without Chronicle
+   */
+  constructor({ instrument, timeframes, clientId, dataMode, startTime, replay, onData, servers, heartbeatTimeoutMs, createSocket }) {
+    this.instrument = instrument;
+    this.timeframes = timeframes;
+    this.clientId = clientId;
+    this.dataMode = dataMode;
+    this.startTime = startTime;
+    this.replay = replay || {};
+    this.onData = onData;
+    this.createSocket = createSocket || (url => new WebSocket(url));
+
+    this.ws = null;
+    this.closed = false;
+    this.historyTimer = null;
+    this.historyLoaded = false;
+    this.resumeFrom = null; // Timestamp of each subscribed timeframe's newest candle when the socket dropped
+    this.monitor = new ConnectionMonitor({
+      clientId: `${clientId}-${instrument}`,
+      send: message => this.send(message),
+      reconnect: () => this.connect(),
+      // Local sockets have no heartbeats to miss
+      onStale: createSocket ? null : () => dropSocket(this.ws),
+      servers,
+      heartbeatTimeoutMs
+    });
+    this.candles = {}; // Candles keyed by subscribed and aggregated timeframe
+    this.aggregators = {}; // Live aggregators for client-side aggregated timeframes
+    this.subscriptionTimeframes = getSubscriptionTimeframes(timeframes);
+
+    this.subscriptionTimeframes.forEach(timeframe => { this.candles[timeframe] = []; });
+    timeframes.forEach(timeframe => {
+      if (getAggregationSource(timeframe)) {
+        this.aggregators[timeframe] = createCandleAggregator(timeframe);
+        this.candles[timeframe] = [];
+      }
+    });
+  }
+
+  /**
+   * Open the WebSocket and request data
+   */
+  connect() {
+    const ws = this.createSocket(this.monitor.server.url);
+    this.ws = ws;
+
+    ws.onopen = () => {
+      if (this.closed) {
+        ws.close();
+        return;
+      }
+      console.log(`InstrumentFeed[${this.instrument}]: Connected, subscribing to`, this.subscriptionTimeframes);
+      this.monitor.opened();
+      this.monitor.sendClientId();
+      ws.send(JSON.stringify(this.buildDataRequest()));
+    };
+
+    ws.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      this.monitor.messageReceived(message);
+      if (message.mtyp === 'data') {
+        this.handleCandle(message);
+      } else if (message.mtyp === 'error') {
+        console.error(`InstrumentFeed[${this.instrument}]: Server error:`, message.message);
+      }
+    };
+
+    ws.onerror = (err) => {
+      console.error(`InstrumentFeed[${this.instrument}]: WebSocket error:`, err);
+    };
+
+    ws.onclose = () => {
+      console.log(`InstrumentFeed[${this.instrument}]: WebSocket closed`);
+      clearTimeout(this.historyTimer);
+      if (this.closed) return;
+      if (!this.historyLoaded) {
+        this.monitor.tryNextServer();
+        return;
+      }
+      if (this.dataMode === 'Replay') return;
+
+      // Reconnect and pick up from the newest candles, which may still have been forming
+      this.resumeFrom = {};
+      this.subscriptionTimeframes.forEach(timeframe => {
+        const candles = this.candles[timeframe];
+        this.resumeFrom[timeframe] = candles.length > 0 ? candles[candles.length - 1].timestamp : this.startTime;
+      });
+      this.monitor.closed();
+    };
+  }
+
+  /**
+   * Build the get_data / get_replay request for the feed's timeframes
+   * @returns {Object} Request message
+   */
+  buildDataRequest() {
+    const subscriptions = this.subscriptionTimeframes.map(timeframe => ({
+      instrument: this.instrument,
+      timeframe
+    }));
+
+    if (this.dataMode === 'Replay') {
+      return {
+        action: 'get_replay',
+        history_start: this.replay.historyStart,
+        live_start: this.replay.liveStart,
+        live_end: this.replay.liveEnd,
+        replay_interval: this.replay.replayInterval,
+        subscriptions,
+        sendto: 'websocket'
+      };
+    }
+
+    const request = {
+      action: 'get_data',
+      subscriptions,
+      start_time: this.resumeFrom ? Math.min(...Object.values(this.resumeFrom)) : this.startTime,
+      sendto: 'websocket'
+    };
+    if (this.dataMode === 'Live') {
+      request.live_data = 'all';
+    } else {
+      request.save_cache = false;
+    }
+    return request;
+  }
+
+  /**
+   * Send a control message (e.g. modify_replay, stop_replay) on the feed's WebSocket
+   * @param {Object} message Message to send
+   */
+  send(message) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Handle a candle message from Chronicle
+   * @param {Object} message Candle message
+   */
+  handleCandle(message) {
+    const { timeframe, ...candle } = message;
+    if (message.instrument && message.instrument !== this.instrument) return;
+    if (!this.candles[timeframe] || this.aggregators[timeframe]) {
+      console.warn(`InstrumentFeed[${this.instrument}]: Unknown timeframe received: ${timeframe}`);
+      return;
+    }
+
+    if (candle.source === 'T') {
+      // The first live candle ends the history - deliver it now rather than waiting for the stream to go quiet
+      if (!this.historyLoaded) {
+        clearTimeout(this.historyTimer);
+        this.deliverHistory();
+      }
+
+      // Live candle
+      this.mergeCandle(timeframe, candle);
+      this.emit();
+      return;
+    }
+
+    // History after a reconnect fills the gap - merge it in, skipping what the feed already has, and deliver
+    // it once it stops arriving
+    if (this.historyLoaded) {
+      if (this.resumeFrom && candle.timestamp < this.resumeFrom[timeframe]) return;
+      this.mergeCandle(timeframe, candle);
+      clearTimeout(this.historyTimer);
+      this.historyTimer = setTimeout(() => this.emit(), HISTORY_SETTLE_MS);
+      return;
+    }
+
+    // Historical candle
+    this.candles[timeframe].push(candle);
+    clearTimeout(this.historyTimer);
+    this.historyTimer = setTimeout(() => this.deliverHistory(), HISTORY_SETTLE_MS);
+  }
+
+  /**
+   * Sort the collected history, build the aggregated timeframes and deliver everything at once
+   */
+  deliverHistory() {
+    this.historyTimer = null;
+    this.historyLoaded = true;
+    this.subscriptionTimeframes.forEach(timeframe => {
+      this.candles[timeframe].sort((a, b) => a.timestamp - b.timestamp);
+    });
+    Object.keys(this.aggregators).forEach(timeframe => {
+      const sourceCandles = this.candles[getAggregationSource(timeframe)];
+      this.candles[timeframe] = aggregateCandles(sourceCandles, timeframe);
+      this.aggregators[timeframe].seed(sourceCandles);
+    });
+    console.log(`InstrumentFeed[${this.instrument}]: History loaded`, Object.fromEntries(
+      Object.entries(this.candles).map(([tf, candles]) => [tf, candles.length])
+    ));
+    this.emit();
+  }
+
+  /**
+   * Update the forming bar of the timeframe and of every timeframe aggregated from it
+   * @param {string} timeframe Subscribed timeframe
+   * @param {Object} candle Candle
+   */
+  mergeCandle(timeframe, candle) {
+    this.upsertCandle(timeframe, candle);
+    Object.keys(this.aggregators).forEach(aggregatedTimeframe => {
+      if (getAggregationSource(aggregatedTimeframe) !== timeframe) return;
+      const aggregatedCandle = this.aggregators[aggregatedTimeframe].update(candle);
+      if (aggregatedCandle) this.upsertCandle(aggregatedTimeframe, aggregatedCandle);
+    });
+  }
+
+  /**
+   * Replace the candle with the same timestamp or add a new one
+   * @param {string} timeframe Timeframe
+   * @param {Object} candle Candle
+   */
+  upsertCandle(timeframe, candle) {
+    const candles = this.candles[timeframe];
+    const last = candles[candles.length - 1];
+    if (last && last.timestamp === candle.timestamp) {
+      candles[candles.length - 1] = candle;
+    } else if (!last || candle.timestamp > last.timestamp) {
+      candles.push(candle);
+    } else {
+      const index = candles.findIndex(c => c.timestamp === candle.timestamp);
+      if (index >= 0) candles[index] = candle;
+    }
+  }
+
+  /**
+   * Deliver the charted timeframes to the listener (new arrays so React sees the change)
+   */
+  emit() {
+    if (this.closed) return;
+    const data = {};
+    this.timeframes.forEach(timeframe => {
+      data[timeframe] = [...this.candles[timeframe]];
+    });
+    this.onData(this.instrument, data);
+  }
+
+  /**
+   * Close the feed
+   */
+  close() {
+    this.closed = true;
+    this.monitor.stop();
+    clearTimeout(this.historyTimer);
+    // A socket that is still connecting is closed by onopen once it opens
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.close();
+    }
+    this.ws = null;
+  }
+}
+
+export default InstrumentFeed;
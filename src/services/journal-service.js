@@ -0,0 +1,539 @@
+/**
+ * Trade Journal Service for Quatrain
+ *
+ * Runs in the main process. Every fill reported by the NinjaTrader Bridge (orderUpdate messages) and every
+ * position change (account updates) is recorded in a journal file in the userData directory. Round-trip trades
+ * are rebuilt from the fills - entry, scale-ins, scale-outs and exit - with MAE/MFE from the DataService candle
+ * store, the initial risk (from the Trade Boss plan or the first protective stop) for R multiples, and tags and
+ * notes kept per trade.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_FILE_NAME = 'trade-journal.json';
+const SAVE_DELAY_MS = 500;
+// A fill first seen on an order submitted longer ago than this is historical (resent by getOrders)
+const HISTORICAL_FILL_AGE_MS = 60 * 1000;
+const ONE_MINUTE_MS = 60 * 1000;
+// Account updates and protective stops can arrive shortly before the entry fill is reported
+const EVENT_MATCH_TOLERANCE_MS = 5000;
+
+const NT_MONTH_CODES = {
+  '01': 'F', '02': 'G', '03': 'H', '04': 'J',
+  '05': 'K', '06': 'M', '07': 'N', '08': 'Q',
+  '09': 'U', '10': 'V', '11': 'X', '12': 'Z'
+};
+
+const createEmptyJournal = () => ({
+  version: 1,
+  fills: [], // Individual executions, oldest first
+  orderFills: {}, // orderId -> { filledQuantity, averageFillPrice } last seen, to detect new fills
+  positionEvents: [], // Position opened / changed / closed, from account updates
+  lastPositions: {}, // accountId -> { instrument -> { marketPosition, quantity, averagePrice } }
+  instruments: {}, // NinjaTrader instrument name -> { pointValue, tickSize }
+  stopOrders: {}, // orderId -> { accountId, instrument, action, stopPrice, time } as first seen, for a trade's initial risk
+  orderPlans: {}, // Entry orderId -> Trade Boss plan { tradePlan, stopLossPoints, scaleOutQty, scaleOutPoints, scaleOutUnit }
+  tradeMeta: {}, // tradeId -> { tags, notes }
+  excursions: {} // tradeId -> { mae, mfe } for closed trades whose candles were all available
+});
+
+// NinjaTrader reports actions as Buy, BuyToCover, Sell and SellShort
+const getActionDirection = (action) => ((action || '').toUpperCase().startsWith('BUY') ? 1 : -1);
+
+const roundPrice = (price) => parseFloat(price.toFixed(8));
+
+/**
+ * Candle store symbols a NinjaTrader instrument may be stored under, e.g. "MNQ 06-25" -> ["MNQM5", "MNQM25", "MNQ"]
+ * @param {string} instrument NinjaTrader instrument name
+ * @returns {Array<string>} Candidate symbols
+ */
+const getCandleSymbols = (instrument) => {
+  const match = (instrument || '').match(/^([A-Z0-9]{1,3}) (\d{2})-(\d{2})$/i);
+  if (!match) return [instrument];
+  const [, root, month, year] = match;
+  const monthCode = NT_MONTH_CODES[month];
+  return [`${root}${monthCode}${year.slice(1)}`, `${root}${monthCode}${year}`, root];
+};
+
+/**
+ * Rebuild round-trip trades from fills. A trade starts when the position for an account and instrument leaves
+ * flat and ends when it returns to flat; a fill that reverses the position closes one trade and opens the next.
+ * @param {Array} fills Fills in any order
+ * @returns {Array} Trades, oldest first
+ */
+const buildTrades = (fills) => {
+  const trades = [];
+  const openTrades = new Map(); // `${accountId}|${instrument}` -> trade
+
+  [...fills].sort((a, b) => a.time - b.time).forEach(fill => {
+    const key = `${fill.accountId}|${fill.instrument}`;
+    const direction = getActionDirection(fill.action);
+    let remaining = fill.quantity;
+
+    while (remaining > 0) {
+      let trade = openTrades.get(key);
+      if (!trade) {
+        trade = {
+          id: remaining === fill.quantity ? fill.id : `${fill.id}-reverse`,
+          accountId: fill.accountId,
+          instrument: fill.instrument,
+          direction,
+          entryTime: fill.time,
+          exitTime: null,
+          position: 0,
+          maxPosition: 0,
+          entryQuantity: 0,
+          entryCost: 0,
+          exitQuantity: 0,
+          exitCost: 0,
+          pnlPoints: 0,
+          fills: []
+        };
+        openTrades.set(key, trade);
+        trades.push(trade);
+      }
+
+      if (direction === trade.direction) {
+        // Entry or scale-in
+        trade.entryQuantity += remaining;
+        trade.entryCost += fill.price * remaining;
+        trade.position += remaining;
+        trade.maxPosition = Math.max(trade.maxPosition, trade.position);
+        trade.fills.push({ ...fill, quantity: remaining, role: trade.fills.length === 0 ? 'entry' : 'scale-in' });
+        remaining = 0;
+      } else {
+        // Scale-out or exit, at the average entry price
+        const closingQuantity = Math.min(remaining, trade.position);
+        const averageEntryPrice = trade.entryCost / trade.entryQuantity;
+        trade.pnlPoints += (fill.price - averageEntryPrice) * closingQuantity * trade.direction;
+        trade.exitQuantity += closingQuantity;
+        trade.exitCost += fill.price * closingQuantity;
+        trade.position -= closingQuantity;
+        trade.fills.push({ ...fill, quantity: closingQuantity, role: trade.position === 0 ? 'exit' : 'scale-out' });
+        remaining -= closingQuantity;
+
+        if (trade.position === 0) {
+          trade.exitTime = fill.time;
+          openTrades.delete(key);
+        }
+      }
+    }
+  });
+
+  return trades.map(trade => ({
+    id: trade.id,
+    accountId: trade.accountId,
+    instrument: trade.instrument,
+    side: trade.direction === 1 ? 'long' : 'short',
+    status: trade.position === 0 ? 'closed' : 'open',
+    entryTime: trade.entryTime,
+    exitTime: trade.exitTime,
+    quantity: trade.maxPosition,
+    openQuantity: trade.position,
+    entryPrice: roundPrice(trade.entryCost / trade.entryQuantity),
+    exitPrice: trade.exitQuantity > 0 ? roundPrice(trade.exitCost / trade.exitQuantity) : null,
+    pnlPoints: roundPrice(trade.pnlPoints),
+    scaleIns: trade.fills.filter(fill => fill.role === 'scale-in').length,
+    scaleOuts: trade.fills.filter(fill => fill.role === 'scale-out').length,
+    fills: trade.fills
+  }));
+};
+
+class JournalService {
+  /**
+   * @param {Object} dataService The shared DataService, whose candle store is used for MAE/MFE
+   */
+  constructor(dataService) {
+    this.dataService = dataService;
+    this.filePath = null;
+    this.data = createEmptyJournal();
+    this.saveTimer = null;
+    this.changeListeners = new Set();
+    this.fillListeners = new Set();
+  }
+
+  /**
+   * Load the journal and register its IPC handlers
+   * @param {Object} ipcMain Electron's ipcMain object
+   * @param {string} userDataPath Electron's userData directory
+   */
+  initialize(ipcMain, userDataPath) {
+    this.filePath = path.join(userDataPath, JOURNAL_FILE_NAME);
+    this.load();
+
+    ipcMain.handle('journal:get', () => this.getJournal());
+    ipcMain.handle('journal:update-trade', (event, params) => this.updateTradeMeta(params));
+    ipcMain.on('journal:record-trade-plan', (event, params) => this.recordTradePlan(params));
+
+    console.log(`JournalService: Initialized with ${this.data.fills.length} fills from ${this.filePath}`);
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.data = { ...createEmptyJournal(), ...JSON.parse(fs.readFileSync(this.filePath, 'utf8')) };
+      }
+    } catch (error) {
+      console.error('JournalService: Error loading journal, starting a new one:', error);
+      this.data = createEmptyJournal();
+    }
+  }
+
+  // Save shortly after a change, so a burst of order updates is written once
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveNow();
+    }, SAVE_DELAY_MS);
+  }
+
+  saveNow() {
+    if (!this.filePath) return;
+    try {
+      // Write to a temporary file first so a crash can't leave a half-written journal
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.data));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('JournalService: Error saving journal:', error);
+    }
+  }
+
+  /**
+   * Register a callback for journal changes (new fills, position events, tags and notes)
+   * @param {Function} callback Called with no arguments
+   * @returns {Function} A function to unregister the callback
+   */
+  onChange(callback) {
+    this.changeListeners.add(callback);
+    return () => this.changeListeners.delete(callback);
+  }
+
+  /**
+   * Register a callback for each live fill, called as soon as the fill is recorded. Historical fills found in
+   * order updates at startup are recorded without calling it.
+   * @param {Function} callback Called with the fill
+   * @returns {Function} A function to unregister the callback
+   */
+  onFill(callback) {
+    this.fillListeners.add(callback);
+    return () => this.fillListeners.delete(callback);
+  }
+
+  notifyChange() {
+    this.scheduleSave();
+    this.changeListeners.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        console.error('JournalService: Error in change callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Record what's relevant from a NinjaTrader Bridge message
+   * @param {Object} message Bridge message
+   */
+  handleBridgeMessage(message) {
+    if (!message) return;
+    let changed = false;
+
+    switch (message.type) {
+      case 'orderUpdate':
+        changed = this.recordOrderUpdate(message.order);
+        break;
+      case 'accountDetails':
+      case 'accountDetailsUpdate':
+        changed = this.recordPositions(message.account);
+        break;
+      case 'accountsUpdate':
+        (message.accounts || []).forEach(account => {
+          changed = this.recordPositions(account) || changed;
+        });
+        break;
+      case 'instrumentProperties':
+        if (message.properties && message.properties.name) {
+          this.data.instruments[message.properties.name] = {
+            pointValue: message.properties.pointValue,
+            tickSize: message.properties.tickSize
+          };
+          this.scheduleSave();
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (changed) {
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * Record the new part of an order's fill, if any
+   * @param {Object} order Order from an orderUpdate message
+   * @returns {boolean} Whether a fill was recorded
+   */
+  recordOrderUpdate(order) {
+    if (!order || !order.orderId) return false;
+    const filledQuantity = Number(order.filledQuantity) || 0;
+    const averageFillPrice = Number(order.averageFillPrice) || 0;
+    const previous = this.data.orderFills[order.orderId];
+
+    if (!previous) {
+      // Remember working orders too, so their fills aren't mistaken for historical ones
+      this.data.orderFills[order.orderId] = { filledQuantity: 0, averageFillPrice: 0 };
+    }
+    const submittedAt = Date.parse(order.submissionTime);
+    const isHistorical = !previous && Number.isFinite(submittedAt) && Date.now() - submittedAt > HISTORICAL_FILL_AGE_MS;
+
+    // The first stop price of a stop order is the risk it protected when it was placed
+    const stopPrice = Number(order.stopPrice) || 0;
+    if (stopPrice > 0 && !this.data.stopOrders[order.orderId]) {
+      this.data.stopOrders[order.orderId] = {
+        accountId: order.accountId,
+        instrument: order.instrument,
+        action: order.action,
+        stopPrice,
+        time: isHistorical ? submittedAt : Date.now()
+      };
+      this.scheduleSave();
+    }
+
+    const previousFilled = previous ? previous.filledQuantity : 0;
+    if (filledQuantity <= previousFilled || averageFillPrice <= 0) {
+      if (!previous) this.scheduleSave();
+      return false;
+    }
+
+    const quantity = filledQuantity - previousFilled;
+    const previousCost = previous ? previous.averageFillPrice * previous.filledQuantity : 0;
+    // The price of this execution follows from the change in the order's average fill price
+    const price = roundPrice((averageFillPrice * filledQuantity - previousCost) / quantity);
+    this.data.orderFills[order.orderId] = { filledQuantity, averageFillPrice };
+
+    const fill = {
+      id: `${order.orderId}-${filledQuantity}`,
+      orderId: order.orderId,
+      name: order.name || '',
+      accountId: order.accountId,
+      instrument: order.instrument,
+      action: order.action,
+      orderType: order.type,
+      quantity,
+      price,
+      time: isHistorical ? submittedAt : Date.now()
+    };
+    this.data.fills.push(fill);
+    console.log(`JournalService: Recorded fill ${fill.action} ${fill.quantity} ${fill.instrument} @ ${fill.price} (${fill.orderId})`);
+    this.fillListeners.forEach(callback => {
+      if (isHistorical) return;
+      try {
+        callback(fill);
+      } catch (error) {
+        console.error('JournalService: Error in fill callback:', error);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Record the Trade Boss plan an entry order was placed with, sent by the Trade Window when the order fills
+   * @param {Object} params { orderId, plan }
+   */
+  recordTradePlan({ orderId, plan }) {
+    if (!orderId || !plan) return;
+    this.data.orderPlans[orderId] = plan;
+    console.log(`JournalService: Recorded Trade Boss plan for order ${orderId}`, plan);
+    this.notifyChange();
+  }
+
+  /**
+   * Record position changes from an account update
+   * @param {Object} account Account with its positions
+   * @returns {boolean} Whether a position event was recorded
+   */
+  recordPositions(account) {
+    if (!account || !account.accountId || !Array.isArray(account.positions)) return false;
+    const previousPositions = this.data.lastPositions[account.accountId] || {};
+    const currentPositions = {};
+    const now = Date.now();
+    let changed = false;
+
+    account.positions.forEach(position => {
+      if (!position.instrument || position.marketPosition === 'Flat' || !position.quantity) return;
+      currentPositions[position.instrument] = {
+        marketPosition: position.marketPosition,
+        quantity: position.quantity,
+        averagePrice: position.averagePrice
+      };
+    });
+
+    const instruments = new Set([...Object.keys(previousPositions), ...Object.keys(currentPositions)]);
+    instruments.forEach(instrument => {
+      const before = previousPositions[instrument];
+      const after = currentPositions[instrument];
+      if (before && after && before.marketPosition === after.marketPosition && before.quantity === after.quantity) return;
+
+      let event = 'changed';
+      if (!before) event = 'opened';
+      else if (!after) event = 'closed';
+
+      this.data.positionEvents.push({
+        time: now,
+        accountId: account.accountId,
+        instrument,
+        event,
+        marketPosition: after ? after.marketPosition : 'Flat',
+        quantity: after ? after.quantity : 0,
+        averagePrice: after ? after.averagePrice : null
+      });
+      changed = true;
+    });
+
+    this.data.lastPositions[account.accountId] = currentPositions;
+    return changed;
+  }
+
+  /**
+   * Maximum adverse and favorable excursion of a trade, in points per contract from the average entry price.
+   * Uses the 1m candles in the DataService candle store, and the fill prices themselves.
+   * @param {Object} trade Trade from buildTrades
+   * @returns {Object} { mae, mfe, isComplete } - isComplete when candles covered the whole trade
+   */
+  computeExcursion(trade) {
+    const startTime = Math.floor(trade.entryTime / ONE_MINUTE_MS) * ONE_MINUTE_MS;
+    const endTime = trade.exitTime || Date.now();
+    // The first candidate symbol the candle store has candles for
+    const candles = getCandleSymbols(trade.instrument)
+      .map(symbol => this.dataService.getCandlesForInstrument(symbol, '1m', { start: startTime, end: endTime }))
+      .find(symbolCandles => symbolCandles.length > 0) || [];
+    const high = Math.max(...trade.fills.map(fill => fill.price), ...candles.map(candle => candle.high));
+    const low = Math.min(...trade.fills.map(fill => fill.price), ...candles.map(candle => candle.low));
+    const isComplete = candles.length > 0
+      && candles[0].timestamp <= startTime
+      && candles[candles.length - 1].timestamp >= Math.floor(endTime / ONE_MINUTE_MS) * ONE_MINUTE_MS;
+
+    const isLong = trade.side === 'long';
+    return {
+      mae: roundPrice(Math.max(0, isLong ? trade.entryPrice - low : high - trade.entryPrice)),
+      mfe: roundPrice(Math.max(0, isLong ? high - trade.entryPrice : trade.entryPrice - low)),
+      isComplete
+    };
+  }
+
+  /**
+   * Point value of a NinjaTrader instrument, from its instrumentProperties message
+   * @param {string} instrument NinjaTrader instrument name
+   * @returns {number|null} Dollars per point, or null if not known yet
+   */
+  getPointValue(instrument) {
+    const instrumentProperties = this.data.instruments[instrument];
+    return instrumentProperties && instrumentProperties.pointValue ? instrumentProperties.pointValue : null;
+  }
+
+  /**
+   * Round-trip trades without MAE/MFE, tags or notes - cheap enough to call for every order
+   * @returns {Array} Trades from buildTrades, oldest first
+   */
+  getTrades() {
+    return buildTrades(this.data.fills);
+  }
+
+  /**
+   * Initial risk of a trade in points per contract - the Trade Boss plan's stop distance, or the distance from
+   * the first entry to the first protective stop placed while the trade was open
+   * @param {Object} trade Trade from buildTrades
+   * @param {Object|null} plan Trade Boss plan of the entry order
+   * @returns {number|null} Risk in points, or null if no stop is known
+   */
+  getInitialRisk(trade, plan) {
+    if (plan && plan.stopLossPoints > 0) {
+      return plan.stopLossPoints;
+    }
+
+    const entryPrice = trade.fills[0].price;
+    const endTime = trade.exitTime || Date.now();
+    const isLong = trade.side === 'long';
+    const stop = Object.values(this.data.stopOrders)
+      .filter(order => order.accountId === trade.accountId
+        && order.instrument === trade.instrument
+        && getActionDirection(order.action) === (isLong ? -1 : 1)
+        && order.time >= trade.entryTime - EVENT_MATCH_TOLERANCE_MS
+        && order.time <= endTime
+        && (isLong ? order.stopPrice < entryPrice : order.stopPrice > entryPrice))
+      .sort((a, b) => a.time - b.time)[0];
+    return stop ? roundPrice(Math.abs(entryPrice - stop.stopPrice)) : null;
+  }
+
+  /**
+   * Get the journal: round-trip trades with MAE/MFE, dollar P&L, risk, plan, tags and notes, and the position events
+   * @returns {Object} { trades, positionEvents }
+   */
+  getJournal() {
+    let excursionsChanged = false;
+
+    const trades = this.getTrades().map(trade => {
+      let excursion = this.data.excursions[trade.id];
+      if (!excursion) {
+        const computed = this.computeExcursion(trade);
+        excursion = { mae: computed.mae, mfe: computed.mfe };
+        // Closed trades keep their excursion once it could be computed from complete candles
+        if (trade.status === 'closed' && computed.isComplete) {
+          this.data.excursions[trade.id] = excursion;
+          excursionsChanged = true;
+        }
+      }
+
+      const pointValue = this.getPointValue(trade.instrument);
+      const meta = this.data.tradeMeta[trade.id] || {};
+      const plan = this.data.orderPlans[trade.fills[0].orderId] || null;
+      const riskPoints = this.getInitialRisk(trade, plan);
+
+      return {
+        ...trade,
+        mae: excursion.mae,
+        mfe: excursion.mfe,
+        pointValue,
+        pnlDollars: pointValue ? roundPrice(trade.pnlPoints * pointValue) : null,
+        plan,
+        riskPoints,
+        // Result in multiples of the initial risk on the largest position held
+        rMultiple: riskPoints && trade.status === 'closed'
+          ? roundPrice(trade.pnlPoints / (riskPoints * trade.quantity))
+          : null,
+        tags: meta.tags || [],
+        notes: meta.notes || ''
+      };
+    });
+
+    if (excursionsChanged) {
+      this.scheduleSave();
+    }
+
+    return { trades, positionEvents: this.data.positionEvents };
+  }
+
+  /**
+   * Set the tags and notes of a trade
+   * @param {Object} params { tradeId, tags, notes }
+   * @returns {boolean} Success status
+   */
+  updateTradeMeta({ tradeId, tags, notes }) {
+    if (!tradeId) return false;
+    const meta = this.data.tradeMeta[tradeId] || {};
+    this.data.tradeMeta[tradeId] = {
+      tags: Array.isArray(tags) ? tags : (meta.tags || []),
+      notes: typeof notes === 'string' ? notes : (meta.notes || '')
+    };
+    this.notifyChange();
+    return true;
+  }
+}
+
+module.exports = JournalService;
+// The replay scorecard rebuilds the simulator's replay trades the same way
+module.exports.buildTrades = buildTrades;
@@ -0,0 +1,299 @@
+/**
+ * Local Replay for Quatrain
+ *
+ * Plays a replay from candles Quatrain already has instead of asking Chronicle to stream it. LocalReplaySocket
+ * stands in for the Chronicle WebSocket: App.js and InstrumentFeed open it the same way, send it the same
+ * get_replay / modify_replay / stop_replay messages and get the same ctrl and data messages back, so charts,
+ * studies, the replay clock, the simulator and external clients can't tell the difference.
+ *
+ * Candles come from the on-disk candle cache in the main process, which keeps every candle the main window
+ * has received, or from another loader (e.g. an imported file). Replays are built from 1m candles - history
+ * is aggregated up front and the live part plays one minute per update like Chronicle, with each subscribed
+ * timeframe's forming bar updated as it goes. Nothing is shared between sockets, so every window can replay
+ * its own day, and because the candles are local a replay can be restarted anywhere instantly, which is how
+ * seeking backwards works.
+ *
+ * The other actions App.js sends on connect are answered locally: client settings come from the copy cached
+ * the last time Chronicle sent them, and there are no annotations or strategies.
+ */
+
+import { parseTimeframe, aggregateCandles, createCandleAggregator } from '../utils/Timeframes';
+
+const BASE_TIMEFRAME = '1m';
+const HISTORY_BATCH_SIZE = 2000; // History candles sent per batch, so the window stays responsive while loading
+const SETTINGS_KEY_PREFIX = 'quatrain-client-settings:';
+
+// Units that can be built from 1m candles - tick and second bars can't
+const BASE_UNITS = ['m', 'h', 'd', 'w'];
+
+/**
+ * Load candles from the candle cache
+ * @param {string} instrument Instrument symbol
+ * @param {string} timeframe Timeframe
+ * @param {number} start Start timestamp (ms)
+ * @param {number} end End timestamp (ms)
+ * @returns {Promise<Array>} Candles sorted by timestamp
+ */
+export const loadStoredCandles = async (instrument, timeframe, start, end) => {
+  const { ipcRenderer } = window.require('electron');
+  return (await ipcRenderer.invoke('candle-cache:get', { instrument, timeframe, start, end })) || [];
+};
+
+/**
+ * Remember a client's settings as Chronicle sent them, for replays without Chronicle
+ * @param {string} clientId Full client ID
+ * @param {Object} settings Client settings
+ */
+export const cacheClientSettings = (clientId, settings) => {
+  try {
+    localStorage.setItem(`${SETTINGS_KEY_PREFIX}${clientId}`, JSON.stringify(settings));
+  } catch (error) {
+    console.error('LocalReplay: Error caching client settings:', error);
+  }
+};
+
+const getCachedClientSettings = (clientId) => {
+  try {
+    const stored = localStorage.getItem(`${SETTINGS_KEY_PREFIX}${clientId}`);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('LocalReplay: Error reading cached client settings:', error);
+    return null;
+  }
+};
+
+class LocalReplaySocket {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.loadCandles] (instrument, timeframe, start, end) -> Promise of candles; defaults to
+   *   the candle cache
+   */
+  constructor({ loadCandles = loadStoredCandles } = {}) {
+    this.loadCandles = loadCandles;
+    this.readyState = WebSocket.CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+
+    this.clientId = null;
+    this.replay = null; // The replay being played
+    this.replayCount = 0; // Bumped on every get_replay and stop_replay, so a stale load is dropped
+    this.timer = null;
+
+    // Open asynchronously, like a WebSocket
+    setTimeout(() => {
+      if (this.readyState !== WebSocket.CONNECTING) return;
+      this.readyState = WebSocket.OPEN;
+      if (this.onopen) this.onopen({});
+    }, 0);
+  }
+
+  /**
+   * Send a message, as a JSON string
+   * @param {string} data
+   */
+  send(data) {
+    if (this.readyState !== WebSocket.OPEN) return;
+    const message = JSON.parse(data);
+    // Answer asynchronously, like a server
+    setTimeout(() => this.handleAction(message), 0);
+  }
+
+  close() {
+    if (this.readyState === WebSocket.CLOSED) return;
+    this.stopReplay();
+    this.readyState = WebSocket.CLOSED;
+    setTimeout(() => {
+      if (this.onclose) this.onclose({});
+    }, 0);
+  }
+
+  emit(message) {
+    if (this.readyState !== WebSocket.OPEN || !this.onmessage) return;
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+
+  emitError(text) {
+    console.error(`LocalReplay: ${text}`);
+    this.emit({ mtyp: 'error', message: text });
+  }
+
+  handleAction(message) {
+    if (this.readyState !== WebSocket.OPEN) return;
+
+    switch (message.action) {
+      case 'set_client_id':
+        this.clientId = message.clientid;
+        break;
+      case 'get_client_settings':
+        this.emit({
+          mtyp: 'ctrl',
+          action: 'client_settings_response',
+          client_id: message.client_id,
+          settings: getCachedClientSettings(message.client_id)
+        });
+        break;
+      case 'save_client_settings':
+        cacheClientSettings(message.client_id, {
+          ...getCachedClientSettings(message.client_id),
+          ...message.new_values
+        });
+        break;
+      case 'get_anno':
+        this.emit({
+          mtyp: 'ctrl',
+          action: 'get_anno_response',
+          clientid: message.clientid,
+          clienttype: message.clienttype,
+          instrument: message.instrument,
+          annos: []
+        });
+        break;
+      case 'get_strat':
+        this.emit({ mtyp: 'ctrl', action: 'get_strat_response', strats: [] });
+        break;
+      case 'get_replay':
+        this.startReplay(message).catch(error => this.emitError(`Replay failed: ${error.message}`));
+        break;
+      case 'modify_replay':
+        this.modifyReplay(message);
+        break;
+      case 'stop_replay':
+        this.stopReplay();
+        break;
+      default:
+        console.log(`LocalReplay: Ignoring ${message.action} - it needs Chronicle`);
+    }
+  }
+
+  /**
+   * Load the candles for a get_replay request, send the history and start playing
+   * @param {Object} message get_replay request
+   */
+  async startReplay(message) {
+    this.stopReplay();
+    const replayCount = this.replayCount;
+    const historyStart = message.history_start;
+    const liveStart = message.live_start;
+    const liveEnd = message.live_end;
+
+    const subscriptions = (message.subscriptions || []).filter(subscription => {
+      const parsed = parseTimeframe(subscription.timeframe);
+      if (parsed && BASE_UNITS.includes(parsed.unit)) return true;
+      this.emitError(`Local replay can't build ${subscription.timeframe} candles from ${BASE_TIMEFRAME} candles`);
+      return false;
+    });
+
+    // 1m candles of each instrument for the whole range
+    const instruments = [...new Set(subscriptions.map(subscription => subscription.instrument))];
+    const baseCandles = {};
+    for (const instrument of instruments) {
+      baseCandles[instrument] = await this.loadCandles(instrument, BASE_TIMEFRAME, historyStart, liveEnd);
+      if (this.replayCount !== replayCount || this.readyState !== WebSocket.OPEN) return;
+      if (baseCandles[instrument].length === 0) {
+        this.emitError(`No ${BASE_TIMEFRAME} candles stored for ${instrument} in the replay range`);
+      }
+    }
+
+    // History is sent aggregated, and each aggregated timeframe's forming bar picks up from it
+    const history = [];
+    const streams = subscriptions.map(({ instrument, timeframe }) => {
+      const historyCandles = baseCandles[instrument].filter(candle => candle.timestamp < liveStart);
+      const aggregator = timeframe === BASE_TIMEFRAME ? null : createCandleAggregator(timeframe);
+      const candles = aggregator ? aggregateCandles(historyCandles, timeframe) : historyCandles;
+      candles.forEach(candle => history.push({ ...candle, instrument, timeframe, source: 'H' }));
+      if (aggregator) aggregator.seed(historyCandles);
+      return { instrument, timeframe, aggregator };
+    });
+
+    this.replay = {
+      streams,
+      // Each instrument's 1m candles still to play, and the index of the next one
+      liveCandles: instruments.reduce((result, instrument) => ({
+        ...result,
+        [instrument]: baseCandles[instrument].filter(candle => candle.timestamp >= liveStart && candle.timestamp <= liveEnd)
+      }), {}),
+      nextIndex: instruments.reduce((result, instrument) => ({ ...result, [instrument]: 0 }), {}),
+      interval: message.replay_interval || 1000,
+      paused: false,
+      loading: true
+    };
+
+    for (let index = 0; index < history.length; index += HISTORY_BATCH_SIZE) {
+      history.slice(index, index + HISTORY_BATCH_SIZE).forEach(candle => this.emit({ mtyp: 'data', ...candle }));
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (this.replayCount !== replayCount || this.readyState !== WebSocket.OPEN) return;
+    }
+    console.log(`LocalReplay: Sent ${history.length} history candles, replaying ${instruments.join(', ')}`);
+
+    this.replay.loading = false;
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Pause, resume or change the update interval
+   * @param {Object} message modify_replay request
+   */
+  modifyReplay(message) {
+    if (!this.replay) return;
+    if (message.pause !== undefined) {
+      this.replay.paused = !!message.pause;
+    }
+    if (message.replay_interval) {
+      this.replay.interval = message.replay_interval;
+    }
+    this.scheduleUpdate();
+  }
+
+  stopReplay() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.replay = null;
+    this.replayCount += 1;
+  }
+
+  scheduleUpdate() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.replay || this.replay.loading || this.replay.paused) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (this.playNextMinute()) {
+        this.scheduleUpdate();
+      }
+    }, this.replay.interval);
+  }
+
+  /**
+   * Send the next minute of every instrument as live candles. Minutes with no candles (session breaks) are
+   * skipped rather than played as empty updates.
+   * @returns {boolean} False once the replay has run out of candles
+   */
+  playNextMinute() {
+    const { streams, liveCandles, nextIndex } = this.replay;
+    const nextTimes = Object.keys(liveCandles)
+      .filter(instrument => nextIndex[instrument] < liveCandles[instrument].length)
+      .map(instrument => liveCandles[instrument][nextIndex[instrument]].timestamp);
+    if (nextTimes.length === 0) {
+      console.log('LocalReplay: Replay finished');
+      this.replay = null;
+      return false;
+    }
+
+    const minute = Math.min(...nextTimes);
+    Object.keys(liveCandles).forEach(instrument => {
+      const candle = liveCandles[instrument][nextIndex[instrument]];
+      if (!candle || candle.timestamp !== minute) return;
+      nextIndex[instrument] += 1;
+
+      streams.filter(stream => stream.instrument === instrument).forEach(stream => {
+        const liveCandle = stream.aggregator ? stream.aggregator.update(candle) : { ...candle, isClosed: true };
+        this.emit({ mtyp: 'data', ...liveCandle, instrument, timeframe: stream.timeframe, source: 'T' });
+      });
+    });
+    return true;
+  }
+}
+
+export default LocalReplaySocket;
@@ -1,8 +1,12 @@
 // NinjaTrader Bridge Service
 // This module manages the WebSocket connection to NinjaTrader Bridge
 
+// The NinjaTrader add-on's address - the Quatrain simulator speaks the same protocol on its own port
+export const NT_BRIDGE_URL = 'ws://localhost:8079';
+
 // Singleton instance variables
 let ntBridgeConnectionManagerInitialized = false;
+let ntBridgeUrl = NT_BRIDGE_URL;
 let ntBridgeWebSocket = null;
 let ntBridgeConnectionStatus = false;
 let messageHandlers = [];
@@ -123,8 +127,20 @@ export const initNTBridgeConnectionManager = (ipcRenderer) => {
   // We'll connect only when the user explicitly requests it
 };
 
-// Connect to NinjaTrader Bridge
-export const connectToNTBridge = () => {
+// Connect to NinjaTrader Bridge - or to another server speaking its protocol when a URL is given.
+// Reconnects go back to the last URL.
+export const connectToNTBridge = (url) => {
+  if (url && url !== ntBridgeUrl) {
+    // Switching servers - drop the connection to the old one
+    ntBridgeUrl = url;
+    if (ntBridgeWebSocket) {
+      ntBridgeWebSocket.onclose = null;
+      ntBridgeWebSocket.onerror = null;
+      ntBridgeWebSocket.close();
+      ntBridgeWebSocket = null;
+    }
+  }
+
   if (ntBridgeWebSocket && ntBridgeWebSocket.readyState === WebSocket.OPEN) {
     console.log('NT Bridge Connection Manager: Already connected');
     return;
@@ -156,8 +172,8 @@ export const connectToNTBridge = () => {
   
   // Create new WebSocket connection
   try {
-    console.log('NT Bridge Connection Manager: Creating new WebSocket connection');
-    ntBridgeWebSocket = new WebSocket('ws://localhost:8079');
+    console.log(`NT Bridge Connection Manager: Creating new WebSocket connection to ${ntBridgeUrl}`);
+    ntBridgeWebSocket = new WebSocket(ntBridgeUrl);
     
     ntBridgeWebSocket.onopen = () => {
       console.log('NT Bridge Connection Manager: Connected to NinjaTrader Bridge');
@@ -324,7 +340,8 @@ const updateConnectionStatus = (connected) => {
   // Notify all components via IPC
   try {
     const { ipcRenderer } = window.require('electron');
-    ipcRenderer.send('nt-bridge-status-broadcast', connected);
+    // With the URL, so the main process knows whether orders go to NinjaTrader or the Quatrain Simulator
+    ipcRenderer.send('nt-bridge-status-broadcast', connected, connected ? ntBridgeUrl : null);
   } catch (error) {
     console.error('Error broadcasting connection status via IPC:', error);
   }
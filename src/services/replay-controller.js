@@ -0,0 +1,175 @@
+/**
+ * Replay Controller for Quatrain
+ *
+ * Drives a Chronicle replay beyond pause and resume: speed presets tied to real time, stepping forward one bar
+ * of a timeframe and jumping ahead to a time. Chronicle pushes one minute of data per update and has no seek, so
+ * a step or jump plays fast and pauses once the replay gets there.
+ *
+ * It is also the replay clock for the main instrument. Every replayed candle passes through it before anything
+ * else sees it - charts, studies, Trade Boss, external clients and the simulator - and it holds back candles the
+ * replay hasn't reached: coarser timeframes wait for the clock to reach the bar they belong to, nothing past a
+ * step or jump target is let through until the replay moves on, and nothing past the end of the range at all.
+ */
+
+import { getBucketStart, getTimeframeDurationMs } from '../utils/Timeframes';
+
+const REPLAY_UPDATE_MS = 60000; // One minute per update, so 1x is an update a minute
+const MOVE_INTERVAL_MS = 25; // Update interval while stepping or jumping
+
+export const SPEED_PRESETS = [1, 5, 60];
+
+// Update interval that plays the replay at a multiple of real time
+export const getSpeedInterval = (speed) => Math.round(REPLAY_UPDATE_MS / speed);
+
+class ReplayController {
+  /**
+   * @param {Object} options
+   * @param {string} options.clockTimeframe Finest subscribed timeframe - its candles drive the clock
+   * @param {number} options.liveStart Start of the replayed range (ms)
+   * @param {number} options.liveEnd End of the replayed range (ms)
+   * @param {number} options.interval Update interval (ms) the replay was started with
+   * @param {Function} options.send Sends a control message to Chronicle (and the instrument feeds)
+   * @param {Function} options.onDeliver Called with each candle message once the replay has reached it
+   * @param {Function} options.onMoveEnd Called when a step or jump has arrived and the replay is paused
+   */
+  constructor({ clockTimeframe, liveStart, liveEnd, interval, send, onDeliver, onMoveEnd }) {
+    this.clockTimeframe = clockTimeframe;
+    this.clockStepMs = getTimeframeDurationMs(clockTimeframe);
+    this.liveStart = liveStart;
+    this.liveEnd = liveEnd;
+    this.interval = interval;
+    this.send = send;
+    this.onDeliver = onDeliver;
+    this.onMoveEnd = onMoveEnd;
+
+    this.time = null; // Timestamp of the newest clock timeframe candle delivered
+    this.limit = Infinity; // Clock candles after this are held
+    this.target = null; // Clock time a step or jump is heading for
+    this.isMoving = false; // Playing at MOVE_INTERVAL_MS towards the target
+    this.held = []; // Candle messages the replay hasn't reached yet, in arrival order
+  }
+
+  /**
+   * Take a replayed candle message from Chronicle. It's delivered now or once the replay gets to it.
+   * @param {Object} message Chronicle data message
+   */
+  handleCandle(message) {
+    if (message.timestamp > this.liveEnd) return;
+    this.held.push(message);
+    this.deliver();
+  }
+
+  canDeliver(message) {
+    if (message.timeframe === this.clockTimeframe) return message.timestamp <= this.limit;
+    return this.time !== null && message.timestamp <= this.time;
+  }
+
+  // Deliver the held candles the replay has reached, keeping each timeframe's candles in order
+  deliver() {
+    let delivered = true;
+    while (delivered && this.held.length > 0) {
+      delivered = false;
+      const blocked = new Set();
+      const stillHeld = [];
+      for (const message of this.held) {
+        if (blocked.has(message.timeframe) || !this.canDeliver(message)) {
+          blocked.add(message.timeframe);
+          stillHeld.push(message);
+          continue;
+        }
+        if (message.timeframe === this.clockTimeframe) {
+          this.time = Math.max(this.time || 0, message.timestamp);
+        }
+        this.onDeliver(message);
+        delivered = true;
+      }
+      this.held = stillHeld;
+    }
+
+    // Arrived - or the replay went past the target without a candle at it, e.g. across a session break
+    if (this.target !== null && (this.time >= this.target || this.held.some(message =>
+      message.timeframe === this.clockTimeframe && message.timestamp > this.target))) {
+      this.finishMove();
+    }
+  }
+
+  /**
+   * Pause or resume the replay. Resuming lets every held candle through.
+   * @param {boolean} paused
+   */
+  setPaused(paused) {
+    if (this.isMoving) {
+      this.isMoving = false;
+      this.send({ action: 'modify_replay', replay_interval: this.interval });
+    }
+    this.target = null;
+    this.send({ action: 'modify_replay', pause: paused });
+    if (!paused) {
+      this.limit = Infinity;
+      this.deliver();
+    }
+  }
+
+  /**
+   * Set the update interval the replay plays at
+   * @param {number} interval Milliseconds per update
+   */
+  setInterval(interval) {
+    this.interval = interval;
+    // A step or jump in progress restores it when it arrives
+    if (!this.isMoving) {
+      this.send({ action: 'modify_replay', replay_interval: interval });
+    }
+  }
+
+  // Where the clock is, or just before the range if no live candle has been delivered yet
+  getClockTime() {
+    return this.time === null ? this.liveStart - this.clockStepMs : this.time;
+  }
+
+  /**
+   * Play to the end of the next bar of a timeframe - the rest of the current bar if it's still forming - and pause
+   * @param {string} timeframe
+   */
+  step(timeframe) {
+    const barStart = getBucketStart(this.getClockTime() + this.clockStepMs, timeframe);
+    const nextBarStart = getBucketStart(barStart + getTimeframeDurationMs(timeframe), timeframe);
+    this.moveTo(nextBarStart - this.clockStepMs);
+  }
+
+  /**
+   * Play ahead to a time and pause there
+   * @param {number} time Timestamp (ms) for the clock to reach
+   * @returns {boolean} False if the time isn't ahead of the clock within the range - the replay has to be
+   *   restarted to get there
+   */
+  jumpTo(time) {
+    if (time <= this.getClockTime() || time > this.liveEnd) return false;
+    this.moveTo(time);
+    return true;
+  }
+
+  moveTo(target) {
+    this.target = target;
+    this.limit = target;
+    // Candles held from the last move may already get there
+    this.deliver();
+    if (this.target === null) return;
+
+    this.isMoving = true;
+    this.send({ action: 'modify_replay', replay_interval: MOVE_INTERVAL_MS });
+    this.send({ action: 'modify_replay', pause: false });
+  }
+
+  finishMove() {
+    this.target = null;
+    this.send({ action: 'modify_replay', pause: true });
+    if (this.isMoving) {
+      this.isMoving = false;
+      this.send({ action: 'modify_replay', replay_interval: this.interval });
+    }
+    this.onMoveEnd(this.time);
+  }
+}
+
+export default ReplayController;
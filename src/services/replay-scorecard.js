@@ -0,0 +1,172 @@
+/**
+ * Replay Scorecard for Quatrain
+ *
+ * Scores the trades taken against a replay in the Quatrain Simulator: round trips rebuilt from the session's
+ * fills, dollar P&L net of commission, R multiples from the first protective stop, and the mistakes the team
+ * drills replays for - trading without a stop, moving a stop away, adding to a loser, losing more than the
+ * planned risk, re-entering right after a loss and holding a position through the end of the replay.
+ */
+
+const { buildTrades } = require('./journal-service');
+
+// A loss this far past -1R is more than slippage on the stop
+const OVER_RISK_TOLERANCE_R = 0.1;
+// An entry this soon after a losing exit, in replay time, is a revenge trade
+const REVENGE_WINDOW_MS = 2 * 60 * 1000;
+// Protective stops can be placed shortly before the entry fill is reported
+const STOP_MATCH_TOLERANCE_MS = 5000;
+
+const MISTAKE_LABELS = {
+  'no-stop': 'Traded without a stop',
+  'stop-moved-away': 'Moved the stop away',
+  'added-to-loser': 'Added to a losing position',
+  'over-risk': 'Lost more than the planned risk',
+  'revenge-trade': 'Re-entered right after a loss',
+  'held-at-end': 'Held a position at the end of the replay'
+};
+
+const getActionDirection = (action) => ((action || '').toUpperCase().startsWith('BUY') ? 1 : -1);
+
+const round = (value, decimals) => parseFloat(value.toFixed(decimals));
+
+// Protective stops of a trade - exit-side stops beyond the entry, placed while it was open
+const getTradeStops = (trade, stopOrders, endTime) => {
+  const isLong = trade.side === 'long';
+  const entryPrice = trade.fills[0].price;
+  return stopOrders
+    .filter(order => order.accountId === trade.accountId
+      && order.instrument === trade.instrument
+      && getActionDirection(order.action) === (isLong ? -1 : 1)
+      && order.time >= trade.entryTime - STOP_MATCH_TOLERANCE_MS
+      && order.time <= endTime
+      && (isLong ? order.stopPrice < entryPrice : order.stopPrice > entryPrice))
+    .sort((a, b) => a.time - b.time);
+};
+
+// Scale-ins at a worse price than the average entry before them
+const getLosingScaleIns = (trade) => {
+  let quantity = 0;
+  let cost = 0;
+  return trade.fills.filter(fill => {
+    if (fill.role !== 'entry' && fill.role !== 'scale-in') return false;
+    const averageEntryPrice = quantity > 0 ? cost / quantity : fill.price;
+    quantity += fill.quantity;
+    cost += fill.price * fill.quantity;
+    return fill.role === 'scale-in' && (fill.price - averageEntryPrice) * (trade.side === 'long' ? 1 : -1) < 0;
+  });
+};
+
+/**
+ * Build the scorecard of a replay session
+ * @param {Object} session
+ * @param {string} session.instrument Instrument replayed
+ * @param {number} session.liveStart Start of the replayed range (ms)
+ * @param {number} session.liveEnd End of the replayed range (ms)
+ * @param {number} session.endTime Replay time the session ended at (ms)
+ * @param {string} session.reason 'completed', 'stopped' or 'reset'
+ * @param {Array} session.fills { id, orderId, accountId, instrument, action, quantity, price, time } in replay time
+ * @param {Array} session.stopOrders { orderId, accountId, instrument, action, stopPrice, time } as first placed
+ * @param {Array} session.stopMoves { orderId, accountId, instrument, action, from, to, time }
+ * @param {Object} session.lastPrices instrument -> last replayed price, to mark positions still open
+ * @param {number} session.commissionPerContract Dollars per contract per side
+ * @param {Function} getPointValue (instrument) -> dollars per point
+ * @returns {Object} { instrument, liveStart, liveEnd, endTime, reason, trades, mistakes, summary }
+ */
+const buildReplayScorecard = (session, getPointValue) => {
+  const mistakes = [];
+  const addMistake = (type, trade, time, detail) => {
+    mistakes.push({ type, label: MISTAKE_LABELS[type], tradeId: trade.id, time, detail });
+  };
+
+  const trades = buildTrades(session.fills).map((trade, index, allTrades) => {
+    const pointValue = getPointValue(trade.instrument);
+    const direction = trade.side === 'long' ? 1 : -1;
+    const isOpen = trade.status === 'open';
+    const endTime = trade.exitTime || session.endTime;
+
+    // Positions still open are marked at the last replayed price
+    let pnlPoints = trade.pnlPoints;
+    if (isOpen) {
+      const lastPrice = session.lastPrices[trade.instrument];
+      if (Number.isFinite(lastPrice)) {
+        pnlPoints += (lastPrice - trade.entryPrice) * trade.openQuantity * direction;
+      }
+    }
+    const contracts = trade.fills.reduce((sum, fill) => sum + fill.quantity, 0);
+    const commission = contracts * session.commissionPerContract;
+    const pnlDollars = round(pnlPoints * pointValue - commission, 2);
+
+    const stops = getTradeStops(trade, session.stopOrders, endTime);
+    const riskPoints = stops.length > 0 ? round(Math.abs(trade.fills[0].price - stops[0].stopPrice), 8) : null;
+    const rMultiple = riskPoints ? round(pnlPoints / (riskPoints * trade.quantity), 2) : null;
+
+    if (stops.length === 0) {
+      addMistake('no-stop', trade, trade.entryTime, `${trade.side} ${trade.quantity} at ${trade.entryPrice} with no protective stop`);
+    }
+
+    const stopOrderIds = new Set(stops.map(stop => stop.orderId));
+    session.stopMoves
+      .filter(move => stopOrderIds.has(move.orderId)
+        && move.time >= trade.entryTime && move.time <= endTime
+        && (move.to - move.from) * direction < 0)
+      .forEach(move => addMistake('stop-moved-away', trade, move.time, `Stop moved from ${move.from} to ${move.to}`));
+
+    getLosingScaleIns(trade).forEach(fill => {
+      addMistake('added-to-loser', trade, fill.time, `Added ${fill.quantity} at ${fill.price}`);
+    });
+
+    if (rMultiple !== null && rMultiple < -1 - OVER_RISK_TOLERANCE_R) {
+      addMistake('over-risk', trade, endTime, `Lost ${Math.abs(rMultiple)}R`);
+    }
+
+    const previousTrade = allTrades.slice(0, index).reverse()
+      .find(other => other.accountId === trade.accountId && other.instrument === trade.instrument && other.exitTime);
+    if (previousTrade && previousTrade.pnlPoints < 0 && trade.entryTime - previousTrade.exitTime <= REVENGE_WINDOW_MS) {
+      addMistake('revenge-trade', trade, trade.entryTime,
+        `Entered ${Math.round((trade.entryTime - previousTrade.exitTime) / 1000)}s after a losing exit`);
+    }
+
+    if (isOpen) {
+      addMistake('held-at-end', trade, session.endTime, `${trade.openQuantity} still open`);
+    }
+
+    return {
+      ...trade,
+      pnlPoints: round(pnlPoints, 8),
+      pnlDollars,
+      commission: round(commission, 2),
+      riskPoints,
+      rMultiple
+    };
+  });
+
+  const results = trades.map(trade => trade.pnlDollars);
+  const wins = results.filter(pnl => pnl > 0).length;
+  const rMultiples = trades.map(trade => trade.rMultiple).filter(rMultiple => rMultiple !== null);
+  const totalR = rMultiples.reduce((sum, rMultiple) => sum + rMultiple, 0);
+
+  return {
+    instrument: session.instrument,
+    liveStart: session.liveStart,
+    liveEnd: session.liveEnd,
+    endTime: session.endTime,
+    reason: session.reason,
+    trades,
+    mistakes: mistakes.sort((a, b) => a.time - b.time),
+    summary: {
+      tradeCount: trades.length,
+      wins,
+      losses: results.filter(pnl => pnl < 0).length,
+      winRate: trades.length > 0 ? round(wins / trades.length, 4) : null,
+      netPnl: round(results.reduce((sum, pnl) => sum + pnl, 0), 2),
+      commission: round(trades.reduce((sum, trade) => sum + trade.commission, 0), 2),
+      totalR: round(totalR, 2),
+      averageR: rMultiples.length > 0 ? round(totalR / rMultiples.length, 2) : null,
+      mistakeCount: mistakes.length
+    }
+  };
+};
+
+module.exports = {
+  buildReplayScorecard
+};
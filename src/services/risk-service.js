@@ -0,0 +1,548 @@
+/**
+ * Risk Guardrails Service for Quatrain
+ *
+ * Runs in the main process in front of every order sent to the NinjaTrader Bridge. Orders that open or add to a
+ * position are checked against the configured rules - max contracts per instrument, max daily realized loss, max
+ * open risk, max trades per day, a cooldown after consecutive losses and lockout windows around set times - and
+ * blocked when a rule trips. Orders that reduce a position are never blocked. Every decision is written to an
+ * audit trail kept with the settings in the userData directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { MARKET_TIME_ZONE, toNinjaTraderInstrument, getSessionStart } = require('./futures-utils');
+
+const RISK_FILE_NAME = 'risk-guardrails.json';
+const SAVE_DELAY_MS = 500;
+const MAX_AUDIT_ENTRIES = 2000;
+const LOCKOUT_CHECK_INTERVAL_MS = 15 * 1000;
+const CLOSED_ORDER_STATES = ['filled', 'cancelled', 'rejected'];
+// Requests that can open a position - a bracket's entry is checked like a single order
+const ENTRY_REQUEST_TYPES = ['place_order', 'place_bracket'];
+
+const DEFAULT_RISK_SETTINGS = {
+  enabled: false,
+  maxContractsPerInstrument: 0, // 0 turns a rule off
+  maxDailyLoss: 0, // Dollars of realized loss in the session
+  maxOpenRisk: 0, // Dollars between open positions (and the new entry) and their stops
+  requireStop: false, // Block entries that don't say where their stop is while max open risk is on
+  maxTradesPerDay: 0,
+  maxConsecutiveLosses: 0,
+  cooldownMinutes: 30,
+  lockouts: [], // [{ time: '08:30', minutesBefore: 2, minutesAfter: 5, label: 'CPI', flatten: false }]
+  flattenOnDailyLoss: false
+};
+
+// Orders use BUY/SELL, NinjaTrader reports Buy, BuyToCover, Sell and SellShort
+const getActionDirection = (action) => ((action || '').toUpperCase().startsWith('BUY') ? 1 : -1);
+
+const formatMinutesAsTime = (date) => DateTime.fromJSDate(date).setZone(MARKET_TIME_ZONE).toFormat("HH:mm 'ET'");
+
+class RiskService {
+  /**
+   * @param {Object} journalService The JournalService, for fills, trades and point values
+   */
+  constructor(journalService) {
+    this.journalService = journalService;
+    this.filePath = null;
+    this.settings = { ...DEFAULT_RISK_SETTINGS };
+    this.audit = []; // Newest first
+    this.flattenedSessions = {}; // accountId -> session start already flattened for the daily loss
+    this.positions = {}; // accountId -> { instrument -> { quantity (signed), averagePrice } }
+    this.realizedPnl = {}; // accountId -> realized profit/loss reported by NinjaTrader
+    this.workingOrders = {}; // orderId -> { accountId, instrument, direction, quantity, stopPrice }
+    this.activeLockouts = new Map(); // Key -> end of each lockout already announced (and flattened), until it ends
+    this.saveTimer = null;
+    this.lockoutTimer = null;
+    this.changeListeners = new Set();
+    this.sendToBridge = null;
+    this.showNotification = null;
+  }
+
+  /**
+   * Load the settings and audit trail and register the IPC handlers
+   * @param {Object} ipcMain Electron's ipcMain object
+   * @param {string} userDataPath Electron's userData directory
+   * @param {Object} handlers { sendToBridge(message), showNotification(title, body) }
+   */
+  initialize(ipcMain, userDataPath, { sendToBridge, showNotification }) {
+    this.filePath = path.join(userDataPath, RISK_FILE_NAME);
+    this.sendToBridge = sendToBridge;
+    this.showNotification = showNotification;
+    this.load();
+
+    ipcMain.handle('risk:get', () => this.getState());
+    ipcMain.handle('risk:update-settings', (event, settings) => this.updateSettings(settings));
+
+    // Positions follow fills immediately, so exits sent right after an entry fill are recognized as exits
+    this.journalService.onFill(fill => this.applyFill(fill));
+
+    this.lockoutTimer = setInterval(() => this.checkLockouts(), LOCKOUT_CHECK_INTERVAL_MS);
+
+    console.log(`RiskService: Initialized, guardrails ${this.settings.enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.settings = { ...DEFAULT_RISK_SETTINGS, ...saved.settings };
+        this.audit = Array.isArray(saved.audit) ? saved.audit : [];
+        this.flattenedSessions = saved.flattenedSessions || {};
+      }
+    } catch (error) {
+      console.error('RiskService: Error loading risk settings, using defaults:', error);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveNow();
+    }, SAVE_DELAY_MS);
+  }
+
+  saveNow() {
+    if (!this.filePath) return;
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({
+        settings: this.settings,
+        audit: this.audit,
+        flattenedSessions: this.flattenedSessions
+      }));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('RiskService: Error saving risk settings:', error);
+    }
+  }
+
+  shutdown() {
+    if (this.lockoutTimer) {
+      clearInterval(this.lockoutTimer);
+      this.lockoutTimer = null;
+    }
+    this.saveNow();
+  }
+
+  /**
+   * Register a callback for changes (settings, audit entries)
+   * @param {Function} callback Called with no arguments
+   * @returns {Function} A function to unregister the callback
+   */
+  onChange(callback) {
+    this.changeListeners.add(callback);
+    return () => this.changeListeners.delete(callback);
+  }
+
+  notifyChange() {
+    this.scheduleSave();
+    this.changeListeners.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        console.error('RiskService: Error in change callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Add an entry to the audit trail
+   * @param {Object} entry { decision: 'allowed'|'blocked'|'exit'|'flatten'|'settings', rule, reason, ... }
+   */
+  addAudit(entry) {
+    const auditEntry = { id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, time: Date.now(), ...entry };
+    this.audit = [auditEntry, ...this.audit].slice(0, MAX_AUDIT_ENTRIES);
+    console.log(`RiskService: ${auditEntry.decision}${auditEntry.rule ? ` (${auditEntry.rule})` : ''} - ${auditEntry.reason}`);
+    this.notifyChange();
+  }
+
+  /**
+   * Change the rules
+   * @param {Object} settings Settings to change
+   * @returns {Object} The new settings
+   */
+  updateSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    this.addAudit({ decision: 'settings', reason: `Guardrails ${this.settings.enabled ? 'enabled' : 'disabled'}, settings saved`, settings: this.settings });
+    return this.settings;
+  }
+
+  /**
+   * Follow positions, working orders and realized P&L from a NinjaTrader Bridge message
+   * @param {Object} message Bridge message
+   */
+  handleBridgeMessage(message) {
+    if (!message) return;
+    switch (message.type) {
+      case 'orderUpdate':
+        this.trackOrder(message.order);
+        break;
+      case 'accountDetails':
+      case 'accountDetailsUpdate':
+        this.trackAccount(message.account);
+        break;
+      case 'accountsUpdate':
+        (message.accounts || []).forEach(account => this.trackAccount(account));
+        break;
+      default:
+        break;
+    }
+  }
+
+  trackOrder(order) {
+    if (!order || !order.orderId) return;
+    const state = (order.state || '').toLowerCase();
+    const remaining = (Number(order.quantity) || 0) - (Number(order.filledQuantity) || 0);
+    if (CLOSED_ORDER_STATES.includes(state) || remaining <= 0) {
+      delete this.workingOrders[order.orderId];
+      return;
+    }
+    this.workingOrders[order.orderId] = {
+      accountId: order.accountId,
+      instrument: order.instrument,
+      direction: getActionDirection(order.action),
+      quantity: remaining,
+      stopPrice: Number(order.stopPrice) || 0
+    };
+  }
+
+  trackAccount(account) {
+    if (!account || !account.accountId) return;
+    if (Array.isArray(account.positions)) {
+      const positions = {};
+      account.positions.forEach(position => {
+        if (!position.instrument || position.marketPosition === 'Flat' || !position.quantity) return;
+        positions[position.instrument] = {
+          quantity: position.marketPosition === 'Short' ? -position.quantity : position.quantity,
+          averagePrice: position.averagePrice
+        };
+      });
+      this.positions[account.accountId] = positions;
+    }
+    if (typeof account.realizedProfitLoss === 'number') {
+      this.realizedPnl[account.accountId] = account.realizedProfitLoss;
+      this.checkDailyLossFlatten(account.accountId);
+    }
+  }
+
+  // Keep the position current between account updates
+  applyFill(fill) {
+    const accountPositions = this.positions[fill.accountId] || (this.positions[fill.accountId] = {});
+    const position = accountPositions[fill.instrument] || { quantity: 0, averagePrice: fill.price };
+    const signedQuantity = getActionDirection(fill.action) * fill.quantity;
+    const newQuantity = position.quantity + signedQuantity;
+
+    let { averagePrice } = position;
+    if (position.quantity === 0 || Math.sign(newQuantity) !== Math.sign(position.quantity)) {
+      averagePrice = fill.price;
+    } else if (Math.abs(newQuantity) > Math.abs(position.quantity)) {
+      averagePrice = (position.averagePrice * Math.abs(position.quantity) + fill.price * fill.quantity) / Math.abs(newQuantity);
+    }
+
+    if (newQuantity === 0) {
+      delete accountPositions[fill.instrument];
+    } else {
+      accountPositions[fill.instrument] = { quantity: newQuantity, averagePrice };
+    }
+  }
+
+  /**
+   * Dollars at risk between an account's open positions and their working stop orders
+   * @param {string} accountId Account
+   * @returns {Object} { risk, unprotected } - unprotected lists instruments with contracts no stop covers
+   */
+  getOpenRisk(accountId) {
+    let risk = 0;
+    const unprotected = [];
+    Object.entries(this.positions[accountId] || {}).forEach(([instrument, position]) => {
+      const pointValue = this.journalService.getPointValue(instrument);
+      const positionDirection = Math.sign(position.quantity);
+      const stops = Object.values(this.workingOrders)
+        .filter(order => order.accountId === accountId && order.instrument === instrument
+          && order.direction === -positionDirection && order.stopPrice > 0)
+        .sort((a, b) => Math.abs(position.averagePrice - b.stopPrice) - Math.abs(position.averagePrice - a.stopPrice));
+
+      let covered = 0;
+      stops.forEach(stop => {
+        const quantity = Math.min(stop.quantity, Math.abs(position.quantity) - covered);
+        if (quantity <= 0) return;
+        // A stop beyond break-even locks in profit rather than risking a loss
+        const lossPoints = (position.averagePrice - stop.stopPrice) * positionDirection;
+        if (pointValue && lossPoints > 0) risk += lossPoints * quantity * pointValue;
+        covered += quantity;
+      });
+      if (covered < Math.abs(position.quantity) || !pointValue) unprotected.push(instrument);
+    });
+    return { risk, unprotected };
+  }
+
+  /**
+   * Realized profit/loss of the account this session - as reported by NinjaTrader, or from the journal's
+   * trades closed this session until NinjaTrader reports it
+   * @param {string} accountId Account
+   * @returns {number} Dollars
+   */
+  getRealizedPnl(accountId) {
+    if (typeof this.realizedPnl[accountId] === 'number') {
+      return this.realizedPnl[accountId];
+    }
+    const sessionStart = getSessionStart(Date.now());
+    return this.journalService.getTrades()
+      .filter(trade => trade.accountId === accountId && trade.exitTime >= sessionStart)
+      .reduce((sum, trade) => sum + trade.pnlPoints * (this.journalService.getPointValue(trade.instrument) || 0), 0);
+  }
+
+  /**
+   * Trades and the current losing streak of an account this session, from the journal
+   * @param {string} accountId Account
+   * @returns {Object} { tradesToday, lossStreak, lastLossTime }
+   */
+  getSessionTrades(accountId) {
+    const sessionStart = getSessionStart(Date.now());
+    const trades = this.journalService.getTrades().filter(trade => trade.accountId === accountId && trade.entryTime >= sessionStart);
+    const closedTrades = trades.filter(trade => trade.exitTime).sort((a, b) => a.exitTime - b.exitTime);
+
+    let lossStreak = 0;
+    for (let i = closedTrades.length - 1; i >= 0 && closedTrades[i].pnlPoints < 0; i--) {
+      lossStreak++;
+    }
+    return {
+      tradesToday: trades.length,
+      lossStreak,
+      lastLossTime: lossStreak > 0 ? closedTrades[closedTrades.length - 1].exitTime : null
+    };
+  }
+
+  /**
+   * The lockout window the time falls in, if any
+   * @param {number} time Time in milliseconds
+   * @returns {Object|null} { lockout, key, start, end }
+   */
+  getActiveLockout(time) {
+    // Lockout times are ET, like the news releases and opens they're set around
+    const now = DateTime.fromMillis(time).setZone(MARKET_TIME_ZONE);
+    for (const lockout of this.settings.lockouts || []) {
+      if (!lockout.time) continue;
+      const [hours, minutes] = lockout.time.split(':').map(Number);
+      const at = now.set({ hour: hours, minute: minutes, second: 0, millisecond: 0 });
+      const start = at.toMillis() - (Number(lockout.minutesBefore) || 0) * 60 * 1000;
+      const end = at.toMillis() + (Number(lockout.minutesAfter) || 0) * 60 * 1000;
+      if (time >= start && time <= end) {
+        return { lockout, key: `${lockout.time}|${at.toISODate()}`, start, end };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decide whether an order may be sent to the NinjaTrader Bridge, and audit the decision
+   * @param {Object} message The bridge request
+   * @param {string} source Where the order came from, for the audit trail
+   * @returns {Object} { allowed, rule, reason }
+   */
+  checkOrder(message, source) {
+    if (!message || !ENTRY_REQUEST_TYPES.includes(message.type)) {
+      return { allowed: true };
+    }
+
+    const accountId = message.accountId;
+    const instrument = toNinjaTraderInstrument(message.symbol);
+    const quantity = parseInt(message.quantity, 10) || 0;
+    const direction = getActionDirection(message.action);
+    const position = ((this.positions[accountId] || {})[instrument] || { quantity: 0 }).quantity;
+    const orderType = message.type === 'place_bracket' ? `${message.entryOrderType} bracket` : message.orderType;
+    const auditFields = { source, accountId, instrument, action: message.action, quantity, orderType };
+
+    // Orders against the position only reduce it - never stand in the way of getting out
+    const reducingQuantity = Math.sign(position) === -direction ? Math.min(quantity, Math.abs(position)) : 0;
+    const entryQuantity = quantity - reducingQuantity;
+    if (entryQuantity === 0) {
+      this.addAudit({ ...auditFields, decision: 'exit', reason: `Reduces the ${position > 0 ? 'long' : 'short'} ${Math.abs(position)} position` });
+      return { allowed: true };
+    }
+
+    const violation = this.settings.enabled ? this.findViolation(message, {
+      accountId,
+      instrument,
+      direction,
+      entryQuantity,
+      opensTrade: Math.sign(position) !== direction
+    }) : null;
+
+    if (violation) {
+      this.addAudit({ ...auditFields, decision: 'blocked', rule: violation.rule, reason: violation.reason });
+      return { allowed: false, ...violation };
+    }
+
+    this.addAudit({
+      ...auditFields,
+      decision: 'allowed',
+      reason: this.settings.enabled ? `Entry of ${entryQuantity} within all rules` : 'Guardrails are disabled'
+    });
+    return { allowed: true };
+  }
+
+  /**
+   * The first rule an entry breaks
+   * @returns {Object|null} { rule, reason } or null when the entry is within every rule
+   */
+  findViolation(message, { accountId, instrument, direction, entryQuantity, opensTrade }) {
+    const { settings } = this;
+    const now = Date.now();
+
+    const activeLockout = this.getActiveLockout(now);
+    if (activeLockout) {
+      const label = activeLockout.lockout.label ? ` (${activeLockout.lockout.label})` : '';
+      return {
+        rule: 'lockout',
+        reason: `Lockout${label} until ${formatMinutesAsTime(new Date(activeLockout.end))}`
+      };
+    }
+
+    if (settings.maxDailyLoss > 0) {
+      const realized = this.getRealizedPnl(accountId);
+      if (realized <= -settings.maxDailyLoss) {
+        return {
+          rule: 'maxDailyLoss',
+          reason: `Daily loss limit reached: realized $${realized.toFixed(2)} of -$${settings.maxDailyLoss}`
+        };
+      }
+    }
+
+    const { tradesToday, lossStreak, lastLossTime } = this.getSessionTrades(accountId);
+
+    if (settings.maxConsecutiveLosses > 0 && lossStreak >= settings.maxConsecutiveLosses) {
+      const cooldownEnd = lastLossTime + (Number(settings.cooldownMinutes) || 0) * 60 * 1000;
+      if (now < cooldownEnd) {
+        return {
+          rule: 'cooldown',
+          reason: `${lossStreak} losses in a row - cooling down until ${formatMinutesAsTime(new Date(cooldownEnd))}`
+        };
+      }
+    }
+
+    if (settings.maxTradesPerDay > 0 && opensTrade && tradesToday >= settings.maxTradesPerDay) {
+      return {
+        rule: 'maxTradesPerDay',
+        reason: `${tradesToday} trades today, the limit is ${settings.maxTradesPerDay}`
+      };
+    }
+
+    if (settings.maxContractsPerInstrument > 0) {
+      const position = ((this.positions[accountId] || {})[instrument] || { quantity: 0 }).quantity;
+      const current = Math.max(0, position * direction);
+      // Working orders on the same side would add to the position too
+      const working = Object.values(this.workingOrders)
+        .filter(order => order.accountId === accountId && order.instrument === instrument && order.direction === direction)
+        .reduce((sum, order) => sum + order.quantity, 0);
+      const projected = current + (position * direction >= 0 ? working : 0) + entryQuantity;
+      if (projected > settings.maxContractsPerInstrument) {
+        return {
+          rule: 'maxContractsPerInstrument',
+          reason: `${projected} contracts of ${instrument} with working orders, the limit is ${settings.maxContractsPerInstrument}`
+        };
+      }
+    }
+
+    if (settings.maxOpenRisk > 0) {
+      const riskStopPoints = Number(message.riskStopPoints) || 0;
+      if (!riskStopPoints && settings.requireStop) {
+        return {
+          rule: 'maxOpenRisk',
+          reason: 'Entry has no stop - its risk can\'t be checked against the open risk limit'
+        };
+      }
+      const pointValue = this.journalService.getPointValue(instrument);
+      const entryRisk = riskStopPoints && pointValue ? riskStopPoints * entryQuantity * pointValue : 0;
+      const { risk } = this.getOpenRisk(accountId);
+      if (risk + entryRisk > settings.maxOpenRisk) {
+        return {
+          rule: 'maxOpenRisk',
+          reason: `Open risk would be $${(risk + entryRisk).toFixed(2)}, the limit is $${settings.maxOpenRisk}`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Flatten every open position of an account
+   * @param {string} accountId Account
+   * @param {string} reason Why, for the audit trail
+   */
+  flattenAccount(accountId, reason) {
+    const instruments = Object.keys(this.positions[accountId] || {});
+    if (instruments.length === 0 || !this.sendToBridge) return;
+    instruments.forEach(instrument => {
+      this.sendToBridge({ type: 'flattenPosition', accountId, instrumentSymbol: instrument });
+      this.addAudit({ decision: 'flatten', accountId, instrument, reason });
+    });
+    if (this.showNotification) {
+      this.showNotification('Risk guardrails flattened positions', `${accountId}: ${reason}`);
+    }
+  }
+
+  // Flatten once per session when the daily loss limit is reached
+  checkDailyLossFlatten(accountId) {
+    const { settings } = this;
+    if (!settings.enabled || !settings.flattenOnDailyLoss || !(settings.maxDailyLoss > 0)) return;
+    const realized = this.realizedPnl[accountId];
+    const sessionStart = getSessionStart(Date.now());
+    if (realized > -settings.maxDailyLoss || this.flattenedSessions[accountId] === sessionStart) return;
+    this.flattenedSessions[accountId] = sessionStart;
+    this.flattenAccount(accountId, `Daily loss limit reached: realized $${realized.toFixed(2)}`);
+  }
+
+  // Announce lockouts as they start and flatten the ones set to flatten
+  checkLockouts() {
+    if (!this.settings.enabled) return;
+    const now = Date.now();
+    this.activeLockouts.forEach((lockoutEnd, key) => {
+      if (lockoutEnd < now) this.activeLockouts.delete(key);
+    });
+    const activeLockout = this.getActiveLockout(now);
+    if (!activeLockout || this.activeLockouts.has(activeLockout.key)) return;
+    this.activeLockouts.set(activeLockout.key, activeLockout.end);
+
+    const { lockout, end } = activeLockout;
+    const reason = `Lockout${lockout.label ? ` (${lockout.label})` : ''} until ${formatMinutesAsTime(new Date(end))}`;
+    if (this.showNotification) {
+      this.showNotification('Trading lockout started', reason);
+    }
+    if (lockout.flatten) {
+      Object.keys(this.positions).forEach(accountId => this.flattenAccount(accountId, reason));
+    }
+  }
+
+  /**
+   * Settings, audit trail and the current standing of each account against the rules
+   * @returns {Object} { settings, audit, accounts, activeLockout }
+   */
+  getState() {
+    const accountIds = new Set([...Object.keys(this.positions), ...Object.keys(this.realizedPnl)]);
+    const accounts = Array.from(accountIds).map(accountId => {
+      const { risk, unprotected } = this.getOpenRisk(accountId);
+      return {
+        accountId,
+        realizedPnl: this.getRealizedPnl(accountId),
+        openRisk: risk,
+        unprotected,
+        positions: this.positions[accountId] || {},
+        ...this.getSessionTrades(accountId)
+      };
+    });
+    const activeLockout = this.getActiveLockout(Date.now());
+    return {
+      settings: this.settings,
+      audit: this.audit,
+      accounts,
+      activeLockout: activeLockout ? { ...activeLockout.lockout, end: activeLockout.end } : null
+    };
+  }
+}
+
+module.exports = RiskService;
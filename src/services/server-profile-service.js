@@ -0,0 +1,132 @@
+/**
+ * Server Profile Service for Quatrain
+ *
+ * Runs in the main process and keeps the named Chronicle server profiles the ConnectionScreen offers - host,
+ * port, TLS and auth token - along with which profile is the primary, which (if any) is the secondary the
+ * connection fails over to, and how long a connection may go without a ctrl heartbeat before it does. They're
+ * saved in the userData directory, with auth tokens encrypted by the operating system's keychain where Electron
+ * can use one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_FILE_NAME = 'server-profiles.json';
+
+const DEFAULT_PROFILE = { id: 'local', name: 'Local', host: 'localhost', port: 8080, tls: false, authToken: '' };
+const DEFAULT_HEARTBEAT_TIMEOUT_SEC = 30;
+const MIN_HEARTBEAT_TIMEOUT_SEC = 5;
+
+// A host as typed, without a scheme, path or port someone pasted with it
+const cleanHost = (host) => String(host || '').trim().replace(/^[a-z]+:\/\//i, '').replace(/[/?#].*$/, '').replace(/:\d+$/, '');
+
+class ServerProfileService {
+  constructor() {
+    this.filePath = null;
+    this.encrypt = null;
+    this.decrypt = null;
+    this.state = {
+      profiles: [{ ...DEFAULT_PROFILE }],
+      primaryId: DEFAULT_PROFILE.id,
+      secondaryId: null,
+      heartbeatTimeoutSec: DEFAULT_HEARTBEAT_TIMEOUT_SEC
+    };
+  }
+
+  /**
+   * Load the profiles and register the IPC handlers
+   * @param {Object} ipcMain Electron's ipcMain object
+   * @param {string} userDataPath Electron's userData directory
+   * @param {Object} handlers { encrypt(text) -> base64 string or null, decrypt(base64) -> text }
+   */
+  initialize(ipcMain, userDataPath, { encrypt, decrypt }) {
+    this.filePath = path.join(userDataPath, PROFILES_FILE_NAME);
+    this.encrypt = encrypt;
+    this.decrypt = decrypt;
+    this.load();
+
+    ipcMain.handle('server-profiles:get', () => this.state);
+    ipcMain.handle('server-profiles:save', (event, state) => this.save(state));
+
+    console.log(`ServerProfileService: Initialized with ${this.state.profiles.length} profile(s)`);
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        saved.profiles = (saved.profiles || []).map(profile => {
+          const { encryptedAuthToken, ...rest } = profile;
+          if (!encryptedAuthToken) return rest;
+          try {
+            return { ...rest, authToken: this.decrypt(encryptedAuthToken) };
+          } catch (error) {
+            console.error(`ServerProfileService: Could not decrypt the auth token of ${profile.name}:`, error);
+            return { ...rest, authToken: '' };
+          }
+        });
+        this.state = this.normalize(saved);
+      }
+    } catch (error) {
+      console.error('ServerProfileService: Error loading server profiles, using the default:', error);
+    }
+  }
+
+  /**
+   * Replace the profiles
+   * @param {Object} state { profiles, primaryId, secondaryId, heartbeatTimeoutSec }
+   * @returns {Object} The profiles as saved
+   */
+  save(state) {
+    this.state = this.normalize(state);
+    try {
+      const profiles = this.state.profiles.map(profile => {
+        const { authToken, ...rest } = profile;
+        if (!authToken) return rest;
+        const encryptedAuthToken = this.encrypt(authToken);
+        return encryptedAuthToken ? { ...rest, encryptedAuthToken } : profile;
+      });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ ...this.state, profiles }, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('ServerProfileService: Error saving server profiles:', error);
+    }
+    return this.state;
+  }
+
+  // Profiles with a host, unique IDs, a primary that exists and a secondary other than the primary
+  normalize(state = {}) {
+    const ids = new Set();
+    const profiles = (state.profiles || [])
+      .map((profile, index) => {
+        let id = String(profile.id || `server-${Date.now()}-${index}`);
+        while (ids.has(id)) id = `${id}-${index}`;
+        ids.add(id);
+        const port = parseInt(profile.port, 10);
+        return {
+          id,
+          name: String(profile.name || '').trim() || `Server ${index + 1}`,
+          host: cleanHost(profile.host),
+          port: port > 0 && port < 65536 ? port : DEFAULT_PROFILE.port,
+          tls: !!profile.tls,
+          authToken: String(profile.authToken || '')
+        };
+      })
+      .filter(profile => profile.host);
+    if (profiles.length === 0) {
+      profiles.push({ ...DEFAULT_PROFILE });
+    }
+
+    const primaryId = profiles.some(profile => profile.id === state.primaryId) ? state.primaryId : profiles[0].id;
+    const secondaryId = state.secondaryId !== primaryId && profiles.some(profile => profile.id === state.secondaryId)
+      ? state.secondaryId
+      : null;
+    const heartbeatTimeoutSec = Math.max(MIN_HEARTBEAT_TIMEOUT_SEC,
+      parseInt(state.heartbeatTimeoutSec, 10) || DEFAULT_HEARTBEAT_TIMEOUT_SEC);
+
+    return { profiles, primaryId, secondaryId, heartbeatTimeoutSec };
+  }
+}
+
+module.exports = ServerProfileService;
@@ -0,0 +1,1119 @@
+/**
+ * Simulator Broker Service for Quatrain
+ *
+ * A paper-trading broker in the main process. It speaks the NinjaTrader Bridge protocol on its own local
+ * WebSocket port, so the Trade Manager, Trade Boss, Smart Stop and chart trading work without NinjaTrader (and
+ * on platforms NinjaTrader doesn't run on). Market, limit, stop-market, stop-limit and MIT orders - and brackets
+ * placed with place_bracket - are filled against the candle stream of the main chart, live or replayed, with a
+ * commission per contract and slippage in ticks on the orders that fill at market. Accounts, positions and orders
+ * are kept with the settings in the userData directory.
+ *
+ * A replay is traded on a book of its own, with the replayed candles as the clock. Its messages are tagged
+ * replay: true so the journal and risk guardrails leave them out, and when the replay ends its trades are scored
+ * (see replay-scorecard.js) and the live book comes back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { toNinjaTraderInstrument, getSessionStart } = require('./futures-utils');
+const { buildReplayScorecard } = require('./replay-scorecard');
+
+const SIM_BROKER_PORT = 8078; // The NinjaTrader Bridge is on 8079, Chronicle on 8080
+const SIM_FILE_NAME = 'sim-broker.json';
+const SAVE_DELAY_MS = 500;
+const ACCOUNT_UPDATE_INTERVAL_MS = 1000; // Same throttle as the add-on's account updates
+const MAX_CLOSED_ORDERS = 500;
+const BRACKET_ORDER_PREFIX = 'QB_';
+const WORKING_ORDER_STATES = ['Working', 'Accepted'];
+// Chronicle doesn't say when a replay is over - it is once the last candle of the range stops updating
+const REPLAY_END_SETTLE_MS = 3000;
+
+const DEFAULT_SIM_SETTINGS = {
+  accountNames: ['Sim-Quatrain'],
+  startingBalance: 50000,
+  commissionPerContract: 0.62, // Dollars per contract per side
+  slippageTicks: 1 // Ticks against market, stop-market and MIT fills
+};
+
+// Point value and tick size by contract root - other instruments trade at $1 a point in 0.01 ticks
+const CONTRACT_SPECS = {
+  ES: { pointValue: 50, tickSize: 0.25 },
+  MES: { pointValue: 5, tickSize: 0.25 },
+  NQ: { pointValue: 20, tickSize: 0.25 },
+  MNQ: { pointValue: 2, tickSize: 0.25 },
+  YM: { pointValue: 5, tickSize: 1 },
+  MYM: { pointValue: 0.5, tickSize: 1 },
+  RTY: { pointValue: 50, tickSize: 0.1 },
+  M2K: { pointValue: 5, tickSize: 0.1 },
+  CL: { pointValue: 1000, tickSize: 0.01 },
+  MCL: { pointValue: 100, tickSize: 0.01 },
+  GC: { pointValue: 100, tickSize: 0.1 },
+  MGC: { pointValue: 10, tickSize: 0.1 }
+};
+const DEFAULT_CONTRACT_SPEC = { pointValue: 1, tickSize: 0.01 };
+
+// Request order types and the NinjaTrader order types orders are reported with
+const ORDER_TYPES = {
+  MARKET: 'Market',
+  LIMIT: 'Limit',
+  MARKETSTOP: 'StopMarket',
+  LIMITSTOP: 'StopLimit',
+  MIT: 'MIT'
+};
+
+// Stops are checked before limits, so a candle that reaches both a bracket's stop and target takes the stop
+const FILL_PRIORITY = { StopMarket: 0, StopLimit: 0, MIT: 1, Market: 1, Limit: 2 };
+
+const TIMEFRAME_UNITS_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+const getContractSpec = (instrument) => CONTRACT_SPECS[(instrument || '').split(' ')[0].toUpperCase()] || DEFAULT_CONTRACT_SPEC;
+
+const roundToTick = (price, tickSize) => Math.round(Math.round(price / tickSize) * tickSize * 1e8) / 1e8;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const isBuyAction = (action) => (action || '').toUpperCase().startsWith('BUY');
+
+const isWorking = (order) => WORKING_ORDER_STATES.includes(order.state);
+
+// Length of a Chronicle timeframe ("1m", "4h") in milliseconds, or null if it isn't a time-based timeframe
+const getTimeframeMs = (timeframe) => {
+  const match = /^(\d+)([smhdw])$/.exec(timeframe || '');
+  return match ? parseInt(match[1], 10) * TIMEFRAME_UNITS_MS[match[2]] : null;
+};
+
+const getPositiveNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+class SimBrokerService {
+  constructor() {
+    this.filePath = null;
+    this.settings = { ...DEFAULT_SIM_SETTINGS };
+    this.accounts = {}; // accountId -> { cashValue, realizedProfitLoss, sessionStart, positions: { instrument -> { quantity (signed), averagePrice } } }
+    this.orders = {}; // orderId -> order, in the add-on's orderUpdate shape plus oco and triggered
+    this.brackets = {}; // bracketId -> place_bracket plan whose entry is still working
+    this.orderSequence = 0;
+    this.feeds = {}; // instrument -> { timeframeMs, timestamp, low, high, close } of the finest timeframe seen
+    this.server = null;
+    this.serverReady = null;
+    this.clients = new Set();
+    this.saveTimer = null;
+    this.accountUpdateTimer = null;
+    this.pendingAccountUpdates = new Set();
+    this.replay = null; // { instrument, liveStart, liveEnd, clock, liveBook, fills, stopOrders, stopMoves } while a replay is traded
+    this.replayEndTimer = null;
+    this.replayEndListeners = new Set();
+    this.replayOver = false; // A replay ended but its candles may still come until the chart is reset
+  }
+
+  /**
+   * Load the accounts and register the IPC handlers. The WebSocket server starts on the first sim-broker:start.
+   * @param {Object} ipcMain Electron's ipcMain object
+   * @param {string} userDataPath Electron's userData directory
+   */
+  initialize(ipcMain, userDataPath) {
+    this.filePath = path.join(userDataPath, SIM_FILE_NAME);
+    this.load();
+
+    ipcMain.handle('sim-broker:start', () => this.start());
+    ipcMain.handle('sim-broker:get-settings', () => this.settings);
+    ipcMain.handle('sim-broker:update-settings', (event, settings) => this.updateSettings(settings));
+    ipcMain.handle('sim-broker:reset-accounts', () => this.resetAccounts());
+    ipcMain.on('sim-broker:replay-start', (event, session) => this.startReplaySession(session));
+    ipcMain.on('sim-broker:replay-end', () => this.endReplaySession('stopped'));
+
+    console.log(`SimBrokerService: Initialized with ${this.settings.accountNames.length} account(s)`);
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.settings = { ...DEFAULT_SIM_SETTINGS, ...saved.settings };
+        this.accounts = saved.accounts || {};
+        this.orders = saved.orders || {};
+        this.brackets = saved.brackets || {};
+        this.orderSequence = saved.orderSequence || 0;
+      }
+    } catch (error) {
+      console.error('SimBrokerService: Error loading simulator accounts, starting fresh:', error);
+    }
+    this.settings.accountNames.forEach(accountId => this.getAccount(accountId));
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveNow();
+    }, SAVE_DELAY_MS);
+  }
+
+  saveNow() {
+    if (!this.filePath) return;
+    // Only the live book is kept - a replay's is thrown away when the replay ends
+    const { accounts, orders, brackets } = this.replay ? this.replay.liveBook : this;
+
+    // Keep every working order but only the most recent closed ones
+    const closedOrders = Object.values(orders)
+      .filter(order => !isWorking(order))
+      .sort((a, b) => Date.parse(b.submissionTime) - Date.parse(a.submissionTime))
+      .slice(MAX_CLOSED_ORDERS);
+    closedOrders.forEach(order => { delete orders[order.orderId]; });
+
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify({
+        settings: this.settings,
+        accounts,
+        orders,
+        brackets,
+        orderSequence: this.orderSequence
+      }, null, 2));
+    } catch (error) {
+      console.error('SimBrokerService: Error saving simulator accounts:', error);
+    }
+  }
+
+  /**
+   * Start the WebSocket server the Trade Manager connects to, if it isn't running yet
+   * @returns {Promise<Object>} { url } of the server
+   */
+  start() {
+    if (!this.serverReady) {
+      this.serverReady = new Promise((resolve, reject) => {
+        const server = new WebSocket.Server({ host: '127.0.0.1', port: SIM_BROKER_PORT }, () => {
+          console.log(`SimBrokerService: Listening on port ${SIM_BROKER_PORT}`);
+          resolve({ url: this.getUrl() });
+        });
+
+        server.on('connection', (ws) => this.handleConnection(ws));
+        server.on('error', (error) => {
+          console.error('SimBrokerService: Server error:', error);
+          this.server = null;
+          this.serverReady = null;
+          reject(error);
+        });
+        this.server = server;
+      });
+    }
+    return this.serverReady;
+  }
+
+  // The URL the Trade Manager connects to
+  getUrl() {
+    return `ws://127.0.0.1:${SIM_BROKER_PORT}`;
+  }
+
+  shutdown() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (this.accountUpdateTimer) {
+      clearTimeout(this.accountUpdateTimer);
+      this.accountUpdateTimer = null;
+    }
+    if (this.replayEndTimer) {
+      clearTimeout(this.replayEndTimer);
+      this.replayEndTimer = null;
+    }
+    this.saveNow();
+    if (this.server) {
+      this.clients.forEach(ws => ws.terminate());
+      this.server.close();
+      this.server = null;
+      this.serverReady = null;
+    }
+  }
+
+  handleConnection(ws) {
+    console.log('SimBrokerService: Client connected');
+    this.clients.add(ws);
+
+    ws.on('message', (data) => {
+      let command;
+      try {
+        command = JSON.parse(data);
+      } catch (error) {
+        this.sendError(ws, 'Invalid command format: not JSON.');
+        return;
+      }
+      try {
+        this.handleCommand(ws, command);
+      } catch (error) {
+        console.error('SimBrokerService: Error processing command:', error);
+        this.sendError(ws, `Error processing command: ${error.message}`);
+      }
+    });
+
+    ws.on('close', () => {
+      console.log('SimBrokerService: Client disconnected');
+      this.clients.delete(ws);
+    });
+
+    ws.on('error', (error) => {
+      console.error('SimBrokerService: Client error:', error);
+      this.clients.delete(ws);
+    });
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(this.replay ? { ...message, replay: true } : message));
+    }
+  }
+
+  broadcast(message) {
+    this.clients.forEach(ws => this.send(ws, message));
+  }
+
+  sendError(ws, message) {
+    this.send(ws, { type: 'error', message });
+  }
+
+  /**
+   * Handle a command from a client - the same commands, and the same replies, as the NinjaTrader add-on
+   */
+  handleCommand(ws, command) {
+    const account = command.accountId ? this.findAccount(command.accountId) : null;
+    if (command.accountId && !account) {
+      this.sendError(ws, `Account '${command.accountId}' not found or not active.`);
+      return;
+    }
+
+    switch (command.type) {
+      case 'connect':
+        this.send(ws, { type: 'connectionStatus', connected: true });
+        break;
+
+      case 'getAccounts':
+        this.send(ws, this.getAccountList());
+        break;
+
+      case 'getAccountDetails':
+        if (!account) {
+          this.sendError(ws, 'Invalid command format: missing accountId.');
+          break;
+        }
+        this.send(ws, { type: 'accountDetails', account: this.getAccountInfo(command.accountId) });
+        break;
+
+      case 'getInstrumentProperties': {
+        if (!command.symbol) {
+          this.sendError(ws, 'Invalid command format: missing symbol.');
+          break;
+        }
+        const instrument = toNinjaTraderInstrument(command.symbol);
+        this.send(ws, { type: 'instrumentProperties', properties: { ...getContractSpec(instrument), name: instrument } });
+        break;
+      }
+
+      case 'getOrders':
+        if (!account) {
+          this.sendError(ws, 'Invalid command format: missing accountId for getOrders.');
+          break;
+        }
+        Object.values(this.orders)
+          .filter(order => order.accountId === command.accountId)
+          .forEach(order => this.send(ws, { type: 'orderUpdate', order: this.getOrderInfo(order) }));
+        break;
+
+      case 'place_order':
+        this.handlePlaceOrder(ws, command);
+        break;
+
+      case 'place_bracket':
+        this.handlePlaceBracket(ws, command);
+        break;
+
+      case 'cancel_order': {
+        const order = this.orders[command.orderId];
+        if (!account || !order || order.accountId !== command.accountId) {
+          this.sendError(ws, `Order '${command.orderId}' not found for account '${command.accountId}'.`);
+          break;
+        }
+        if (isWorking(order)) this.cancelOrder(order);
+        break;
+      }
+
+      case 'modify_order':
+        this.handleModifyOrder(ws, command);
+        break;
+
+      case 'cancel_bracket':
+        if (!account || !command.bracketId) {
+          this.sendError(ws, 'Invalid command format: missing accountId or bracketId for cancel_bracket.');
+          break;
+        }
+        delete this.brackets[command.bracketId];
+        this.getWorkingOrders(command.accountId)
+          .filter(order => order.name.startsWith(`${BRACKET_ORDER_PREFIX}${command.bracketId}_`))
+          .forEach(order => this.cancelOrder(order));
+        break;
+
+      case 'cancel_all_orders':
+      case 'flattenPosition': {
+        if (!account || !command.instrumentSymbol) {
+          this.sendError(ws, `Invalid command format: missing accountId or instrumentSymbol for ${command.type}.`);
+          break;
+        }
+        const instrument = toNinjaTraderInstrument(command.instrumentSymbol);
+        this.getWorkingOrders(command.accountId)
+          .filter(order => order.instrument === instrument)
+          .forEach(order => this.cancelOrder(order));
+        if (command.type === 'flattenPosition') {
+          this.flattenPosition(command.accountId, instrument);
+        }
+        this.send(ws, {
+          type: command.type === 'flattenPosition' ? 'flattenSuccess' : 'cancelAllOrdersSuccess',
+          accountId: command.accountId,
+          instrument: command.instrumentSymbol
+        });
+        break;
+      }
+
+      default:
+        this.sendError(ws, `Unknown command: ${command.type}`);
+        break;
+    }
+  }
+
+  handlePlaceOrder(ws, command) {
+    const orderType = ORDER_TYPES[(command.orderType || '').toUpperCase()];
+    const action = (command.action || '').toUpperCase();
+    const quantity = getPositiveNumber(command.quantity);
+    const limitPrice = getPositiveNumber(command.limitPrice);
+    const stopPrice = getPositiveNumber(command.stopPrice);
+
+    let error = null;
+    if (!command.accountId || !command.symbol) {
+      error = "Invalid command format: missing or invalid 'accountId' or 'symbol' for place_order.";
+    } else if (action !== 'BUY' && action !== 'SELL') {
+      error = `Invalid action '${command.action}'. Must be BUY or SELL.`;
+    } else if (!orderType) {
+      error = `Unsupported order type '${command.orderType}'.`;
+    } else if (!quantity || !Number.isInteger(quantity)) {
+      error = `Invalid quantity '${command.quantity}'. Must be a positive integer.`;
+    } else if (['Limit', 'StopLimit', 'MIT'].includes(orderType) && !limitPrice) {
+      error = `Invalid or missing limit price for ${command.orderType} order.`;
+    } else if (['StopMarket', 'StopLimit'].includes(orderType) && !stopPrice) {
+      error = `Invalid or missing stop price for ${command.orderType} order.`;
+    }
+    if (error) {
+      this.sendError(ws, error);
+      return;
+    }
+
+    const order = this.createOrder({
+      accountId: command.accountId,
+      instrument: toNinjaTraderInstrument(command.symbol),
+      action: action === 'BUY' ? 'Buy' : 'Sell',
+      type: orderType,
+      tif: 'Day',
+      quantity,
+      limitPrice: limitPrice || 0,
+      stopPrice: orderType === 'StopMarket' || orderType === 'StopLimit' ? stopPrice : 0,
+      name: `QuatrainOrder_${Math.random().toString(16).substr(2, 8)}`
+    });
+
+    this.send(ws, {
+      type: 'orderSubmitted',
+      accountId: command.accountId,
+      instrument: command.symbol,
+      action: command.action,
+      orderType: command.orderType,
+      quantity,
+      limitPrice: limitPrice,
+      stopPrice: stopPrice,
+      signalName: order.name,
+      message: `${orderType} order submitted to the simulator.`
+    });
+    this.submitOrder(order);
+  }
+
+  handlePlaceBracket(ws, command) {
+    const entryType = ORDER_TYPES[(command.entryOrderType || 'MARKET').toUpperCase()];
+    const stopType = ORDER_TYPES[(command.stopOrderType || 'MARKETSTOP').toUpperCase()];
+    const action = (command.action || '').toUpperCase();
+    const quantity = getPositiveNumber(command.quantity);
+    const entryPrice = getPositiveNumber(command.entryPrice);
+    const stopPrice = getPositiveNumber(command.stopPrice);
+    const stopPoints = getPositiveNumber(command.stopPoints);
+    const targets = (Array.isArray(command.targets) ? command.targets : []).map(target => ({
+      quantity: getPositiveNumber(target.quantity),
+      price: getPositiveNumber(target.price),
+      points: getPositiveNumber(target.points),
+      submittedQuantity: 0
+    }));
+
+    let error = null;
+    if (!command.bracketId || command.bracketId.includes('_')) {
+      error = "Invalid command format: missing or invalid 'bracketId' for place_bracket (no underscores).";
+    } else if (!command.accountId || !command.symbol || (action !== 'BUY' && action !== 'SELL')) {
+      error = "Invalid command format: missing 'accountId', 'symbol' or 'action' for place_bracket.";
+    } else if (!['Market', 'Limit', 'StopMarket'].includes(entryType) || !['StopMarket', 'StopLimit'].includes(stopType)) {
+      error = `Unsupported bracket order types '${command.entryOrderType}' / '${command.stopOrderType}'.`;
+    } else if (!quantity || !Number.isInteger(quantity)) {
+      error = "Invalid command format: missing or invalid 'quantity' for place_bracket. Must be a positive integer.";
+    } else if (entryType !== 'Market' && !entryPrice) {
+      error = `Invalid command format: missing or invalid 'entryPrice' for a ${command.entryOrderType} bracket entry.`;
+    } else if (!stopPrice && !stopPoints) {
+      error = "Invalid command format: missing 'stopPrice' or 'stopPoints' for place_bracket.";
+    } else if (targets.some(target => !target.quantity || (!target.price && !target.points)) ||
+      targets.reduce((sum, target) => sum + (target.quantity || 0), 0) > quantity) {
+      error = "Invalid command format: each bracket target needs a quantity and a price or points, and targets can't exceed the bracket quantity.";
+    }
+    if (error) {
+      this.sendError(ws, error);
+      return;
+    }
+
+    const instrument = toNinjaTraderInstrument(command.symbol);
+    this.brackets[command.bracketId] = {
+      accountId: command.accountId,
+      instrument,
+      isLong: action === 'BUY',
+      stopOrderType: stopType,
+      stopPrice,
+      stopPoints,
+      targets,
+      submittedExitQuantity: 0
+    };
+
+    const entry = this.createOrder({
+      accountId: command.accountId,
+      instrument,
+      action: action === 'BUY' ? 'Buy' : 'Sell',
+      type: entryType,
+      tif: 'Day', // The add-on's place_bracket enters as Day too, with Gtc exits
+      quantity,
+      limitPrice: entryType === 'Limit' ? entryPrice : 0,
+      stopPrice: entryType === 'StopMarket' ? entryPrice : 0,
+      name: `${BRACKET_ORDER_PREFIX}${command.bracketId}_E`
+    });
+
+    this.send(ws, {
+      type: 'bracketSubmitted',
+      bracketId: command.bracketId,
+      accountId: command.accountId,
+      instrument,
+      action: command.action,
+      entryOrderType: command.entryOrderType,
+      entryPrice,
+      quantity,
+      stopOrderType: command.stopOrderType,
+      stopPrice,
+      stopPoints,
+      targets: targets.map(target => ({ quantity: target.quantity, price: target.price, points: target.points })),
+      message: `Bracket ${command.bracketId} entry submitted; stop and ${targets.length} target(s) follow the fill.`
+    });
+    this.submitOrder(entry);
+  }
+
+  handleModifyOrder(ws, command) {
+    const order = this.orders[command.orderId];
+    if (!order || order.accountId !== command.accountId || !isWorking(order)) {
+      this.sendError(ws, `Order '${command.orderId}' not found or no longer working.`);
+      return;
+    }
+    const quantity = getPositiveNumber(command.quantity);
+    if (!quantity || !Number.isInteger(quantity)) {
+      this.sendError(ws, `Invalid command format: invalid 'quantity' (${command.quantity}) for modify_order. Must be a positive integer.`);
+      return;
+    }
+
+    const previousStopPrice = order.stopPrice;
+    order.quantity = quantity;
+    const limitPrice = getPositiveNumber(command.limitPrice);
+    const stopPrice = getPositiveNumber(command.stopPrice);
+    if (limitPrice && ['Limit', 'StopLimit', 'MIT'].includes(order.type)) order.limitPrice = limitPrice;
+    if (stopPrice && ['StopMarket', 'StopLimit'].includes(order.type)) order.stopPrice = stopPrice;
+
+    this.trackReplayStop(order, previousStopPrice);
+    this.publishOrder(order);
+    // A modified order can be marketable straight away
+    this.fillAtLastPrice(order);
+  }
+
+  createOrder(fields) {
+    this.orderSequence += 1;
+    const order = {
+      orderId: `SIM${Date.now().toString(36).toUpperCase()}${this.orderSequence}`,
+      state: 'Accepted',
+      filledQuantity: 0,
+      averageFillPrice: 0,
+      isLiveUntilCancelled: fields.tif === 'Gtc',
+      submissionTime: new Date(this.now()).toISOString(),
+      oco: null,
+      triggered: false,
+      ...fields
+    };
+    this.orders[order.orderId] = order;
+    return order;
+  }
+
+  // Accept an order and fill it right away if the market is already through its price
+  submitOrder(order) {
+    order.state = 'Working';
+    this.trackReplayStop(order);
+    this.publishOrder(order);
+    this.fillAtLastPrice(order);
+  }
+
+  cancelOrder(order) {
+    order.state = 'Cancelled';
+    this.publishOrder(order);
+  }
+
+  publishOrder(order) {
+    this.broadcast({ type: 'orderUpdate', order: this.getOrderInfo(order) });
+    this.scheduleSave();
+  }
+
+  getOrderInfo(order) {
+    const { oco, triggered, ...orderInfo } = order;
+    return orderInfo;
+  }
+
+  getWorkingOrders(accountId) {
+    return Object.values(this.orders).filter(order => order.accountId === accountId && isWorking(order));
+  }
+
+  // Close a position at market
+  flattenPosition(accountId, instrument) {
+    const position = this.getAccount(accountId).positions[instrument];
+    if (!position || position.quantity === 0) return;
+    this.submitOrder(this.createOrder({
+      accountId,
+      instrument,
+      action: position.quantity > 0 ? 'Sell' : 'BuyToCover',
+      type: 'Market',
+      tif: 'Day',
+      quantity: Math.abs(position.quantity),
+      limitPrice: 0,
+      stopPrice: 0,
+      name: 'Close'
+    }));
+  }
+
+  // Market orders sent before any price has arrived fill on the first price
+  fillAtLastPrice(order) {
+    const feed = this.feeds[order.instrument];
+    if (!feed || !isWorking(order)) return;
+    const fillPrice = this.getFillPrice(order, { open: feed.close, low: feed.close, high: feed.close });
+    if (fillPrice !== null) this.fillOrder(order, fillPrice);
+  }
+
+  /**
+   * Feed a candle from the main chart's data stream. Only the finest timeframe seen for an instrument drives
+   * fills, and only live (or replayed) candles do - history just sets the last price.
+   * @param {Object} message A Chronicle data message { instrument, timeframe, timestamp, open, high, low, close, source }
+   */
+  handleCandle(message) {
+    const instrument = toNinjaTraderInstrument(message.instrument);
+    const timeframeMs = getTimeframeMs(message.timeframe);
+    if (this.replayOver || !instrument || !timeframeMs || !Number.isFinite(message.close)) return;
+
+    const feed = this.feeds[instrument];
+    if (feed && (timeframeMs > feed.timeframeMs || (timeframeMs === feed.timeframeMs && message.timestamp < feed.timestamp))) {
+      return;
+    }
+
+    if (this.replay && message.source === 'T') {
+      this.advanceReplayClock(instrument, message.timestamp, timeframeMs);
+    }
+
+    let segment = null;
+    if (feed && message.source === 'T' && timeframeMs === feed.timeframeMs) {
+      if (message.timestamp === feed.timestamp) {
+        // An update of the forming candle traded from the last close to the new one, plus any new extreme
+        segment = {
+          open: feed.close,
+          low: message.low < feed.low ? message.low : Math.min(feed.close, message.close),
+          high: message.high > feed.high ? message.high : Math.max(feed.close, message.close)
+        };
+      } else {
+        segment = { open: message.open, low: message.low, high: message.high };
+      }
+    }
+
+    this.feeds[instrument] = {
+      timeframeMs,
+      timestamp: message.timestamp,
+      low: message.low,
+      high: message.high,
+      close: message.close
+    };
+
+    if (segment) {
+      this.processSegment(instrument, segment);
+    } else if (!feed) {
+      // Orders waiting for the first price
+      Object.values(this.orders)
+        .filter(order => order.instrument === instrument && isWorking(order))
+        .forEach(order => this.fillAtLastPrice(order));
+    }
+    this.scheduleAccountUpdates(instrument);
+  }
+
+  // Forget the price feeds when the chart connection is reset
+  resetFeeds() {
+    this.feeds = {};
+    this.replayOver = false;
+  }
+
+  // Fill the working orders of an instrument that a stretch of trading reached
+  processSegment(instrument, segment) {
+    const orders = Object.values(this.orders)
+      .filter(order => order.instrument === instrument && isWorking(order))
+      .sort((a, b) => FILL_PRIORITY[a.type] - FILL_PRIORITY[b.type] || Date.parse(a.submissionTime) - Date.parse(b.submissionTime));
+
+    orders.forEach(order => {
+      // An earlier fill can have cancelled its OCO siblings
+      if (!isWorking(order)) return;
+      const fillPrice = this.getFillPrice(order, segment);
+      if (fillPrice !== null) this.fillOrder(order, fillPrice);
+    });
+  }
+
+  /**
+   * Price an order would fill at over a stretch of trading, or null if it doesn't fill
+   * @param {Object} order
+   * @param {Object} segment { open, low, high } - where the stretch started and its range
+   * @returns {number|null}
+   */
+  getFillPrice(order, { open, low, high }) {
+    const { tickSize } = getContractSpec(order.instrument);
+    const isBuy = isBuyAction(order.action);
+    const slippage = this.settings.slippageTicks * tickSize * (isBuy ? 1 : -1);
+    // The first price at or through a price from below (above), or null if the stretch didn't get there
+    const reachedAbove = (price) => (high >= price ? Math.max(price, open) : null);
+    const reachedBelow = (price) => (low <= price ? Math.min(price, open) : null);
+    let price = null;
+
+    switch (order.type) {
+      case 'Market':
+        price = open + slippage;
+        break;
+      case 'Limit':
+        price = isBuy ? reachedBelow(order.limitPrice) : reachedAbove(order.limitPrice);
+        break;
+      case 'MIT': {
+        const touched = isBuy ? reachedBelow(order.limitPrice) : reachedAbove(order.limitPrice);
+        price = touched === null ? null : touched + slippage;
+        break;
+      }
+      case 'StopMarket': {
+        const triggered = isBuy ? reachedAbove(order.stopPrice) : reachedBelow(order.stopPrice);
+        price = triggered === null ? null : triggered + slippage;
+        break;
+      }
+      case 'StopLimit': {
+        if (!order.triggered) {
+          const triggered = isBuy ? reachedAbove(order.stopPrice) : reachedBelow(order.stopPrice);
+          if (triggered === null) return null;
+          // From here it's a limit order. The rest of the stretch may have traded before the trigger, so only
+          // the trigger price itself can fill it now.
+          order.triggered = true;
+          this.scheduleSave();
+          const isMarketable = isBuy ? triggered <= order.limitPrice : triggered >= order.limitPrice;
+          price = isMarketable ? triggered : null;
+          break;
+        }
+        price = isBuy ? reachedBelow(order.limitPrice) : reachedAbove(order.limitPrice);
+        break;
+      }
+      default:
+        return null;
+    }
+
+    return price === null ? null : roundToTick(price, tickSize);
+  }
+
+  fillOrder(order, price) {
+    const filledQuantity = order.quantity - order.filledQuantity;
+    order.filledQuantity = order.quantity;
+    order.averageFillPrice = price;
+    order.state = 'Filled';
+    this.applyFill(order.accountId, order.instrument, isBuyAction(order.action) ? filledQuantity : -filledQuantity, price);
+    if (this.replay) {
+      this.replay.fills.push({
+        id: `${order.orderId}-${this.replay.fills.length + 1}`,
+        orderId: order.orderId,
+        accountId: order.accountId,
+        instrument: order.instrument,
+        action: order.action,
+        quantity: filledQuantity,
+        price,
+        time: this.now()
+      });
+    }
+    this.publishOrder(order);
+
+    // An OCO sibling covers the same contracts - shrink it by the fill, cancel it once nothing is left
+    if (order.oco) {
+      Object.values(this.orders)
+        .filter(other => other !== order && other.oco === order.oco && isWorking(other))
+        .forEach(other => {
+          other.quantity = Math.max(other.filledQuantity, other.quantity - filledQuantity);
+          if (other.quantity === other.filledQuantity) {
+            this.cancelOrder(other);
+          } else {
+            this.publishOrder(other);
+          }
+        });
+    }
+
+    const bracketMatch = order.name.startsWith(BRACKET_ORDER_PREFIX) && order.name.endsWith('_E')
+      ? order.name.slice(BRACKET_ORDER_PREFIX.length, -2)
+      : null;
+    if (bracketMatch && this.brackets[bracketMatch]) {
+      this.submitBracketExits(bracketMatch, filledQuantity, price);
+      delete this.brackets[bracketMatch];
+    }
+
+    this.publishAccount(order.accountId);
+    console.log(`SimBrokerService: Filled ${order.action} ${filledQuantity} ${order.instrument} ${order.type} at ${price}`);
+  }
+
+  // Place a filled bracket entry's exits - one stop/target OCO pair per target, like the add-on does
+  submitBracketExits(bracketId, filledQuantity, averageFillPrice) {
+    const bracket = this.brackets[bracketId];
+    const { tickSize } = getContractSpec(bracket.instrument);
+    const direction = bracket.isLong ? 1 : -1;
+    const stopPrice = roundToTick(bracket.stopPrice || averageFillPrice - direction * bracket.stopPoints, tickSize);
+    const exitFields = {
+      accountId: bracket.accountId,
+      instrument: bracket.instrument,
+      action: bracket.isLong ? 'Sell' : 'BuyToCover',
+      tif: 'Gtc'
+    };
+    const createStop = (quantity, name, oco) => this.createOrder({
+      ...exitFields,
+      type: bracket.stopOrderType,
+      quantity,
+      limitPrice: bracket.stopOrderType === 'StopLimit' ? stopPrice : 0,
+      stopPrice,
+      name,
+      oco
+    });
+
+    const exits = [];
+    let remaining = filledQuantity;
+    bracket.targets.forEach((target, index) => {
+      const pairQuantity = Math.min(remaining, target.quantity - target.submittedQuantity);
+      if (pairQuantity <= 0) return;
+      const targetPrice = roundToTick(target.price || averageFillPrice + direction * target.points, tickSize);
+      const oco = `${BRACKET_ORDER_PREFIX}${bracketId}_${index + 1}`;
+      exits.push(createStop(pairQuantity, `${BRACKET_ORDER_PREFIX}${bracketId}_S${index + 1}`, oco));
+      exits.push(this.createOrder({
+        ...exitFields,
+        type: 'Limit',
+        quantity: pairQuantity,
+        limitPrice: targetPrice,
+        stopPrice: 0,
+        name: `${BRACKET_ORDER_PREFIX}${bracketId}_T${index + 1}`,
+        oco
+      }));
+      target.submittedQuantity += pairQuantity;
+      remaining -= pairQuantity;
+    });
+    if (remaining > 0) {
+      exits.push(createStop(remaining, `${BRACKET_ORDER_PREFIX}${bracketId}_S0`, null));
+    }
+
+    bracket.submittedExitQuantity += filledQuantity;
+    exits.forEach(exit => this.submitOrder(exit));
+  }
+
+  /**
+   * Apply a fill to an account's position, realized P&L and cash (net of commission)
+   * @param {string} accountId
+   * @param {string} instrument
+   * @param {number} quantity Signed - positive buys, negative sells
+   * @param {number} price
+   */
+  applyFill(accountId, instrument, quantity, price) {
+    const account = this.getAccount(accountId);
+    const { pointValue } = getContractSpec(instrument);
+    const sessionStart = getSessionStart(this.now());
+    if (account.sessionStart !== sessionStart) {
+      account.sessionStart = sessionStart;
+      account.realizedProfitLoss = 0;
+    }
+
+    const position = account.positions[instrument] || { quantity: 0, averagePrice: 0 };
+    let realized = 0;
+    if (position.quantity === 0 || Math.sign(position.quantity) === Math.sign(quantity)) {
+      const total = Math.abs(position.quantity) + Math.abs(quantity);
+      position.averagePrice = (Math.abs(position.quantity) * position.averagePrice + Math.abs(quantity) * price) / total;
+    } else {
+      const closing = Math.min(Math.abs(quantity), Math.abs(position.quantity));
+      realized = closing * (price - position.averagePrice) * Math.sign(position.quantity) * pointValue;
+      // Reversing through flat opens the rest at the fill price
+      if (Math.abs(quantity) > Math.abs(position.quantity)) position.averagePrice = price;
+    }
+    position.quantity += quantity;
+
+    const commission = Math.abs(quantity) * this.settings.commissionPerContract;
+    account.realizedProfitLoss = roundCents(account.realizedProfitLoss + realized - commission);
+    account.cashValue = roundCents(account.cashValue + realized - commission);
+    if (position.quantity === 0) {
+      delete account.positions[instrument];
+    } else {
+      account.positions[instrument] = position;
+    }
+  }
+
+  getAccount(accountId) {
+    if (!this.accounts[accountId]) {
+      this.accounts[accountId] = {
+        cashValue: this.settings.startingBalance,
+        realizedProfitLoss: 0,
+        sessionStart: getSessionStart(this.now()),
+        positions: {}
+      };
+    }
+    return this.accounts[accountId];
+  }
+
+  // Accounts clients can trade - those listed in the settings
+  findAccount(accountId) {
+    return this.settings.accountNames.includes(accountId) ? this.getAccount(accountId) : null;
+  }
+
+  getAccountList() {
+    return {
+      type: 'accountList',
+      accounts: this.settings.accountNames.map(accountId => ({
+        id: accountId,
+        name: accountId,
+        accountId,
+        accountType: 'Simulation'
+      }))
+    };
+  }
+
+  // Account details in the add-on's accountDetails shape
+  getAccountInfo(accountId) {
+    const account = this.getAccount(accountId);
+    const realizedProfitLoss = account.sessionStart === getSessionStart(this.now()) ? account.realizedProfitLoss : 0;
+    let unrealizedProfitLoss = 0;
+
+    const positions = Object.entries(account.positions).map(([instrument, position]) => {
+      const feed = this.feeds[instrument];
+      const marketPrice = feed ? feed.close : position.averagePrice;
+      const positionPnL = (marketPrice - position.averagePrice) * position.quantity * getContractSpec(instrument).pointValue;
+      unrealizedProfitLoss += positionPnL;
+      return {
+        instrument,
+        quantity: Math.abs(position.quantity),
+        marketPosition: position.quantity > 0 ? 'Long' : 'Short',
+        averagePrice: position.averagePrice,
+        marketPrice,
+        unrealizedPnL: positionPnL
+      };
+    });
+
+    const netLiquidationValue = account.cashValue + unrealizedProfitLoss;
+    return {
+      accountId,
+      name: accountId,
+      displayName: accountId,
+      connectionName: 'Quatrain Simulator',
+      accountType: 'Simulation',
+      cashValue: account.cashValue,
+      buyingPower: netLiquidationValue,
+      realizedProfitLoss,
+      unrealizedProfitLoss,
+      netLiquidationValue,
+      positions
+    };
+  }
+
+  publishAccount(accountId) {
+    this.pendingAccountUpdates.delete(accountId);
+    this.broadcast({ type: 'accountDetailsUpdate', account: this.getAccountInfo(accountId) });
+    this.scheduleSave();
+  }
+
+  // Unrealized P&L follows the price, throttled
+  scheduleAccountUpdates(instrument) {
+    Object.keys(this.accounts)
+      .filter(accountId => this.accounts[accountId].positions[instrument])
+      .forEach(accountId => this.pendingAccountUpdates.add(accountId));
+    if (this.pendingAccountUpdates.size === 0 || this.accountUpdateTimer) return;
+
+    this.accountUpdateTimer = setTimeout(() => {
+      this.accountUpdateTimer = null;
+      Array.from(this.pendingAccountUpdates).forEach(accountId => this.publishAccount(accountId));
+    }, ACCOUNT_UPDATE_INTERVAL_MS);
+  }
+
+  /**
+   * Update the settings. Accounts added to the list start with the starting balance.
+   * @param {Object} settings
+   * @returns {Object} The saved settings
+   */
+  updateSettings(settings) {
+    const accountNames = (settings.accountNames || [])
+      .map(name => String(name).trim())
+      .filter((name, index, names) => name && names.indexOf(name) === index);
+
+    this.settings = {
+      ...this.settings,
+      accountNames: accountNames.length > 0 ? accountNames : this.settings.accountNames,
+      startingBalance: getPositiveNumber(settings.startingBalance) || this.settings.startingBalance,
+      commissionPerContract: Math.max(0, Number(settings.commissionPerContract) || 0),
+      slippageTicks: Math.max(0, Math.round(Number(settings.slippageTicks) || 0))
+    };
+    this.settings.accountNames.forEach(accountId => this.getAccount(accountId));
+    this.broadcast(this.getAccountList());
+    this.scheduleSave();
+    return this.settings;
+  }
+
+  /**
+   * Cancel every working order and put the accounts back to the starting balance with no positions
+   * @returns {Object} The settings
+   */
+  resetAccounts() {
+    Object.values(this.orders).filter(isWorking).forEach(order => this.cancelOrder(order));
+    this.brackets = {};
+    this.accounts = {};
+    this.settings.accountNames.forEach(accountId => this.publishAccount(accountId));
+    console.log('SimBrokerService: Accounts reset');
+    return this.settings;
+  }
+
+  // Time orders and fills are stamped with - the replay's while one is traded
+  now() {
+    return this.replay ? this.replay.clock : Date.now();
+  }
+
+  isReplaying() {
+    return this.replay !== null;
+  }
+
+  /**
+   * Register a callback for the end of a replay session
+   * @param {Function} callback Called with the scorecard from buildReplayScorecard
+   * @returns {Function} A function to unregister the callback
+   */
+  onReplayEnd(callback) {
+    this.replayEndListeners.add(callback);
+    return () => this.replayEndListeners.delete(callback);
+  }
+
+  /**
+   * Start trading a replay on a fresh book - the same accounts at the starting balance, no orders - with the
+   * replayed candles as the clock. The live book is set aside until the replay ends.
+   * @param {Object} session { instrument, liveStart, liveEnd } - the replayed range in UTC milliseconds
+   */
+  startReplaySession({ instrument, liveStart, liveEnd }) {
+    if (this.replay) this.endReplaySession('reset');
+
+    this.replay = {
+      instrument: toNinjaTraderInstrument(instrument),
+      liveStart,
+      liveEnd,
+      clock: liveStart,
+      liveBook: { accounts: this.accounts, orders: this.orders, brackets: this.brackets },
+      fills: [],
+      stopOrders: [],
+      stopMoves: []
+    };
+    this.accounts = {};
+    this.orders = {};
+    this.brackets = {};
+    // Live prices mustn't fill replay orders
+    this.resetFeeds();
+    this.settings.accountNames.forEach(accountId => this.publishAccount(accountId));
+    console.log(`SimBrokerService: Replay session started for ${this.replay.instrument}`);
+  }
+
+  /**
+   * End the replay session: score its trades, cancel its working orders and go back to the live book
+   * @param {string} reason 'completed', 'stopped' or 'reset'
+   * @returns {Object|null} The scorecard, or null if no replay was being traded
+   */
+  endReplaySession(reason) {
+    if (!this.replay) return null;
+    if (this.replayEndTimer) {
+      clearTimeout(this.replayEndTimer);
+      this.replayEndTimer = null;
+    }
+
+    const replay = this.replay;
+    const lastPrices = {};
+    Object.entries(this.feeds).forEach(([instrument, feed]) => { lastPrices[instrument] = feed.close; });
+    const scorecard = buildReplayScorecard({
+      instrument: replay.instrument,
+      liveStart: replay.liveStart,
+      liveEnd: replay.liveEnd,
+      endTime: replay.clock,
+      reason,
+      fills: replay.fills,
+      stopOrders: replay.stopOrders,
+      stopMoves: replay.stopMoves,
+      lastPrices,
+      commissionPerContract: this.settings.commissionPerContract
+    }, (instrument) => getContractSpec(instrument).pointValue);
+
+    // Clients still list the replay's working orders - close them before the live book comes back
+    Object.values(this.orders).filter(isWorking).forEach(order => this.cancelOrder(order));
+
+    this.accounts = replay.liveBook.accounts;
+    this.orders = replay.liveBook.orders;
+    this.brackets = replay.liveBook.brackets;
+    this.replay = null;
+    this.resetFeeds();
+    // The rest of the replay mustn't fill live orders
+    this.replayOver = true;
+    this.settings.accountNames.forEach(accountId => this.publishAccount(accountId));
+    console.log(`SimBrokerService: Replay session ${reason} with ${scorecard.trades.length} trade(s)`);
+
+    this.replayEndListeners.forEach(callback => {
+      try {
+        callback(scorecard);
+      } catch (error) {
+        console.error('SimBrokerService: Error in replay end callback:', error);
+      }
+    });
+    return scorecard;
+  }
+
+  // Move the replay clock to a replayed candle, and end the session once the last candle of the range settles
+  advanceReplayClock(instrument, timestamp, timeframeMs) {
+    this.replay.clock = Math.max(this.replay.clock, timestamp);
+    if (instrument !== this.replay.instrument || timestamp + timeframeMs < this.replay.liveEnd) return;
+
+    if (this.replayEndTimer) clearTimeout(this.replayEndTimer);
+    this.replayEndTimer = setTimeout(() => {
+      this.replayEndTimer = null;
+      this.endReplaySession('completed');
+    }, REPLAY_END_SETTLE_MS);
+  }
+
+  // Protective stops placed and moved during a replay, for the scorecard's risk and mistakes
+  trackReplayStop(order, previousStopPrice) {
+    if (!this.replay || !['StopMarket', 'StopLimit'].includes(order.type)) return;
+    const stop = {
+      orderId: order.orderId,
+      accountId: order.accountId,
+      instrument: order.instrument,
+      action: order.action,
+      time: this.now()
+    };
+    if (previousStopPrice === undefined) {
+      this.replay.stopOrders.push({ ...stop, stopPrice: order.stopPrice });
+    } else if (previousStopPrice !== order.stopPrice) {
+      this.replay.stopMoves.push({ ...stop, from: previousStopPrice, to: order.stopPrice });
+    }
+  }
+}
+
+module.exports = SimBrokerService;
@@ -0,0 +1,251 @@
+/**
+ * Trading Hotkeys for Quatrain
+ *
+ * Places the orders the trading hotkeys stand for - buy or sell market, flatten, cancel all and move the stop to
+ * breakeven - for the account and instrument the Trade Manager has selected. Like the Trade Window's buttons, every
+ * request goes through the nt-bridge-send-request IPC, so the risk guardrails and the replay simulator see them
+ * the same way. An action is reported once its nt-bridge-send-response says whether it reached the bridge or was
+ * blocked.
+ *
+ * Moving the stop needs the position's average price and the working stop orders. The main process forwards every
+ * NinjaTrader Bridge message to the chart and Trade windows; they're followed here, and refresh() asks the bridge
+ * for the current account details and orders when the hotkeys are armed.
+ */
+
+import DataClient from './data-client';
+import { convertNinjaTraderToCme } from '../utils/symbolMapping';
+
+const CLOSED_ORDER_STATES = ['filled', 'cancelled', 'rejected'];
+const STOP_ORDER_TYPES = ['stopmarket', 'stoplimit'];
+
+// Orders use BUY/SELL, NinjaTrader reports Buy, BuyToCover, Sell and SellShort
+const getActionDirection = (action) => ((action || '').toUpperCase().startsWith('BUY') ? 1 : -1);
+
+class TradingHotkeys {
+  /**
+   * @param {Function} onStatus Called with { message, type } ('success' or 'error') after each action
+   */
+  constructor(onStatus) {
+    this.onStatus = onStatus;
+    this.pendingActions = new Map(); // hotkeyActionId -> { description, remaining, error }, until every request is answered
+    this.nextActionId = 1;
+    this.dataClient = null;
+    this.marketData = {};
+    this.positions = {}; // accountId -> { CME symbol -> { quantity (signed), averagePrice } }
+    this.workingOrders = {}; // orderId -> order, in the bridge's orderUpdate shape
+    this.unsubscribeMarketData = null;
+    this.handleBridgeMessage = this.handleBridgeMessage.bind(this);
+    this.handleSendResponse = this.handleSendResponse.bind(this);
+  }
+
+  start() {
+    const { ipcRenderer } = window.require('electron');
+    this.dataClient = new DataClient();
+    this.unsubscribeMarketData = this.dataClient.subscribeToMarketData((data) => {
+      if (data) this.marketData = data;
+    });
+    this.dataClient.getMarketData().then((data) => {
+      if (data) this.marketData = { ...data, ...this.marketData };
+    });
+    ipcRenderer.on('nt-bridge-message', this.handleBridgeMessage);
+    ipcRenderer.on('nt-bridge-send-response', this.handleSendResponse);
+  }
+
+  stop() {
+    const { ipcRenderer } = window.require('electron');
+    if (this.unsubscribeMarketData) this.unsubscribeMarketData();
+    ipcRenderer.removeListener('nt-bridge-message', this.handleBridgeMessage);
+    ipcRenderer.removeListener('nt-bridge-send-response', this.handleSendResponse);
+  }
+
+  get accountId() {
+    return this.marketData.accountId || this.marketData.accountName || null;
+  }
+
+  get symbol() {
+    return this.marketData.currentSymbol || null;
+  }
+
+  /**
+   * Ask the bridge for the account's positions and working orders - the replies come back as bridge messages
+   */
+  refresh() {
+    if (!this.accountId) return;
+    this.send({ type: 'getAccountDetails', accountId: this.accountId });
+    this.send({ type: 'getOrders', accountId: this.accountId });
+  }
+
+  handleBridgeMessage(event, message) {
+    if (!message) return;
+    switch (message.type) {
+      case 'orderUpdate':
+        this.trackOrder(message.order);
+        break;
+      case 'accountDetails':
+      case 'accountDetailsUpdate':
+        this.trackAccount(message.account);
+        break;
+      case 'accountsUpdate':
+        (message.accounts || []).forEach(account => this.trackAccount(account));
+        break;
+      default:
+        break;
+    }
+  }
+
+  trackOrder(order) {
+    if (!order || !order.orderId) return;
+    const remaining = (Number(order.quantity) || 0) - (Number(order.filledQuantity) || 0);
+    if (CLOSED_ORDER_STATES.includes((order.state || '').toLowerCase()) || remaining <= 0) {
+      delete this.workingOrders[order.orderId];
+      return;
+    }
+    this.workingOrders[order.orderId] = order;
+  }
+
+  trackAccount(account) {
+    if (!account || !account.accountId || !Array.isArray(account.positions)) return;
+    const positions = {};
+    account.positions.forEach(position => {
+      if (!position.instrument || position.marketPosition === 'Flat' || !position.quantity) return;
+      positions[convertNinjaTraderToCme(position.instrument)] = {
+        quantity: position.marketPosition === 'Short' ? -position.quantity : position.quantity,
+        averagePrice: position.averagePrice
+      };
+    });
+    this.positions[account.accountId] = positions;
+  }
+
+  send(request) {
+    const { ipcRenderer } = window.require('electron');
+    ipcRenderer.send('nt-bridge-send-request', request);
+  }
+
+  /**
+   * Send the requests of one hotkey action, reporting it when all of them have been answered
+   * @param {Array<Object>} requests Bridge requests
+   * @param {string} description What the action does, e.g. 'BUY 1 ESZ5 at market'
+   */
+  sendAction(requests, description) {
+    const hotkeyActionId = `hotkey_${this.nextActionId}`;
+    this.nextActionId += 1;
+    this.pendingActions.set(hotkeyActionId, { description, remaining: requests.length, error: null });
+    requests.forEach(request => this.send({ ...request, hotkeyActionId }));
+  }
+
+  // The main process answers every request - blocked by the risk guardrails, or passed to the bridge or not
+  handleSendResponse(event, response) {
+    const request = response && response.originalMessage;
+    const action = request && this.pendingActions.get(request.hotkeyActionId);
+    if (!action) return;
+
+    if (!response.success && !action.error) {
+      action.error = response.error || 'Connection error';
+    }
+    action.remaining -= 1;
+    if (action.remaining > 0) return;
+
+    this.pendingActions.delete(request.hotkeyActionId);
+    if (action.error) {
+      this.onStatus({ message: `Hotkey not sent: ${action.description} - ${action.error}`, type: 'error' });
+    } else {
+      this.onStatus({ message: `Hotkey: ${action.description}`, type: 'success' });
+    }
+  }
+
+  // The account and instrument to trade, or null after reporting why there aren't any
+  getTarget(description) {
+    if (!this.accountId || !this.symbol) {
+      this.onStatus({ message: `Cannot ${description}: select an account in the Trade Manager first`, type: 'error' });
+      return null;
+    }
+    return { accountId: this.accountId, symbol: this.symbol };
+  }
+
+  /**
+   * Buy or sell at market
+   * @param {string} action 'BUY' or 'SELL'
+   * @param {number} quantity Contracts
+   */
+  placeMarketOrder(action, quantity) {
+    const target = this.getTarget(`${action.toLowerCase()} at market`);
+    if (!target) return;
+    this.sendAction([{
+      type: 'place_order',
+      action,
+      orderType: 'MARKET',
+      accountId: target.accountId,
+      symbol: target.symbol,
+      quantity,
+      timestamp: Date.now()
+    }], `${action} ${quantity} ${target.symbol} at market`);
+  }
+
+  flatten() {
+    const target = this.getTarget('flatten');
+    if (!target) return;
+    this.sendAction([
+      { type: 'flattenPosition', accountId: target.accountId, instrumentSymbol: target.symbol }
+    ], `flattening ${target.symbol}`);
+  }
+
+  cancelAll() {
+    const target = this.getTarget('cancel orders');
+    if (!target) return;
+    this.sendAction([
+      { type: 'cancel_all_orders', accountId: target.accountId, instrumentSymbol: target.symbol }
+    ], `cancelling all orders for ${target.symbol}`);
+  }
+
+  /**
+   * Move every working stop protecting the position to its average price, rounded to the tick away from a loss.
+   * Refused while the market is on the wrong side of breakeven, where the stop would fill straight away.
+   */
+  moveStopToBreakeven() {
+    const target = this.getTarget('move the stop');
+    if (!target) return;
+    const position = (this.positions[target.accountId] || {})[target.symbol];
+    if (!position) {
+      this.onStatus({ message: `Cannot move the stop: no open ${target.symbol} position`, type: 'error' });
+      return;
+    }
+
+    const direction = Math.sign(position.quantity);
+    const stops = Object.values(this.workingOrders).filter(order => order.accountId === target.accountId
+      && convertNinjaTraderToCme(order.instrument) === target.symbol
+      && STOP_ORDER_TYPES.includes((order.type || '').toLowerCase())
+      && getActionDirection(order.action) === -direction);
+    if (stops.length === 0) {
+      this.onStatus({ message: `Cannot move the stop: no working stop for the ${target.symbol} position`, type: 'error' });
+      return;
+    }
+
+    const tickSize = (this.marketData.instrumentProperties || {}).tickSize;
+    const round = direction > 0 ? Math.ceil : Math.floor;
+    const breakeven = tickSize
+      ? parseFloat((round(position.averagePrice / tickSize - 1e-9 * direction) * tickSize).toFixed(8))
+      : position.averagePrice;
+    const lastPrice = parseFloat(this.marketData.latestPrice);
+    if (Number.isFinite(lastPrice) && (lastPrice - breakeven) * direction <= 0) {
+      this.onStatus({ message: `Cannot move the stop: ${target.symbol} is not past breakeven (${breakeven})`, type: 'error' });
+      return;
+    }
+
+    const requests = stops.map(order => {
+      const request = {
+        type: 'modify_order',
+        accountId: target.accountId,
+        orderId: order.orderId,
+        quantity: order.quantity,
+        stopPrice: breakeven
+      };
+      if (order.type.toLowerCase() === 'stoplimit') {
+        request.limitPrice = breakeven;
+      }
+      return request;
+    });
+    this.sendAction(requests, `moving ${stops.length} ${target.symbol} stop(s) to breakeven at ${breakeven}`);
+  }
+}
+
+export default TradingHotkeys;
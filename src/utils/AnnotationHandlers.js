@@ -1,5 +1,7 @@
 import { HorizontalLineAnnotation, BoxAnnotation, LineAnnotation, CustomAnnotation, NativeTextAnnotation } from 'scichart';
-import { getAnnotationProperties, getReadableTextColor, getArrowAnchorPoints } from './chartUtils';
+import { getAnnotationProperties, getReadableTextColor, getArrowAnchorPoints, removeDerivedAnnotations } from './chartUtils';
+import { createFibonacciAnnotation, drawFibonacciLevels } from './FibonacciTool';
+import { createPositionAnnotation, drawPositionZones } from './PositionTool';
 
 // Add this to access WebSocket constants
 const WebSocket = window.WebSocket || window.MozWebSocket;
@@ -75,7 +77,43 @@ export const handleAnnotationCreated = (annotation, timeframe, ws, clientId, ins
                     
                     // Create a new annotation of the same type on this chart
                     let newAnnotation;
-                    if (annotation.type === "HorizontalLineAnnotation" || annotation.type === "RenderContextHorizontalLineAnnotation") {
+                    if (annotype === 'fib') {
+                        // Fibonacci anchors are LineAnnotations too, so check for them first
+                        const { stroke, x1, y1, x2, y2, fibType, fibLevels, fibShowPrices } = annotation;
+                        newAnnotation = createFibonacciAnnotation({
+                            id: annotation.id,
+                            stroke,
+                            x1, y1, x2, y2,
+                            fibType,
+                            fibLevels,
+                            fibShowPrices,
+                            isEditable: !isDrawingLockMode,
+                            sciChartSurface: targetSurface,
+                            onDragEnded: () => {
+                                setTimeout(() => {
+                                    handleAnnotationUpdated(newAnnotation, tf, ws, clientId, instrument, isAllTimeframes, arrowDirection, timeframes, sciChartSurfaceRefs);
+                                }, 0);
+                            }
+                        });
+                    } else if (annotype === 'pos') {
+                        // Position anchors are BoxAnnotations too, so check for them first
+                        const { stroke, x1, y1, x2, y2, entryPrice } = annotation;
+                        newAnnotation = createPositionAnnotation({
+                            id: annotation.id,
+                            stroke,
+                            x1, x2,
+                            entryPrice,
+                            stopPrice: y1,
+                            targetPrice: y2,
+                            isEditable: !isDrawingLockMode,
+                            sciChartSurface: targetSurface,
+                            onDragEnded: () => {
+                                setTimeout(() => {
+                                    handleAnnotationUpdated(newAnnotation, tf, ws, clientId, instrument, isAllTimeframes, arrowDirection, timeframes, sciChartSurfaceRefs);
+                                }, 0);
+                            }
+                        });
+                    } else if (annotation.type === "HorizontalLineAnnotation" || annotation.type === "RenderContextHorizontalLineAnnotation") {
                         const { stroke, strokeThickness, labelPlacement, y1, x1, strokeDashArray, labelValue, showLabel } = annotation;
                         newAnnotation = new HorizontalLineAnnotation({
                             id: annotation.id,
@@ -396,6 +434,68 @@ export const handleAnnotationUpdated = (annotation, timeframe, ws, clientId, ins
                                 }, 0);
                             };
                             
+                            // Mark this annotation as having our custom handler
+                            existingAnnotation._hasCustomUpdateHandler = true;
+                        }
+                    } else if (annotype === 'fib') {
+                        existingAnnotation.x1 = annotation.x1;
+                        existingAnnotation.y1 = annotation.y1;
+                        existingAnnotation.x2 = annotation.x2;
+                        existingAnnotation.y2 = annotation.y2;
+                        existingAnnotation.fibType = annotation.fibType;
+                        existingAnnotation.fibLevels = annotation.fibLevels;
+                        existingAnnotation.fibShowPrices = annotation.fibShowPrices;
+                        drawFibonacciLevels(existingAnnotation, targetSurface);
+                        
+                        // Only attach the handler if it doesn't already have our custom handler
+                        if (!existingAnnotation._hasCustomUpdateHandler) {
+                            // Store the original onDragEnded handler
+                            const originalOnDragEnded = existingAnnotation.onDragEnded;
+                            
+                            // Create a new handler that calls the original and then our code
+                            existingAnnotation.onDragEnded = function(...args) {
+                                // First call the original handler if it exists to maintain proper mouse release
+                                if (typeof originalOnDragEnded === 'function') {
+                                    originalOnDragEnded.apply(this, args);
+                                }
+                                
+                                // After a short delay to allow the mouse to be released first
+                                setTimeout(() => {
+                                    console.log(`Handler: Fibonacci drag ended on ${tf} chart for propagated annotation`);
+                                    handleAnnotationUpdated(existingAnnotation, tf, ws, clientId, instrument, isAllTimeframes, arrowDirection, timeframes, sciChartSurfaceRefs);
+                                }, 0);
+                            };
+                            
+                            // Mark this annotation as having our custom handler
+                            existingAnnotation._hasCustomUpdateHandler = true;
+                        }
+                    } else if (annotype === 'pos') {
+                        existingAnnotation.x1 = annotation.x1;
+                        existingAnnotation.y1 = annotation.y1;
+                        existingAnnotation.x2 = annotation.x2;
+                        existingAnnotation.y2 = annotation.y2;
+                        existingAnnotation.entryPrice = annotation.entryPrice;
+                        drawPositionZones(existingAnnotation, targetSurface);
+                        
+                        // Only attach the handler if it doesn't already have our custom handler
+                        if (!existingAnnotation._hasCustomUpdateHandler) {
+                            // Store the original onDragEnded handler
+                            const originalOnDragEnded = existingAnnotation.onDragEnded;
+                            
+                            // Create a new handler that calls the original and then our code
+                            existingAnnotation.onDragEnded = function(...args) {
+                                // First call the original handler if it exists to maintain proper mouse release
+                                if (typeof originalOnDragEnded === 'function') {
+                                    originalOnDragEnded.apply(this, args);
+                                }
+                                
+                                // After a short delay to allow the mouse to be released first
+                                setTimeout(() => {
+                                    console.log(`Handler: Position drag ended on ${tf} chart for propagated annotation`);
+                                    handleAnnotationUpdated(existingAnnotation, tf, ws, clientId, instrument, isAllTimeframes, arrowDirection, timeframes, sciChartSurfaceRefs);
+                                }, 0);
+                            };
+                            
                             // Mark this annotation as having our custom handler
                             existingAnnotation._hasCustomUpdateHandler = true;
                         }
@@ -526,6 +626,8 @@ export const handleAnnotationDeleted = (annotation, timeframe, ws, timeframes, s
                             }
                         }
                         targetSurface.annotations.remove(existingAnnotation);
+                        // Fibonacci levels and position zones go with their anchor
+                        removeDerivedAnnotations(targetSurface, annotation.id);
                         targetSurface.invalidateElement();
                     } else {
                         console.log(`Annotation with ID ${annotation.id} not found on ${tf} chart`);
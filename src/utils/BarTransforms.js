@@ -0,0 +1,212 @@
+// Chart types that are drawn from transformed bars rather than the raw candles
+export const TRANSFORMED_CHART_TYPES = ['HeikinAshi', 'Renko', 'Range'];
+
+// Default bar type options (stored in settings.barTypeOptions)
+export const DEFAULT_BAR_TYPE_OPTIONS = {
+    tickSize: 0.25,        // Instrument tick size (ES/NQ = 0.25)
+    renkoBrickTicks: 10,   // Renko brick size in ticks
+    rangeBarTicks: 10,     // Range bar size in ticks
+};
+
+/**
+ * Returns true if the chart type is drawn from transformed bars
+ * @param {string} chartType Chart type from settings.chartTypes
+ * @returns {boolean}
+ */
+export const isTransformedChartType = (chartType) => TRANSFORMED_CHART_TYPES.includes(chartType);
+
+const cloneState = (state) => JSON.parse(JSON.stringify(state));
+
+// Heikin-Ashi: one bar per candle, each depending on the previous Heikin-Ashi bar
+const heikinAshiStep = (state, candle) => {
+    const open = Number(candle.open);
+    const high = Number(candle.high);
+    const low = Number(candle.low);
+    const close = Number(candle.close);
+
+    const haClose = (open + high + low + close) / 4;
+    const haOpen = state.prevOpen === null ? (open + close) / 2 : (state.prevOpen + state.prevClose) / 2;
+    state.prevOpen = haOpen;
+    state.prevClose = haClose;
+
+    return {
+        completed: [{
+            open: haOpen,
+            high: Math.max(high, haOpen, haClose),
+            low: Math.min(low, haOpen, haClose),
+            close: haClose,
+            volume: Number(candle.volume) || 0
+        }],
+        forming: null
+    };
+};
+
+// Renko: close-based bricks of a fixed size, reversals need two bricks of movement
+const renkoStep = (state, candle, { brickSize }) => {
+    const close = Number(candle.close);
+    const completed = [];
+
+    if (state.upper === null) {
+        const anchor = Math.round(close / brickSize) * brickSize;
+        state.upper = anchor;
+        state.lower = anchor;
+    }
+
+    while (close >= state.upper + brickSize) {
+        completed.push({ open: state.upper, high: state.upper + brickSize, low: state.upper, close: state.upper + brickSize });
+        state.lower = state.upper;
+        state.upper += brickSize;
+    }
+    while (close <= state.lower - brickSize) {
+        completed.push({ open: state.lower, high: state.lower, low: state.lower - brickSize, close: state.lower - brickSize });
+        state.upper = state.lower;
+        state.lower -= brickSize;
+    }
+
+    const volumePerBrick = completed.length > 0 ? (Number(candle.volume) || 0) / completed.length : 0;
+    completed.forEach(brick => { brick.volume = volumePerBrick; });
+    return { completed, forming: null };
+};
+
+// Range bars: a new bar starts whenever the current bar's high-low range reaches the range size.
+// Prices inside a candle are walked open -> nearer extreme -> farther extreme -> close.
+const rangeStep = (state, candle, { rangeSize }) => {
+    const open = Number(candle.open);
+    const high = Number(candle.high);
+    const low = Number(candle.low);
+    const close = Number(candle.close);
+    const path = close >= open ? [open, low, high, close] : [open, high, low, close];
+    const completed = [];
+
+    path.forEach(price => {
+        if (!state.bar) {
+            state.bar = { open: price, high: price, low: price, close: price, volume: 0 };
+            return;
+        }
+
+        let bar = state.bar;
+        while (price > bar.low + rangeSize) {
+            const barHigh = bar.low + rangeSize;
+            completed.push({ ...bar, high: barHigh, close: barHigh });
+            bar = { open: barHigh, high: barHigh, low: barHigh, close: barHigh, volume: 0 };
+        }
+        while (price < bar.high - rangeSize) {
+            const barLow = bar.high - rangeSize;
+            completed.push({ ...bar, low: barLow, close: barLow });
+            bar = { open: barLow, high: barLow, low: barLow, close: barLow, volume: 0 };
+        }
+
+        bar.high = Math.max(bar.high, price);
+        bar.low = Math.min(bar.low, price);
+        bar.close = price;
+        state.bar = bar;
+    });
+
+    // Attribute the candle's volume to the bars it produced, including the one still forming
+    const volumePerBar = (Number(candle.volume) || 0) / (completed.length + 1);
+    completed.forEach(bar => { bar.volume += volumePerBar; });
+    state.bar.volume += volumePerBar;
+
+    return { completed, forming: { ...state.bar } };
+};
+
+const TRANSFORMS = {
+    HeikinAshi: { initialState: () => ({ prevOpen: null, prevClose: null }), step: heikinAshiStep },
+    Renko: { initialState: () => ({ upper: null, lower: null }), step: renkoStep },
+    Range: { initialState: () => ({ bar: null }), step: rangeStep },
+};
+
+/**
+ * Create an incremental bar transformer for Heikin-Ashi, Renko or range bar charts.
+ *
+ * The output is a list of completed bars followed by at most one bar that is still forming. update(candle)
+ * returns the index the caller should remove bars from and the bars to append in their place, so a candle that
+ * is still forming (same timestamp as the previous update) replaces the bars it produced last time.
+ *
+ * Bars produced by a single candle are spread evenly across that candle's interval so x values stay increasing.
+ *
+ * @param {string} chartType 'HeikinAshi', 'Renko' or 'Range'
+ * @param {Object} barTypeOptions { tickSize, renkoBrickTicks, rangeBarTicks }
+ * @param {number} intervalMs Candle interval in milliseconds
+ * @returns {Object|null} Transformer with process(candles) and update(candle), or null for an unknown type
+ */
+export const createBarTransformer = (chartType, barTypeOptions = DEFAULT_BAR_TYPE_OPTIONS, intervalMs = 60000) => {
+    const transform = TRANSFORMS[chartType];
+    if (!transform) return null;
+
+    const options = { ...DEFAULT_BAR_TYPE_OPTIONS, ...barTypeOptions };
+    const tickSize = Number(options.tickSize) > 0 ? Number(options.tickSize) : DEFAULT_BAR_TYPE_OPTIONS.tickSize;
+    const stepOptions = {
+        brickSize: tickSize * Math.max(1, Number(options.renkoBrickTicks) || DEFAULT_BAR_TYPE_OPTIONS.renkoBrickTicks),
+        rangeSize: tickSize * Math.max(1, Number(options.rangeBarTicks) || DEFAULT_BAR_TYPE_OPTIONS.rangeBarTicks),
+    };
+
+    let state = transform.initialState();
+    let completedCount = 0;
+    let lastTimestamp = null;
+    let stateBeforeLast = null;
+    let completedCountBeforeLast = 0;
+
+    const transformer = {
+        chartType,
+
+        /**
+         * Apply a live candle update
+         * @param {Object} candle Candle with timestamp, open, high, low, close, volume
+         * @returns {Object} { removeFrom, bars } - remove bars at index >= removeFrom, then append bars
+         */
+        update(candle) {
+            const timestamp = Number(candle.timestamp);
+            if (lastTimestamp !== null && timestamp < lastTimestamp) {
+                // Older than what has been processed - nothing to change
+                return { removeFrom: null, bars: [] };
+            }
+
+            if (timestamp === lastTimestamp) {
+                // The last candle is still forming: rewind to before it
+                state = cloneState(stateBeforeLast);
+                completedCount = completedCountBeforeLast;
+            } else {
+                stateBeforeLast = cloneState(state);
+                completedCountBeforeLast = completedCount;
+                lastTimestamp = timestamp;
+            }
+
+            // Anything after the completed bars (i.e. the previous forming bar) is replaced
+            const removeFrom = completedCount;
+            const { completed, forming } = transform.step(state, candle, stepOptions);
+            const bars = forming ? [...completed, forming] : completed;
+            completedCount += completed.length;
+
+            const spacing = bars.length > 0 ? intervalMs / bars.length : 0;
+            return {
+                removeFrom,
+                bars: bars.map((bar, i) => ({ ...bar, timestamp: timestamp + Math.floor(i * spacing) }))
+            };
+        },
+
+        /**
+         * Reset and transform a full set of candles
+         * @param {Array} candles Candles sorted by timestamp
+         * @returns {Array} Transformed bars
+         */
+        process(candles) {
+            state = transform.initialState();
+            completedCount = 0;
+            lastTimestamp = null;
+            stateBeforeLast = null;
+            completedCountBeforeLast = 0;
+
+            let bars = [];
+            (candles || []).forEach(candle => {
+                const result = transformer.update(candle);
+                if (result.removeFrom !== null) {
+                    bars = bars.slice(0, result.removeFrom).concat(result.bars);
+                }
+            });
+            return bars;
+        }
+    };
+
+    return transformer;
+};
@@ -0,0 +1,111 @@
+/**
+ * Chart snapshot (PNG) export for a single chart pane or the whole chart layout.
+ *
+ * The main process captures the area of the window the charts occupy, so the snapshot shows exactly what is on screen:
+ * user and strategy annotations, Trade Manager order and position lines, studies and the last price line. A header
+ * with the instrument, timeframes and time is drawn above the capture and the PNG is written by the main process.
+ */
+
+const HEADER_HEIGHT = 28;
+const HEADER_BACKGROUND = '#1E1E1E';
+const HEADER_TEXT_COLOR = '#FFFFFF';
+const HEADER_LABEL_COLOR = '#FFC800';
+
+// Body class that hides the flyout panel and notifications while a snapshot is captured (see App.css)
+const CAPTURING_CLASS = 'chart-snapshot-capturing';
+
+// Wait until the page has been painted without the hidden overlays
+const waitForPaint = () => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = reject;
+    image.src = src;
+});
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// e.g. 20250612-093015
+const formatFileTimestamp = (date) =>
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+
+/**
+ * Get the chart pane elements on the page, for a snapshot of the whole layout
+ * @returns {Array<HTMLElement>} - The chart pane elements
+ */
+export function getChartPaneElements() {
+    return Array.from(document.querySelectorAll('[data-chart-pane]'));
+}
+
+/**
+ * Get the bounding rectangle of a set of elements in window coordinates
+ * @param {Array<HTMLElement>} elements - Elements
+ * @returns {Object|null} - { x, y, width, height } rounded to whole pixels, or null if nothing is visible
+ */
+function getCaptureRect(elements) {
+    const rects = elements.map(element => element.getBoundingClientRect()).filter(rect => rect.width > 0 && rect.height > 0);
+    if (rects.length === 0) return null;
+    const left = Math.max(0, Math.floor(Math.min(...rects.map(rect => rect.left))));
+    const top = Math.max(0, Math.floor(Math.min(...rects.map(rect => rect.top))));
+    const right = Math.min(window.innerWidth, Math.ceil(Math.max(...rects.map(rect => rect.right))));
+    const bottom = Math.min(window.innerHeight, Math.ceil(Math.max(...rects.map(rect => rect.bottom))));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Capture chart panes to a PNG with a header and save it
+ * @param {Object} options
+ * @param {Array<HTMLElement>} options.elements - The chart pane elements to capture (their bounding area is captured)
+ * @param {string} options.instrument - Instrument shown in the header and the file name
+ * @param {Array<string>} options.timeframes - Timeframes shown in the header
+ * @param {string} [options.label] - Extra header text, e.g. the fill that triggered an automatic snapshot
+ * @returns {Promise<string>} - Path of the saved PNG
+ */
+export async function exportChartSnapshot({ elements, instrument, timeframes, label }) {
+    const { ipcRenderer } = window.require('electron');
+    const rect = getCaptureRect(elements);
+    if (!rect) {
+        throw new Error('No chart is visible to capture');
+    }
+
+    document.body.classList.add(CAPTURING_CLASS);
+    let capturedDataUrl;
+    try {
+        await waitForPaint();
+        capturedDataUrl = await ipcRenderer.invoke('capture-chart-snapshot', rect);
+    } finally {
+        document.body.classList.remove(CAPTURING_CLASS);
+    }
+
+    const captured = await loadImage(capturedDataUrl);
+    // The capture is in device pixels - scale the header to match
+    const scale = captured.width / rect.width;
+    const headerHeight = Math.round(HEADER_HEIGHT * scale);
+    const now = new Date();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = captured.width;
+    canvas.height = captured.height + headerHeight;
+    const context = canvas.getContext('2d');
+
+    context.fillStyle = HEADER_BACKGROUND;
+    context.fillRect(0, 0, canvas.width, headerHeight);
+    context.font = `bold ${Math.round(14 * scale)}px Arial, sans-serif`;
+    context.textBaseline = 'middle';
+    const headerText = `${instrument}  ${timeframes.join(' / ')}  ${now.toLocaleString()}`;
+    context.fillStyle = HEADER_TEXT_COLOR;
+    context.fillText(headerText, 10 * scale, headerHeight / 2);
+    if (label) {
+        const headerTextWidth = context.measureText(headerText).width;
+        context.fillStyle = HEADER_LABEL_COLOR;
+        context.fillText(label, 10 * scale + headerTextWidth + 20 * scale, headerHeight / 2);
+    }
+    context.drawImage(captured, 0, headerHeight);
+
+    const safeInstrument = (instrument || 'chart').replace(/[^A-Za-z0-9_-]+/g, '_');
+    const scope = timeframes.length === 1 ? timeframes[0] : 'layout';
+    const fileName = `${safeInstrument}_${scope}_${formatFileTimestamp(now)}.png`;
+
+    return ipcRenderer.invoke('save-chart-snapshot', { fileName, dataUrl: canvas.toDataURL('image/png') });
+}
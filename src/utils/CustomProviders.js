@@ -6,6 +6,11 @@ import { DateTime } from 'luxon';
 export class EasternTimeLabelProvider extends NumericLabelProvider {
     formatLabel(dataValue) {
         const dt = DateTime.fromMillis(dataValue).setZone('America/New_York');
+
+        // Second and tick bars: ticks can fall inside a minute
+        if (dt.second !== 0) {
+            return dt.toFormat('HH:mm:ss');
+        }
         
         // Only show month/day if minutes are at the top of the hour (00)
         if (dt.minute === 0) {
@@ -38,20 +43,32 @@ export class CustomTickProvider extends NumericTickProvider {
         const durationHours = durationMs / (1000 * 60 * 60);
 
         let intervalMs;
-        if (durationHours < 3) {
+        if (durationHours < 0.25) {
+            // Second/tick bars zoomed in
+            intervalMs = 60 * 1000;
+        } else if (durationHours < 1) {
+            intervalMs = 5 * 60 * 1000;
+        } else if (durationHours < 3) {
             intervalMs = 15 * 60 * 1000;
         } else if (durationHours < 12) {
             intervalMs = 60 * 60 * 1000;
         } else if (durationHours < 48) {
             intervalMs = 4 * 60 * 60 * 1000;
-        } else {
+        } else if (durationHours < 24 * 60) {
             intervalMs = 24 * 60 * 60 * 1000;
+        } else {
+            // Daily/weekly charts spanning months: one tick per week
+            intervalMs = 7 * 24 * 60 * 60 * 1000;
         }
 
         const startTime = DateTime.fromMillis(visibleMin, { zone: 'America/New_York' });
 
         let tickStart;
-        if (intervalMs === 15 * 60 * 1000) {
+        if (intervalMs === 60 * 1000 || intervalMs === 5 * 60 * 1000) {
+            const intervalMinutes = intervalMs / (60 * 1000);
+            const roundedMinutes = Math.floor(startTime.minute / intervalMinutes) * intervalMinutes;
+            tickStart = startTime.set({ minute: roundedMinutes, second: 0, millisecond: 0 });
+        } else if (intervalMs === 15 * 60 * 1000) {
             const minutes = startTime.minute;
             const roundedMinutes = Math.floor(minutes / 15) * 15;
             tickStart = startTime.set({ minute: roundedMinutes, second: 0, millisecond: 0 });
@@ -61,18 +78,22 @@ export class CustomTickProvider extends NumericTickProvider {
             const hours = startTime.hour;
             const roundedHours = Math.floor(hours / 4) * 4;
             tickStart = startTime.set({ hour: roundedHours, minute: 0, second: 0, millisecond: 0 });
+        } else if (intervalMs === 7 * 24 * 60 * 60 * 1000) {
+            tickStart = startTime.startOf('week');
         } else {
             tickStart = startTime.startOf('day');
         }
 
         const ticks = [];
-        let current = tickStart.toMillis();
+        let current = tickStart;
+        const stepDuration = intervalMs >= 24 * 60 * 60 * 1000 ? { days: intervalMs / (24 * 60 * 60 * 1000) } : null;
 
-        while (current <= visibleMax) {
-            if (current >= visibleMin) {
-                ticks.push(current);
+        while (current.toMillis() <= visibleMax) {
+            if (current.toMillis() >= visibleMin) {
+                ticks.push(current.toMillis());
             }
-            current += intervalMs;
+            // Step daily/weekly ticks in calendar days so they stay on midnight ET across DST changes
+            current = stepDuration ? current.plus(stepDuration) : current.plus({ milliseconds: intervalMs });
         }
 
         return ticks;
@@ -86,6 +107,12 @@ export class CustomTickProvider extends NumericTickProvider {
 
         const visibleMin = visRange.min;
         const visibleMax = visRange.max;
+
+        // Second/tick bars over a long range would produce far too many minor ticks
+        if ((visibleMax - visibleMin) / this.candleInterval > 10000) {
+            return [];
+        }
+
         const start = Math.floor(visibleMin / this.candleInterval) * this.candleInterval;
         const ticks = [];
         for (let i = start; i <= visibleMax; i += this.candleInterval) {
@@ -95,4 +122,43 @@ export class CustomTickProvider extends NumericTickProvider {
         }
         return ticks;
     }
-} 
\ No newline at end of file
+}
+
+// Label provider for category axes (equity curve periods, breakdown groups) - data values are indexes into the labels
+export class CategoryLabelProvider extends NumericLabelProvider {
+    constructor(labels = []) {
+        super();
+        this.labels = labels;
+    }
+
+    formatLabel(dataValue) {
+        const index = Math.round(dataValue);
+        return Math.abs(dataValue - index) < 1e-6 && this.labels[index] !== undefined ? this.labels[index] : '';
+    }
+}
+
+// Tick provider for category axes - whole indexes only, thinned out to at most maxTicks labels
+export class CategoryTickProvider extends NumericTickProvider {
+    constructor(wasmContext, maxTicks = 12) {
+        super(wasmContext);
+        this.maxTicks = maxTicks;
+    }
+
+    getMajorTicks(deltminor, deltMajor, visRange) {
+        if (!visRange) {
+            return [];
+        }
+        const first = Math.max(0, Math.ceil(visRange.min));
+        const last = Math.floor(visRange.max);
+        const step = Math.max(1, Math.ceil((last - first + 1) / this.maxTicks));
+        const ticks = [];
+        for (let i = first; i <= last; i += step) {
+            ticks.push(i);
+        }
+        return ticks;
+    }
+
+    getMinorTicks() {
+        return [];
+    }
+}
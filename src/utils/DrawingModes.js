@@ -1,7 +1,7 @@
 import { ZoomPanModifier } from 'scichart/Charting/ChartModifiers/ZoomPanModifier';
 
 // Function to toggle line drawing mode
-export const toggleLineMode = (isLineMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsArrowMode, setIsTextMode) => {
+export const toggleLineMode = (isLineMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsArrowMode, setIsTextMode, setIsFibMode, setIsPositionMode) => {
     const newLineMode = !isLineMode;
     setIsLineMode(newLineMode);
     if (newLineMode) {
@@ -9,11 +9,13 @@ export const toggleLineMode = (isLineMode, setIsLineMode, setIsBoxMode, setIsTre
         setIsTrendMode(false); // Turn off trend mode if line mode is enabled
         setIsArrowMode(false); // Turn off arrow mode if line mode is enabled
         setIsTextMode(false); // Turn off text mode if line mode is enabled
+        setIsFibMode(false); // Turn off Fibonacci mode if line mode is enabled
+        setIsPositionMode(false); // Turn off position mode if line mode is enabled
     }
 };
 
 // Function to toggle box drawing mode
-export const toggleBoxMode = (isBoxMode, setIsBoxMode, setIsLineMode, setIsTrendMode, setIsArrowMode, setIsTextMode) => {
+export const toggleBoxMode = (isBoxMode, setIsBoxMode, setIsLineMode, setIsTrendMode, setIsArrowMode, setIsTextMode, setIsFibMode, setIsPositionMode) => {
     const newBoxMode = !isBoxMode;
     setIsBoxMode(newBoxMode);
     if (newBoxMode) {
@@ -21,11 +23,13 @@ export const toggleBoxMode = (isBoxMode, setIsBoxMode, setIsLineMode, setIsTrend
         setIsTrendMode(false); // Turn off trend mode if box mode is enabled
         setIsArrowMode(false); // Turn off arrow mode if box mode is enabled
         setIsTextMode(false); // Turn off text mode if box mode is enabled
+        setIsFibMode(false); // Turn off Fibonacci mode if box mode is enabled
+        setIsPositionMode(false); // Turn off position mode if box mode is enabled
     }
 };
 
 // Function to toggle trend drawing mode
-export const toggleTrendMode = (isTrendMode, setIsTrendMode, setIsLineMode, setIsBoxMode, setIsArrowMode, setIsTextMode) => {
+export const toggleTrendMode = (isTrendMode, setIsTrendMode, setIsLineMode, setIsBoxMode, setIsArrowMode, setIsTextMode, setIsFibMode, setIsPositionMode) => {
     const newTrendMode = !isTrendMode;
     // console.log(`Toggling trend mode from ${isTrendMode} to ${newTrendMode}`);
     setIsTrendMode(newTrendMode);
@@ -35,12 +39,14 @@ export const toggleTrendMode = (isTrendMode, setIsTrendMode, setIsLineMode, setI
         setIsBoxMode(false); // Turn off box mode if trend mode is enabled
         setIsArrowMode(false); // Turn off arrow mode if trend mode is enabled
         setIsTextMode(false); // Turn off text mode if trend mode is enabled
+        setIsFibMode(false); // Turn off Fibonacci mode if trend mode is enabled
+        setIsPositionMode(false); // Turn off position mode if trend mode is enabled
         // console.log('Trend mode enabled, disabled line and box modes');
     }
 };
 
 // Function to toggle arrow drawing mode
-export const toggleArrowMode = (isArrowMode, setIsArrowMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsTextMode) => {
+export const toggleArrowMode = (isArrowMode, setIsArrowMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsTextMode, setIsFibMode, setIsPositionMode) => {
     const newArrowMode = !isArrowMode;
     // console.log(`Toggling arrow mode from ${isArrowMode} to ${newArrowMode}`);
     setIsArrowMode(newArrowMode);
@@ -50,12 +56,14 @@ export const toggleArrowMode = (isArrowMode, setIsArrowMode, setIsLineMode, setI
         setIsBoxMode(false); // Turn off box mode if arrow mode is enabled
         setIsTrendMode(false); // Turn off trend mode if arrow mode is enabled
         setIsTextMode(false); // Turn off text mode if arrow mode is enabled
+        setIsFibMode(false); // Turn off Fibonacci mode if arrow mode is enabled
+        setIsPositionMode(false); // Turn off position mode if arrow mode is enabled
         // console.log('Arrow mode enabled, disabled other drawing modes');
     }
 };
 
 // Function to toggle text drawing mode
-export const toggleTextMode = (isTextMode, setIsTextMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsArrowMode) => {
+export const toggleTextMode = (isTextMode, setIsTextMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsArrowMode, setIsFibMode, setIsPositionMode) => {
     const newTextMode = !isTextMode;
     // console.log(`Toggling text mode from ${isTextMode} to ${newTextMode}`);
     setIsTextMode(newTextMode);
@@ -65,14 +73,46 @@ export const toggleTextMode = (isTextMode, setIsTextMode, setIsLineMode, setIsBo
         setIsBoxMode(false); // Turn off box mode if text mode is enabled
         setIsTrendMode(false); // Turn off trend mode if text mode is enabled
         setIsArrowMode(false); // Turn off arrow mode if text mode is enabled
+        setIsFibMode(false); // Turn off Fibonacci mode if text mode is enabled
+        setIsPositionMode(false); // Turn off position mode if text mode is enabled
         // console.log('Text mode enabled, disabled other drawing modes');
     }
 };
 
+// Function to toggle Fibonacci drawing mode
+export const toggleFibMode = (isFibMode, setIsFibMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsArrowMode, setIsTextMode, setIsPositionMode) => {
+    const newFibMode = !isFibMode;
+    setIsFibMode(newFibMode);
+    
+    if (newFibMode) {
+        setIsLineMode(false); // Turn off line mode if Fibonacci mode is enabled
+        setIsBoxMode(false); // Turn off box mode if Fibonacci mode is enabled
+        setIsTrendMode(false); // Turn off trend mode if Fibonacci mode is enabled
+        setIsArrowMode(false); // Turn off arrow mode if Fibonacci mode is enabled
+        setIsTextMode(false); // Turn off text mode if Fibonacci mode is enabled
+        setIsPositionMode(false); // Turn off position mode if Fibonacci mode is enabled
+    }
+};
+
+// Function to toggle position drawing mode
+export const togglePositionMode = (isPositionMode, setIsPositionMode, setIsLineMode, setIsBoxMode, setIsTrendMode, setIsArrowMode, setIsTextMode, setIsFibMode) => {
+    const newPositionMode = !isPositionMode;
+    setIsPositionMode(newPositionMode);
+    
+    if (newPositionMode) {
+        setIsLineMode(false); // Turn off line mode if position mode is enabled
+        setIsBoxMode(false); // Turn off box mode if position mode is enabled
+        setIsTrendMode(false); // Turn off trend mode if position mode is enabled
+        setIsArrowMode(false); // Turn off arrow mode if position mode is enabled
+        setIsTextMode(false); // Turn off text mode if position mode is enabled
+        setIsFibMode(false); // Turn off Fibonacci mode if position mode is enabled
+    }
+};
+
 // Function to update zoom pan modifier state
-export const updateZoomPanModifierState = (isBoxMode, isTrendMode, isArrowMode, isTextMode, sciChartSurfaceRefs, timeframes) => {
+export const updateZoomPanModifierState = (isBoxMode, isTrendMode, isArrowMode, isTextMode, isFibMode, isPositionMode, sciChartSurfaceRefs, timeframes) => {
     // Check if any drawing mode is active - if any is active, disable ZoomPanModifier
-    const isAnyDrawingModeActive = isBoxMode || isTrendMode || isArrowMode || isTextMode;
+    const isAnyDrawingModeActive = isBoxMode || isTrendMode || isArrowMode || isTextMode || isFibMode || isPositionMode;
     
     // console.log(`Updating ZoomPanModifier state. Drawing active: ${isAnyDrawingModeActive} (Box: ${isBoxMode}, Trend: ${isTrendMode}, Arrow: ${isArrowMode}, Text: ${isTextMode})`);
     
@@ -0,0 +1,161 @@
+import { LineAnnotation, NativeTextAnnotation } from 'scichart';
+import { removeDerivedAnnotations } from './chartUtils';
+
+/**
+ * Fibonacci retracement / extension drawing tool.
+ *
+ * A Fibonacci drawing is a single editable LineAnnotation (annotype 'fib') between the two swing points. The
+ * anchor carries the tool's settings (fibType, fibLevels, fibShowPrices), so it is saved, rebuilt, propagated to
+ * all timeframes and locked like any other user annotation. The level lines and labels are derived, non-editable
+ * annotations with IDs of the form `${anchorId}/level/n` and `${anchorId}/label/n` - they aren't in the 5-part
+ * annotation ID format, so the annotation manager and drawing lock leave them alone - and are redrawn whenever
+ * the anchor moves.
+ */
+
+export const FIB_TYPES = ['retracement', 'extension'];
+
+export const DEFAULT_FIB_LEVELS = {
+    retracement: [
+        { level: 0, color: '#787B86', enabled: true },
+        { level: 0.236, color: '#F23645', enabled: true },
+        { level: 0.382, color: '#FF9800', enabled: true },
+        { level: 0.5, color: '#4CAF50', enabled: true },
+        { level: 0.618, color: '#089981', enabled: true },
+        { level: 0.786, color: '#00BCD4', enabled: true },
+        { level: 1, color: '#787B86', enabled: true },
+    ],
+    extension: [
+        { level: 0, color: '#787B86', enabled: true },
+        { level: 0.618, color: '#089981', enabled: false },
+        { level: 1, color: '#787B86', enabled: true },
+        { level: 1.272, color: '#FF9800', enabled: true },
+        { level: 1.618, color: '#2962FF', enabled: true },
+        { level: 2, color: '#9C27B0', enabled: true },
+        { level: 2.618, color: '#F23645', enabled: true },
+    ],
+};
+
+/**
+ * Get the price of a Fibonacci level for a swing drawn from (y1) to (y2).
+ * Retracements measure back from the end of the swing (0 = end, 1 = start); extensions project the swing from its
+ * start (1 = end, 1.618 = 61.8% beyond the end).
+ * @param {number} y1 - Price where the swing starts
+ * @param {number} y2 - Price where the swing ends
+ * @param {string} fibType - 'retracement' or 'extension'
+ * @param {number} level - Fibonacci ratio
+ * @returns {number} - Price of the level
+ */
+export function getFibonacciLevelPrice(y1, y2, fibType, level) {
+    const range = y2 - y1;
+    return fibType === 'extension' ? y1 + range * level : y2 - range * level;
+}
+
+/**
+ * Format a Fibonacci ratio for a level label, e.g. 0.618 -> "61.8%"
+ * @param {number} level - Fibonacci ratio
+ * @returns {string} - Label text
+ */
+export function formatFibonacciLevel(level) {
+    return `${parseFloat((level * 100).toFixed(1))}%`;
+}
+
+/**
+ * (Re)draw the level lines and labels for a Fibonacci anchor from its current coordinates and settings
+ * @param {LineAnnotation} anchor - The Fibonacci anchor annotation
+ * @param {SciChartSurface} sciChartSurface - The chart surface the anchor is on
+ */
+export function drawFibonacciLevels(anchor, sciChartSurface) {
+    if (!anchor || !sciChartSurface) return;
+    removeDerivedAnnotations(sciChartSurface, anchor.id);
+
+    const xStart = Math.min(anchor.x1, anchor.x2);
+    const xEnd = Math.max(anchor.x1, anchor.x2);
+    const fibType = anchor.fibType || 'retracement';
+    const levels = anchor.fibLevels || DEFAULT_FIB_LEVELS[fibType];
+
+    levels.forEach((fibLevel, index) => {
+        if (!fibLevel.enabled) return;
+        const price = getFibonacciLevelPrice(anchor.y1, anchor.y2, fibType, fibLevel.level);
+        if (!Number.isFinite(price)) return;
+
+        sciChartSurface.annotations.add(new LineAnnotation({
+            id: `${anchor.id}/level/${index}`,
+            x1: xStart,
+            x2: xEnd,
+            y1: price,
+            y2: price,
+            stroke: fibLevel.color,
+            strokeThickness: 1,
+            isEditable: false,
+            xAxisId: 'xAxis',
+            yAxisId: 'yAxis'
+        }));
+
+        const labelText = anchor.fibShowPrices
+            ? `${formatFibonacciLevel(fibLevel.level)} (${price.toFixed(2)})`
+            : formatFibonacciLevel(fibLevel.level);
+        sciChartSurface.annotations.add(new NativeTextAnnotation({
+            id: `${anchor.id}/label/${index}`,
+            x1: xStart,
+            y1: price,
+            text: labelText,
+            textColor: fibLevel.color,
+            backgroundColor: 'transparent',
+            fontSize: 11,
+            horizontalAnchorPoint: 'Left',
+            verticalAnchorPoint: 'Bottom',
+            isEditable: false,
+            xAxisId: 'xAxis',
+            yAxisId: 'yAxis'
+        }));
+    });
+}
+
+/**
+ * Create a Fibonacci anchor annotation and draw its levels on the chart surface
+ * @param {Object} options
+ * @param {string} options.id - Annotation ID (annotype 'fib')
+ * @param {number} options.x1 - Swing start time
+ * @param {number} options.y1 - Swing start price
+ * @param {number} options.x2 - Swing end time
+ * @param {number} options.y2 - Swing end price
+ * @param {string} options.stroke - Color of the anchor line
+ * @param {string} options.fibType - 'retracement' or 'extension'
+ * @param {Array} options.fibLevels - Levels ({ level, color, enabled })
+ * @param {boolean} options.fibShowPrices - Whether level labels include the price
+ * @param {boolean} options.isEditable - Whether the anchor can be dragged
+ * @param {SciChartSurface} options.sciChartSurface - The chart surface the anchor will be added to
+ * @param {Function} options.onDragEnded - Called when the user finishes dragging the anchor
+ * @returns {LineAnnotation} - The anchor annotation (not yet added to the surface)
+ */
+export function createFibonacciAnnotation({
+    id, x1, y1, x2, y2, stroke, fibType, fibLevels, fibShowPrices, isEditable, sciChartSurface, onDragEnded
+}) {
+    const anchor = new LineAnnotation({
+        id,
+        x1,
+        y1,
+        x2,
+        y2,
+        stroke: stroke || '#787B86',
+        strokeThickness: 1,
+        strokeDashArray: [4, 4],
+        isEditable,
+        isSelected: false,
+        xAxisId: 'xAxis',
+        yAxisId: 'yAxis',
+        onDrag: () => {
+            // Keep the levels with the anchor while it is dragged
+            drawFibonacciLevels(anchor, sciChartSurface);
+            sciChartSurface.invalidateElement();
+        },
+        onDragEnded
+    });
+
+    anchor.fibType = fibType || 'retracement';
+    anchor.fibLevels = fibLevels || DEFAULT_FIB_LEVELS[anchor.fibType];
+    anchor.fibShowPrices = !!fibShowPrices;
+
+    drawFibonacciLevels(anchor, sciChartSurface);
+    return anchor;
+}
@@ -0,0 +1,133 @@
+import { isValidTimeframe, SERVER_TIMEFRAMES } from './Timeframes';
+
+/**
+ * Free-form grid layout helpers.
+ *
+ * A grid layout is stored in settings.gridLayout as { cells: [{ i, timeframe, instrument, x, y, w, h }] } where
+ * x/y/w/h are react-grid-layout units on a GRID_COLUMNS x GRID_ROWS grid.
+ *
+ * instrument is optional: cells without one chart the connection's instrument, and are keyed by timeframe
+ * throughout App.js, so those cells need distinct timeframes. Cells with another instrument are fed by their own
+ * Chronicle subscription (see services/instrument-feed.js) and need a distinct instrument/timeframe pair.
+ * At least one cell must chart the connection's instrument.
+ */
+
+export const GRID_COLUMNS = 12;
+export const GRID_ROWS = 12;
+export const MAX_GRID_CELLS = 9;
+
+export const DEFAULT_GRID_LAYOUT = {
+    cells: [
+        { i: 'pane-1', timeframe: '1h', instrument: null, x: 0, y: 0, w: 6, h: 6 },
+        { i: 'pane-2', timeframe: '5m', instrument: null, x: 6, y: 0, w: 6, h: 6 },
+        { i: 'pane-3', timeframe: '15m', instrument: null, x: 0, y: 6, w: 6, h: 6 },
+        { i: 'pane-4', timeframe: '1m', instrument: null, x: 6, y: 6, w: 6, h: 6 },
+    ],
+};
+
+const clamp = (value, min, max, fallback) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, Math.round(number)));
+};
+
+// A cell's instrument, or null if it charts the connection's instrument
+const getCellInstrument = (cell, mainInstrument) => {
+    const instrument = typeof cell.instrument === 'string' ? cell.instrument.trim() : '';
+    return instrument && instrument !== mainInstrument ? instrument : null;
+};
+
+/**
+ * Clean up a stored grid layout: drop cells with invalid or duplicate instrument/timeframe pairs and keep positions
+ * on the grid. Falls back to the default grid when no cell charts the connection's instrument.
+ * @param {Object} gridLayout Grid layout from settings
+ * @param {string} mainInstrument The connection's instrument
+ * @returns {Object} { cells }
+ */
+export const normalizeGridLayout = (gridLayout, mainInstrument = null) => {
+    const seenPanes = new Set();
+    const seenIds = new Set();
+    const cells = [];
+
+    ((gridLayout && gridLayout.cells) || []).forEach((cell, index) => {
+        if (!cell || !isValidTimeframe(cell.timeframe) || cells.length >= MAX_GRID_CELLS) return;
+        const instrument = getCellInstrument(cell, mainInstrument);
+        const paneKey = `${instrument || ''}|${cell.timeframe}`;
+        if (seenPanes.has(paneKey)) return;
+
+        let id = typeof cell.i === 'string' && cell.i ? cell.i : `pane-${index + 1}`;
+        while (seenIds.has(id)) id = `${id}-1`;
+        seenIds.add(id);
+        seenPanes.add(paneKey);
+
+        const w = clamp(cell.w, 1, GRID_COLUMNS, 6);
+        const h = clamp(cell.h, 1, GRID_ROWS, 6);
+        cells.push({
+            i: id,
+            timeframe: cell.timeframe,
+            instrument,
+            x: clamp(cell.x, 0, GRID_COLUMNS - w, 0),
+            y: clamp(cell.y, 0, GRID_ROWS - h, 0),
+            w,
+            h,
+        });
+    });
+
+    return cells.some(cell => !cell.instrument) ? { cells } : DEFAULT_GRID_LAYOUT;
+};
+
+/**
+ * Get the timeframes the connection's instrument is shown in, in cell order
+ * @param {Object} gridLayout Grid layout from settings
+ * @param {string} mainInstrument The connection's instrument
+ * @returns {Array<string>}
+ */
+export const getGridTimeframes = (gridLayout, mainInstrument = null) => normalizeGridLayout(gridLayout, mainInstrument)
+    .cells.filter(cell => !cell.instrument).map(cell => cell.timeframe);
+
+/**
+ * Get the timeframes shown for each additional instrument in a grid layout
+ * @param {Object} gridLayout Grid layout from settings
+ * @param {string} mainInstrument The connection's instrument
+ * @returns {Object} Timeframes keyed by instrument, e.g. { NQM5: ['5m', '1h'] }
+ */
+export const getGridInstrumentTimeframes = (gridLayout, mainInstrument = null) => {
+    const instruments = {};
+    normalizeGridLayout(gridLayout, mainInstrument).cells.forEach(cell => {
+        if (!cell.instrument) return;
+        if (!instruments[cell.instrument]) instruments[cell.instrument] = [];
+        instruments[cell.instrument].push(cell.timeframe);
+    });
+    return instruments;
+};
+
+/**
+ * Create a new cell below the existing ones for the connection's instrument, using the first served timeframe
+ * it isn't already shown in
+ * @param {Array} cells Existing (normalized) cells
+ * @returns {Object|null} New cell, or null if the grid is full or every served timeframe is in use
+ */
+export const createGridCell = (cells) => {
+    if (cells.length >= MAX_GRID_CELLS) return null;
+    const timeframe = SERVER_TIMEFRAMES.find(tf => !cells.some(cell => !cell.instrument && cell.timeframe === tf));
+    if (!timeframe) return null;
+
+    const ids = new Set(cells.map(cell => cell.i));
+    let number = cells.length + 1;
+    while (ids.has(`pane-${number}`)) number++;
+
+    // react-grid-layout compacts the new cell upward into any free space
+    const bottom = cells.reduce((max, cell) => Math.max(max, cell.y + cell.h), 0);
+    return { i: `pane-${number}`, timeframe, instrument: null, x: 0, y: bottom, w: 6, h: 4 };
+};
+
+/**
+ * Copy positions from a react-grid-layout layout back onto the cells
+ * @param {Array} cells Existing cells
+ * @param {Array} layout Layout items ({ i, x, y, w, h }) reported by react-grid-layout
+ * @returns {Array} Updated cells
+ */
+export const applyGridPositions = (cells, layout) => cells.map(cell => {
+    const item = layout.find(l => l.i === cell.i);
+    return item ? { ...cell, x: item.x, y: item.y, w: item.w, h: item.h } : cell;
+});
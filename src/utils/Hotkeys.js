@@ -0,0 +1,169 @@
+/**
+ * Hotkey actions and key handling.
+ *
+ * Every action a hotkey can run is listed in HOTKEY_ACTIONS with the windows that can run it: 'chart' for the
+ * chart windows (the main window and replay windows) and 'trade' for the Trade Window. A binding is
+ * { key, scope } where key is a combination as getKeyCombo() writes it ('Ctrl+Shift+B', 'Space', '1') and scope
+ * is one of HOTKEY_SCOPES - the windows whose keys it listens to. A 'global' chart action pressed in a Trade
+ * Window runs in the main chart window.
+ *
+ * The HotkeyService in the main process keeps the bindings that differ from the defaults below.
+ */
+
+export const HOTKEY_SCOPES = {
+    global: 'Any window',
+    chart: 'Chart windows',
+    trade: 'Trade Window',
+};
+
+export const FOCUS_TIMEFRAME_SLOTS = 6;
+
+export const HOTKEY_ACTIONS = [
+    { id: 'lineMode', group: 'Drawing', label: 'Line tool', windows: ['chart'], defaultKey: 'L' },
+    { id: 'boxMode', group: 'Drawing', label: 'Box tool', windows: ['chart'], defaultKey: 'B' },
+    { id: 'trendMode', group: 'Drawing', label: 'Trend line tool', windows: ['chart'], defaultKey: 'T' },
+    { id: 'arrowMode', group: 'Drawing', label: 'Arrow tool', windows: ['chart'], defaultKey: 'A' },
+    { id: 'textMode', group: 'Drawing', label: 'Text tool', windows: ['chart'], defaultKey: 'X' },
+    { id: 'fibMode', group: 'Drawing', label: 'Fibonacci tool', windows: ['chart'], defaultKey: 'F' },
+    { id: 'positionMode', group: 'Drawing', label: 'Position tool', windows: ['chart'], defaultKey: 'P' },
+    { id: 'crosshair', group: 'Drawing', label: 'Crosshair', windows: ['chart'], defaultKey: 'C' },
+    { id: 'linkedCursor', group: 'Drawing', label: 'Linked cursor', windows: ['chart'], defaultKey: 'Y' },
+    { id: 'drawingLock', group: 'Drawing', label: 'Drawing lock', windows: ['chart'], defaultKey: 'K' },
+    ...Array.from({ length: FOCUS_TIMEFRAME_SLOTS }, (value, index) => ({
+        id: `focusTimeframe${index + 1}`,
+        group: 'Timeframes',
+        label: `Focus timeframe ${index + 1} (again to restore the layout)`,
+        windows: ['chart'],
+        defaultKey: String(index + 1),
+    })),
+    { id: 'replayPause', group: 'Replay', label: 'Pause / resume', windows: ['chart'], defaultKey: 'Space' },
+    { id: 'replayStep', group: 'Replay', label: 'Step forward one bar', windows: ['chart'], defaultKey: 'Right' },
+    { id: 'replayStepBack', group: 'Replay', label: 'Step back one bar (local replays)', windows: ['chart'], defaultKey: 'Left' },
+    { id: 'buyMarket', group: 'Trading', label: 'Buy market', windows: ['chart', 'trade'], defaultKey: 'Ctrl+Shift+B', trading: true },
+    { id: 'sellMarket', group: 'Trading', label: 'Sell market', windows: ['chart', 'trade'], defaultKey: 'Ctrl+Shift+S', trading: true },
+    { id: 'flatten', group: 'Trading', label: 'Flatten position', windows: ['chart', 'trade'], defaultKey: 'Ctrl+Shift+F', trading: true },
+    { id: 'cancelAll', group: 'Trading', label: 'Cancel all orders', windows: ['chart', 'trade'], defaultKey: 'Ctrl+Shift+X', trading: true },
+    { id: 'breakeven', group: 'Trading', label: 'Move stop to breakeven', windows: ['chart', 'trade'], defaultKey: 'Ctrl+Shift+E', trading: true },
+    { id: 'disarmTrading', group: 'Trading', label: 'Disarm trading hotkeys', windows: ['chart', 'trade'], defaultKey: 'Ctrl+Shift+D' },
+];
+
+// Keys the menus and charts already use
+export const RESERVED_KEYS = {
+    'Ctrl+R': 'Reset Chart Client',
+    'Meta+R': 'Reset Chart Client',
+    'Ctrl+Q': 'Quit',
+    'Meta+Q': 'Quit',
+    'Ctrl+Shift+I': 'Developer Tools',
+    'Alt+Meta+I': 'Developer Tools',
+    Delete: 'Delete the selected drawing',
+};
+
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'];
+const KEY_NAMES = {
+    ' ': 'Space',
+    ArrowUp: 'Up',
+    ArrowDown: 'Down',
+    ArrowLeft: 'Left',
+    ArrowRight: 'Right',
+    Esc: 'Escape',
+};
+
+/**
+ * The key combination of a keydown event, modifiers first - letters and digits by their physical key, so Shift+1
+ * is 'Shift+1' rather than '!'
+ * @param {KeyboardEvent} event
+ * @returns {string|null} Null for a modifier on its own
+ */
+export const getKeyCombo = (event) => {
+    if (!event.key || MODIFIER_KEYS.includes(event.key)) return null;
+
+    let key;
+    if (/^Key[A-Z]$/.test(event.code)) {
+        key = event.code.slice(3);
+    } else if (/^Digit\d$/.test(event.code)) {
+        key = event.code.slice(5);
+    } else if (/^Numpad\d$/.test(event.code)) {
+        key = `Num${event.code.slice(6)}`;
+    } else {
+        key = KEY_NAMES[event.key] || (event.key.length === 1 ? event.key.toUpperCase() : event.key);
+    }
+
+    const modifiers = [
+        event.ctrlKey && 'Ctrl',
+        event.altKey && 'Alt',
+        event.shiftKey && 'Shift',
+        event.metaKey && 'Meta',
+    ].filter(Boolean);
+    return [...modifiers, key].join('+');
+};
+
+/**
+ * Whether a key went to somewhere the user types - hotkeys leave those alone
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+export const isTypingTarget = (target) => {
+    if (!target || !target.tagName) return false;
+    if (target.isContentEditable) return true;
+    if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'range'].includes(target.type);
+};
+
+/**
+ * Every action's binding: the saved one, or the action's default
+ * @param {Object} savedBindings actionId -> { key, scope } from the HotkeyService
+ * @returns {Object} actionId -> { key, scope }
+ */
+export const getHotkeyBindings = (savedBindings = {}) => Object.fromEntries(HOTKEY_ACTIONS.map(action => [
+    action.id,
+    savedBindings[action.id] || { key: action.defaultKey, scope: 'global' },
+]));
+
+/**
+ * The bindings worth saving - those that differ from their action's default
+ * @param {Object} bindings actionId -> { key, scope }
+ * @returns {Object}
+ */
+export const getChangedBindings = (bindings) => Object.fromEntries(HOTKEY_ACTIONS
+    .filter(action => bindings[action.id]
+        && (bindings[action.id].key !== action.defaultKey || bindings[action.id].scope !== 'global'))
+    .map(action => [action.id, bindings[action.id]]));
+
+const scopesOverlap = (scopeA, scopeB) => scopeA === 'global' || scopeB === 'global' || scopeA === scopeB;
+
+/**
+ * Find bindings that can't both work: the same keys where their scopes overlap, or keys the menus already use
+ * @param {Object} bindings actionId -> { key, scope }
+ * @returns {Object} actionId -> what it conflicts with, for the actions in conflict
+ */
+export const findHotkeyConflicts = (bindings) => {
+    const conflicts = {};
+    HOTKEY_ACTIONS.forEach((action, index) => {
+        const binding = bindings[action.id];
+        if (!binding || !binding.key) return;
+        if (RESERVED_KEYS[binding.key]) {
+            conflicts[action.id] = RESERVED_KEYS[binding.key];
+            return;
+        }
+        HOTKEY_ACTIONS.forEach((other, otherIndex) => {
+            const otherBinding = bindings[other.id];
+            if (otherIndex === index || !otherBinding || otherBinding.key !== binding.key) return;
+            if (scopesOverlap(binding.scope, otherBinding.scope) && !conflicts[action.id]) {
+                conflicts[action.id] = other.label;
+            }
+        });
+    });
+    return conflicts;
+};
+
+/**
+ * The action a key combination runs in a window
+ * @param {Object} bindings actionId -> { key, scope }
+ * @param {string} combo Key combination from getKeyCombo()
+ * @param {string} windowType 'chart' or 'trade'
+ * @returns {Object|null} Action from HOTKEY_ACTIONS
+ */
+export const findHotkeyAction = (bindings, combo, windowType) => HOTKEY_ACTIONS.find(action => {
+    const binding = bindings[action.id];
+    return binding && binding.key === combo && (binding.scope === 'global' || binding.scope === windowType);
+}) || null;
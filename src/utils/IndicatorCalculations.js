@@ -0,0 +1,297 @@
+import { getSessionStart } from './VolumeProfile';
+
+/**
+ * Incremental indicator calculators
+ *
+ * Every calculator created by createIndicatorCalculator exposes:
+ *   step(candle)   - consumes the next candle and returns an object of output values (NaN while warming up)
+ *   getState()     - returns a plain-object copy of the internal state
+ *   setState(state)- restores a state previously returned by getState()
+ *
+ * The engine snapshots the state before the last (still forming) candle so live updates to that candle
+ * can be re-stepped without recalculating the whole history.
+ */
+
+// Indicator definitions: pane placement, default parameters and the outputs each one produces
+export const INDICATOR_DEFINITIONS = {
+    SMA: {
+        name: 'Simple Moving Average',
+        pane: 'overlay',
+        defaults: { period: 20, source: 'close' },
+        outputs: ['value'],
+    },
+    EMA: {
+        name: 'Exponential Moving Average',
+        pane: 'overlay',
+        defaults: { period: 20, source: 'close' },
+        outputs: ['value'],
+    },
+    VWAP: {
+        name: 'VWAP',
+        pane: 'overlay',
+        defaults: { sessionReset: true, bandMultiplier1: 1, bandMultiplier2: 2 },
+        outputs: ['vwap', 'upper1', 'lower1', 'upper2', 'lower2'],
+    },
+    BOLLINGER: {
+        name: 'Bollinger Bands',
+        pane: 'overlay',
+        defaults: { period: 20, stdDev: 2, source: 'close' },
+        outputs: ['middle', 'upper', 'lower'],
+    },
+    ATR: {
+        name: 'Average True Range',
+        pane: 'subpane',
+        defaults: { period: 14 },
+        outputs: ['value'],
+    },
+    RSI: {
+        name: 'Relative Strength Index',
+        pane: 'subpane',
+        defaults: { period: 14, source: 'close' },
+        outputs: ['value'],
+        fixedRange: { min: 0, max: 100 },
+    },
+    MACD: {
+        name: 'MACD',
+        pane: 'subpane',
+        defaults: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9, source: 'close' },
+        outputs: ['macd', 'signal', 'histogram'],
+    },
+};
+
+/**
+ * Get the price used by an indicator from a candle
+ * @param {Object} candle Candle with open, high, low, close
+ * @param {string} source 'open', 'high', 'low', 'close', 'hl2', 'hlc3' or 'ohlc4'
+ * @returns {number} Source price
+ */
+export const getSourcePrice = (candle, source = 'close') => {
+    const open = Number(candle.open);
+    const high = Number(candle.high);
+    const low = Number(candle.low);
+    const close = Number(candle.close);
+    switch (source) {
+        case 'open': return open;
+        case 'high': return high;
+        case 'low': return low;
+        case 'hl2': return (high + low) / 2;
+        case 'hlc3': return (high + low + close) / 3;
+        case 'ohlc4': return (open + high + low + close) / 4;
+        default: return close;
+    }
+};
+
+// Copy a plain state object (arrays are the only nested values calculators keep)
+const cloneState = (state) => {
+    const copy = {};
+    for (const key in state) {
+        const value = state[key];
+        if (Array.isArray(value)) {
+            copy[key] = [...value];
+        } else if (value && typeof value === 'object') {
+            copy[key] = cloneState(value);
+        } else {
+            copy[key] = value;
+        }
+    }
+    return copy;
+};
+
+// Wrap a state object and a step function into a calculator
+const makeCalculator = (initialState, step) => {
+    let state = initialState;
+    return {
+        step: (candle) => step(state, candle),
+        getState: () => cloneState(state),
+        setState: (newState) => { state = cloneState(newState); },
+    };
+};
+
+// Single EMA step on a plain value; seeds with the SMA of the first `period` values
+const emaStep = (s, value, period) => {
+    if (isNaN(value)) return s.ema;
+    s.count++;
+    if (s.count <= period) {
+        s.seedSum += value;
+        if (s.count === period) s.ema = s.seedSum / period;
+        return s.count === period ? s.ema : NaN;
+    }
+    const k = 2 / (period + 1);
+    s.ema = value * k + s.ema * (1 - k);
+    return s.ema;
+};
+
+const newEmaState = () => ({ count: 0, seedSum: 0, ema: NaN });
+
+const createSMA = ({ period, source }) => makeCalculator(
+    { window: [], sum: 0 },
+    (s, candle) => {
+        const value = getSourcePrice(candle, source);
+        s.window.push(value);
+        s.sum += value;
+        if (s.window.length > period) s.sum -= s.window.shift();
+        return { value: s.window.length === period ? s.sum / period : NaN };
+    }
+);
+
+const createEMA = ({ period, source }) => makeCalculator(
+    newEmaState(),
+    (s, candle) => ({ value: emaStep(s, getSourcePrice(candle, source), period) })
+);
+
+const createVWAP = ({ sessionReset, bandMultiplier1, bandMultiplier2 }) => makeCalculator(
+    { sessionStart: null, cumPV: 0, cumV: 0, cumPV2: 0 },
+    (s, candle) => {
+        const timestamp = Number(candle.timestamp);
+        const sessionStart = sessionReset ? getSessionStart(timestamp) : 0;
+        if (s.sessionStart !== sessionStart) {
+            s.sessionStart = sessionStart;
+            s.cumPV = 0;
+            s.cumV = 0;
+            s.cumPV2 = 0;
+        }
+
+        const typicalPrice = getSourcePrice(candle, 'hlc3');
+        const volume = Number(candle.volume) || 0;
+        s.cumPV += typicalPrice * volume;
+        s.cumV += volume;
+        s.cumPV2 += typicalPrice * typicalPrice * volume;
+
+        if (s.cumV <= 0) {
+            return { vwap: NaN, upper1: NaN, lower1: NaN, upper2: NaN, lower2: NaN };
+        }
+
+        const vwap = s.cumPV / s.cumV;
+        const stdDev = Math.sqrt(Math.max(0, s.cumPV2 / s.cumV - vwap * vwap));
+        return {
+            vwap,
+            upper1: vwap + stdDev * bandMultiplier1,
+            lower1: vwap - stdDev * bandMultiplier1,
+            upper2: vwap + stdDev * bandMultiplier2,
+            lower2: vwap - stdDev * bandMultiplier2,
+        };
+    }
+);
+
+const createBollinger = ({ period, stdDev, source }) => makeCalculator(
+    { window: [] },
+    (s, candle) => {
+        s.window.push(getSourcePrice(candle, source));
+        if (s.window.length > period) s.window.shift();
+        if (s.window.length < period) return { middle: NaN, upper: NaN, lower: NaN };
+
+        const mean = s.window.reduce((sum, v) => sum + v, 0) / period;
+        const variance = s.window.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / period;
+        const deviation = Math.sqrt(variance) * stdDev;
+        return { middle: mean, upper: mean + deviation, lower: mean - deviation };
+    }
+);
+
+// Wilder-smoothed ATR
+const createATR = ({ period }) => makeCalculator(
+    { prevClose: NaN, count: 0, trSum: 0, atr: NaN },
+    (s, candle) => {
+        const high = Number(candle.high);
+        const low = Number(candle.low);
+        const trueRange = isNaN(s.prevClose)
+            ? high - low
+            : Math.max(high - low, Math.abs(high - s.prevClose), Math.abs(low - s.prevClose));
+        s.prevClose = Number(candle.close);
+        s.count++;
+
+        if (s.count <= period) {
+            s.trSum += trueRange;
+            if (s.count === period) s.atr = s.trSum / period;
+        } else {
+            s.atr = (s.atr * (period - 1) + trueRange) / period;
+        }
+        return { value: s.count >= period ? s.atr : NaN };
+    }
+);
+
+// Wilder-smoothed RSI
+const createRSI = ({ period, source }) => makeCalculator(
+    { prevValue: NaN, count: 0, gainSum: 0, lossSum: 0, avgGain: NaN, avgLoss: NaN },
+    (s, candle) => {
+        const value = getSourcePrice(candle, source);
+        if (isNaN(s.prevValue)) {
+            s.prevValue = value;
+            return { value: NaN };
+        }
+
+        const change = value - s.prevValue;
+        const gain = Math.max(0, change);
+        const loss = Math.max(0, -change);
+        s.prevValue = value;
+        s.count++;
+
+        if (s.count <= period) {
+            s.gainSum += gain;
+            s.lossSum += loss;
+            if (s.count < period) return { value: NaN };
+            s.avgGain = s.gainSum / period;
+            s.avgLoss = s.lossSum / period;
+        } else {
+            s.avgGain = (s.avgGain * (period - 1) + gain) / period;
+            s.avgLoss = (s.avgLoss * (period - 1) + loss) / period;
+        }
+
+        if (s.avgLoss === 0) return { value: s.avgGain === 0 ? 50 : 100 };
+        return { value: 100 - 100 / (1 + s.avgGain / s.avgLoss) };
+    }
+);
+
+const createMACD = ({ fastPeriod, slowPeriod, signalPeriod, source }) => makeCalculator(
+    { fast: newEmaState(), slow: newEmaState(), signal: newEmaState() },
+    (s, candle) => {
+        const value = getSourcePrice(candle, source);
+        const fast = emaStep(s.fast, value, fastPeriod);
+        const slow = emaStep(s.slow, value, slowPeriod);
+        if (isNaN(fast) || isNaN(slow)) {
+            return { macd: NaN, signal: NaN, histogram: NaN };
+        }
+
+        const macd = fast - slow;
+        const signal = emaStep(s.signal, macd, signalPeriod);
+        return { macd, signal, histogram: isNaN(signal) ? NaN : macd - signal };
+    }
+);
+
+const CALCULATOR_FACTORIES = {
+    SMA: createSMA,
+    EMA: createEMA,
+    VWAP: createVWAP,
+    BOLLINGER: createBollinger,
+    ATR: createATR,
+    RSI: createRSI,
+    MACD: createMACD,
+};
+
+/**
+ * Create an incremental calculator for an indicator type
+ * @param {string} type Indicator type (key of INDICATOR_DEFINITIONS)
+ * @param {Object} params Indicator parameters, merged over the type's defaults
+ * @returns {Object|null} Calculator with step/getState/setState, or null for an unknown type
+ */
+export const createIndicatorCalculator = (type, params = {}) => {
+    const definition = INDICATOR_DEFINITIONS[type];
+    const factory = CALCULATOR_FACTORIES[type];
+    if (!definition || !factory) {
+        console.warn(`IndicatorCalculations: Unknown indicator type ${type}`);
+        return null;
+    }
+    return factory({ ...definition.defaults, ...params });
+};
+
+/**
+ * Calculate an indicator over a full set of candles (non-incremental convenience wrapper)
+ * @param {string} type Indicator type
+ * @param {Array} candles Candles sorted by timestamp
+ * @param {Object} params Indicator parameters
+ * @returns {Array} Array of { timestamp, ...outputs }
+ */
+export const calculateIndicator = (type, candles, params = {}) => {
+    const calculator = createIndicatorCalculator(type, params);
+    if (!calculator || !candles) return [];
+    return candles.map(candle => ({ timestamp: candle.timestamp, ...calculator.step(candle) }));
+};
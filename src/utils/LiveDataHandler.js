@@ -14,19 +14,43 @@ export const handleLiveCandleUpdate = (candle, timeframe, colors, dataSeries, la
         return;
     }
 
-    const count = dataSeries.count();
-    if (count > 0) {
-        const lastTimestamp = dataSeries.getNativeXValues().get(count - 1);
-        if (candle.timestamp === lastTimestamp) {
-            dataSeries.removeAt(count - 1);
-            dataSeries.append(
-                Number(candle.timestamp),
-                Number(candle.open),
-                Number(candle.high),
-                Number(candle.low),
-                Number(candle.close)
-            );
-        } else if (candle.timestamp > lastTimestamp) {
+    // Heikin-Ashi / Renko / range bar charts: ChartPane attaches the transformer for the pane's chart type
+    // to the data series. Replace the bars the forming candle produced last time with the re-transformed ones.
+    const barTransformer = dataSeries.barTransformer;
+    if (barTransformer) {
+        const { removeFrom, bars } = barTransformer.update(candle);
+        if (removeFrom !== null) {
+            const removeCount = dataSeries.count() - removeFrom;
+            if (removeCount > 0) {
+                dataSeries.removeRange(removeFrom, removeCount);
+            }
+            bars.forEach(bar => {
+                dataSeries.append(bar.timestamp, bar.open, bar.high, bar.low, bar.close);
+            });
+        }
+    } else {
+        const count = dataSeries.count();
+        if (count > 0) {
+            const lastTimestamp = dataSeries.getNativeXValues().get(count - 1);
+            if (candle.timestamp === lastTimestamp) {
+                dataSeries.removeAt(count - 1);
+                dataSeries.append(
+                    Number(candle.timestamp),
+                    Number(candle.open),
+                    Number(candle.high),
+                    Number(candle.low),
+                    Number(candle.close)
+                );
+            } else if (candle.timestamp > lastTimestamp) {
+                dataSeries.append(
+                    Number(candle.timestamp),
+                    Number(candle.open),
+                    Number(candle.high),
+                    Number(candle.low),
+                    Number(candle.close)
+                );
+            }
+        } else {
             dataSeries.append(
                 Number(candle.timestamp),
                 Number(candle.open),
@@ -35,14 +59,6 @@ export const handleLiveCandleUpdate = (candle, timeframe, colors, dataSeries, la
                 Number(candle.close)
             );
         }
-    } else {
-        dataSeries.append(
-            Number(candle.timestamp),
-            Number(candle.open),
-            Number(candle.high),
-            Number(candle.low),
-            Number(candle.close)
-        );
     }
 
     if (sciChartSurface && lastPriceLine) {
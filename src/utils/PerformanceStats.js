@@ -0,0 +1,198 @@
+/**
+ * Performance statistics for the trade journal: equity curve, win rate, average R, profit factor,
+ * expectancy and max drawdown, overall and broken down by time of day, killzone, instrument,
+ * Trade Boss plan and tag.
+ *
+ * Results are in dollars when every trade's point value is known, otherwise in points.
+ */
+
+const KILLZONE_KEYS = ['killzone1', 'killzone2', 'killzone3', 'killzone4'];
+
+const TRADE_PLAN_NAMES = {
+    'simple-price': 'Simple Price',
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local date key, e.g. 2025-06-12
+const getDateKey = (time) => {
+    const date = new Date(time);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Local date key of the Monday of the week
+const getWeekKey = (time) => {
+    const date = new Date(time);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return getDateKey(date.getTime());
+};
+
+const toMinutes = (hhmm) => {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Get the name a trade's Trade Boss plan is grouped under
+ * @param {Object} trade - Journal trade
+ * @returns {string} - e.g. "Simple Price (5 pt stop)" or "Manual"
+ */
+export function getPlanName(trade) {
+    if (!trade.plan) return 'Manual';
+    const name = TRADE_PLAN_NAMES[trade.plan.tradePlan] || trade.plan.tradePlan || 'Trade Boss';
+    return `${name} (${trade.plan.stopLossPoints} pt stop)`;
+}
+
+/**
+ * Get the killzones a trade was entered in. Killzone times are local times on the trading day, as the
+ * Killzones study draws them; overlapping killzones both count the trade.
+ * @param {Object} trade - Journal trade
+ * @param {Object} killzoneSettings - Killzones study settings
+ * @returns {Array<string>} - Killzone labels, or ['Outside killzones']
+ */
+export function getTradeKillzones(trade, killzoneSettings) {
+    const entry = new Date(trade.entryTime);
+    const entryMinutes = entry.getHours() * 60 + entry.getMinutes();
+    const labels = KILLZONE_KEYS
+        .map((key, index) => ({ ...killzoneSettings[key], label: `Killzone ${index + 1}` }))
+        .filter(killzone => killzone.startTime && killzone.endTime)
+        .filter(killzone => {
+            const start = toMinutes(killzone.startTime);
+            const end = toMinutes(killzone.endTime);
+            // Windows such as 20:00-02:00 wrap past midnight
+            return start <= end
+                ? entryMinutes >= start && entryMinutes < end
+                : entryMinutes >= start || entryMinutes < end;
+        })
+        .map(killzone => `${killzone.label} (${killzone.startTime}-${killzone.endTime})`);
+    return labels.length > 0 ? labels : ['Outside killzones'];
+}
+
+/**
+ * Summary statistics for a set of closed trades
+ * @param {Array<Object>} trades - Closed journal trades, oldest first
+ * @param {Function} getPnl - Returns a trade's result in the report's unit
+ * @returns {Object} - { trades, wins, losses, winRate, net, grossProfit, grossLoss, profitFactor,
+ *                      expectancy, averageWin, averageLoss, averageR, rTrades, maxDrawdown }
+ */
+function summarize(trades, getPnl) {
+    let grossProfit = 0;
+    let grossLoss = 0;
+    let wins = 0;
+    let losses = 0;
+    let equity = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+
+    trades.forEach(trade => {
+        const pnl = getPnl(trade);
+        if (pnl > 0) {
+            wins++;
+            grossProfit += pnl;
+        } else if (pnl < 0) {
+            losses++;
+            grossLoss -= pnl;
+        }
+        equity += pnl;
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    });
+
+    const rTrades = trades.filter(trade => trade.rMultiple !== null && trade.rMultiple !== undefined);
+    const net = grossProfit - grossLoss;
+
+    return {
+        trades: trades.length,
+        wins,
+        losses,
+        winRate: trades.length > 0 ? (wins / trades.length) * 100 : null,
+        net,
+        grossProfit,
+        grossLoss,
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : null),
+        expectancy: trades.length > 0 ? net / trades.length : null,
+        averageWin: wins > 0 ? grossProfit / wins : null,
+        averageLoss: losses > 0 ? grossLoss / losses : null,
+        averageR: rTrades.length > 0 ? rTrades.reduce((sum, trade) => sum + trade.rMultiple, 0) / rTrades.length : null,
+        rTrades: rTrades.length,
+        maxDrawdown,
+    };
+}
+
+/**
+ * Group trades and summarize each group
+ * @param {Array<Object>} trades - Closed journal trades
+ * @param {Function} getKeys - Returns the group labels of a trade (a trade can be in several groups)
+ * @param {Function} getPnl - Returns a trade's result in the report's unit
+ * @param {Function} [compare] - Sort order of the group labels, alphabetical by default
+ * @returns {Array<Object>} - [{ label, ...summary }]
+ */
+function breakdown(trades, getKeys, getPnl, compare = (a, b) => a.localeCompare(b)) {
+    const groups = new Map();
+    trades.forEach(trade => {
+        getKeys(trade).forEach(key => {
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(trade);
+        });
+    });
+    return Array.from(groups.keys())
+        .sort(compare)
+        .map(label => ({ label, ...summarize(groups.get(label), getPnl) }));
+}
+
+/**
+ * Equity curve with one point per day or week
+ * @param {Array<Object>} trades - Closed journal trades, oldest first
+ * @param {'daily'|'weekly'} period - Period of the points
+ * @param {Function} getPnl - Returns a trade's result in the report's unit
+ * @returns {Array<Object>} - [{ period, pnl, equity }] - the period's result and the cumulative result at its end
+ */
+function buildEquityCurve(trades, period, getPnl) {
+    const getPeriodKey = period === 'weekly' ? getWeekKey : getDateKey;
+    const points = [];
+    let equity = 0;
+    trades.forEach(trade => {
+        const key = getPeriodKey(trade.exitTime);
+        const pnl = getPnl(trade);
+        equity += pnl;
+        const last = points[points.length - 1];
+        if (last && last.period === key) {
+            last.pnl += pnl;
+            last.equity = equity;
+        } else {
+            points.push({ period: key, pnl, equity });
+        }
+    });
+    return points;
+}
+
+/**
+ * Compute the performance statistics of journal trades
+ * @param {Array<Object>} trades - Journal trades (open trades are ignored)
+ * @param {Object} options
+ * @param {'daily'|'weekly'} [options.period] - Equity curve period
+ * @param {Object} options.killzoneSettings - Killzones study settings
+ * @returns {Object} - { unit, summary, equityCurve, byTimeOfDay, byKillzone, byInstrument, byPlan, byTag }
+ */
+export function computePerformanceStats(trades, { period = 'daily', killzoneSettings }) {
+    const closedTrades = trades
+        .filter(trade => trade.status === 'closed')
+        .sort((a, b) => a.exitTime - b.exitTime);
+    const inDollars = closedTrades.every(trade => trade.pnlDollars !== null);
+    const getPnl = inDollars ? trade => trade.pnlDollars : trade => trade.pnlPoints;
+
+    return {
+        unit: inDollars ? '$' : 'pts',
+        summary: summarize(closedTrades, getPnl),
+        equityCurve: buildEquityCurve(closedTrades, period, getPnl),
+        byTimeOfDay: breakdown(
+            closedTrades,
+            trade => [`${pad(new Date(trade.entryTime).getHours())}:00`],
+            getPnl
+        ),
+        byKillzone: breakdown(closedTrades, trade => getTradeKillzones(trade, killzoneSettings), getPnl),
+        byInstrument: breakdown(closedTrades, trade => [trade.instrument], getPnl),
+        byPlan: breakdown(closedTrades, trade => [getPlanName(trade)], getPnl),
+        byTag: breakdown(closedTrades, trade => (trade.tags.length > 0 ? trade.tags : ['Untagged']), getPnl),
+    };
+}
@@ -0,0 +1,267 @@
+import { BoxAnnotation, LineAnnotation, NativeTextAnnotation } from 'scichart';
+import { removeDerivedAnnotations } from './chartUtils';
+
+/**
+ * Long / short position (measure and risk-reward) drawing tool.
+ *
+ * A position is a single editable BoxAnnotation (annotype 'pos') spanning the stop (y1) and the target (y2), which
+ * carries the entry price as entryPrice. Like the Fibonacci anchor it is saved, rebuilt, propagated to all
+ * timeframes and locked like any other user annotation; the reward and risk zones, the entry line and the labels are
+ * derived, non-editable annotations with IDs of the form `${anchorId}/...` that are redrawn whenever the anchor moves.
+ *
+ * The side is implied by the prices: a stop below the entry is a long, a stop above it is a short. Points, ticks and
+ * dollars per contract use the instrument properties (tickSize, pointValue) reported by the NinjaTrader bridge.
+ */
+
+export const DEFAULT_TARGET_R = 2;
+const DEFAULT_TICK_SIZE = 0.25; // ES/NQ tick size, used until the bridge reports the instrument's properties
+
+const REWARD_COLOR = '#089981';
+const RISK_COLOR = '#F23645';
+const ENTRY_COLOR = '#B2B5BE';
+
+let instrumentProperties = null;
+const positionListeners = new Set();
+
+/**
+ * Set the instrument properties ({ tickSize, pointValue }) used for position stats
+ * @param {Object} properties - Instrument properties from the NinjaTrader bridge, or null if unknown
+ */
+export function setPositionInstrumentProperties(properties) {
+    instrumentProperties = properties || null;
+}
+
+/**
+ * Subscribe to position selection and changes (selected, deselected, dragged or edited)
+ * @param {Function} listener - Called with (anchor, sciChartSurface)
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToPositions(listener) {
+    positionListeners.add(listener);
+    return () => positionListeners.delete(listener);
+}
+
+const notifyPositionListeners = (anchor, sciChartSurface) => {
+    positionListeners.forEach(listener => listener(anchor, sciChartSurface));
+};
+
+/**
+ * Round a price to the instrument's tick size
+ * @param {number} price - Price
+ * @param {number} tickSize - Tick size (defaults to the instrument's)
+ * @returns {number} - Rounded price
+ */
+export function roundToTick(price, tickSize = (instrumentProperties && instrumentProperties.tickSize) || DEFAULT_TICK_SIZE) {
+    return parseFloat((Math.round(price / tickSize) * tickSize).toFixed(8));
+}
+
+/**
+ * Measure a position
+ * @param {Object} prices - { entryPrice, stopPrice, targetPrice }
+ * @returns {Object} - { side, riskPoints, rewardPoints, riskTicks, rewardTicks, riskDollars, rewardDollars, rMultiple }
+ *                     dollars are per contract and null when the point value isn't known
+ */
+export function getPositionStats({ entryPrice, stopPrice, targetPrice }) {
+    const tickSize = (instrumentProperties && instrumentProperties.tickSize) || DEFAULT_TICK_SIZE;
+    const pointValue = (instrumentProperties && instrumentProperties.pointValue) || null;
+    const riskPoints = Math.abs(entryPrice - stopPrice);
+    const rewardPoints = Math.abs(targetPrice - entryPrice);
+
+    return {
+        side: stopPrice < entryPrice ? 'long' : 'short',
+        riskPoints,
+        rewardPoints,
+        riskTicks: Math.round(riskPoints / tickSize),
+        rewardTicks: Math.round(rewardPoints / tickSize),
+        riskDollars: pointValue ? riskPoints * pointValue : null,
+        rewardDollars: pointValue ? rewardPoints * pointValue : null,
+        rMultiple: riskPoints > 0 ? rewardPoints / riskPoints : null,
+    };
+}
+
+/**
+ * Format a dollar amount for a label, e.g. 1250 -> "$1,250.00"
+ * @param {number|null} dollars - Dollar amount, or null if unknown
+ * @returns {string} - Label text
+ */
+export function formatDollars(dollars) {
+    if (dollars === null || dollars === undefined) return '$ n/a';
+    return `$${dollars.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Get the prices of a position anchor
+ * @param {BoxAnnotation} anchor - The position anchor annotation
+ * @returns {Object} - { entryPrice, stopPrice, targetPrice }
+ */
+export function getPositionPrices(anchor) {
+    return { entryPrice: anchor.entryPrice, stopPrice: anchor.y1, targetPrice: anchor.y2 };
+}
+
+/**
+ * (Re)draw the zones, entry line and labels for a position anchor from its current coordinates
+ * @param {BoxAnnotation} anchor - The position anchor annotation
+ * @param {SciChartSurface} sciChartSurface - The chart surface the anchor is on
+ */
+export function drawPositionZones(anchor, sciChartSurface) {
+    if (!anchor || !sciChartSurface) return;
+    removeDerivedAnnotations(sciChartSurface, anchor.id);
+
+    const xStart = Math.min(anchor.x1, anchor.x2);
+    const xEnd = Math.max(anchor.x1, anchor.x2);
+    const { entryPrice, stopPrice, targetPrice } = getPositionPrices(anchor);
+    const stats = getPositionStats({ entryPrice, stopPrice, targetPrice });
+    const zoneOptions = { x1: xStart, x2: xEnd, y1: entryPrice, strokeThickness: 0, isEditable: false, annotationLayer: 'Background' };
+
+    sciChartSurface.annotations.add(new BoxAnnotation({
+        ...zoneOptions,
+        id: `${anchor.id}/zone/reward`,
+        y2: targetPrice,
+        stroke: REWARD_COLOR,
+        fill: `${REWARD_COLOR}40`,
+    }));
+    sciChartSurface.annotations.add(new BoxAnnotation({
+        ...zoneOptions,
+        id: `${anchor.id}/zone/risk`,
+        y2: stopPrice,
+        stroke: RISK_COLOR,
+        fill: `${RISK_COLOR}40`,
+    }));
+    sciChartSurface.annotations.add(new LineAnnotation({
+        id: `${anchor.id}/entry`,
+        x1: xStart,
+        x2: xEnd,
+        y1: entryPrice,
+        y2: entryPrice,
+        stroke: ENTRY_COLOR,
+        strokeThickness: 1,
+        isEditable: false,
+        xAxisId: 'xAxis',
+        yAxisId: 'yAxis'
+    }));
+
+    // Labels sit outside the zones: above the upper edge and below the lower edge
+    const addLabel = (name, price, text, color, isAbove) => {
+        sciChartSurface.annotations.add(new NativeTextAnnotation({
+            id: `${anchor.id}/label/${name}`,
+            x1: xStart,
+            y1: price,
+            text,
+            textColor: color,
+            backgroundColor: 'transparent',
+            fontSize: 11,
+            horizontalAnchorPoint: 'Left',
+            verticalAnchorPoint: isAbove ? 'Bottom' : 'Top',
+            isEditable: false,
+            xAxisId: 'xAxis',
+            yAxisId: 'yAxis'
+        }));
+    };
+    const rText = stats.rMultiple !== null ? ` · ${stats.rMultiple.toFixed(2)}R` : '';
+    addLabel('target', targetPrice,
+        `Target ${targetPrice.toFixed(2)}: ${stats.rewardPoints.toFixed(2)} pts (${stats.rewardTicks} ticks) ${formatDollars(stats.rewardDollars)}${rText}`,
+        REWARD_COLOR, targetPrice >= entryPrice);
+    addLabel('stop', stopPrice,
+        `Stop ${stopPrice.toFixed(2)}: ${stats.riskPoints.toFixed(2)} pts (${stats.riskTicks} ticks) ${formatDollars(stats.riskDollars)}`,
+        RISK_COLOR, stopPrice > entryPrice);
+    addLabel('entry', entryPrice, `${stats.side === 'long' ? 'Long' : 'Short'} @ ${entryPrice.toFixed(2)}`,
+        ENTRY_COLOR, stats.side === 'short');
+
+    // Remember what was drawn so a drag can tell moving the whole position from moving the stop or target
+    anchor.drawnStopPrice = stopPrice;
+    anchor.drawnTargetPrice = targetPrice;
+}
+
+/**
+ * Keep the entry with the anchor while it is dragged. Moving the whole position moves the entry with it; moving the
+ * stop or target edge leaves the entry where it is, kept between the two.
+ * @param {BoxAnnotation} anchor - The position anchor annotation
+ */
+function updateEntryForDrag(anchor) {
+    const stopDelta = anchor.y1 - anchor.drawnStopPrice;
+    const targetDelta = anchor.y2 - anchor.drawnTargetPrice;
+    if (stopDelta !== 0 && Math.abs(stopDelta - targetDelta) < 1e-9) {
+        anchor.entryPrice += stopDelta;
+    }
+    const low = Math.min(anchor.y1, anchor.y2);
+    const high = Math.max(anchor.y1, anchor.y2);
+    anchor.entryPrice = Math.min(high, Math.max(low, anchor.entryPrice));
+}
+
+/**
+ * Set the prices of a position from the position overlay, redraw it and save it via its drag-ended handler
+ * @param {BoxAnnotation} anchor - The position anchor annotation
+ * @param {SciChartSurface} sciChartSurface - The chart surface the anchor is on
+ * @param {Object} prices - { entryPrice, stopPrice, targetPrice }
+ */
+export function setPositionPrices(anchor, sciChartSurface, { entryPrice, stopPrice, targetPrice }) {
+    anchor.y1 = stopPrice;
+    anchor.y2 = targetPrice;
+    anchor.entryPrice = entryPrice;
+    drawPositionZones(anchor, sciChartSurface);
+    sciChartSurface.invalidateElement();
+    anchor.dragEnded.raiseEvent();
+    notifyPositionListeners(anchor, sciChartSurface);
+}
+
+/**
+ * Redraw every position on the given chart surfaces, e.g. after the instrument properties arrive
+ * @param {Array<SciChartSurface>} sciChartSurfaces - Chart surfaces
+ */
+export function redrawPositions(sciChartSurfaces) {
+    sciChartSurfaces.forEach(sciChartSurface => {
+        if (!sciChartSurface) return;
+        sciChartSurface.annotations.asArray()
+            .filter(annotation => typeof annotation.id === 'string' && annotation.id.split('/')[3] === 'pos'
+                && annotation.id.split('/').length === 5)
+            .forEach(anchor => drawPositionZones(anchor, sciChartSurface));
+        sciChartSurface.invalidateElement();
+    });
+}
+
+/**
+ * Create a position anchor annotation and draw its zones on the chart surface
+ * @param {Object} options
+ * @param {string} options.id - Annotation ID (annotype 'pos')
+ * @param {number} options.x1 - Start time
+ * @param {number} options.x2 - End time
+ * @param {number} options.entryPrice - Entry price
+ * @param {number} options.stopPrice - Stop price
+ * @param {number} options.targetPrice - Target price
+ * @param {string} options.stroke - Color of the anchor's outline
+ * @param {boolean} options.isEditable - Whether the anchor can be dragged
+ * @param {SciChartSurface} options.sciChartSurface - The chart surface the anchor will be added to
+ * @param {Function} options.onDragEnded - Called when the user finishes dragging the anchor
+ * @returns {BoxAnnotation} - The anchor annotation (not yet added to the surface)
+ */
+export function createPositionAnnotation({
+    id, x1, x2, entryPrice, stopPrice, targetPrice, stroke, isEditable, sciChartSurface, onDragEnded
+}) {
+    const anchor = new BoxAnnotation({
+        id,
+        x1,
+        x2,
+        y1: stopPrice,
+        y2: targetPrice,
+        stroke: stroke || ENTRY_COLOR,
+        strokeThickness: 1,
+        fill: '#FFFFFF01', // Nearly transparent - the zones show through, but the whole box can be grabbed
+        isEditable,
+        isSelected: false,
+        annotationLayer: 'Background',
+        onDrag: () => {
+            // Keep the zones with the anchor while it is dragged
+            updateEntryForDrag(anchor);
+            drawPositionZones(anchor, sciChartSurface);
+            sciChartSurface.invalidateElement();
+            notifyPositionListeners(anchor, sciChartSurface);
+        },
+        onDragEnded
+    });
+
+    anchor.entryPrice = entryPrice;
+    anchor.selectedChanged.subscribe(() => notifyPositionListeners(anchor, sciChartSurface));
+
+    drawPositionZones(anchor, sciChartSurface);
+    return anchor;
+}
@@ -0,0 +1,247 @@
+import { DateTime } from 'luxon';
+import { getSessionStart } from './VolumeProfile';
+
+/**
+ * Timeframe helpers for user-defined chart timeframes.
+ *
+ * Timeframes are strings of a number followed by a unit:
+ *   t = tick bars, s = seconds, m = minutes, h = hours, d = days (sessions), w = weeks
+ * e.g. '500t', '30s', '2m', '45m', '2h', '1d', '1w'.
+ *
+ * Timeframes Chronicle does not serve directly are aggregated client-side from the largest served
+ * timeframe that divides them evenly (e.g. 45m from 15m, 2h from 1h, 1w from 1d). Tick and second
+ * bars cannot be built from minute candles, so they are always requested from Chronicle as-is.
+ */
+
+// Timeframes Chronicle serves directly
+export const SERVER_TIMEFRAMES = ['1d', '4h', '1h', '30m', '15m', '10m', '5m', '1m'];
+
+// Default timeframes shown in each layout (pane order matches ChartLayout)
+export const DEFAULT_LAYOUT_TIMEFRAMES = {
+    '4-way': ['1h', '5m', '15m', '1m'],
+    '6-way': ['1h', '30m', '15m', '10m', '5m', '1m'],
+    '6-way-long': ['1d', '4h', '1h', '15m', '5m', '1m'],
+};
+
+// Default double-click range behaviour for timeframes without their own chartBehavior entry
+export const DEFAULT_CHART_BEHAVIOR = { numCandles: 50, numSpace: 10, yPercentSpace: 10 };
+
+const UNIT_MS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a timeframe string
+ * @param {string} timeframe Timeframe such as '45m' or '1w'
+ * @returns {Object|null} { value, unit } or null if the timeframe is not valid
+ */
+export const parseTimeframe = (timeframe) => {
+    const match = typeof timeframe === 'string' ? timeframe.trim().match(/^(\d+)([tsmhdw])$/) : null;
+    if (!match) return null;
+    const value = parseInt(match[1], 10);
+    return value > 0 ? { value, unit: match[2] } : null;
+};
+
+export const isValidTimeframe = (timeframe) => parseTimeframe(timeframe) !== null;
+
+/**
+ * Nominal duration of a timeframe in milliseconds. Tick bars have no fixed duration and return null.
+ * @param {string} timeframe Timeframe string
+ * @returns {number|null}
+ */
+export const getTimeframeDurationMs = (timeframe) => {
+    const parsed = parseTimeframe(timeframe);
+    if (!parsed || parsed.unit === 't') return null;
+    return parsed.value * UNIT_MS[parsed.unit];
+};
+
+/**
+ * Get the served timeframe a timeframe is aggregated from
+ * @param {string} timeframe Timeframe string
+ * @returns {string|null} Source timeframe, or null if the timeframe is requested from Chronicle directly
+ */
+export const getAggregationSource = (timeframe) => {
+    const parsed = parseTimeframe(timeframe);
+    if (!parsed || parsed.unit === 't' || parsed.unit === 's' || SERVER_TIMEFRAMES.includes(timeframe)) {
+        return null;
+    }
+
+    const targetMs = getTimeframeDurationMs(timeframe);
+    const isMultiDay = parsed.unit === 'd' || parsed.unit === 'w';
+    let best = null;
+    SERVER_TIMEFRAMES.forEach(source => {
+        const sourceMs = getTimeframeDurationMs(source);
+        const sourceIsDaily = parseTimeframe(source).unit === 'd';
+        // Daily and weekly bars are built from session (daily) candles, intraday bars from intraday candles
+        if (sourceIsDaily !== isMultiDay) return;
+        if (sourceMs < targetMs && targetMs % sourceMs === 0 && (!best || sourceMs > getTimeframeDurationMs(best))) {
+            best = source;
+        }
+    });
+    return best;
+};
+
+/**
+ * Get the timeframes to request from Chronicle for a set of displayed timeframes
+ * @param {Array<string>} timeframes Displayed timeframes
+ * @returns {Array<string>} Unique timeframes to subscribe to
+ */
+export const getSubscriptionTimeframes = (timeframes) => {
+    const subscriptions = [];
+    (timeframes || []).forEach(timeframe => {
+        const source = getAggregationSource(timeframe) || timeframe;
+        if (!subscriptions.includes(source)) {
+            subscriptions.push(source);
+        }
+    });
+    return subscriptions;
+};
+
+/**
+ * Get the timeframes for a layout, falling back to the defaults when the configured list is missing,
+ * has the wrong number of panes or contains an invalid timeframe
+ * @param {string} chartLayout '4-way', '6-way' or '6-way-long'
+ * @param {Object} layoutTimeframes Configured timeframes keyed by layout (settings.layoutTimeframes)
+ * @returns {Array<string>}
+ */
+export const getLayoutTimeframes = (chartLayout, layoutTimeframes = DEFAULT_LAYOUT_TIMEFRAMES) => {
+    const defaults = DEFAULT_LAYOUT_TIMEFRAMES[chartLayout] || DEFAULT_LAYOUT_TIMEFRAMES['6-way'];
+    const configured = layoutTimeframes && layoutTimeframes[chartLayout];
+    if (!Array.isArray(configured) || configured.length !== defaults.length) return defaults;
+    if (!configured.every(isValidTimeframe) || new Set(configured).size !== configured.length) return defaults;
+    return configured;
+};
+
+/**
+ * Create an object with an empty array for each timeframe (used for accumulated data and candle queues)
+ * @param {Array<string>} timeframes Timeframes
+ * @returns {Object}
+ */
+export const createTimeframeBuckets = (timeframes) => {
+    const buckets = {};
+    (timeframes || []).forEach(timeframe => { buckets[timeframe] = []; });
+    return buckets;
+};
+
+/**
+ * Get the start timestamp of the bar a timestamp falls into. Intraday bars are aligned to the CME
+ * session start (18:00 ET), daily bars to sessions and weekly bars to the Sunday evening open.
+ * @param {number} timestamp Timestamp in milliseconds
+ * @param {string} timeframe Timeframe string
+ * @returns {number} Bar start timestamp
+ */
+export const getBucketStart = (timestamp, timeframe) => {
+    const parsed = parseTimeframe(timeframe);
+    if (!parsed || parsed.unit === 't') return timestamp;
+
+    const durationMs = getTimeframeDurationMs(timeframe);
+    if (parsed.unit === 's') {
+        return Math.floor(timestamp / durationMs) * durationMs;
+    }
+
+    const sessionStart = getSessionStart(timestamp);
+    const session = DateTime.fromMillis(sessionStart).setZone('America/New_York');
+
+    if (parsed.unit === 'w') {
+        // Sessions open Sunday-Thursday evenings; the week starts with Sunday's session
+        const weekStart = session.minus({ days: session.weekday % 7 });
+        if (parsed.value === 1) return weekStart.toMillis();
+        const weekNumber = Math.floor(weekStart.startOf('day').toMillis() / UNIT_MS.w);
+        return weekStart.minus({ weeks: weekNumber % parsed.value }).toMillis();
+    }
+
+    if (parsed.unit === 'd') {
+        if (parsed.value === 1) return sessionStart;
+        const dayNumber = Math.floor(session.startOf('day').toMillis() / UNIT_MS.d);
+        return session.minus({ days: dayNumber % parsed.value }).toMillis();
+    }
+
+    return sessionStart + Math.floor((timestamp - sessionStart) / durationMs) * durationMs;
+};
+
+// Combine source candles (sorted by timestamp) into one bar starting at bucketStart
+const combineCandles = (candles, bucketStart) => {
+    const first = candles[0];
+    const last = candles[candles.length - 1];
+    return {
+        ...last,
+        timestamp: bucketStart,
+        open: Number(first.open),
+        high: Math.max(...candles.map(c => Number(c.high))),
+        low: Math.min(...candles.map(c => Number(c.low))),
+        close: Number(last.close),
+        volume: candles.reduce((sum, c) => sum + (Number(c.volume) || 0), 0),
+    };
+};
+
+/**
+ * Aggregate lower-timeframe candles into a higher timeframe
+ * @param {Array} candles Source candles
+ * @param {string} timeframe Target timeframe
+ * @returns {Array} Aggregated candles sorted by timestamp
+ */
+export const aggregateCandles = (candles, timeframe) => {
+    if (!candles || candles.length === 0) return [];
+    const sorted = [...candles].sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+    const result = [];
+    let bucketStart = null;
+    let bucket = [];
+
+    sorted.forEach(candle => {
+        const start = getBucketStart(Number(candle.timestamp), timeframe);
+        if (start !== bucketStart && bucket.length > 0) {
+            result.push(combineCandles(bucket, bucketStart));
+            bucket = [];
+        }
+        bucketStart = start;
+        bucket.push(candle);
+    });
+    if (bucket.length > 0) {
+        result.push(combineCandles(bucket, bucketStart));
+    }
+    return result;
+};
+
+/**
+ * Create an aggregator that keeps the forming higher-timeframe bar up to date from live source candles
+ * @param {string} timeframe Target timeframe
+ * @returns {Object} Aggregator with seed(sourceCandles) and update(candle)
+ */
+export const createCandleAggregator = (timeframe) => {
+    let bucketStart = null;
+    let bucketCandles = new Map(); // Source candles in the forming bar keyed by timestamp
+
+    return {
+        timeframe,
+
+        // Load the source candles belonging to the last (forming) bar
+        seed(sourceCandles) {
+            bucketStart = null;
+            bucketCandles = new Map();
+            (sourceCandles || []).forEach(candle => this.update(candle));
+        },
+
+        /**
+         * Apply a source candle (new or still forming)
+         * @param {Object} candle Source candle
+         * @returns {Object|null} The aggregated bar the candle belongs to, or null for candles older than the forming bar
+         */
+        update(candle) {
+            const timestamp = Number(candle.timestamp);
+            const start = getBucketStart(timestamp, timeframe);
+            if (bucketStart !== null && start < bucketStart) return null;
+            if (start !== bucketStart) {
+                bucketStart = start;
+                bucketCandles = new Map();
+            }
+            bucketCandles.set(timestamp, candle);
+            const candles = Array.from(bucketCandles.values())
+                .sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+            return combineCandles(candles, bucketStart);
+        }
+    };
+};
@@ -0,0 +1,122 @@
+import { DateTime } from 'luxon';
+
+// Default volume display options (stored in settings.volumeOptions)
+export const DEFAULT_VOLUME_OPTIONS = {
+    showVolumePane: false,       // Volume histogram along the bottom of each chart
+    volumePaneHeight: 20,        // Height of the volume pane as a % of the chart height
+    showVolumeProfile: false,    // Volume profile drawn on the right edge of each chart
+    profileRange: 'session',     // 'session' (since 18:00 ET) or 'visible' (visible x range)
+    profileRows: 40,             // Number of price rows in the profile
+    profileWidth: 25,            // Width of the widest profile row as a % of the chart width
+    valueAreaPercent: 70,        // % of total volume contained in the value area
+};
+
+/**
+ * Returns the start of the CME Globex session (18:00 ET) containing the given timestamp
+ * @param {number} timestamp Timestamp in milliseconds
+ * @returns {number} Session start timestamp in milliseconds
+ */
+export const getSessionStart = (timestamp) => {
+    const dt = DateTime.fromMillis(timestamp).setZone('America/New_York');
+    let sessionStart = dt.set({ hour: 18, minute: 0, second: 0, millisecond: 0 });
+    if (dt < sessionStart) {
+        sessionStart = sessionStart.minus({ days: 1 });
+    }
+    return sessionStart.toMillis();
+};
+
+/**
+ * Builds a volume profile from a set of candles. Each candle's volume is spread evenly
+ * across the price rows between its low and high.
+ * @param {Array} candles Candles with timestamp, high, low and volume
+ * @param {Object} options Profile options
+ * @param {number} options.rows Number of price rows
+ * @param {number} options.valueAreaPercent % of volume contained in the value area (e.g. 70)
+ * @returns {Object|null} { rows: [{ priceLow, priceHigh, volume }], poc, vah, val, maxVolume, totalVolume } or null if there is no volume
+ */
+export const calculateVolumeProfile = (candles, { rows = 40, valueAreaPercent = 70 } = {}) => {
+    const validCandles = (candles || []).filter(c => Number(c.volume) > 0 && Number(c.high) >= Number(c.low));
+    if (validCandles.length === 0) return null;
+
+    const minPrice = Math.min(...validCandles.map(c => Number(c.low)));
+    const maxPrice = Math.max(...validCandles.map(c => Number(c.high)));
+    const rowCount = Math.max(1, Math.floor(rows));
+    const rowHeight = maxPrice > minPrice ? (maxPrice - minPrice) / rowCount : 1;
+
+    const profileRows = [];
+    for (let i = 0; i < rowCount; i++) {
+        profileRows.push({
+            priceLow: minPrice + i * rowHeight,
+            priceHigh: minPrice + (i + 1) * rowHeight,
+            volume: 0
+        });
+    }
+
+    const rowIndexForPrice = (price) => Math.min(rowCount - 1, Math.max(0, Math.floor((price - minPrice) / rowHeight)));
+
+    validCandles.forEach(candle => {
+        const firstRow = rowIndexForPrice(Number(candle.low));
+        const lastRow = rowIndexForPrice(Number(candle.high));
+        const volumePerRow = Number(candle.volume) / (lastRow - firstRow + 1);
+        for (let i = firstRow; i <= lastRow; i++) {
+            profileRows[i].volume += volumePerRow;
+        }
+    });
+
+    const totalVolume = profileRows.reduce((sum, row) => sum + row.volume, 0);
+
+    // Point of control is the row with the highest volume
+    let pocIndex = 0;
+    profileRows.forEach((row, i) => {
+        if (row.volume > profileRows[pocIndex].volume) pocIndex = i;
+    });
+
+    // Expand the value area out from the POC, always taking the heavier neighbouring row,
+    // until it contains the requested share of total volume
+    const targetVolume = totalVolume * (valueAreaPercent / 100);
+    let lowIndex = pocIndex;
+    let highIndex = pocIndex;
+    let valueAreaVolume = profileRows[pocIndex].volume;
+    while (valueAreaVolume < targetVolume && (lowIndex > 0 || highIndex < rowCount - 1)) {
+        const below = lowIndex > 0 ? profileRows[lowIndex - 1].volume : -1;
+        const above = highIndex < rowCount - 1 ? profileRows[highIndex + 1].volume : -1;
+        if (above >= below) {
+            highIndex++;
+            valueAreaVolume += above;
+        } else {
+            lowIndex--;
+            valueAreaVolume += below;
+        }
+    }
+
+    const pocRow = profileRows[pocIndex];
+    return {
+        rows: profileRows,
+        poc: (pocRow.priceLow + pocRow.priceHigh) / 2,
+        vah: profileRows[highIndex].priceHigh,
+        val: profileRows[lowIndex].priceLow,
+        pocIndex,
+        valueAreaLowIndex: lowIndex,
+        valueAreaHighIndex: highIndex,
+        maxVolume: pocRow.volume,
+        totalVolume
+    };
+};
+
+/**
+ * Selects the candles a profile should be built from
+ * @param {Array} candles All candles for the chart, sorted by timestamp
+ * @param {string} profileRange 'session' or 'visible'
+ * @param {Object} visibleRange The x axis visible range ({ min, max }), used for 'visible'
+ * @returns {Array} Candles in range
+ */
+export const getProfileCandles = (candles, profileRange, visibleRange) => {
+    if (!candles || candles.length === 0) return [];
+
+    if (profileRange === 'visible' && visibleRange) {
+        return candles.filter(c => c.timestamp >= visibleRange.min && c.timestamp <= visibleRange.max);
+    }
+
+    const sessionStart = getSessionStart(candles[candles.length - 1].timestamp);
+    return candles.filter(c => c.timestamp >= sessionStart);
+};
@@ -7,6 +7,8 @@ import {
 // } from 'scichart/Charting/Visuals/Annotations';
 } from 'scichart';
 import { getReadableTextColor, getArrowAnchorPoints } from './chartUtils';
+import { createFibonacciAnnotation } from './FibonacciTool';
+import { createPositionAnnotation } from './PositionTool';
 
 /**
  * Determines if an annotation is a strategy annotation
@@ -234,6 +236,40 @@ export function createAnnotationFromSaved(savedAnnotation, sciChartSurface, time
                 }
             })
         });
+    } else if (annotype === 'fib') {
+        annotation = createFibonacciAnnotation({
+            id,
+            x1,
+            y1,
+            x2: object.x2,
+            y2: object.y2,
+            stroke,
+            fibType: object.fibType,
+            fibLevels: object.fibLevels,
+            fibShowPrices: object.fibShowPrices,
+            isEditable,
+            sciChartSurface,
+            onDragEnded: isStrategy ? undefined : () => {
+                // Call the update handler when the Fibonacci drag is finished
+                handleAnnotationUpdated(annotation, timeframe);
+            }
+        });
+    } else if (annotype === 'pos') {
+        annotation = createPositionAnnotation({
+            id,
+            x1,
+            x2: object.x2,
+            entryPrice: object.entryPrice,
+            stopPrice: y1,
+            targetPrice: object.y2,
+            stroke,
+            isEditable,
+            sciChartSurface,
+            onDragEnded: isStrategy ? undefined : () => {
+                // Call the update handler when the position drag is finished
+                handleAnnotationUpdated(annotation, timeframe);
+            }
+        });
     } else if (annotype === 'arrow') {
         // For arrow annotations, get the "default"anchor points
         
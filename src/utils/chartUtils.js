@@ -1,4 +1,5 @@
 import { NumberRange } from 'scichart/Core/NumberRange';
+import { parseTimeframe, getTimeframeDurationMs } from './Timeframes';
 
 /**
  * Resets the visible range of a chart to show a reasonable default view
@@ -119,6 +120,67 @@ export function resetToDefaultRange(sciChartSurface, dataSeries, chartBehavior,
     sciChartSurface.yAxes.get(0).visibleRange = yRange;
 }
 
+/**
+ * Finds the bar containing a timestamp - the last bar starting at or before it
+ * @param {OhlcDataSeries} dataSeries - The data series containing the bars, in time order
+ * @param {number} timestamp - Time in milliseconds
+ * @param {number|null} barDurationMs - Length of a bar, or null when bars have no fixed length (tick, Renko and
+ *     range bars) - a timestamp past the end of its bar is then still counted as in it
+ * @returns {number} Index of the bar, or -1 if no bar contains the timestamp
+ */
+export function findContainingBarIndex(dataSeries, timestamp, barDurationMs = null) {
+    const xValues = dataSeries.getNativeXValues();
+    let low = 0;
+    let high = dataSeries.count();
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (xValues.get(mid) <= timestamp) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    const index = low - 1;
+    if (index < 0) return -1;
+    if (barDurationMs && timestamp >= xValues.get(index) + barDurationMs) return -1;
+    return index;
+}
+
+/**
+ * Scrolls a chart so a time is in the middle of the view, keeping the zoom, and fits the price axis to the bars
+ * then in view
+ * @param {SciChartSurface} sciChartSurface - The chart surface to scroll
+ * @param {OhlcDataSeries} dataSeries - The data series containing the candle data
+ * @param {number} timestamp - Time to center on, in milliseconds
+ * @param {number} yPercentSpace - Space above and below the bars, as a percentage of their range
+ */
+export function scrollToTimestamp(sciChartSurface, dataSeries, timestamp, yPercentSpace = 0) {
+    const xAxis = sciChartSurface.xAxes.get(0);
+    const yAxis = sciChartSurface.yAxes.get(0);
+    const halfWidth = (xAxis.visibleRange.max - xAxis.visibleRange.min) / 2;
+    const xStart = timestamp - halfWidth;
+    const xEnd = timestamp + halfWidth;
+    xAxis.visibleRange = new NumberRange(xStart, xEnd);
+
+    const xValues = dataSeries.getNativeXValues();
+    const highValues = dataSeries.getNativeHighValues();
+    const lowValues = dataSeries.getNativeLowValues();
+    let highestHigh = -Infinity;
+    let lowestLow = Infinity;
+    for (let i = 0; i < dataSeries.count(); i++) {
+        const x = xValues.get(i);
+        if (x >= xStart && x <= xEnd) {
+            highestHigh = Math.max(highestHigh, highValues.get(i));
+            lowestLow = Math.min(lowestLow, lowValues.get(i));
+        }
+    }
+    if (!(highestHigh > lowestLow)) return;
+
+    const buffer = (highestHigh - lowestLow) * (yPercentSpace / 100);
+    yAxis.visibleRange = new NumberRange(lowestLow - buffer, highestHigh + buffer);
+}
+
 /**
  * Calculates a readable text color (black or white) based on background color brightness
  * @param {string} hexColor - Hex color code (e.g. #FFFFFF)
@@ -133,24 +195,20 @@ export function getReadableTextColor(hexColor) {
 }
 
 /**
- * Converts a timeframe string (e.g., '1m', '5m', '1h') to milliseconds
- * @param {string} timeframe - The timeframe string (e.g., '1m', '5m', '1h')
+ * Converts a timeframe string (e.g., '30s', '1m', '45m', '2h', '1d', '1w') to milliseconds.
+ * Tick bars ('500t') have no fixed duration; 1 second is used as their nominal spacing.
+ * @param {string} timeframe - The timeframe string
  * @returns {number} The equivalent time in milliseconds
  */
 export function timeframeToMilliseconds(timeframe) {
-    const match = timeframe.match(/^(\d+)([mhd])$/);
-    if (!match) {
-        console.warn(`Invalid timeframe format: ${timeframe}. Expected format like '1m', '5m', '1h', '4h', '1d'.`);
+    const parsed = parseTimeframe(timeframe);
+    if (!parsed) {
+        console.warn(`Invalid timeframe format: ${timeframe}. Expected format like '30s', '1m', '45m', '2h', '1d', '1w' or '500t'.`);
         return 60 * 1000; // Default to 1 minute
     }
-    const value = parseInt(match[1]);
-    const unit = match[2];
-    
-    if (unit === 'm') return value * 60 * 1000; // minutes to milliseconds
-    if (unit === 'h') return value * 60 * 60 * 1000; // hours to milliseconds
-    if (unit === 'd') return value * 24 * 60 * 60 * 1000; // days to milliseconds
-    
-    return 60 * 1000; // Default to 1 minute if unit not recognized
+    if (parsed.unit === 't') return 1000; // Nominal spacing for tick bars
+
+    return getTimeframeDurationMs(timeframe);
 }
 
 /**
@@ -183,10 +241,22 @@ export function getAnnotationProperties(annotation) {
         properties.y2 = annotation.y2;
         properties.fill = annotation.fill;
         properties.annotationLayer = annotation.annotationLayer || "Background";
+        
+        // Position anchors also carry the entry price (y1 is the stop, y2 the target)
+        if (annotation.entryPrice !== undefined) {
+            properties.entryPrice = annotation.entryPrice;
+        }
     } else if (annotation.type === "LineAnnotation" || annotation.type === "RenderContextLineAnnotation") {
         properties.x2 = annotation.x2;
         properties.y2 = annotation.y2;
         properties.strokeDashArray = annotation.strokeDashArray;
+        
+        // Fibonacci anchors also carry the tool's settings
+        if (annotation.fibType) {
+            properties.fibType = annotation.fibType;
+            properties.fibLevels = annotation.fibLevels;
+            properties.fibShowPrices = annotation.fibShowPrices;
+        }
     } else if (annotation.type === "SVGCustomAnnotation") {
         // For arrow annotations
         properties.svgString = annotation.svgString;
@@ -211,6 +281,30 @@ export function getAnnotationProperties(annotation) {
     return properties;
 }
 
+/**
+ * Remove the derived annotations drawn for a composite drawing (e.g. Fibonacci levels, position zones).
+ * Derived annotations have IDs of the form `${anchorId}/...`, so they go with their anchor.
+ * @param {SciChartSurface} sciChartSurface - The chart surface
+ * @param {string} anchorId - ID of the anchor annotation
+ */
+export function removeDerivedAnnotations(sciChartSurface, anchorId) {
+    if (!sciChartSurface || !anchorId) return;
+    const prefix = `${anchorId}/`;
+    sciChartSurface.annotations.asArray()
+        .filter(annotation => typeof annotation.id === 'string' && annotation.id.startsWith(prefix))
+        .forEach(annotation => {
+            sciChartSurface.annotations.remove(annotation);
+            // CRITICAL FIX: Call delete() method on annotation to free WebGL resources
+            if (typeof annotation.delete === 'function') {
+                try {
+                    annotation.delete();
+                } catch (error) {
+                    console.warn(`Error calling delete() on derived annotation: ${error.message}`);
+                }
+            }
+        });
+}
+
 /**
  * Generates an SVG string for an arrow annotation
  * @param {string} direction - 'up', 'down', 'left', or 'right'